@@ -0,0 +1,229 @@
+// Container Traffic Control Activity Log
+// Bounded history of routing decisions, written by background and read by options
+
+// ============================================================================
+// WHY: Container switches were only visible as ctcConsole lines, which are
+// gone unless DevTools was open at the time. Every handleRequest decision is
+// recorded here instead and can be reviewed (and exported) from the options page.
+//
+// STORAGE: storage.local under CTC_ACTIVITY_LOG_KEY (per device, never synced -
+// browsing history must not leave the machine)
+// PRIVATE BROWSING: Nothing is recorded for private windows (the log is on
+// disk, private browsing history must not be)
+// RING BUFFER: Oldest entries are dropped beyond ACTIVITY_LOG_LIMIT
+// BATCHING: Background collects entries in memory and flushes them together
+// (one storage write per burst of navigations, not per request)
+//
+// ENTRY SHAPE:
+//    {
+//      timestamp: number,          // Date.now()
+//      url: string,
+//      fromContainer: string,      // Container name the tab was in
+//      toContainer: ?string,       // Container name picked (null when skipped early)
+//      outcome: "switched" | "stayed" | "skipped",
+//      reason: string,             // ACTIVITY_REASONS value or rule engine DECISION_STEPS value
+//      ruleIndex: ?number,         // Index into the full rules array (as numbered in options)
+//      rulePattern: ?string,       // Pattern snapshot (indices shift when rules are edited)
+//      dataSource: ?string         // ACTIVITY_DATA_SOURCES value when decided before the
+//                                  // full load finished (null = fully loaded data)
+//    }
+// ============================================================================
+
+const CTC_ACTIVITY_LOG_KEY = "ctcActivityLog";
+const ACTIVITY_LOG_LIMIT = 500;
+const ACTIVITY_FLUSH_DELAY_MS = 1000;
+
+const ACTIVITY_OUTCOMES = {
+  SWITCHED: "switched",
+  STAYED: "stayed",
+  SKIPPED: "skipped",
+};
+
+// SKIP / STAY REASONS not covered by the rule engine's DECISION_STEPS
+const ACTIVITY_REASONS = {
+  PRIVILEGED_URL: "privileged-url",
+  NO_TAB: "no-tab",
+  TAB_UNAVAILABLE: "tab-unavailable",
+  DUPLICATE_TAB_REQUEST: "duplicate-tab-request",
+  RECENT_REDIRECT: "recent-redirect",
+  DUPLICATE_CONTAINER_SWITCH: "duplicate-container-switch",
+  INIT_TIMEOUT: "init-timeout",
+  NOT_INITIALIZED: "not-initialized",
+  RULES_CORRUPTED: "rules-corrupted",
+  POST_KEPT: "post-kept-in-container",
+  SWITCH_PROMPTED: "switch-prompted",
+  USER_CHOICE: "user-choice",
+  USER_STAYED: "user-chose-stay",
+  USER_COMMAND: "user-command",
+  USER_MENU: "user-menu",
+  BOOKMARK_CONTAINER: "bookmark-container",
+  BOOKMARK_PENDING: "bookmark-check-pending",
+  ERROR: "error",
+};
+
+// STALE OR MISSING DATA: What a decision made during MV3 wake-up was based on
+const ACTIVITY_DATA_SOURCES = {
+  SNAPSHOT: "session-snapshot", // Routing snapshot (may predate the latest change)
+  NONE: "not-loaded",           // No rules yet (see INIT_TIMEOUT)
+};
+
+const ACTIVITY_CSV_COLUMNS = [
+  "timestamp",
+  "url",
+  "fromContainer",
+  "toContainer",
+  "outcome",
+  "reason",
+  "ruleIndex",
+  "rulePattern",
+  "dataSource",
+];
+
+/**
+ * Append entries to a log, keeping only the newest `limit`
+ * PURE FUNCTION: Returns a new array
+ * @param {Array} entries - Existing log (oldest first)
+ * @param {Array} newEntries - Entries to append (oldest first)
+ * @param {number} [limit] - Maximum entries kept
+ * @returns {Array} Trimmed log (oldest first)
+ */
+function appendActivityEntries(entries, newEntries, limit = ACTIVITY_LOG_LIMIT) {
+  const combined = [...(Array.isArray(entries) ? entries : []), ...newEntries];
+  return combined.length > limit ? combined.slice(combined.length - limit) : combined;
+}
+
+/**
+ * Filter log entries for the options "Activity" view
+ * @param {Array} entries - Log entries
+ * @param {{outcome?: string, search?: string}} filter - Outcome to keep ("" = all), free-text search
+ * @returns {Array} Matching entries (original order)
+ */
+function filterActivityEntries(entries, { outcome = "", search = "" } = {}) {
+  const needle = search.trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (outcome && entry.outcome !== outcome) {
+      return false;
+    }
+    if (!needle) {
+      return true;
+    }
+    return [entry.url, entry.fromContainer, entry.toContainer, entry.reason, entry.rulePattern, entry.dataSource]
+      .some((value) => typeof value === "string" && value.toLowerCase().includes(needle));
+  });
+}
+
+/**
+ * Serialize log entries as CSV (RFC 4180 quoting, ISO timestamps)
+ * @param {Array} entries - Log entries
+ * @returns {string} CSV text with header row
+ */
+function activityEntriesToCsv(entries) {
+  const escapeCell = (value) => {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = entries.map((entry) =>
+    ACTIVITY_CSV_COLUMNS.map((column) => {
+      if (column === "timestamp") {
+        return escapeCell(new Date(entry.timestamp).toISOString());
+      }
+      return escapeCell(entry[column]);
+    }).join(","),
+  );
+  return [ACTIVITY_CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/**
+ * Read the persisted log
+ * @param {Object} storageArea - browser.storage.local (or a test double)
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function readActivityLog(storageArea) {
+  const stored = await storageArea.get(CTC_ACTIVITY_LOG_KEY);
+  const entries = stored?.[CTC_ACTIVITY_LOG_KEY];
+  return Array.isArray(entries) ? entries : [];
+}
+
+// ============================================================================
+// RECORDER: Background-side batching (in-memory queue → periodic flush)
+// ============================================================================
+const pendingActivityEntries = [];
+let activityFlushTimer = null;
+
+/**
+ * Queue a decision for the activity log (flushed shortly after)
+ * @param {Object} entry - Entry without timestamp (see ENTRY SHAPE)
+ * @param {{incognito?: boolean}} [context] - incognito: decision was for a
+ *   private window tab (not recorded - see PRIVATE BROWSING)
+ */
+function recordActivity(entry, { incognito = false } = {}) {
+  if (incognito) {
+    return;
+  }
+  pendingActivityEntries.push({
+    timestamp: Date.now(),
+    toContainer: null,
+    ruleIndex: null,
+    rulePattern: null,
+    dataSource: null,
+    ...entry,
+  });
+
+  if (!activityFlushTimer) {
+    activityFlushTimer = setTimeout(() => flushActivityLog(), ACTIVITY_FLUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Persist queued entries (read-modify-write keeps the ring bounded)
+ * FAILURE MODE: Logging must never affect routing - errors are only reported
+ * @param {Object} [storageArea] - browser.storage.local (or a test double)
+ */
+async function flushActivityLog(storageArea = browser.storage.local) {
+  clearTimeout(activityFlushTimer);
+  activityFlushTimer = null;
+  if (pendingActivityEntries.length === 0) {
+    return;
+  }
+
+  const batch = pendingActivityEntries.splice(0, pendingActivityEntries.length);
+  try {
+    const entries = await readActivityLog(storageArea);
+    await storageArea.set({
+      [CTC_ACTIVITY_LOG_KEY]: appendActivityEntries(entries, batch),
+    });
+  } catch (error) {
+    ctcConsole.error("Failed to persist activity log:", error);
+  }
+}
+
+// Export for both browser and test environments
+if (typeof window !== "undefined") {
+  window.CTC_ACTIVITY_LOG_KEY = CTC_ACTIVITY_LOG_KEY;
+  window.ACTIVITY_OUTCOMES = ACTIVITY_OUTCOMES;
+  window.ACTIVITY_REASONS = ACTIVITY_REASONS;
+  window.ACTIVITY_DATA_SOURCES = ACTIVITY_DATA_SOURCES;
+  window.appendActivityEntries = appendActivityEntries;
+  window.filterActivityEntries = filterActivityEntries;
+  window.activityEntriesToCsv = activityEntriesToCsv;
+  window.readActivityLog = readActivityLog;
+  window.recordActivity = recordActivity;
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CTC_ACTIVITY_LOG_KEY,
+    ACTIVITY_LOG_LIMIT,
+    ACTIVITY_OUTCOMES,
+    ACTIVITY_REASONS,
+    ACTIVITY_DATA_SOURCES,
+    appendActivityEntries,
+    filterActivityEntries,
+    activityEntriesToCsv,
+    readActivityLog,
+    recordActivity,
+    flushActivityLog,
+  };
+}
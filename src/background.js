@@ -20,7 +20,8 @@
 //    - Cannot directly access background script variables
 //
 // 3. COMMUNICATION:
-//    - Contexts share data through browser.storage.sync (persistent storage)
+//    - Contexts share data through browser.storage.sync or .local (see
+//      STORAGE BACKENDS in ctc-repository.js)
 //    - Changes in options page trigger storage.onChanged events in background
 //    - Each context must initialize its own CtcRepo instance
 //
@@ -36,28 +37,54 @@
 
 // CRITICAL: Main navigation interceptor - all page loads go through this
 // Using "blocking" mode means we can cancel/redirect requests before they complete
+// "requestBody" exposes form fields so POSTs survive a switch (form-resubmission.js)
 // FAILURE MODE: If this crashes, all navigation breaks
 browser.webRequest.onBeforeRequest.addListener(
   handleRequest,
   { urls: ["<all_urls>"], types: ["main_frame"] },
-  ["blocking"],
+  ["blocking", "requestBody"],
 );
 
 // HTTP redirects are now handled entirely by onBeforeRequest
 // when the redirected URL loads - no separate handler needed
 
 browser.storage.onChanged.addListener((changes, areaName) => {
-  if (changes.ctcRules && areaName === "sync") {
+  // STORAGE MODE SWITCH: Options copies rules first, then flips the mode key
+  if (areaName === "local" && changes[CTC_STORAGE_MODE_KEY]) {
+    CtcRepo.loadStorageMode().then(() => CtcRepo.loadRules());
+    return;
+  }
+
+  if (areaName === "sync" && changes[CTC_POST_POLICY_KEY]) {
+    CtcRepo.loadPostRequestPolicy();
+  }
+  if (areaName === "sync" && changes[CTC_SWITCH_STRATEGY_KEY]) {
+    CtcRepo.loadSwitchStrategy();
+  }
+  if (areaName === "sync" && changes[CTC_AMBIGUOUS_MATCH_KEY]) {
+    CtcRepo.loadAmbiguousMatchPolicy();
+  }
+
+  // Manifest is written last, so this fires once all rule chunks are in place
+  // Only the active backend's area matters (a sync mirror write is not a reload signal)
+  if (CtcRepo.isActiveRulesChange(changes, areaName)) {
     CtcRepo.loadRules();
   }
 });
 
+// CONTAINER LIFECYCLE: Rules reference containers by cookieStoreId, so a
+// reload re-attaches them (rename keeps routing, delete marks them orphaned,
+// re-creating a deleted name re-attaches by snapshot)
 browser.contextualIdentities.onCreated.addListener(() => {
-  CtcRepo.loadContainers();
+  reloadContainersAndSnapshots();
 });
 
 browser.contextualIdentities.onRemoved.addListener(() => {
-  CtcRepo.loadContainers();
+  reloadContainersAndSnapshots();
+});
+
+browser.contextualIdentities.onUpdated.addListener(() => {
+  reloadContainersAndSnapshots();
 });
 
 // BOOTSTRAP: Initialize CtcRepo for BACKGROUND context
@@ -69,15 +96,28 @@ browser.contextualIdentities.onRemoved.addListener(() => {
 // MV3 RACE CONDITION FIX: Eager initialization at startup
 // PROBLEM: When script wakes from termination, webRequest fires before init completes
 // SOLUTION: Start initialization immediately, handleRequest() checks if ready
+// FAST PATH: The routing snapshot (see ROUTING SNAPSHOT in ctc-repository.js)
+//    is read first - one storage.session read - so a wake-up can route at once
+//    while the full load runs. Full load starts after it, so the two never
+//    write CtcRepo state at the same time.
 ctcConsole.info("[Background] Initializing CtcRepo...");
 let initializationPromise = null;
 let isInitialized = false;
+let isHydrated = false; // Routing from the session snapshot until isInitialized
+
+const hydrationPromise = CtcRepo.hydrateFromSnapshot().then((hydrated) => {
+  isHydrated = hydrated;
+  return hydrated;
+});
 
 // Start initialization immediately at startup
-initializationPromise = CtcRepo.initialize()
+initializationPromise = hydrationPromise
+  .then(() => CtcRepo.initialize())
   .then(() => {
     isInitialized = true;
     ctcConsole.info("[Background] CtcRepo initialization complete");
+    // STARTUP SWEEP: Drop temporary containers left over from a previous session
+    removeEmptyTemporaryContainers();
   })
   .catch((error) => {
     ctcConsole.error("[Background] CtcRepo initialization failed:", error);
@@ -137,6 +177,28 @@ const recentContainerSwitches = new Map();
 
 // PUBLIC: Main request handler (used by webRequest listener)
 async function handleRequest(details) {
+  // ACTIVITY LOG: Every return path records why (see activity-log.js)
+  // STALE DATA: Decisions made before the full load say what they were based on
+  const getDataSource = () => {
+    if (isInitialized) {
+      return null;
+    }
+    return isHydrated ? ACTIVITY_DATA_SOURCES.SNAPSHOT : ACTIVITY_DATA_SOURCES.NONE;
+  };
+  const logDecision = (outcome, reason, fields = {}) =>
+    recordActivity(
+      {
+        url: details.url,
+        fromContainer: null,
+        outcome,
+        reason,
+        dataSource: getDataSource(),
+        ...fields,
+      },
+      { incognito: details.incognito },
+    );
+  let initTimedOut = false;
+
   try {
     // ====================================================================
     // MV3 WAKE-UP PROTECTION: Wait for initialization with timeout
@@ -145,14 +207,16 @@ async function handleRequest(details) {
     //          events can fire BEFORE CtcRepo.initialize() completes
     // FAILURE MODE: evaluateContainer() throws "not initialized" error,
     //               request proceeds in wrong container
-    // SOLUTION: Wait for initialization with 500ms timeout, then proceed
+    // SOLUTION: Route from the session snapshot when there is one (no wait
+    //           for the full load), else wait for initialization with 500ms
+    //           timeout, then proceed
     // TIMING: Most initializations complete in 50-100ms
     // SAFETY: If initialization hangs, we fail-fast rather than blocking
     // ====================================================================
     if (!isInitialized && initializationPromise) {
       try {
         await Promise.race([
-          initializationPromise,
+          hydrationPromise.then((hydrated) => hydrated || initializationPromise),
           new Promise((_, reject) =>
             setTimeout(() => reject(new Error("Initialization timeout")), 500),
           ),
@@ -162,6 +226,7 @@ async function handleRequest(details) {
           "Initialization not ready, proceeding without rules:",
           error.message,
         );
+        initTimedOut = true;
         // Proceed anyway - better to route incorrectly than block navigation
       }
     }
@@ -177,6 +242,7 @@ async function handleRequest(details) {
     // EXAMPLES: about:config, about:debugging, moz-extension://...
     // ====================================================================
     if (isPrivilegedURL(details.url)) {
+      logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.PRIVILEGED_URL);
       return {};
     }
 
@@ -193,6 +259,13 @@ async function handleRequest(details) {
     // ALTERNATIVE: Let these load in default container (no user impact)
     // ====================================================================
     if (details.tabId === -1) {
+      logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.NO_TAB);
+      return {};
+    }
+
+    // ASKED AND ANSWERED: User chose to stay on the switch prompt (tab-switching.js)
+    if (await consumeStayBypass(details.tabId, details.url)) {
+      logDecision(ACTIVITY_OUTCOMES.STAYED, ACTIVITY_REASONS.USER_STAYED);
       return {};
     }
 
@@ -202,6 +275,7 @@ async function handleRequest(details) {
     const tabRequestKey = `${details.tabId}-${details.url}`;
     const lastTabRequest = recentTabRequests.get(tabRequestKey);
     if (lastTabRequest && Date.now() - lastTabRequest < EXPIRY_TAB_REQUEST_MS) {
+      logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.DUPLICATE_TAB_REQUEST);
       return {}; // Skip duplicate
     }
     recentTabRequests.set(tabRequestKey, Date.now());
@@ -221,24 +295,75 @@ async function handleRequest(details) {
     const redirectKey = details.url;
     const lastRedirect = recentRedirections.get(redirectKey);
     if (lastRedirect && Date.now() - lastRedirect < EXPIRY_REDIRECT_MS) {
+      logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.RECENT_REDIRECT);
       return {}; // Skip - we just redirected this URL recently
     }
 
-    // Get current container and tab state (active = foreground, !active = background)
-    const { cookieStoreId: currentCookieStoreId, active: tabWasActive } =
-      await getTabInfo(details.tabId);
+    // Get current container and tab state (tab-state.js cache; tabs.get only on a miss)
+    // WHY NO DEFAULT: Guessing "No Container" for an unknown tab could switch a
+    // tab that is already in the right container
+    const tabInfo =
+      tabStateCache.get(details.tabId) || (await tabStateCache.fetch(details.tabId));
+    if (!tabInfo) {
+      logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.TAB_UNAVAILABLE);
+      return {};
+    }
+    const { cookieStoreId: currentCookieStoreId } = tabInfo;
     const { cookieStoreToNameMap } = CtcRepo.getContainerData();
     const currentContainerName =
       cookieStoreToNameMap.get(currentCookieStoreId) || "No Container";
 
-    // Evaluate target container
-    const targetCookieStoreId = evaluateContainer(
-      details.url,
-      currentCookieStoreId,
-    );
+    // Evaluate target container (source context feeds rule source conditions)
+    const navigationContext = await getNavigationContext(details, tabInfo);
+
+    const evaluation = evaluateContainer(details.url, currentCookieStoreId, navigationContext);
+    let targetCookieStoreId = evaluation.cookieStoreId;
+
+    // ISOLATE: Already in a throwaway container - one per site visit is enough
+    // WHY: Otherwise every redirect or link inside it would spawn another one
+    if (
+      targetCookieStoreId === ISOLATED_COOKIE_STORE_ID &&
+      CtcRepo.isTemporaryContainer(currentCookieStoreId)
+    ) {
+      targetCookieStoreId = currentCookieStoreId;
+    }
     const targetContainerName =
       cookieStoreToNameMap.get(targetCookieStoreId) || "No Container";
 
+    // ACTIVITY LOG: Fields shared by every decision from here on
+    const decisionFields = {
+      fromContainer: currentContainerName,
+      toContainer: targetContainerName,
+      ruleIndex: evaluation.ruleIndex,
+      rulePattern: evaluation.rulePattern,
+    };
+    const evaluationReason =
+      initTimedOut && !isInitialized
+        ? ACTIVITY_REASONS.INIT_TIMEOUT
+        : evaluation.reason;
+
+    // BOOKMARK CANDIDATE: No referring page and not from another app, and the
+    // URL is bookmarked in a container the rules would not pick. Only the
+    // commit tells a bookmark open from a typed URL, so the switch waits for it
+    // (see bookmark-containers.js). A restricted container's forced exit never waits.
+    const bookmarkCookieStoreId =
+      navigationContext.sourceUrl || navigationContext.external
+        ? null
+        : await findBookmarkContainer(details.url);
+    if (
+      bookmarkCookieStoreId &&
+      bookmarkCookieStoreId !== targetCookieStoreId &&
+      currentCookieStoreId !== targetCookieStoreId &&
+      !evaluation.forcedExit
+    ) {
+      holdBookmarkCandidate(details.tabId, details.url, {
+        cookieStoreId: targetCookieStoreId,
+        reason: evaluationReason,
+      });
+      logDecision(ACTIVITY_OUTCOMES.STAYED, ACTIVITY_REASONS.BOOKMARK_PENDING, decisionFields);
+      return {};
+    }
+
     // Log evaluation result for debugging
     ctcConsole.log(
       `Evaluating ${details.url} [${currentContainerName} -> ${targetContainerName}]`,
@@ -259,48 +384,111 @@ async function handleRequest(details) {
         ctcConsole.log(
           `Skipping duplicate container switch: ${containerSwitchKey} (within ${EXPIRY_CONTAINER_SWITCH_MS}ms)`,
         );
+        logDecision(
+          ACTIVITY_OUTCOMES.SKIPPED,
+          ACTIVITY_REASONS.DUPLICATE_CONTAINER_SWITCH,
+          decisionFields,
+        );
         return {}; // Let this URL load in existing tab from previous switch
       }
 
+      // FORM POSTS: Reopening as a new tab would replay this as a bodiless GET
+      const { decision: postDecision, reason: postReason } =
+        getPostRequestDecision(
+          details.method,
+          details.requestBody,
+          CtcRepo.postRequestPolicy,
+        );
+      if (postDecision !== POST_DECISIONS.SWITCH) {
+        ctcConsole.info(
+          `${postReason}: ${details.url} [${currentContainerName} -> ${targetContainerName}]`,
+        );
+      }
+      if (postDecision === POST_DECISIONS.SKIP) {
+        logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.POST_KEPT, decisionFields);
+        return {}; // Load in current container with its body intact
+      }
+
       ctcConsole.info(
         `Container switch: ${currentContainerName} → ${targetContainerName} for ${details.url}`,
       );
 
       // CRITICAL: Record redirect AND container switch BEFORE creating tab to prevent loops
       // Must happen before tab creation to catch race conditions
-      recentRedirections.set(redirectKey, Date.now());
-      recentContainerSwitches.set(containerSwitchKey, Date.now());
+      recordContainerSwitch(details.url, currentContainerName, targetContainerName);
 
-      // ATOMIC OPERATION: Create new tab in correct container
-      // FAILURE MODE: If this fails, user loses navigation entirely
-      // ACTIVE STATE: Preserve user's foreground/background intent (Cmd+Shift+click = background)
-      const newTab = await browser.tabs.create({
-        url: details.url,
-        cookieStoreId: targetCookieStoreId,
-        active: tabWasActive, // false = background tab, true = foreground
-        index: details.tabId >= 0 ? undefined : 0,
-      });
+      // STRATEGY: Deciding rule's override, else the global preference
+      const decidingRule =
+        evaluation.ruleIndex !== null ? CtcRepo.getRules()[evaluation.ruleIndex] : null;
+      const strategy = decidingRule?.switchStrategy || CtcRepo.switchStrategy;
 
-      // CLEANUP: Remove original tab that's in wrong container
-      // EDGE CASE: tabId < 0 means new tab, nothing to close
-      if (details.tabId >= 0) {
-        browser.tabs.remove(details.tabId);
+      // AMBIGUOUS: Several containers matched and rule order alone picked one
+      const promptForCandidates =
+        CtcRepo.ambiguousMatchPolicy === AMBIGUOUS_MATCH_POLICIES.PROMPT &&
+        evaluation.candidates.length > 1;
+
+      // ASK: Prompt in the original tab (form re-posts can't wait for an answer)
+      if (
+        (strategy === SWITCH_STRATEGIES.ASK || promptForCandidates) &&
+        postDecision !== POST_DECISIONS.RESUBMIT
+      ) {
+        await promptForSwitch(details.tabId, {
+          url: details.url,
+          targetCookieStoreId,
+          fromContainer: currentContainerName,
+          toContainer: targetContainerName,
+          incognito: details.incognito,
+          candidates: promptForCandidates ? evaluation.candidates : [],
+          strategy:
+            strategy === SWITCH_STRATEGIES.ALONGSIDE
+              ? SWITCH_STRATEGIES.ALONGSIDE
+              : SWITCH_STRATEGIES.REPLACE,
+        });
+        logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.SWITCH_PROMPTED, decisionFields);
+        return { cancel: true };
       }
 
+      // ATOMIC OPERATION: Open in correct container (replace in place or alongside)
+      // FAILURE MODE: If this fails, user loses navigation entirely
+      // RESUBMIT: Extension page re-posts the form from inside the new container
+      const switchUrl =
+        postDecision === POST_DECISIONS.RESUBMIT
+          ? await prepareFormResubmission(details.url, details.requestBody.formData)
+          : details.url;
+      await moveTabToContainer(
+        details.tabId,
+        switchUrl,
+        targetCookieStoreId,
+        strategy === SWITCH_STRATEGIES.ALONGSIDE
+          ? SWITCH_STRATEGIES.ALONGSIDE
+          : SWITCH_STRATEGIES.REPLACE,
+      );
+
       // CRITICAL: Cancel original request to prevent double-load
+      logDecision(ACTIVITY_OUTCOMES.SWITCHED, evaluationReason, decisionFields);
       return { cancel: true };
     }
 
+    logDecision(ACTIVITY_OUTCOMES.STAYED, evaluationReason, decisionFields);
     return {};
   } catch (error) {
     // RECOVERY: Never crash the entire navigation system
     // FAILURE MODE: Throwing here breaks all page loads for user
     ctcConsole.error("Error handling request:", error);
+    logDecision(ACTIVITY_OUTCOMES.SKIPPED, ACTIVITY_REASONS.ERROR);
     return {}; // Allow navigation to proceed normally
   }
 }
 
 // PRIVATE HELPERS: Module-scoped functions, effectively private
+// SWITCH RECORD: Feed TRACKING MAPS 1 and 3 before a switch opens its tab
+// SHARED: Keyboard commands (container-commands.js) record their reopens too,
+// so the new tab's own request is in cooldown and not bounced straight back
+function recordContainerSwitch(url, fromContainerName, toContainerName) {
+  recentRedirections.set(url, Date.now());
+  recentContainerSwitches.set(`${fromContainerName}->${toContainerName}`, Date.now());
+}
+
 // MEMORY MANAGEMENT: Prevent unbounded Map growth
 // PROBLEM: Heavy users can accumulate thousands of entries over time
 // TRIGGER: Only called during container switches (not regular browsing)
@@ -332,73 +520,129 @@ function pruneTrackingMaps() {
   }
 }
 
-// Check if URL is privileged (should not be redirected)
-function isPrivilegedURL(url) {
-  return (
-    url.startsWith("about:") ||
-    url.startsWith("moz-extension:") ||
-    url.startsWith("chrome:") ||
-    url.startsWith("resource:")
-  );
-}
+// SITE RULE: Save a "*.host" rule for a container (addSiteRule in ctc-repository.js)
+// USED BY: "remember my choice" (tab-switching.js), "open and create rule" (container-menu.js)
+// THROWS: When the resulting rules don't validate, or the save fails
+async function saveSiteRule(url, container, highPriority = false) {
+  const currentRules = CtcRepo.getRules();
+  const { rules, urlPattern } = addSiteRule(currentRules, url, container, highPriority);
+  if (rules === currentRules) {
+    return urlPattern;
+  }
 
-// LOOKUP: Determine which container a tab is currently in and its active state
-// EDGE CASE: tabId < 0 means "new tab" or system-generated navigation
-// RETURNS: { cookieStoreId: string, active: boolean }
-async function getTabInfo(tabId) {
-  if (tabId < 0) {
-    // New tab has no container, default to foreground
-    return { cookieStoreId: "firefox-default", active: true };
+  // SAFETY CHECK: Identical validation to the options page
+  const { errors } = validateAllRules(rules, CtcRepo.getContainerData().containerMap);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
   }
+  await CtcRepo.saveRules(rules);
+  ctcConsole.info(`Added rule "${urlPattern}" for ${container.containerName}`);
+  return urlPattern;
+}
 
+// CONTAINER SYNC: Reload containers, then persist renamed snapshots
+// WHY: Keeps stored containerName current so other devices can match by name
+async function reloadContainersAndSnapshots() {
   try {
-    const tab = await browser.tabs.get(tabId);
-    // FALLBACK: Some tabs have no cookieStoreId (private browsing, etc)
-    return {
-      cookieStoreId: tab.cookieStoreId || "firefox-default",
-      active: tab.active, // Preserve background/foreground intent
-    };
+    await CtcRepo.loadContainers();
+    await CtcRepo.persistContainerSnapshots();
   } catch (error) {
-    // RECOVERY: Tab might have been closed while we were processing
-    ctcConsole.error("Failed to get tab info:", error);
-    return { cookieStoreId: "firefox-default", active: true }; // Safe defaults
+    ctcConsole.error("Failed to refresh containers after change:", error);
+  }
+}
+
+// SOURCE CONTEXT: Where this navigation came from (see SOURCE CONDITIONS in rule-engine.js)
+//    sourceUrl: Page that initiated the request (originUrl, documentUrl for frames)
+//    openerCookieStoreId: Container of the tab that opened this tab, if any
+//    external: Link handed over by another application. Firefox gives such
+//              loads a fresh about:blank tab with no opener and no origin;
+//              typed URLs and bookmarks start from the previous page or
+//              about:newtab/about:home instead.
+async function getNavigationContext(details, tabInfo) {
+  const sourceUrl = details.originUrl || details.documentUrl || null;
+
+  let openerCookieStoreId = null;
+  if (tabInfo.openerTabId !== null) {
+    const opener =
+      tabStateCache.get(tabInfo.openerTabId) ||
+      (await tabStateCache.fetch(tabInfo.openerTabId));
+    // Opener already closed (null) - condition simply can't match
+    openerCookieStoreId = opener?.cookieStoreId ?? null;
   }
+
+  const external =
+    !sourceUrl && tabInfo.openerTabId === null && tabInfo.url === "about:blank";
+
+  return { sourceUrl, openerCookieStoreId, external };
 }
 
 // Rule evaluation function (wrapper around pure rule engine)
-function evaluateContainer(url, currentCookieStoreId) {
+// RETURNS: { cookieStoreId, reason, ruleIndex, rulePattern, candidates, forcedExit }
+//    reason: DECISION_STEPS value, or ACTIVITY_REASONS value when the engine didn't run
+//    ruleIndex: Index of the deciding rule in the FULL rules array (as numbered in options)
+//    candidates: [{ containerName, cookieStoreId }] when the pick was ambiguous, else []
+//    forcedExit: A restricted current container forces the navigation out
+function evaluateContainer(url, currentCookieStoreId, navigationContext = {}) {
   const { containerMap, cookieStoreToNameMap } = CtcRepo.getContainerData();
   const rules = CtcRepo.getRules();
+  const stayPut = (reason) => ({
+    cookieStoreId: currentCookieStoreId,
+    reason,
+    ruleIndex: null,
+    rulePattern: null,
+    candidates: [],
+    forcedExit: false,
+  });
 
   // GRACEFUL DEGRADATION: If CtcRepo isn't initialized, stay in current container
   // RATIONALE: Better to leave user in wrong container than block navigation
   // RECOVERY: Next navigation will retry initialization
-  if (containerMap.size <= 1) {
+  if (containerMap.size === 0) {
     ctcConsole.warn("CtcRepo not initialized - staying in current container");
-    return currentCookieStoreId; // Stay put
+    return stayPut(ACTIVITY_REASONS.NOT_INITIALIZED);
   }
 
   if (!Array.isArray(rules)) {
     ctcConsole.warn("CtcRepo rules corrupted - staying in current container");
-    return currentCookieStoreId; // Stay put
+    return stayPut(ACTIVITY_REASONS.RULES_CORRUPTED);
   }
 
   // Get current container name
   const currentContainerName =
     cookieStoreToNameMap.get(currentCookieStoreId) || "No Container";
 
-  // Use the pure rule engine
-  const targetContainerName = evaluateContainerForUrl(
+  // COMPILED: Live rules (orphaned ones skipped) parsed once per rules load
+  const compiledRules = CtcRepo.getCompiledRules();
+
+  // Use the pure rule engine (trace variant: activity log records the deciding rule)
+  const trace = explainContainerForUrl(
     url,
     currentContainerName,
-    rules,
+    compiledRules,
     containerMap,
+    navigationContext,
   );
+  const targetContainerName = trace.targetContainer;
+  const decidingRule =
+    trace.decision.ruleIndex !== null ? compiledRules.rules[trace.decision.ruleIndex] : null;
 
   // Convert container name back to cookieStoreId
-  if (targetContainerName === "No Container") {
-    return "firefox-default";
-  }
-
-  return containerMap.get(targetContainerName) || "firefox-default";
+  const toCookieStoreId = (containerName) =>
+    containerName === "No Container"
+      ? "firefox-default"
+      : containerMap.get(containerName) || "firefox-default";
+
+  return {
+    cookieStoreId: toCookieStoreId(targetContainerName),
+    reason: trace.decision.step,
+    ruleIndex: decidingRule ? rules.indexOf(decidingRule) : null,
+    rulePattern: decidingRule ? decidingRule.urlPattern : null,
+    candidates: trace.decision.ambiguous
+      ? trace.candidates.map(({ containerName }) => ({
+          containerName,
+          cookieStoreId: toCookieStoreId(containerName),
+        }))
+      : [],
+    forcedExit: trace.restrictedCheck.forcedExit,
+  };
 }
@@ -0,0 +1,45 @@
+// Container Traffic Control Bookmark Confirmation Page
+// Opened by bookmark-menu.js before opening a large bookmark folder
+
+// ============================================================================
+// FLOW:
+//    1. Token in location.hash identifies the pending folder
+//    2. Background describes it (folder, tab count, container)
+//    3. Open / Cancel is sent back; background opens the tabs and closes this window
+//       (an expired request leaves it open with a message instead)
+// ============================================================================
+
+async function showBookmarkConfirmation() {
+    const status = document.getElementById('bookmarkConfirmStatus');
+    const token = location.hash.slice(1);
+
+    const pending = token
+        ? await browser.runtime.sendMessage({ type: 'ctc-get-bookmark-open', token })
+        : null;
+
+    // EXPIRED / RELOADED: Answer already given, or the window was left open too long
+    if (!pending) {
+        status.textContent = 'This request has expired. Use "Open All in Container" again.';
+        return;
+    }
+
+    const where = pending.newWindow ? ' in a new window' : '';
+    status.textContent = `Open ${pending.count} tabs from "${pending.folderTitle}" in ${pending.containerName}${where}?`;
+
+    const answer = async confirmed => {
+        const result = await browser.runtime.sendMessage({ type: 'ctc-answer-bookmark-open', token, confirmed });
+        if (!result?.ok) {
+            status.textContent = `${result?.error || 'Could not answer the request.'} Use "Open All in Container" again.`;
+            document.getElementById('bookmarkConfirmActions').hidden = true;
+        }
+    };
+    document.getElementById('bookmarkConfirmOpenButton').addEventListener('click', () => answer(true));
+    document.getElementById('bookmarkConfirmCancelButton').addEventListener('click', () => answer(false));
+    document.getElementById('bookmarkConfirmActions').hidden = false;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    showBookmarkConfirmation().catch(error => {
+        document.getElementById('bookmarkConfirmStatus').textContent = `Could not load the request: ${error.message}`;
+    });
+});
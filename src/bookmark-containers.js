@@ -0,0 +1,234 @@
+// Bookmark Container Assignments
+// Bookmarks (or folders) tagged with a container always open in it
+
+// ============================================================================
+// LOOKUP: webRequest can't tell a bookmark open from a typed URL, so the
+// assignment is applied once the navigation commits with
+// transitionType "auto_bookmark" (webNavigation.onCommitted). A bookmark with
+// exactly this URL that is assigned, or sits inside an assigned folder
+// (nearest folder wins), decides the container ahead of the URL rules.
+//
+// HOLD: When the rules would move a possible bookmark open (no referring page,
+// not from another app) somewhere other than its bookmark's container,
+// handleRequest lets it load in place and leaves the rules' pick here. The
+// commit then sends it to the bookmark's container, or to the rules' pick
+// for anything else (typed URLs). Nothing else is delayed.
+//
+// URL INDEX: Navigations never call the bookmarks API. The bookmarks inside
+// assigned subtrees are indexed once (bookmarks.getTree) as
+//    url → [cookieStoreId, ...]   (tree order; nearest assignment per bookmark)
+// and the index is dropped on any bookmark event or assignment change, then
+// rebuilt by the next lookup.
+//
+// STORAGE: CtcRepo.bookmarkContainers (see BOOKMARK CONTAINERS in
+// ctc-repository.js). Assignments are set from the bookmark context menu
+// (bookmark-menu.js) and removed here when the bookmark or container goes away.
+// ============================================================================
+
+// webNavigation transition of a bookmark open
+const BOOKMARK_TRANSITION = "auto_bookmark";
+
+// HELD ROUTES: A commit follows its request within moments (the event page
+// stays awake for it); anything older belongs to an abandoned navigation
+const HELD_ROUTE_EXPIRY_MS = 60000;
+
+// HELD ROUTES: tabId → { url, cookieStoreId, reason, heldAt }
+const heldBookmarkRoutes = new Map();
+
+// INDEX STATE: Promise of the URL index, and the assignments it was built from
+// (assignBookmarksToContainer replaces the Map, so identity means "unchanged")
+let bookmarkUrlIndexPromise = null;
+let indexedBookmarkAssignments = null;
+
+/**
+ * Container assigned to a bookmark of this URL (directly or via a folder)
+ * @param {string} url - Navigation URL
+ * @returns {Promise<?string>} cookieStoreId, or null when no assignment applies
+ */
+async function findBookmarkContainer(url) {
+  if (CtcRepo.bookmarkContainers.size === 0) {
+    return null;
+  }
+  const index = await getBookmarkUrlIndex();
+  return findIndexedBookmarkContainer(index, url, CtcRepo.cookieStoreToNameMap);
+}
+
+/**
+ * Index the bookmarks inside assigned subtrees by URL (pure)
+ * @param {Array<Object>} tree - Root nodes from bookmarks.getTree()
+ * @param {Map<string, string>} assignments - bookmarkId → cookieStoreId
+ * @returns {Map<string, Array<string>>} url → cookieStoreIds in tree order
+ */
+function buildBookmarkUrlIndex(tree, assignments) {
+  const index = new Map();
+  const visit = (node, inheritedCookieStoreId) => {
+    // NEAREST WINS: A node's own assignment overrides its folders'
+    const cookieStoreId = assignments.get(node.id) || inheritedCookieStoreId;
+    if (node.url && cookieStoreId) {
+      index.set(node.url, [...(index.get(node.url) || []), cookieStoreId]);
+    }
+    (node.children || []).forEach((child) => visit(child, cookieStoreId));
+  };
+  tree.forEach((root) => visit(root, null));
+  return index;
+}
+
+/**
+ * @param {Map<string, Array<string>>} index - From buildBookmarkUrlIndex
+ * @param {string} url - Navigation URL
+ * @param {Map<string, string>} cookieStoreToNameMap - Live containers
+ * @returns {?string} First assigned container that still exists
+ */
+function findIndexedBookmarkContainer(index, url, cookieStoreToNameMap) {
+  // DELETED CONTAINER: Assignment is stale, rules decide instead
+  const cookieStoreIds = index.get(url) || [];
+  return cookieStoreIds.find((cookieStoreId) => cookieStoreToNameMap.has(cookieStoreId)) || null;
+}
+
+/**
+ * Keep the rules' pick for a possible bookmark open until it commits
+ * @param {number} tabId - Tab the navigation loads in
+ * @param {string} url - Navigation URL
+ * @param {{cookieStoreId: string, reason: string}} route - Where the rules would send it
+ * @param {number} [now] - Clock
+ */
+function holdBookmarkCandidate(tabId, url, route, now = Date.now()) {
+  heldBookmarkRoutes.set(tabId, { ...route, url, heldAt: now });
+}
+
+/**
+ * Held route of this tab's navigation (each hold is taken once)
+ * @param {number} tabId - Tab that committed
+ * @param {string} url - Committed URL
+ * @param {number} [now] - Clock
+ * @returns {?{cookieStoreId: string, reason: string}} null when nothing was held for this URL
+ */
+function takeHeldBookmarkRoute(tabId, url, now = Date.now()) {
+  const held = heldBookmarkRoutes.get(tabId);
+  heldBookmarkRoutes.delete(tabId);
+  // REDIRECTED: The committed URL was routed by its own request
+  if (!held || held.url !== url || now - held.heldAt > HELD_ROUTE_EXPIRY_MS) {
+    return null;
+  }
+  return { cookieStoreId: held.cookieStoreId, reason: held.reason };
+}
+
+/**
+ * Route for a committed top-level navigation (pure)
+ * @param {string} transitionType - From webNavigation.onCommitted
+ * @param {?{cookieStoreId: string, reason: string}} bookmarkRoute - The URL's bookmark assignment
+ * @param {?{cookieStoreId: string, reason: string}} heldRoute - From takeHeldBookmarkRoute
+ * @returns {?{cookieStoreId: string, reason: string}} null when the tab stays where it loaded
+ */
+function pickCommittedRoute(transitionType, bookmarkRoute, heldRoute) {
+  // TYPED URLS: Only a real bookmark open uses the assignment
+  return transitionType === BOOKMARK_TRANSITION && bookmarkRoute ? bookmarkRoute : heldRoute;
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+function getBookmarkUrlIndex() {
+  const assignments = CtcRepo.bookmarkContainers;
+  if (!bookmarkUrlIndexPromise || indexedBookmarkAssignments !== assignments) {
+    indexedBookmarkAssignments = assignments;
+    bookmarkUrlIndexPromise = browser.bookmarks.getTree()
+      .then((tree) => buildBookmarkUrlIndex(tree, assignments))
+      .catch((error) => {
+        ctcConsole.error("Failed to index assigned bookmarks:", error);
+        bookmarkUrlIndexPromise = null; // Retry on the next lookup
+        return new Map();
+      });
+  }
+  return bookmarkUrlIndexPromise;
+}
+
+function invalidateBookmarkUrlIndex() {
+  bookmarkUrlIndexPromise = null;
+}
+
+// Ids of a removed node and everything that was inside it
+function collectBookmarkIds(node, ids = []) {
+  ids.push(node.id);
+  (node.children || []).forEach((child) => collectBookmarkIds(child, ids));
+  return ids;
+}
+
+async function handleNavigationCommitted(details) {
+  if (details.frameId !== 0) {
+    return;
+  }
+  const heldRoute = takeHeldBookmarkRoute(details.tabId, details.url);
+  const bookmarkCookieStoreId = details.transitionType === BOOKMARK_TRANSITION
+    ? await findBookmarkContainer(details.url)
+    : null;
+  const route = pickCommittedRoute(
+    details.transitionType,
+    bookmarkCookieStoreId
+      ? { cookieStoreId: bookmarkCookieStoreId, reason: ACTIVITY_REASONS.BOOKMARK_CONTAINER }
+      : null,
+    heldRoute
+  );
+  if (!route) {
+    return;
+  }
+
+  try {
+    const tab = await browser.tabs.get(details.tabId);
+    // ISOLATE: Already in a throwaway container (same as handleRequest)
+    if (
+      tab.cookieStoreId === route.cookieStoreId ||
+      (route.cookieStoreId === ISOLATED_COOKIE_STORE_ID && CtcRepo.isTemporaryContainer(tab.cookieStoreId))
+    ) {
+      return;
+    }
+    await reopenTabByUser(tab, route.cookieStoreId, route.reason);
+  } catch (error) {
+    ctcConsole.error("Failed to route committed bookmark navigation:", error);
+  }
+}
+
+// ============================================================================
+// CLEANUP: Drop assignments whose bookmark or container is gone
+// ============================================================================
+
+// FOLDERS: Only the folder itself gets an event; its children arrive in removeInfo.node
+function handleBookmarkRemoved(bookmarkId, removeInfo) {
+  invalidateBookmarkUrlIndex();
+  const removedIds = removeInfo?.node ? collectBookmarkIds(removeInfo.node) : [bookmarkId];
+  const assignedIds = removedIds.filter((id) => CtcRepo.bookmarkContainers.has(id));
+  if (assignedIds.length > 0) {
+    CtcRepo.assignBookmarksToContainer(assignedIds, null).catch((error) =>
+      ctcConsole.error("Failed to clear assignments of removed bookmarks:", error));
+  }
+}
+
+function handleContainerRemoved({ contextualIdentity }) {
+  const assignedIds = Array.from(CtcRepo.bookmarkContainers.entries())
+    .filter(([, cookieStoreId]) => cookieStoreId === contextualIdentity.cookieStoreId)
+    .map(([bookmarkId]) => bookmarkId);
+  if (assignedIds.length > 0) {
+    CtcRepo.assignBookmarksToContainer(assignedIds, null).catch((error) =>
+      ctcConsole.error("Failed to clear bookmark assignments of removed container:", error));
+  }
+}
+
+if (typeof window !== "undefined") {
+  browser.webNavigation.onCommitted.addListener(handleNavigationCommitted);
+  browser.tabs.onRemoved.addListener((tabId) => heldBookmarkRoutes.delete(tabId));
+  browser.bookmarks.onRemoved.addListener(handleBookmarkRemoved);
+  // INDEX: New, moved or re-pointed bookmarks may enter or leave an assigned subtree
+  browser.bookmarks.onCreated.addListener(invalidateBookmarkUrlIndex);
+  browser.bookmarks.onChanged.addListener(invalidateBookmarkUrlIndex);
+  browser.bookmarks.onMoved.addListener(invalidateBookmarkUrlIndex);
+  browser.contextualIdentities.onRemoved.addListener(handleContainerRemoved);
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    buildBookmarkUrlIndex,
+    findIndexedBookmarkContainer,
+    collectBookmarkIds,
+    holdBookmarkCandidate,
+    takeHeldBookmarkRoute,
+    pickCommittedRoute,
+    HELD_ROUTE_EXPIRY_MS
+  };
+}
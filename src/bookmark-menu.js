@@ -1,12 +1,61 @@
 // Bookmark Context Menu for Container Opening
 // Adds "Open All in Container" menu to bookmark folders
 
+// ============================================================================
+// OPENING A FOLDER:
+//    1. Collect URLs (subfolders too when "Include Subfolders" is checked,
+//       down to BOOKMARK_MAX_DEPTH). Separators, place: queries and other
+//       non-openable URLs are skipped; duplicates collapse to one.
+//    2. Drop URLs already open in the target container
+//    3. More than BOOKMARK_CONFIRM_THRESHOLD left → ask first
+//       (bookmark-confirm.html in a small popup window)
+//    4. Open in the current window, or a new one ("Open in New Window")
+//
+// MENU OPTIONS: The two checkboxes persist in storage.local under
+// CTC_BOOKMARK_OPTIONS_KEY (the background may be terminated between uses)
+//
+// PENDING CONFIRMATIONS: Same reason - kept in storage.session (one key per
+// token) and read back when the confirm page asks for or answers its request
+//
+// ALWAYS OPEN IN CONTAINER: Second menu (bookmarks and folders) assigning the
+// clicked node to a container - see bookmark-containers.js
+// ============================================================================
+
 const BOOKMARK_MENU_ID = "ctc-open-all-in-container";
+const BOOKMARK_SUBFOLDERS_ID = "ctc-bookmark-include-subfolders";
+const BOOKMARK_NEW_WINDOW_ID = "ctc-bookmark-new-window";
+const BOOKMARK_ASSIGN_MENU_ID = "ctc-bookmark-assign";
+const BOOKMARK_ASSIGN_PREFIX = "ctc-assign:";
+const BOOKMARK_UNASSIGNED_ID = `${BOOKMARK_ASSIGN_PREFIX}none`;
+const CTC_BOOKMARK_OPTIONS_KEY = "ctcBookmarkOpenOptions";
 const LAZY_LOAD_THRESHOLD = 10;
+const BOOKMARK_MAX_DEPTH = 5; // Folder levels below the clicked one
+const BOOKMARK_CONFIRM_THRESHOLD = 20;
+const BOOKMARK_CONFIRM_PAGE = "src/bookmark-confirm.html";
+const BOOKMARK_CONFIRM_EXPIRY_MS = 5 * 60 * 1000; // 5min: Confirmation left unanswered
+const BOOKMARK_CONFIRM_KEY_PREFIX = "ctcBookmarkOpen:"; // + token
+
+const BOOKMARK_CONFIRM_MESSAGES = {
+  GET: "ctc-get-bookmark-open",
+  ANSWER: "ctc-answer-bookmark-open",
+};
 
 // Track container menu item IDs for efficient updates
 let containerMenuIds = [];
 
+// REBUILDS: Chained on one promise - isolate rules create and remove a
+// container per visit, and two interleaved rebuilds would create the same
+// item ids twice or leave items for deleted containers behind
+let bookmarkMenuRebuild = Promise.resolve();
+
+// MENU OPTIONS: Mirrors the checkbox items (see MENU OPTIONS above)
+let bookmarkOpenOptions = { includeSubfolders: true, newWindow: false };
+
+// PENDING CONFIRMATIONS (storage.session, BOOKMARK_CONFIRM_KEY_PREFIX + token):
+//    { folderTitle, urls, cookieStoreId, newWindow, createdAt }
+// ANSWERING: Tokens being answered right now (a double click must not open twice)
+const answeringBookmarkOpens = new Set();
+
 // ============================================================================
 // MENU CREATION: Set up context menu structure on extension startup
 // ============================================================================
@@ -19,7 +68,33 @@ function createBookmarkContextMenu() {
     title: "Open All in Container"
   });
 
-  // "No Container" option at top
+  // Options first, so rebuilt container items can simply be appended
+  browser.menus.create({
+    id: BOOKMARK_SUBFOLDERS_ID,
+    parentId: BOOKMARK_MENU_ID,
+    contexts: ["bookmark"],
+    type: "checkbox",
+    title: "Include Subfolders",
+    checked: bookmarkOpenOptions.includeSubfolders
+  });
+
+  browser.menus.create({
+    id: BOOKMARK_NEW_WINDOW_ID,
+    parentId: BOOKMARK_MENU_ID,
+    contexts: ["bookmark"],
+    type: "checkbox",
+    title: "Open in New Window",
+    checked: bookmarkOpenOptions.newWindow
+  });
+
+  browser.menus.create({
+    id: "ctc-options-separator",
+    parentId: BOOKMARK_MENU_ID,
+    contexts: ["bookmark"],
+    type: "separator"
+  });
+
+  // "No Container" option
   browser.menus.create({
     id: "ctc-no-container",
     parentId: BOOKMARK_MENU_ID,
@@ -35,8 +110,31 @@ function createBookmarkContextMenu() {
     type: "separator"
   });
 
+  // ALWAYS OPEN IN CONTAINER: Radio group, so no separator after "Not Assigned"
+  browser.menus.create({
+    id: BOOKMARK_ASSIGN_MENU_ID,
+    contexts: ["bookmark"],
+    title: "Always Open in Container"
+  });
+
+  browser.menus.create({
+    id: BOOKMARK_UNASSIGNED_ID,
+    parentId: BOOKMARK_ASSIGN_MENU_ID,
+    contexts: ["bookmark"],
+    type: "radio",
+    title: "Not Assigned (use rules)"
+  });
+
+  browser.menus.create({
+    id: `${BOOKMARK_ASSIGN_PREFIX}firefox-default`,
+    parentId: BOOKMARK_ASSIGN_MENU_ID,
+    contexts: ["bookmark"],
+    type: "radio",
+    title: "No Container"
+  });
+
   // Populate with available containers
-  populateContainerMenuItems();
+  return populateContainerMenuItems();
 }
 
 // ============================================================================
@@ -45,7 +143,11 @@ function createBookmarkContextMenu() {
 
 async function populateContainerMenuItems() {
   try {
-    const containers = await browser.contextualIdentities.query({});
+    const identities = await browser.contextualIdentities.query({});
+    // Throwaway "isolate" containers are not destinations (see temporary-containers.js)
+    const containers = identities.filter(
+      (identity) => !isTemporaryContainerIdentity(identity)
+    );
 
     for (const container of containers) {
       browser.menus.create({
@@ -59,6 +161,18 @@ async function populateContainerMenuItems() {
       });
       containerMenuIds.push(container.cookieStoreId);
     }
+
+    for (const container of containers) {
+      const id = `${BOOKMARK_ASSIGN_PREFIX}${container.cookieStoreId}`;
+      browser.menus.create({
+        id,
+        parentId: BOOKMARK_ASSIGN_MENU_ID,
+        contexts: ["bookmark"],
+        type: "radio",
+        title: container.name
+      });
+      containerMenuIds.push(id);
+    }
   } catch (error) {
     ctcConsole.error("Failed to populate container menu:", error);
   }
@@ -68,7 +182,7 @@ async function populateContainerMenuItems() {
 // DYNAMIC MENU UPDATES: Show/hide based on bookmark type (folder vs single)
 // ============================================================================
 
-browser.menus.onShown.addListener(async (info) => {
+async function handleBookmarkMenuShown(info) {
   if (!info.contexts.includes("bookmark") || !info.bookmarkId) {
     return;
   }
@@ -85,22 +199,51 @@ browser.menus.onShown.addListener(async (info) => {
       visible: isFolder
     });
 
+    // Current assignment of this node itself (inherited ones aren't shown)
+    const assignedCookieStoreId = CtcRepo.bookmarkContainers.get(info.bookmarkId);
+    browser.menus.update(
+      assignedCookieStoreId ? `${BOOKMARK_ASSIGN_PREFIX}${assignedCookieStoreId}` : BOOKMARK_UNASSIGNED_ID,
+      { checked: true }
+    );
+
     browser.menus.refresh();
   } catch (error) {
     ctcConsole.error("Failed to update bookmark menu visibility:", error);
   }
-});
+}
 
 // ============================================================================
 // CLICK HANDLER: Open bookmarks in selected container
 // ============================================================================
 
-browser.menus.onClicked.addListener(async (info) => {
+async function handleBookmarkMenuClicked(info) {
   // Only handle our menu items
   if (!info.bookmarkId) {
     return;
   }
 
+  // MENU OPTIONS: Checkbox toggled, nothing to open
+  if (info.menuItemId === BOOKMARK_SUBFOLDERS_ID || info.menuItemId === BOOKMARK_NEW_WINDOW_ID) {
+    await saveBookmarkOpenOptions({
+      ...bookmarkOpenOptions,
+      [info.menuItemId === BOOKMARK_SUBFOLDERS_ID ? "includeSubfolders" : "newWindow"]: info.checked
+    });
+    return;
+  }
+
+  // ALWAYS OPEN IN CONTAINER: Assign (or clear) and stop
+  if (String(info.menuItemId).startsWith(BOOKMARK_ASSIGN_PREFIX)) {
+    const cookieStoreId = info.menuItemId === BOOKMARK_UNASSIGNED_ID
+      ? null
+      : info.menuItemId.slice(BOOKMARK_ASSIGN_PREFIX.length);
+    try {
+      await CtcRepo.assignBookmarksToContainer([info.bookmarkId], cookieStoreId);
+    } catch (error) {
+      ctcConsole.error("Failed to assign bookmark to container:", error);
+    }
+    return;
+  }
+
   // Check if this is our menu or a child of it
   const isOurMenu = info.menuItemId === BOOKMARK_MENU_ID ||
                     info.menuItemId === "ctc-no-container" ||
@@ -111,63 +254,224 @@ browser.menus.onClicked.addListener(async (info) => {
   }
 
   try {
-    // Get bookmark URLs from folder
-    const urls = await getBookmarkUrlsFromFolder(info.bookmarkId);
-
-    if (urls.length === 0) {
-      ctcConsole.log("No bookmarks to open in folder");
-      return;
-    }
-
     // Determine container
     const cookieStoreId = info.menuItemId === "ctc-no-container"
       ? "firefox-default"
       : info.menuItemId;
 
-    ctcConsole.info(`Opening ${urls.length} bookmarks in container: ${cookieStoreId}`);
+    const [folder] = await browser.bookmarks.getSubTree(info.bookmarkId);
+    const folderUrls = getBookmarkUrlsFromFolder(folder, bookmarkOpenOptions.includeSubfolders);
+    const urls = await withoutUrlsOpenInContainer(folderUrls, cookieStoreId);
 
-    // Open tabs
-    for (let i = 0; i < urls.length; i++) {
-      await browser.tabs.create({
-        url: urls[i],
-        cookieStoreId: cookieStoreId === "firefox-default" ? undefined : cookieStoreId,
-        active: i === 0,  // First tab is active
-        discarded: i >= LAZY_LOAD_THRESHOLD  // Lazy-load after threshold
-      });
+    if (urls.length === 0) {
+      ctcConsole.log(`Nothing to open from folder (${folderUrls.length} already open or none found)`);
+      return;
+    }
+
+    const request = {
+      folderTitle: folder.title,
+      urls,
+      cookieStoreId,
+      newWindow: bookmarkOpenOptions.newWindow
+    };
+
+    if (urls.length > BOOKMARK_CONFIRM_THRESHOLD) {
+      await confirmBookmarkOpen(request);
+    } else {
+      await openBookmarksInContainer(request);
     }
   } catch (error) {
     ctcConsole.error("Failed to open bookmarks in container:", error);
   }
-});
+}
 
 // ============================================================================
 // HELPERS: Extract URLs from bookmark folder
 // ============================================================================
 
-async function getBookmarkUrlsFromFolder(bookmarkId) {
-  try {
-    const [bookmark] = await browser.bookmarks.get(bookmarkId);
-
-    // Only process folders (folders don't have url property)
-    if (bookmark.url) {
-      return [];
+/**
+ * TREE WALK: Folder (from bookmarks.getSubTree) → openable URLs in bookmark order
+ * SKIPPED: Separators (no url), place: queries and other non-openable URLs,
+ *          duplicates, folders deeper than BOOKMARK_MAX_DEPTH
+ * @param {Object} folder - Bookmark tree node (a single bookmark yields nothing)
+ * @param {boolean} includeSubfolders - Walk into subfolders too
+ * @returns {Array<string>} URLs
+ */
+function getBookmarkUrlsFromFolder(folder, includeSubfolders) {
+  const urls = [];
+  const visit = (node, depth) => {
+    for (const child of node.children || []) {
+      if (child.type === "separator") {
+        continue;
+      }
+      if (child.url) {
+        if (isValidBookmarkUrl(child.url) && !urls.includes(child.url)) {
+          urls.push(child.url);
+        }
+      } else if (includeSubfolders && depth < BOOKMARK_MAX_DEPTH) {
+        visit(child, depth + 1);
+      }
     }
+  };
+
+  // Only process folders (folders don't have url property)
+  if (!folder.url) {
+    visit(folder, 0);
+  }
+  return urls;
+}
 
-    // Get immediate children only (not recursive)
-    const children = await browser.bookmarks.getChildren(bookmarkId);
+/**
+ * DEDUPE: Skip URLs that already have a tab in the target container
+ * @param {Array<string>} urls - URLs to open
+ * @param {string} cookieStoreId - Target container
+ * @param {Object} [tabsApi] - browser.tabs (or a test double)
+ * @returns {Promise<Array<string>>} URLs without an open tab there
+ */
+async function withoutUrlsOpenInContainer(urls, cookieStoreId, tabsApi = browser.tabs) {
+  const openTabs = await tabsApi.query({ cookieStoreId });
+  const openUrls = new Set(openTabs.map((tab) => tab.url));
+  return urls.filter((url) => !openUrls.has(url));
+}
+
+async function openBookmarksInContainer({ urls, cookieStoreId, newWindow }) {
+  ctcConsole.info(`Opening ${urls.length} bookmarks in container: ${cookieStoreId}`);
+  const containerOption = cookieStoreId === "firefox-default" ? undefined : cookieStoreId;
+
+  // NEW WINDOW: Created with the first URL, the rest are added to it
+  let windowId;
+  let startIndex = 0;
+  if (newWindow) {
+    const createdWindow = await browser.windows.create({ url: urls[0], cookieStoreId: containerOption });
+    windowId = createdWindow.id;
+    startIndex = 1;
+  }
+
+  // Open tabs
+  for (let i = startIndex; i < urls.length; i++) {
+    await browser.tabs.create({
+      url: urls[i],
+      cookieStoreId: containerOption,
+      windowId,
+      active: i === 0,  // First tab is active
+      discarded: i >= LAZY_LOAD_THRESHOLD  // Lazy-load after threshold
+    });
+  }
+}
 
-    // Extract URLs, filtering out invalid ones
-    const urls = children
-      .map(child => child.url)
-      .filter(url => url && isValidBookmarkUrl(url));
+// CONFIRM: Large folders wait for an answer from bookmark-confirm.html
+async function confirmBookmarkOpen(request) {
+  const session = browser.storage.session;
+  const now = Date.now();
+  const items = await session.get(null);
+  const expiredKeys = Object.keys(items).filter((key) =>
+    key.startsWith(BOOKMARK_CONFIRM_KEY_PREFIX) && now - items[key].createdAt > BOOKMARK_CONFIRM_EXPIRY_MS);
+  if (expiredKeys.length > 0) {
+    await session.remove(expiredKeys);
+  }
+
+  const token = crypto.randomUUID();
+  await writePendingBookmarkOpen(session, token, request, now);
+  await browser.windows.create({
+    url: browser.runtime.getURL(`${BOOKMARK_CONFIRM_PAGE}#${token}`),
+    type: "popup",
+    width: 420,
+    height: 200
+  });
+}
 
-    return urls;
+/**
+ * Store a request waiting for confirmation (see PENDING CONFIRMATIONS)
+ * @param {Object} storageArea - browser.storage.session (or a test double)
+ * @param {string} token - Confirm page token (its location.hash)
+ * @param {{folderTitle: string, urls: Array<string>, cookieStoreId: string, newWindow: boolean}} request
+ * @param {number} [now] - Creation time (default: Date.now())
+ * @returns {Promise<void>}
+ */
+async function writePendingBookmarkOpen(storageArea, token, request, now = Date.now()) {
+  await storageArea.set({ [`${BOOKMARK_CONFIRM_KEY_PREFIX}${token}`]: { ...request, createdAt: now } });
+}
+
+/**
+ * Read a request back (any background instance can answer it)
+ * @param {Object} storageArea - browser.storage.session (or a test double)
+ * @param {string} token - Confirm page token
+ * @param {number} [now] - Current time (default: Date.now())
+ * @returns {Promise<?Object>} Request, or null when unknown or expired
+ */
+async function readPendingBookmarkOpen(storageArea, token, now = Date.now()) {
+  const key = `${BOOKMARK_CONFIRM_KEY_PREFIX}${token}`;
+  const { [key]: pending } = await storageArea.get(key);
+  if (!pending || now - pending.createdAt > BOOKMARK_CONFIRM_EXPIRY_MS) {
+    return null;
+  }
+  return pending;
+}
+
+// EXPIRED: Window stays open so the page can say so (nothing opens silently)
+async function answerBookmarkOpen(token, confirmed, windowId) {
+  if (answeringBookmarkOpens.has(token)) {
+    return { ok: false, error: "This request has already been answered." };
+  }
+  answeringBookmarkOpens.add(token);
+  try {
+    const pending = await readPendingBookmarkOpen(browser.storage.session, token);
+    await browser.storage.session.remove(`${BOOKMARK_CONFIRM_KEY_PREFIX}${token}`);
+    if (!pending) {
+      return { ok: false, error: "This request has expired." };
+    }
+    await browser.windows.remove(windowId).catch(() => {});
+    if (confirmed) {
+      await openBookmarksInContainer(pending);
+    }
+    return { ok: true };
+  } finally {
+    answeringBookmarkOpens.delete(token);
+  }
+}
+
+async function loadBookmarkOpenOptions() {
+  try {
+    const stored = await browser.storage.local.get(CTC_BOOKMARK_OPTIONS_KEY);
+    bookmarkOpenOptions = { ...bookmarkOpenOptions, ...stored?.[CTC_BOOKMARK_OPTIONS_KEY] };
+    browser.menus.update(BOOKMARK_SUBFOLDERS_ID, { checked: bookmarkOpenOptions.includeSubfolders });
+    browser.menus.update(BOOKMARK_NEW_WINDOW_ID, { checked: bookmarkOpenOptions.newWindow });
   } catch (error) {
-    ctcConsole.error("Failed to get bookmark URLs:", error);
-    return [];
+    ctcConsole.error("Failed to load bookmark menu options:", error);
   }
 }
 
+async function saveBookmarkOpenOptions(options) {
+  bookmarkOpenOptions = options;
+  try {
+    await browser.storage.local.set({ [CTC_BOOKMARK_OPTIONS_KEY]: options });
+  } catch (error) {
+    ctcConsole.error("Failed to save bookmark menu options:", error);
+  }
+}
+
+// CONFIRM PAGE MESSAGING: bookmark-confirm.js reads its request, then answers once
+function handleBookmarkConfirmMessage(message, sender) {
+  if (message?.type === BOOKMARK_CONFIRM_MESSAGES.GET) {
+    return readPendingBookmarkOpen(browser.storage.session, message.token).then((pending) => {
+      if (!pending) {
+        return null;
+      }
+      const { cookieStoreToNameMap } = CtcRepo.getContainerData();
+      return {
+        folderTitle: pending.folderTitle,
+        count: pending.urls.length,
+        containerName: cookieStoreToNameMap.get(pending.cookieStoreId) || "No Container",
+        newWindow: pending.newWindow
+      };
+    });
+  }
+  if (message?.type === BOOKMARK_CONFIRM_MESSAGES.ANSWER) {
+    return answerBookmarkOpen(message.token, message.confirmed, sender.tab?.windowId);
+  }
+  return undefined; // Not ours - let other listeners answer
+}
+
 function isValidBookmarkUrl(url) {
   // Filter out non-openable URLs
   if (!url) return false;
@@ -183,36 +487,50 @@ function isValidBookmarkUrl(url) {
 // CONTAINER SYNC: Update menu when containers change
 // ============================================================================
 
-browser.contextualIdentities.onCreated.addListener(async () => {
-  await rebuildContainerMenuItems();
-});
-
-browser.contextualIdentities.onRemoved.addListener(async () => {
-  await rebuildContainerMenuItems();
-});
-
-browser.contextualIdentities.onUpdated.addListener(async () => {
-  await rebuildContainerMenuItems();
-});
-
-async function rebuildContainerMenuItems() {
-  // Remove existing container items
-  for (const id of containerMenuIds) {
-    try {
-      await browser.menus.remove(id);
-    } catch (e) {
-      // Item may already be removed
+function rebuildContainerMenuItems() {
+  bookmarkMenuRebuild = bookmarkMenuRebuild.then(async () => {
+    // Remove existing container items
+    for (const id of containerMenuIds) {
+      try {
+        await browser.menus.remove(id);
+      } catch (e) {
+        // Item may already be removed
+      }
     }
-  }
-  containerMenuIds = [];
+    containerMenuIds = [];
 
-  // Re-populate
-  await populateContainerMenuItems();
+    // Re-populate
+    await populateContainerMenuItems();
+  }).catch((error) => {
+    // CHAIN: A failed rebuild must not block the next one
+    ctcConsole.error("Failed to rebuild bookmark container menu:", error);
+  });
+  return bookmarkMenuRebuild;
 }
 
 // ============================================================================
-// INITIALIZATION: Create menu on extension startup
+// INITIALIZATION: Create menu on extension startup (browser only - Node tests
+// load the helpers above)
 // ============================================================================
 
-createBookmarkContextMenu();
-ctcConsole.info("[Bookmark Menu] Initialized");
+if (typeof window !== "undefined") {
+  browser.menus.onShown.addListener(handleBookmarkMenuShown);
+  browser.menus.onClicked.addListener(handleBookmarkMenuClicked);
+  browser.runtime.onMessage.addListener(handleBookmarkConfirmMessage);
+  browser.contextualIdentities.onCreated.addListener(rebuildContainerMenuItems);
+  browser.contextualIdentities.onRemoved.addListener(rebuildContainerMenuItems);
+  browser.contextualIdentities.onUpdated.addListener(rebuildContainerMenuItems);
+
+  bookmarkMenuRebuild = createBookmarkContextMenu();
+  loadBookmarkOpenOptions();
+  ctcConsole.info("[Bookmark Menu] Initialized");
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getBookmarkUrlsFromFolder,
+    withoutUrlsOpenInContainer,
+    writePendingBookmarkOpen,
+    readPendingBookmarkOpen,
+    BOOKMARK_MAX_DEPTH,
+    BOOKMARK_CONFIRM_EXPIRY_MS
+  };
+}
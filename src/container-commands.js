@@ -0,0 +1,141 @@
+// Keyboard Commands for Reopening the Current Tab in Another Container
+// Handles the manifest "commands" (shortcuts editable in about:addons → Manage Extension Shortcuts)
+
+// ============================================================================
+// COMMANDS:
+//    reopen-in-no-container       → "No Container"
+//    reopen-in-container-1 … -5   → Firefox containers in their own order
+//                                   (temporary containers skipped)
+//    reopen-by-rules              → Wherever the rules send this URL from here
+//                                   (same evaluation as a navigation)
+//    cycle-container              → No Container → 1st → 2nd → … → No Container
+//
+// SWITCH: Always replaces the tab in place (moveTabToContainer, tab-switching.js),
+// keeping its position, pinned/muted state and group.
+// NO BOUNCE BACK: The switch is recorded in the background dedup maps first
+// (recordContainerSwitch), so the reopened tab's own request isn't routed
+// straight back to the container the rules prefer.
+// ============================================================================
+
+const REOPEN_IN_CONTAINER_COMMAND_PREFIX = "reopen-in-container-";
+const CONTAINER_COMMANDS = {
+  NO_CONTAINER: "reopen-in-no-container",
+  BY_RULES: "reopen-by-rules",
+  CYCLE: "cycle-container",
+};
+
+/**
+ * Run a keyboard command against the active tab of the current window
+ * @param {string} command - Command name from manifest.json
+ */
+async function handleContainerCommand(command) {
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    return;
+  }
+
+  const targetCookieStoreId = getCommandTarget(command, tab);
+  if (!targetCookieStoreId || targetCookieStoreId === tab.cookieStoreId) {
+    ctcConsole.debug(`Command ${command}: tab already in target container`);
+    return;
+  }
+
+  await reopenTabByUser(tab, targetCookieStoreId, ACTIVITY_REASONS.USER_COMMAND);
+}
+
+/**
+ * Containers reachable by number and by cycling (No Container first)
+ * @returns {Array<{name: string, cookieStoreId: string}>}
+ */
+function getCommandContainers() {
+  return CtcRepo.getContainerData().containerArray.filter(
+    (container) => container.cookieStoreId !== ISOLATED_COOKIE_STORE_ID,
+  );
+}
+
+/**
+ * Reopen a tab in a container the user picked (keyboard command or tab menu)
+ * @param {Object} tab - tabs.Tab to move
+ * @param {string} targetCookieStoreId - Destination container
+ * @param {string} reason - ACTIVITY_REASONS value for the activity log
+ */
+async function reopenTabByUser(tab, targetCookieStoreId, reason) {
+  const { cookieStoreToNameMap } = CtcRepo.getContainerData();
+  const fromContainer = cookieStoreToNameMap.get(tab.cookieStoreId) || "No Container";
+  const toContainer = cookieStoreToNameMap.get(targetCookieStoreId) || "No Container";
+
+  // PRIVILEGED PAGES: Can't be opened by tabs.create - a new tab page is
+  // the closest equivalent (e.g. "reopen about:newtab in Work")
+  const url = isPrivilegedURL(tab.url) ? undefined : tab.url;
+  if (url) {
+    recordContainerSwitch(url, fromContainer, toContainer);
+  }
+
+  await moveTabToContainer(tab.id, url, targetCookieStoreId, SWITCH_STRATEGIES.REPLACE);
+  ctcConsole.info(`Reopened tab: ${fromContainer} → ${toContainer}`);
+  recordActivity({
+    url: tab.url,
+    fromContainer,
+    toContainer,
+    outcome: ACTIVITY_OUTCOMES.SWITCHED,
+    reason,
+  }, { incognito: tab.incognito });
+}
+
+/**
+ * Container a command sends the tab to
+ * @param {string} command - Command name from manifest.json
+ * @param {Object} tab - tabs.Tab the command runs on
+ * @param {Function} [evaluate] - evaluateContainer (background.js), or a test double
+ * @returns {?string} cookieStoreId, or null when the command does not apply
+ */
+function getCommandTarget(command, tab, evaluate = evaluateContainer) {
+  const containers = getCommandContainers();
+
+  if (command === CONTAINER_COMMANDS.NO_CONTAINER) {
+    return "firefox-default";
+  }
+
+  if (command === CONTAINER_COMMANDS.BY_RULES) {
+    // PRIVILEGED PAGES: Never routed by rules (see handleRequest)
+    if (isPrivilegedURL(tab.url)) {
+      return null;
+    }
+    const { cookieStoreId } = evaluate(tab.url, tab.cookieStoreId);
+    // ISOLATE: Already in a throwaway container (same as handleRequest)
+    if (cookieStoreId === ISOLATED_COOKIE_STORE_ID && CtcRepo.isTemporaryContainer(tab.cookieStoreId)) {
+      return null;
+    }
+    return cookieStoreId;
+  }
+
+  if (command === CONTAINER_COMMANDS.CYCLE) {
+    // Temporary/unknown containers start the cycle over at No Container
+    const currentIndex = containers.findIndex(
+      (container) => container.cookieStoreId === tab.cookieStoreId,
+    );
+    return containers[(currentIndex + 1) % containers.length].cookieStoreId;
+  }
+
+  if (command.startsWith(REOPEN_IN_CONTAINER_COMMAND_PREFIX)) {
+    // Index 0 is No Container, so "container-1" is the first real one
+    const number = Number(command.slice(REOPEN_IN_CONTAINER_COMMAND_PREFIX.length));
+    return containers[number]?.cookieStoreId || null;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// INITIALIZATION: Browser only - Node tests load getCommandTarget
+// ============================================================================
+
+if (typeof window !== "undefined") {
+  browser.commands.onCommand.addListener((command) => {
+    handleContainerCommand(command).catch((error) => {
+      ctcConsole.error(`Command ${command} failed:`, error);
+    });
+  });
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = { getCommandTarget, CONTAINER_COMMANDS };
+}
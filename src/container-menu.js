@@ -0,0 +1,239 @@
+// Link and Tab Context Menus for Container Opening
+// Adds "Open in Container (via CTC)" to links and tabs, next to the
+// bookmark folder menu in bookmark-menu.js
+
+// ============================================================================
+// MENU STRUCTURE (contexts: link, tab):
+//    Open in Container (via CTC)
+//        No Container
+//        ─────────
+//        Work (rules pick)        ← marker: where the rules would send it
+//        Personal
+//        ─────────
+//        Open and Create Rule ▸   ← same list, also saves a "*.host" rule
+//
+// LINK: Opens the link in a new tab next to the current one
+// TAB:  Reopens the tab in place (reopenTabByUser, container-commands.js)
+// Both record the switch in the dedup maps first, so the new tab is not
+// routed straight back by the rules.
+//
+// MARKER: Computed in menus.onShown for the clicked link/tab (titles are
+// updated, then menus.refresh()).
+// ============================================================================
+
+const CONTAINER_MENU_ID = "ctc-open-in-container";
+const CONTAINER_RULE_MENU_ID = "ctc-open-and-create-rule";
+const CONTAINER_MENU_CONTEXTS = ["link", "tab"];
+const OPEN_ITEM_PREFIX = "ctc-open-in:";
+const RULE_ITEM_PREFIX = "ctc-open-rule:";
+const RULES_PICK_MARKER = " (rules pick)";
+
+// Container items currently in the menu: menu item id → container name
+const containerMenuItems = new Map();
+
+// REBUILDS: Chained on one promise - container events arrive in bursts, and
+// two interleaved rebuilds would create the same item ids twice
+let containerMenuRebuild = Promise.resolve();
+
+// ============================================================================
+// MENU CREATION
+// ============================================================================
+
+function createContainerContextMenus() {
+  browser.menus.create({
+    id: CONTAINER_MENU_ID,
+    contexts: CONTAINER_MENU_CONTEXTS,
+    title: "Open in Container (via CTC)",
+    // LINKS: Only web links are routed (tab context ignores this)
+    targetUrlPatterns: ["http://*/*", "https://*/*"],
+  });
+
+  return populateContainerContextMenus();
+}
+
+async function populateContainerContextMenus() {
+  try {
+    const identities = await browser.contextualIdentities.query({});
+    // Throwaway "isolate" containers are not destinations (see temporary-containers.js)
+    const containers = [
+      { cookieStoreId: "firefox-default", name: "No Container", icon: null },
+      ...identities.filter((identity) => !isTemporaryContainerIdentity(identity)),
+    ];
+
+    addContainerItems(CONTAINER_MENU_ID, OPEN_ITEM_PREFIX, containers);
+
+    browser.menus.create({
+      id: `${CONTAINER_MENU_ID}-rule-separator`,
+      parentId: CONTAINER_MENU_ID,
+      contexts: CONTAINER_MENU_CONTEXTS,
+      type: "separator",
+    });
+    browser.menus.create({
+      id: CONTAINER_RULE_MENU_ID,
+      parentId: CONTAINER_MENU_ID,
+      contexts: CONTAINER_MENU_CONTEXTS,
+      title: "Open and Create Rule",
+    });
+    addContainerItems(CONTAINER_RULE_MENU_ID, RULE_ITEM_PREFIX, containers);
+  } catch (error) {
+    ctcConsole.error("Failed to populate container context menus:", error);
+  }
+}
+
+// "No Container" first, then a separator, then each container with its icon
+function addContainerItems(parentId, prefix, containers) {
+  containers.forEach((container, index) => {
+    const id = `${prefix}${container.cookieStoreId}`;
+    browser.menus.create({
+      id,
+      parentId,
+      contexts: CONTAINER_MENU_CONTEXTS,
+      title: container.name,
+      icons: container.icon
+        ? { 16: `resource://usercontext-content/${container.icon}.svg` }
+        : undefined,
+    });
+    containerMenuItems.set(id, container.name);
+
+    if (index === 0) {
+      browser.menus.create({
+        id: `${parentId}-separator`,
+        parentId,
+        contexts: CONTAINER_MENU_CONTEXTS,
+        type: "separator",
+      });
+    }
+  });
+}
+
+// ============================================================================
+// MARKER: Show which container the rules would pick for this link/tab
+// ============================================================================
+
+async function handleContainerMenuShown(info, tab) {
+  if (!info.menuIds.includes(CONTAINER_MENU_ID) || !tab) {
+    return;
+  }
+
+  try {
+    const pickedCookieStoreId = getRulesPick(info, tab);
+    for (const [id, name] of containerMenuItems.entries()) {
+      const cookieStoreId = id.slice(id.indexOf(":") + 1);
+      browser.menus.update(id, {
+        title: cookieStoreId === pickedCookieStoreId ? `${name}${RULES_PICK_MARKER}` : name,
+      });
+    }
+    browser.menus.refresh();
+  } catch (error) {
+    ctcConsole.error("Failed to mark rules pick in container menu:", error);
+  }
+}
+
+/**
+ * Container the rules would pick for the clicked link or tab
+ * LINK: Evaluated as a navigation opened from this tab (opener + referring page)
+ * TAB:  Evaluated as if the tab's page were loaded again where it is
+ * @param {Object} info - menus.OnClickData / onShown info (linkUrl, pageUrl)
+ * @param {Object} tab - tabs.Tab the menu was opened on
+ * @param {Function} [evaluate] - evaluateContainer (background.js), or a test double
+ * @returns {?string} cookieStoreId, or null for privileged pages
+ */
+function getRulesPick(info, tab, evaluate = evaluateContainer) {
+  const url = info.linkUrl || tab.url;
+  if (!url || isPrivilegedURL(url)) {
+    return null;
+  }
+  const tabCookieStoreId = tab.cookieStoreId || "firefox-default";
+  const navigationContext = info.linkUrl
+    ? { sourceUrl: info.pageUrl || null, openerCookieStoreId: tabCookieStoreId, external: false }
+    : {};
+  return evaluate(url, tabCookieStoreId, navigationContext).cookieStoreId;
+}
+
+// ============================================================================
+// CLICK HANDLER
+// ============================================================================
+
+async function handleContainerMenuClicked(info, tab) {
+  const id = String(info.menuItemId);
+  const prefix = [OPEN_ITEM_PREFIX, RULE_ITEM_PREFIX].find((p) => id.startsWith(p));
+  if (!prefix || !tab) {
+    return;
+  }
+
+  const cookieStoreId = id.slice(prefix.length);
+  const url = info.linkUrl || tab.url;
+
+  try {
+    if (prefix === RULE_ITEM_PREFIX && !isPrivilegedURL(url)) {
+      await saveSiteRule(url, { containerName: containerMenuItems.get(id), cookieStoreId });
+    }
+
+    if (info.linkUrl) {
+      await openLinkInContainer(info.linkUrl, cookieStoreId, tab);
+    } else if (cookieStoreId !== (tab.cookieStoreId || "firefox-default")) {
+      await reopenTabByUser(tab, cookieStoreId, ACTIVITY_REASONS.USER_MENU);
+    }
+  } catch (error) {
+    ctcConsole.error("Failed to open in container from context menu:", error);
+  }
+}
+
+// LINK: New tab right after the current one, in the background (like "Open Link in New Tab")
+async function openLinkInContainer(url, cookieStoreId, tab) {
+  const { cookieStoreToNameMap } = CtcRepo.getContainerData();
+  const fromContainer = cookieStoreToNameMap.get(tab.cookieStoreId) || "No Container";
+  const toContainer = cookieStoreToNameMap.get(cookieStoreId) || "No Container";
+
+  recordContainerSwitch(url, fromContainer, toContainer);
+  await browser.tabs.create({
+    url,
+    cookieStoreId,
+    windowId: tab.windowId,
+    index: tab.index + 1,
+    openerTabId: tab.id,
+    active: false,
+  });
+
+  recordActivity({
+    url,
+    fromContainer,
+    toContainer,
+    outcome: ACTIVITY_OUTCOMES.SWITCHED,
+    reason: ACTIVITY_REASONS.USER_MENU,
+  }, { incognito: tab.incognito });
+}
+
+// ============================================================================
+// CONTAINER SYNC: Rebuild when containers are created, renamed or removed
+// ============================================================================
+
+function rebuildContainerContextMenus() {
+  containerMenuRebuild = containerMenuRebuild.then(async () => {
+    // Removing the parent removes every child item too
+    await browser.menus.remove(CONTAINER_MENU_ID).catch(() => {});
+    containerMenuItems.clear();
+    await createContainerContextMenus();
+  }).catch((error) => {
+    // CHAIN: A failed rebuild must not block the next one
+    ctcConsole.error("Failed to rebuild container context menus:", error);
+  });
+  return containerMenuRebuild;
+}
+
+// ============================================================================
+// INITIALIZATION: Create menus on extension startup (browser only - Node tests
+// load getRulesPick)
+// ============================================================================
+
+if (typeof window !== "undefined") {
+  browser.menus.onShown.addListener(handleContainerMenuShown);
+  browser.menus.onClicked.addListener(handleContainerMenuClicked);
+  browser.contextualIdentities.onCreated.addListener(rebuildContainerContextMenus);
+  browser.contextualIdentities.onRemoved.addListener(rebuildContainerContextMenus);
+  browser.contextualIdentities.onUpdated.addListener(rebuildContainerContextMenus);
+
+  containerMenuRebuild = createContainerContextMenus();
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = { getRulesPick };
+}
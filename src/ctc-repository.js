@@ -23,6 +23,139 @@
 //    - Does NOT share across contexts (background vs options)
 // ============================================================================
 
+// ============================================================================
+// STORAGE BACKENDS: Where rules live
+// ============================================================================
+// SYNC (default):
+//    - browser.storage.sync, shared across devices via Firefox Sync
+//    - 100KB total quota (rules are chunked, see storage-compression.js)
+//
+// LOCAL:
+//    - browser.storage.local, this device only, no practical size limit
+//    - For large rulesets or when Firefox Sync is disabled
+//
+// LOCAL WITH SYNC MIRROR:
+//    - Reads and writes storage.local (source of truth)
+//    - Each save is also copied to storage.sync on a best-effort basis, so
+//      other devices pick rules up while they still fit in the sync quota
+//    - Mirror failures (quota) never block the local save
+//
+// MODE SETTING: Stored in storage.local (per device) - the choice must be
+// readable before we know which area holds the rules, and a device with
+// Sync disabled must not depend on synced settings.
+// ============================================================================
+const CTC_STORAGE_MODE_KEY = 'ctcStorageMode';
+const STORAGE_MODES = {
+    SYNC: 'sync',
+    LOCAL: 'local',
+    LOCAL_WITH_SYNC_MIRROR: 'local-sync-mirror'
+};
+
+// ============================================================================
+// POST REQUEST POLICY: What to do when a form submission needs a container switch
+// ============================================================================
+// A switch cancels the request and opens a new tab, which turns a POST into a
+// GET and drops its body (breaks SSO/SAML posts, search forms, ...).
+//    SKIP:     Keep the POST in the current container (no switch)
+//    RESUBMIT: Switch, then re-post the form fields from the new tab
+//              (see form-resubmission.js). Bodies without form fields
+//              (raw/JSON uploads) fall back to SKIP.
+// Stored in storage.sync next to the debug preference (a user preference,
+// not device state).
+// ============================================================================
+const CTC_POST_POLICY_KEY = 'ctcPostRequestPolicy';
+const POST_REQUEST_POLICIES = {
+    SKIP: 'skip',
+    RESUBMIT: 'resubmit'
+};
+
+// ============================================================================
+// SWITCH STRATEGY: Global default for how tabs move between containers
+// ============================================================================
+// Values are SWITCH_STRATEGIES (rule-engine.js); rules may override per rule.
+// Synced like the POST policy. Default REPLACE keeps the tab's place in the
+// tab strip (the original create + remove behavior, minus the lost position).
+// ============================================================================
+const CTC_SWITCH_STRATEGY_KEY = 'ctcSwitchStrategy';
+
+// ============================================================================
+// AMBIGUOUS MATCH POLICY: URL matches rules for several containers
+// ============================================================================
+// The rule engine flags decisions that picked the first of several matching
+// containers by rule index alone (see CANDIDATES in rule-engine.js).
+//    FIRST_RULE: Keep that pick (original behavior)
+//    PROMPT:     Hold the navigation on the switch prompt page listing every
+//                candidate; "remember my choice" adds a high-priority rule
+// Synced like the POST policy.
+// ============================================================================
+const CTC_AMBIGUOUS_MATCH_KEY = 'ctcAmbiguousMatchPolicy';
+const AMBIGUOUS_MATCH_POLICIES = {
+    FIRST_RULE: 'first-rule',
+    PROMPT: 'prompt'
+};
+
+// ============================================================================
+// TEMPORARY CONTAINERS: Throwaway containers created for "isolate" rules
+// ============================================================================
+// The background creates one per isolated navigation and removes it when its
+// last tab closes. Their cookieStoreIds are tracked in storage.local (they only
+// exist on this device) so that:
+//    - Leftovers from a crash or browser restart can be cleaned up on startup
+//    - Options/popup can hide them from container pickers
+// They stay in containerMap/cookieStoreToNameMap so tabs inside them resolve
+// to a real name (otherwise they would look like "No Container" and be routed).
+// ============================================================================
+const CTC_TEMPORARY_CONTAINERS_KEY = 'ctcTemporaryContainers';
+
+// ============================================================================
+// BOOKMARK CONTAINERS: Bookmarks and folders assigned to a container
+// ============================================================================
+// Set from the bookmark context menu (bookmark-menu.js). Opening an assigned
+// bookmark - or any bookmark inside an assigned folder - uses that container
+// even when no URL rule matches (see bookmark-containers.js).
+// KEYED BY bookmarkId: Ids are stable across moves and renames, and folder
+// assignments are resolved through the bookmark's current ancestors.
+// Stored in storage.local: cookieStoreIds only exist on this device.
+// ============================================================================
+const CTC_BOOKMARK_CONTAINERS_KEY = 'ctcBookmarkContainers';
+
+// ============================================================================
+// CONTAINER NAME HISTORY: Every name each local container has had
+// ============================================================================
+// cookieStoreIds are numbered per device, so a synced rule's ID may belong to
+// an unrelated container here. The history is what lets resolveRuleContainers
+// trust an ID under a different name (a rename on THIS device) - see
+// PER-DEVICE IDS in storage-compression.js. Updated on every container load,
+// before rules are re-attached, so the name a container had just before a
+// rename is already on record.
+// Stored in storage.local: cookieStoreIds only exist on this device.
+// ============================================================================
+const CTC_CONTAINER_NAME_HISTORY_KEY = 'ctcContainerNameHistory';
+
+// ============================================================================
+// RULE PROFILES: Named rule sets switched as a whole
+// ============================================================================
+// Stored next to the rules in the active backend (key layout in
+// storage-compression.js), so profiles and the active choice follow the rules
+// across devices in sync mode. Only the ACTIVE profile is loaded into
+// this.rules - routing, options and popup never see the others.
+// The "default" profile holds the rules saved before profiles existed and
+// can't be deleted.
+// ============================================================================
+const RULE_PROFILE_NAME_MAX_LENGTH = 40;
+
+// ============================================================================
+// ROUTING SNAPSHOT: Background copy of routing state in storage.session
+// ============================================================================
+// Format and rationale in storage-compression.js. BACKGROUND ONLY: the
+// background turns it on with hydrateFromSnapshot(), then every change to
+// containers, rules or routing preferences rewrites it (debounced - a full
+// load changes several of them in a row). Nothing is written before the
+// first full rules load, so a snapshot never replaces itself or an empty
+// pre-load state.
+// ============================================================================
+const ROUTING_SNAPSHOT_DELAY_MS = 100;
+
 /**
  * Centralized container and rule management
  * CRITICAL: Thread-safe data repository with concurrency protection
@@ -31,7 +164,16 @@ class CtcRepository {
     // SHARED STATE: Accessed by multiple async operations
     containerMap = new Map();            // name → cookieStoreId
     cookieStoreToNameMap = new Map();    // cookieStoreId → name
-    rules = [];                          // Array of rule objects
+    rules = [];                          // Array of rule objects (see resolveRuleContainers)
+    compiledRules = compileRules([]);    // Live (non-orphaned) rules, compiled for routing (see COMPILED RULES)
+    ruleProfiles = normalizeRuleProfiles(null); // { activeProfileId, profiles } (see RULE PROFILES)
+    storageMode = STORAGE_MODES.SYNC;    // Active rules backend (see STORAGE BACKENDS)
+    temporaryContainerIds = new Set();   // cookieStoreIds of throwaway containers
+    bookmarkContainers = new Map();      // bookmarkId → cookieStoreId (see BOOKMARK CONTAINERS)
+    containerNameHistory = new Map();    // cookieStoreId → names on this device (see CONTAINER NAME HISTORY)
+    postRequestPolicy = POST_REQUEST_POLICIES.SKIP; // See POST REQUEST POLICY
+    switchStrategy = SWITCH_STRATEGIES.REPLACE;     // See SWITCH STRATEGY
+    ambiguousMatchPolicy = AMBIGUOUS_MATCH_POLICIES.FIRST_RULE; // See AMBIGUOUS MATCH POLICY
 
     // ========================================================================
     // CONCURRENCY CONTROL: Race Condition Prevention (private fields)
@@ -57,6 +199,9 @@ class CtcRepository {
     #loadingContainersPromise = null;
     #loadingRulesPromise = null;
     #initializationFailed = false;
+    #rulesLoaded = false;               // Guards snapshot writes before first load
+    #routingSnapshotEnabled = false;    // Keep storage.session copy current (see ROUTING SNAPSHOT)
+    #routingSnapshotTimer = null;
 
     /**
      * THREAD-SAFE: Load containers with race condition protection
@@ -121,12 +266,23 @@ class CtcRepository {
             this.containerMap.set('No Container', 'firefox-default');
             this.cookieStoreToNameMap.set('firefox-default', 'No Container');
 
+            // SENTINEL: "isolate" rules target a container that doesn't exist yet
+            this.containerMap.set(ISOLATED_CONTAINER_NAME, ISOLATED_COOKIE_STORE_ID);
+            this.cookieStoreToNameMap.set(ISOLATED_COOKIE_STORE_ID, ISOLATED_CONTAINER_NAME);
+
             // POPULATE: Add all user containers
             contextualIdentities.forEach(identity => {
                 this.containerMap.set(identity.name, identity.cookieStoreId);
                 this.cookieStoreToNameMap.set(identity.cookieStoreId, identity.name);
             });
 
+            // HISTORY: Before re-attaching, so a rename is recognized as local
+            await this.#loadContainerNameHistory();
+
+            // RE-ATTACH: Container set changed (create/rename/remove)
+            // Refresh rule name snapshots and orphan status against new Maps
+            this.#setRules(resolveRuleContainers(this.rules, this.containerMap, this.containerNameHistory));
+
             ctcConsole.debug(`Loaded ${this.containerMap.size} containers`);
             return this.getContainerData();
         } catch (error) {
@@ -136,6 +292,27 @@ class CtcRepository {
         }
     }
 
+    /**
+     * INTERNAL: Add the current container names to the stored history (private)
+     * FAILURE: Keeps the in-memory history - a rename then may orphan rules,
+     *          never attach them to the wrong container
+     */
+    async #loadContainerNameHistory() {
+        try {
+            const stored = await browser.storage.local.get(CTC_CONTAINER_NAME_HISTORY_KEY);
+            const history = new Map(Object.entries(stored?.[CTC_CONTAINER_NAME_HISTORY_KEY] || {}));
+            this.containerNameHistory = recordContainerNames(history, this.containerMap);
+            if (JSON.stringify(Array.from(this.containerNameHistory)) !== JSON.stringify(Array.from(history))) {
+                await browser.storage.local.set({
+                    [CTC_CONTAINER_NAME_HISTORY_KEY]: Object.fromEntries(this.containerNameHistory)
+                });
+            }
+        } catch (error) {
+            ctcConsole.error('Failed to update container name history:', error);
+            this.containerNameHistory = recordContainerNames(this.containerNameHistory, this.containerMap);
+        }
+    }
+
     /**
      * THREAD-SAFE: Load rules with race condition protection
      * PROBLEM: Storage change events can fire rapidly during rule saves
@@ -171,13 +348,21 @@ class CtcRepository {
      */
     async #doLoadRules() {
         try {
-            // STORAGE API: Get rules from Firefox sync storage
-            const storage = await browser.storage.sync.get('ctcRules');
-            const decodedRules = await decodeRulesFromStorage(storage.ctcRules);
+            // PROFILES: Index first - it decides which profile's rules are read
+            await this.loadRuleProfiles();
+
+            // STORAGE API: Get active profile's rules from active backend (chunked or legacy single key)
+            // MIGRATION: Passing containerMap attaches cookieStoreIds to legacy name-only rules
+            const decodedRules = await readRulesFromStorage(this.#getPrimaryStorageArea(), this.containerMap, {
+                profileId: this.ruleProfiles.activeProfileId,
+                containerHistory: this.containerNameHistory
+            });
 
             // ATOMIC UPDATE: Replace entire rules array
             // CRITICAL: Don't mutate existing array - other code might be iterating
-            this.rules = decodedRules;
+            // ORDER: Loaded flag first, so this update refreshes the routing snapshot
+            this.#rulesLoaded = true;
+            this.#setRules(decodedRules);
 
             ctcConsole.debug(`Loaded ${this.rules.length} rules`);
             return this.rules;
@@ -187,6 +372,612 @@ class CtcRepository {
         }
     }
 
+    /**
+     * PERSIST: Encode and write rules to the active backend as chunks
+     * SIDE EFFECT: Triggers storage.onChanged in every context
+     * @param {Array} rules - Rules array to persist (into the active profile)
+     * @returns {Promise<{mirrorError: ?Error}>} Mirror outcome (local-sync-mirror mode only)
+     * @throws {Error} name "QuotaExceededError" when rules exceed sync quota
+     */
+    async saveRules(rules) {
+        ctcConsole.log(`saving to browser.storage.${this.getActiveStorageAreaName()}`);
+        const result = await this.#writeProfileRules(this.ruleProfiles.activeProfileId, rules);
+        this.#setRules(rules);
+        return result;
+    }
+
+    /**
+     * Replace the rules and recompile the routing matcher
+     * COMPILE ONCE: Every rules or container change passes through here, so
+     * requests never parse patterns (see COMPILED RULES in rule-engine.js)
+     * ORPHANED rules are left out, like in routing
+     * @param {Array} rules - New rules array (never mutated afterwards)
+     */
+    #setRules(rules) {
+        this.rules = rules;
+        this.compiledRules = compileRules(rules.filter(rule => !isRuleOrphaned(rule, this.containerMap)));
+        this.#scheduleRoutingSnapshot();
+    }
+
+    /**
+     * BACKGROUND WAKE-UP: Load the routing snapshot (one storage.session read),
+     * then keep it current from here on (see ROUTING SNAPSHOT)
+     * SKIPPED when the full load already finished (its data is newer)
+     * @returns {Promise<boolean>} True if routing state now comes from the snapshot
+     */
+    async hydrateFromSnapshot() {
+        this.#routingSnapshotEnabled = true;
+        if (!browser.storage.session) {
+            return false; // Older Firefox: full load only
+        }
+
+        try {
+            const snapshot = await readRoutingSnapshot(browser.storage.session);
+            if (!snapshot || this.#rulesLoaded) {
+                return false;
+            }
+
+            this.storageMode = snapshot.storageMode;
+            this.containerMap = new Map(snapshot.containers);
+            this.cookieStoreToNameMap = new Map(snapshot.containers.map(([name, cookieStoreId]) => [cookieStoreId, name]));
+            this.temporaryContainerIds = new Set(snapshot.temporaryContainerIds);
+            this.bookmarkContainers = new Map(Object.entries(snapshot.bookmarkContainers || {}));
+            this.postRequestPolicy = snapshot.postRequestPolicy;
+            this.switchStrategy = snapshot.switchStrategy;
+            this.ambiguousMatchPolicy = snapshot.ambiguousMatchPolicy;
+            this.#setRules(snapshot.rules);
+
+            const ageSeconds = Math.round((Date.now() - snapshot.savedAt) / 1000);
+            ctcConsole.info(`Routing from session snapshot (${this.rules.length} rules, ${ageSeconds}s old)`);
+            return true;
+        } catch (error) {
+            ctcConsole.warn('Routing snapshot unavailable, waiting for full load:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * INTERNAL: Rewrite the routing snapshot shortly (private)
+     */
+    #scheduleRoutingSnapshot() {
+        if (!this.#routingSnapshotEnabled || !this.#rulesLoaded || this.#routingSnapshotTimer) {
+            return;
+        }
+        this.#routingSnapshotTimer = setTimeout(() => {
+            this.#routingSnapshotTimer = null;
+            this.#writeRoutingSnapshot();
+        }, ROUTING_SNAPSHOT_DELAY_MS);
+    }
+
+    /**
+     * INTERNAL: Persist the current routing state to storage.session (private)
+     * FAILURE MODE: Only costs the fast wake-up path - errors are just reported
+     */
+    async #writeRoutingSnapshot() {
+        if (!browser.storage.session) {
+            return;
+        }
+        try {
+            await writeRoutingSnapshot(browser.storage.session, {
+                storageMode: this.storageMode,
+                containers: Array.from(this.containerMap.entries()),
+                temporaryContainerIds: Array.from(this.temporaryContainerIds),
+                bookmarkContainers: Object.fromEntries(this.bookmarkContainers),
+                rules: this.rules,
+                postRequestPolicy: this.postRequestPolicy,
+                switchStrategy: this.switchStrategy,
+                ambiguousMatchPolicy: this.ambiguousMatchPolicy
+            });
+        } catch (error) {
+            ctcConsole.warn('Failed to save routing snapshot:', error.message);
+        }
+    }
+
+    /**
+     * Load the rule profile index from the active backend
+     * @returns {Promise<{activeProfileId: string, profiles: Array<{id: string, name: string}>}>}
+     */
+    async loadRuleProfiles() {
+        const stored = await this.#getPrimaryStorageArea().get(CTC_RULE_PROFILES_KEY);
+        this.ruleProfiles = normalizeRuleProfiles(stored?.[CTC_RULE_PROFILES_KEY]);
+        return this.ruleProfiles;
+    }
+
+    /**
+     * Read one profile's rules without activating it
+     * @param {string} profileId - Profile to read
+     * @returns {Promise<Array>} Its rules (the loaded array for the active profile)
+     */
+    async readRuleProfile(profileId) {
+        if (profileId === this.ruleProfiles.activeProfileId) {
+            return this.rules;
+        }
+        return readRulesFromStorage(this.#getPrimaryStorageArea(), this.containerMap, {
+            profileId,
+            containerHistory: this.containerNameHistory
+        });
+    }
+
+    /**
+     * Replace one profile's rules (saveRules when it is the active one)
+     * @param {string} profileId - Existing profile
+     * @param {Array} rules - Validated rules
+     * @returns {Promise<{mirrorError: ?Error}>} Mirror outcome
+     */
+    async saveRuleProfile(profileId, rules) {
+        this.#requireRuleProfile(profileId);
+        if (profileId === this.ruleProfiles.activeProfileId) {
+            return this.saveRules(rules);
+        }
+        return this.#writeProfileRules(profileId, rules);
+    }
+
+    /**
+     * Create a profile holding `rules` (not activated)
+     * ORDER: Rules first, then the index - a failed write (quota) leaves no
+     *        profile pointing at missing rules
+     * @param {string} name - Display name (unique, case-insensitive)
+     * @param {Array} [rules] - Initial rules
+     * @returns {Promise<{id: string, name: string}>} The new profile
+     */
+    async createRuleProfile(name, rules = []) {
+        const profile = { id: crypto.randomUUID(), name: this.#checkRuleProfileName(name) };
+        await this.#writeProfileRules(profile.id, rules);
+        await this.#writeRuleProfiles({
+            ...this.ruleProfiles,
+            profiles: [...this.ruleProfiles.profiles, profile]
+        });
+        ctcConsole.info(`Created rule profile "${profile.name}" with ${rules.length} rules`);
+        return profile;
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Existing profile
+     * @param {string} name - New display name (unique, case-insensitive)
+     */
+    async renameRuleProfile(profileId, name) {
+        this.#requireRuleProfile(profileId);
+        const checkedName = this.#checkRuleProfileName(name, profileId);
+        await this.#writeRuleProfiles({
+            ...this.ruleProfiles,
+            profiles: this.ruleProfiles.profiles.map(profile =>
+                profile.id === profileId ? { ...profile, name: checkedName } : profile)
+        });
+    }
+
+    /**
+     * Delete an inactive profile and its rules
+     * ORDER: Index first, then rules - a failed cleanup only leaves unreachable chunks
+     * @param {string} profileId - Profile to delete (not default, not active)
+     */
+    async deleteRuleProfile(profileId) {
+        this.#requireRuleProfile(profileId);
+        if (profileId === DEFAULT_RULE_PROFILE_ID) {
+            throw new Error('The default profile can\'t be deleted.');
+        }
+        if (profileId === this.ruleProfiles.activeProfileId) {
+            throw new Error('Switch to another profile before deleting this one.');
+        }
+
+        await this.#writeRuleProfiles({
+            ...this.ruleProfiles,
+            profiles: this.ruleProfiles.profiles.filter(profile => profile.id !== profileId)
+        });
+        await removeRulesFromStorage(this.#getPrimaryStorageArea(), profileId);
+        if (this.storageMode === STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR) {
+            await removeRulesFromStorage(browser.storage.sync, profileId).catch(() => {});
+        }
+    }
+
+    /**
+     * Make another profile the active rule set and load its rules
+     * SIDE EFFECT: The index write triggers storage.onChanged, so every other
+     *              context (background included) reloads the new profile's rules
+     * @param {string} profileId - Existing profile
+     * @returns {Promise<Array>} The now-active rules
+     */
+    async setActiveRuleProfile(profileId) {
+        this.#requireRuleProfile(profileId);
+        await this.#writeRuleProfiles({ ...this.ruleProfiles, activeProfileId: profileId });
+        ctcConsole.info(`Switched to rule profile ${profileId}`);
+        return this.loadRules();
+    }
+
+    /**
+     * Load the per-device storage mode setting
+     * @returns {Promise<string>} Active storage mode
+     */
+    async loadStorageMode() {
+        try {
+            const stored = await browser.storage.local.get(CTC_STORAGE_MODE_KEY);
+            const mode = stored?.[CTC_STORAGE_MODE_KEY];
+            this.storageMode = Object.values(STORAGE_MODES).includes(mode) ? mode : STORAGE_MODES.SYNC;
+        } catch (error) {
+            // FALLBACK: storage.local unavailable → behave like before (sync only)
+            ctcConsole.error('Failed to load storage mode, using sync:', error);
+            this.storageMode = STORAGE_MODES.SYNC;
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.storageMode;
+    }
+
+    /**
+     * Switch storage backend, carrying current rules over first
+     * ORDER: Copy rules → persist mode. If the copy fails (e.g. sync quota),
+     *        the mode is unchanged and no context switches to an empty backend.
+     * @param {string} mode - One of STORAGE_MODES
+     */
+    async setStorageMode(mode) {
+        if (!Object.values(STORAGE_MODES).includes(mode)) {
+            throw new Error(`Unknown storage mode "${mode}"`);
+        }
+
+        // PROFILES: Every profile moves (read from the current backend first),
+        // then the index, so the new backend never lists a profile it lacks
+        const profileRules = [];
+        for (const profile of this.ruleProfiles.profiles) {
+            profileRules.push([profile.id, await this.readRuleProfile(profile.id)]);
+        }
+
+        for (const [profileId, rules] of profileRules) {
+            await this.#writeRulesToMode(mode, rules, profileId);
+            if (mode === STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR) {
+                try {
+                    await writeRulesToStorage(browser.storage.sync, rules, { profileId });
+                } catch (error) {
+                    ctcConsole.warn('Sync mirror failed while switching storage mode:', error.message);
+                }
+            }
+        }
+        await this.#writeRuleProfilesToMode(mode, this.ruleProfiles);
+
+        await browser.storage.local.set({ [CTC_STORAGE_MODE_KEY]: mode });
+        this.storageMode = mode;
+        this.#scheduleRoutingSnapshot();
+        ctcConsole.info(`Rule storage switched to ${mode}`);
+    }
+
+    /**
+     * Storage area name whose onChanged events carry rule updates
+     * @returns {string} "sync" or "local"
+     */
+    getActiveStorageAreaName() {
+        return this.storageMode === STORAGE_MODES.SYNC ? 'sync' : 'local';
+    }
+
+    /**
+     * Check whether a storage.onChanged event carries new rules for this context
+     * ACTIVE AREA ONLY: A sync mirror write is not a reload signal
+     * @param {Object} changes - storage.onChanged changes object
+     * @param {string} areaName - storage.onChanged area name
+     * @returns {boolean} True if the rules should be reloaded
+     */
+    isActiveRulesChange(changes, areaName) {
+        return didRulesChange(changes) && areaName === this.getActiveStorageAreaName();
+    }
+
+    /**
+     * INTERNAL: Storage area holding the source-of-truth rules (private)
+     */
+    #getPrimaryStorageArea() {
+        return this.storageMode === STORAGE_MODES.SYNC ? browser.storage.sync : browser.storage.local;
+    }
+
+    /**
+     * INTERNAL: Write rules to the primary area for a mode (private)
+     * QUOTA: storage.local has no practical limit, so its quota check is disabled
+     */
+    async #writeRulesToMode(mode, rules, profileId) {
+        if (mode === STORAGE_MODES.SYNC) {
+            await writeRulesToStorage(browser.storage.sync, rules, { profileId });
+        } else {
+            await writeRulesToStorage(browser.storage.local, rules, { quotaBytes: Infinity, profileId });
+        }
+    }
+
+    /**
+     * INTERNAL: Write one profile's rules to the current backend, plus the
+     * best-effort sync mirror (private)
+     */
+    async #writeProfileRules(profileId, rules) {
+        await this.#writeRulesToMode(this.storageMode, rules, profileId);
+
+        let mirrorError = null;
+        if (this.storageMode === STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR) {
+            // BEST EFFORT: Local copy is already safe; sync may legitimately be full
+            try {
+                await writeRulesToStorage(browser.storage.sync, rules, { profileId });
+            } catch (error) {
+                mirrorError = error;
+                ctcConsole.warn('Rules saved locally but sync mirror failed:', error.message);
+            }
+        }
+
+        return { mirrorError };
+    }
+
+    /**
+     * INTERNAL: Persist the profile index to the current backend (private)
+     */
+    async #writeRuleProfiles(ruleProfiles) {
+        await this.#writeRuleProfilesToMode(this.storageMode, ruleProfiles);
+        this.ruleProfiles = ruleProfiles;
+    }
+
+    /**
+     * INTERNAL: Persist the profile index to a mode's area (+ mirror) (private)
+     */
+    async #writeRuleProfilesToMode(mode, ruleProfiles) {
+        const item = { [CTC_RULE_PROFILES_KEY]: ruleProfiles };
+        if (mode === STORAGE_MODES.SYNC) {
+            await browser.storage.sync.set(item);
+            return;
+        }
+
+        await browser.storage.local.set(item);
+        if (mode === STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR) {
+            await browser.storage.sync.set(item).catch((error) => {
+                ctcConsole.warn('Profile list saved locally but sync mirror failed:', error.message);
+            });
+        }
+    }
+
+    /**
+     * INTERNAL: Throw unless the profile exists (private)
+     */
+    #requireRuleProfile(profileId) {
+        if (!this.ruleProfiles.profiles.some(profile => profile.id === profileId)) {
+            throw new Error(`Unknown rule profile "${profileId}"`);
+        }
+    }
+
+    /**
+     * INTERNAL: Trimmed profile name, or throw if empty, too long or taken (private)
+     */
+    #checkRuleProfileName(name, ownProfileId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('Profile name can\'t be empty.');
+        }
+        if (trimmed.length > RULE_PROFILE_NAME_MAX_LENGTH) {
+            throw new Error(`Profile name is too long (max ${RULE_PROFILE_NAME_MAX_LENGTH} characters).`);
+        }
+        const taken = this.ruleProfiles.profiles.some(profile =>
+            profile.id !== ownProfileId && profile.name.toLowerCase() === trimmed.toLowerCase());
+        if (taken) {
+            throw new Error(`A profile named "${trimmed}" already exists.`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Load the POST request policy preference
+     * @returns {Promise<string>} Active policy
+     */
+    async loadPostRequestPolicy() {
+        try {
+            const stored = await browser.storage.sync.get(CTC_POST_POLICY_KEY);
+            const policy = stored?.[CTC_POST_POLICY_KEY];
+            this.postRequestPolicy = Object.values(POST_REQUEST_POLICIES).includes(policy)
+                ? policy
+                : POST_REQUEST_POLICIES.SKIP;
+        } catch (error) {
+            ctcConsole.error('Failed to load POST request policy, keeping posts in place:', error);
+            this.postRequestPolicy = POST_REQUEST_POLICIES.SKIP;
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.postRequestPolicy;
+    }
+
+    /**
+     * Persist the POST request policy preference
+     * @param {string} policy - One of POST_REQUEST_POLICIES
+     */
+    async setPostRequestPolicy(policy) {
+        if (!Object.values(POST_REQUEST_POLICIES).includes(policy)) {
+            throw new Error(`Unknown POST request policy "${policy}"`);
+        }
+        await browser.storage.sync.set({ [CTC_POST_POLICY_KEY]: policy });
+        this.postRequestPolicy = policy;
+        this.#scheduleRoutingSnapshot();
+    }
+
+    /**
+     * Load the global switch strategy preference
+     * @returns {Promise<string>} Active strategy
+     */
+    async loadSwitchStrategy() {
+        try {
+            const stored = await browser.storage.sync.get(CTC_SWITCH_STRATEGY_KEY);
+            const strategy = stored?.[CTC_SWITCH_STRATEGY_KEY];
+            this.switchStrategy = Object.values(SWITCH_STRATEGIES).includes(strategy)
+                ? strategy
+                : SWITCH_STRATEGIES.REPLACE;
+        } catch (error) {
+            ctcConsole.error('Failed to load switch strategy, replacing tabs in place:', error);
+            this.switchStrategy = SWITCH_STRATEGIES.REPLACE;
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.switchStrategy;
+    }
+
+    /**
+     * Persist the global switch strategy preference
+     * @param {string} strategy - One of SWITCH_STRATEGIES
+     */
+    async setSwitchStrategy(strategy) {
+        if (!Object.values(SWITCH_STRATEGIES).includes(strategy)) {
+            throw new Error(`Unknown switch strategy "${strategy}"`);
+        }
+        await browser.storage.sync.set({ [CTC_SWITCH_STRATEGY_KEY]: strategy });
+        this.switchStrategy = strategy;
+        this.#scheduleRoutingSnapshot();
+    }
+
+    /**
+     * Load the ambiguous match policy preference
+     * @returns {Promise<string>} Active policy
+     */
+    async loadAmbiguousMatchPolicy() {
+        try {
+            const stored = await browser.storage.sync.get(CTC_AMBIGUOUS_MATCH_KEY);
+            const policy = stored?.[CTC_AMBIGUOUS_MATCH_KEY];
+            this.ambiguousMatchPolicy = Object.values(AMBIGUOUS_MATCH_POLICIES).includes(policy)
+                ? policy
+                : AMBIGUOUS_MATCH_POLICIES.FIRST_RULE;
+        } catch (error) {
+            ctcConsole.error('Failed to load ambiguous match policy, using first matching rule:', error);
+            this.ambiguousMatchPolicy = AMBIGUOUS_MATCH_POLICIES.FIRST_RULE;
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.ambiguousMatchPolicy;
+    }
+
+    /**
+     * Persist the ambiguous match policy preference
+     * @param {string} policy - One of AMBIGUOUS_MATCH_POLICIES
+     */
+    async setAmbiguousMatchPolicy(policy) {
+        if (!Object.values(AMBIGUOUS_MATCH_POLICIES).includes(policy)) {
+            throw new Error(`Unknown ambiguous match policy "${policy}"`);
+        }
+        await browser.storage.sync.set({ [CTC_AMBIGUOUS_MATCH_KEY]: policy });
+        this.ambiguousMatchPolicy = policy;
+        this.#scheduleRoutingSnapshot();
+    }
+
+    /**
+     * Load the per-device list of temporary container cookieStoreIds
+     * @returns {Promise<Set<string>>} Tracked temporary container ids
+     */
+    async loadTemporaryContainers() {
+        try {
+            const stored = await browser.storage.local.get(CTC_TEMPORARY_CONTAINERS_KEY);
+            const ids = stored?.[CTC_TEMPORARY_CONTAINERS_KEY];
+            this.temporaryContainerIds = new Set(Array.isArray(ids) ? ids : []);
+        } catch (error) {
+            ctcConsole.error('Failed to load temporary containers:', error);
+            this.temporaryContainerIds = new Set();
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.temporaryContainerIds;
+    }
+
+    /**
+     * Track (or stop tracking) a temporary container
+     * ORDER: In-memory set first, so lookups made while the write is pending
+     *        already treat the container as temporary
+     * @param {string} cookieStoreId - Container id
+     * @param {boolean} isTemporary - Add when true, remove when false
+     */
+    async setTemporaryContainer(cookieStoreId, isTemporary) {
+        if (isTemporary) {
+            this.temporaryContainerIds.add(cookieStoreId);
+        } else {
+            this.temporaryContainerIds.delete(cookieStoreId);
+        }
+        this.#scheduleRoutingSnapshot();
+        await browser.storage.local.set({
+            [CTC_TEMPORARY_CONTAINERS_KEY]: Array.from(this.temporaryContainerIds)
+        });
+    }
+
+    /**
+     * Load the per-device bookmark → container assignments
+     * @returns {Promise<Map<string, string>>} bookmarkId → cookieStoreId
+     */
+    async loadBookmarkContainers() {
+        try {
+            const stored = await browser.storage.local.get(CTC_BOOKMARK_CONTAINERS_KEY);
+            const assignments = stored?.[CTC_BOOKMARK_CONTAINERS_KEY];
+            this.bookmarkContainers = new Map(
+                assignments && typeof assignments === 'object' ? Object.entries(assignments) : []
+            );
+        } catch (error) {
+            ctcConsole.error('Failed to load bookmark containers:', error);
+            this.bookmarkContainers = new Map();
+        }
+        this.#scheduleRoutingSnapshot();
+        return this.bookmarkContainers;
+    }
+
+    /**
+     * Assign bookmarks to a container, or clear their assignment
+     * @param {Array<string>} bookmarkIds - Bookmarks or folders
+     * @param {?string} cookieStoreId - Container id, null to clear
+     */
+    async assignBookmarksToContainer(bookmarkIds, cookieStoreId) {
+        // NEW MAP: bookmark-containers.js rebuilds its URL index when the Map changes identity
+        const bookmarkContainers = new Map(this.bookmarkContainers);
+        bookmarkIds.forEach(bookmarkId => {
+            if (cookieStoreId) {
+                bookmarkContainers.set(bookmarkId, cookieStoreId);
+            } else {
+                bookmarkContainers.delete(bookmarkId);
+            }
+        });
+        this.bookmarkContainers = bookmarkContainers;
+        this.#scheduleRoutingSnapshot();
+        await browser.storage.local.set({
+            [CTC_BOOKMARK_CONTAINERS_KEY]: Object.fromEntries(this.bookmarkContainers)
+        });
+    }
+
+    /**
+     * @param {string} cookieStoreId - Container id
+     * @returns {boolean} True if the container is a throwaway "isolate" container
+     */
+    isTemporaryContainer(cookieStoreId) {
+        return this.temporaryContainerIds.has(cookieStoreId);
+    }
+
+    /**
+     * RENAME SUPPORT: Persist refreshed container name snapshots
+     * WHY: Stored snapshots are the cross-device fallback; keeping them current
+     *      means a renamed container is still found by name on other devices
+     * ONLY RENAMES ON THIS DEVICE: The stored name must be one the local
+     *      container had (CONTAINER NAME HISTORY). Rules attached by name to
+     *      another device's IDs stay as stored - writing this device's IDs back
+     *      would make every device rewrite them in turn
+     * @returns {Promise<boolean>} True if any snapshot changed and was saved
+     */
+    async persistContainerSnapshots() {
+        // SAFETY: An empty in-memory array before first load must never overwrite storage
+        if (!this.#rulesLoaded) {
+            return false;
+        }
+
+        const storedRules = await readRulesFromStorage(this.#getPrimaryStorageArea(), undefined, {
+            profileId: this.ruleProfiles.activeProfileId
+        });
+        // OUT OF DATE: Stored rules changed since the load; their own reload re-attaches them
+        if (storedRules.length !== this.rules.length ||
+            storedRules.some((rule, index) => rule.urlPattern !== this.rules[index].urlPattern)) {
+            return false;
+        }
+
+        let changed = false;
+        const updatedRules = storedRules.map((rule, index) => {
+            const { containerName, cookieStoreId } = this.rules[index];
+            const renamedHere = containerName !== rule.containerName &&
+                (this.containerNameHistory.get(cookieStoreId) || []).includes(rule.containerName);
+            if (!renamedHere) {
+                return rule;
+            }
+            changed = true;
+            return { ...rule, containerName, cookieStoreId };
+        });
+
+        if (!changed) {
+            return false;
+        }
+
+        ctcConsole.info('Container renamed - updating stored rule snapshots');
+        await this.#writeProfileRules(this.ruleProfiles.activeProfileId, updatedRules);
+        return true;
+    }
+
     /**
      * BOOTSTRAP: Initialize both containers and rules with failure tracking
      * CRITICAL: Extension is non-functional if this fails
@@ -195,6 +986,12 @@ class CtcRepository {
      */
     async initialize(onSuccess, onError) {
         try {
+            await this.loadStorageMode();
+            await this.loadTemporaryContainers();
+            await this.loadBookmarkContainers();
+            await this.loadPostRequestPolicy();
+            await this.loadSwitchStrategy();
+            await this.loadAmbiguousMatchPolicy();
             await this.loadContainers();
             await this.loadRules();
 
@@ -228,11 +1025,13 @@ class CtcRepository {
         return {
             containerMap: this.containerMap,
             cookieStoreToNameMap: this.cookieStoreToNameMap,
-            // For options page - array format
-            containerArray: Array.from(this.containerMap.entries()).map(([name, cookieStoreId]) => ({
-                name,
-                cookieStoreId
-            }))
+            // For options page - array format (temporary containers are not rule targets)
+            containerArray: Array.from(this.containerMap.entries())
+                .filter(([, cookieStoreId]) => !this.isTemporaryContainer(cookieStoreId))
+                .map(([name, cookieStoreId]) => ({
+                    name,
+                    cookieStoreId
+                }))
         };
     }
 
@@ -243,6 +1042,13 @@ class CtcRepository {
         return this.rules;
     }
 
+    /**
+     * Get the compiled live rules (ruleIndex values in traces index compiledRules.rules)
+     */
+    getCompiledRules() {
+        return this.compiledRules;
+    }
+
     /**
      * Get existing data without re-initializing
      * Loads data if not already available
@@ -271,6 +1077,74 @@ class CtcRepository {
     }
 }
 
+/**
+ * Add a rule next to its container's existing rules
+ * ORDERING: Keeps a container's rules contiguous (matches options page save order)
+ * ACTION: Inherited from the container's existing rules (mixing is invalid),
+ *         otherwise "open" ("isolate" for the temporary container sentinel)
+ * PURE FUNCTION: Returns a new array (callers validate, then saveRules)
+ * @param {Array} rules - Current rules
+ * @param {{containerName: string, cookieStoreId: string, urlPattern: string, highPriority: boolean}} newRule
+ * @returns {Array} Rules including the new one
+ */
+function insertRuleForContainer(rules, newRule) {
+    const containerRules = rules.filter(rule => rule.cookieStoreId === newRule.cookieStoreId);
+    const defaultAction = newRule.cookieStoreId === ISOLATED_COOKIE_STORE_ID ? 'isolate' : 'open';
+    const action = containerRules.length > 0 ? containerRules[0].action : defaultAction;
+    const rule = {
+        containerName: newRule.containerName,
+        cookieStoreId: newRule.cookieStoreId,
+        action,
+        urlPattern: newRule.urlPattern,
+        highPriority: newRule.highPriority
+    };
+
+    let lastIndex = -1;
+    rules.forEach((existing, index) => {
+        if (existing.cookieStoreId === newRule.cookieStoreId) {
+            lastIndex = index;
+        }
+    });
+
+    if (lastIndex === -1) {
+        return [...rules, rule];
+    }
+    return [...rules.slice(0, lastIndex + 1), rule, ...rules.slice(lastIndex + 1)];
+}
+
+/**
+ * Rules with a "*.host" rule for a container (the popup's quick-add pattern)
+ * EXISTING: An identical rule is kept (and promoted to tier 1 when highPriority
+ *           is asked for - see PRIORITY TIERS in rule-engine.js)
+ * PURE FUNCTION: Returns the same array when nothing changes
+ * @param {Array} rules - Current rules
+ * @param {string} url - Page the rule is for
+ * @param {{containerName: string, cookieStoreId: string}} container - Destination container
+ * @param {boolean} [highPriority] - Rule should win over other containers' rules
+ * @returns {{rules: Array, urlPattern: string}}
+ */
+function addSiteRule(rules, url, { containerName, cookieStoreId }, highPriority = false) {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    const urlPattern = `*.${host}`;
+    const existing = rules.find(rule => rule.cookieStoreId === cookieStoreId && rule.urlPattern === urlPattern);
+    if (existing && (getRulePriority(existing) > 0 || !highPriority)) {
+        return { rules, urlPattern };
+    }
+
+    if (existing) {
+        // TIER 1: highPriority alone (an explicit priority would override it)
+        const { priority, ...promoted } = existing;
+        return {
+            rules: rules.map(rule => (rule === existing ? { ...promoted, highPriority: true } : rule)),
+            urlPattern
+        };
+    }
+    return {
+        rules: insertRuleForContainer(rules, { containerName, cookieStoreId, urlPattern, highPriority }),
+        urlPattern
+    };
+}
+
 // ============================================================================
 // SINGLETON PATTERN: Create single instance for this execution context
 // ============================================================================
@@ -293,6 +1167,24 @@ const CtcRepo = new CtcRepository();
 // ============================================================================
 if (typeof window !== 'undefined') {
     window.CtcRepo = CtcRepo;
+    window.STORAGE_MODES = STORAGE_MODES;
+    window.CTC_STORAGE_MODE_KEY = CTC_STORAGE_MODE_KEY;
+    window.POST_REQUEST_POLICIES = POST_REQUEST_POLICIES;
+    window.CTC_POST_POLICY_KEY = CTC_POST_POLICY_KEY;
+    window.CTC_SWITCH_STRATEGY_KEY = CTC_SWITCH_STRATEGY_KEY;
+    window.AMBIGUOUS_MATCH_POLICIES = AMBIGUOUS_MATCH_POLICIES;
+    window.CTC_AMBIGUOUS_MATCH_KEY = CTC_AMBIGUOUS_MATCH_KEY;
+    window.insertRuleForContainer = insertRuleForContainer;
+    window.addSiteRule = addSiteRule;
 } else {
     globalThis.CtcRepo = CtcRepo;
+    globalThis.STORAGE_MODES = STORAGE_MODES;
+    globalThis.CTC_STORAGE_MODE_KEY = CTC_STORAGE_MODE_KEY;
+    globalThis.POST_REQUEST_POLICIES = POST_REQUEST_POLICIES;
+    globalThis.CTC_POST_POLICY_KEY = CTC_POST_POLICY_KEY;
+    globalThis.CTC_SWITCH_STRATEGY_KEY = CTC_SWITCH_STRATEGY_KEY;
+    globalThis.AMBIGUOUS_MATCH_POLICIES = AMBIGUOUS_MATCH_POLICIES;
+    globalThis.CTC_AMBIGUOUS_MATCH_KEY = CTC_AMBIGUOUS_MATCH_KEY;
+    globalThis.insertRuleForContainer = insertRuleForContainer;
+    globalThis.addSiteRule = addSiteRule;
 }
@@ -0,0 +1,138 @@
+// Form Resubmission Across Container Switches
+// Keeps POST bodies (SSO/SAML posts, search forms) intact when CTC switches containers
+
+// ============================================================================
+// PROBLEM: A container switch cancels the request and opens a new tab with
+// tabs.create({ url }). That replays any request as a GET without its body.
+//
+// DECISION (per POST_REQUEST_POLICIES in ctc-repository.js):
+//    - GET/HEAD                         → switch as usual
+//    - POST + policy SKIP               → no switch, load in current container
+//    - POST + policy RESUBMIT + fields  → switch via resubmit.html, which
+//                                         rebuilds the form and posts it from
+//                                         the new container tab
+//    - POST + RESUBMIT without fields   → no switch (raw/JSON bodies can't be
+//                                         rebuilt as an HTML form)
+//
+// HANDOFF: The pending form is kept in storage.session under a random token
+// (the background may be unloaded before the resubmit page loads); the
+// resubmit page asks for it once via runtime messaging. Tokens are single use
+// and expire, so a reloaded resubmit page never re-posts.
+// LIMITS: File inputs are not part of requestBody.formData and are dropped;
+// the form is re-posted as application/x-www-form-urlencoded.
+// ============================================================================
+
+const POST_DECISIONS = {
+  SWITCH: "switch",
+  RESUBMIT: "resubmit",
+  SKIP: "skip",
+};
+
+const RESUBMISSION_EXPIRY_MS = 30000; // 30s: Resubmit page loads well within this
+const RESUBMIT_PAGE = "src/resubmit.html";
+const RESUBMISSION_MESSAGE_TYPE = "ctc-take-resubmission";
+const RESUBMISSION_KEY_PREFIX = "ctcResubmission:"; // + token
+
+// PENDING FORMS (storage.session, RESUBMISSION_KEY_PREFIX + token):
+//    { url, formData, createdAt }
+// TAKING: Tokens being handed out right now (a form is posted at most once)
+const takingResubmissions = new Set();
+
+/**
+ * Decide how a request that needs a container switch is handled
+ * PURE FUNCTION: No browser APIs (tested in Node)
+ * @param {string} method - details.method from webRequest
+ * @param {?Object} requestBody - details.requestBody from webRequest
+ * @param {string} policy - One of POST_REQUEST_POLICIES values ("skip" | "resubmit")
+ * @returns {{decision: string, reason: string}} Decision and log-friendly reason
+ */
+function getPostRequestDecision(method, requestBody, policy) {
+  const normalizedMethod = (method || "GET").toUpperCase();
+  if (normalizedMethod === "GET" || normalizedMethod === "HEAD") {
+    return { decision: POST_DECISIONS.SWITCH, reason: `${normalizedMethod} has no body to lose` };
+  }
+
+  if (policy !== "resubmit") {
+    return { decision: POST_DECISIONS.SKIP, reason: `${normalizedMethod} kept in current container by policy` };
+  }
+
+  if (!requestBody?.formData) {
+    const bodyKind = requestBody?.raw ? "raw body" : "unreadable body";
+    return { decision: POST_DECISIONS.SKIP, reason: `${normalizedMethod} with ${bodyKind} cannot be re-submitted` };
+  }
+
+  return { decision: POST_DECISIONS.RESUBMIT, reason: `${normalizedMethod} form re-submitted in new container` };
+}
+
+/**
+ * Stash a form for the resubmit page and return the page URL to open
+ * @param {string} url - Form action (the intercepted request URL)
+ * @param {Object} formData - requestBody.formData (name → string[])
+ * @param {Object} [storageArea] - browser.storage.session (or a test double)
+ * @returns {Promise<string>} moz-extension:// URL of the resubmit page
+ */
+async function prepareFormResubmission(url, formData, storageArea = browser.storage.session) {
+  const now = Date.now();
+  await pruneResubmissions(storageArea, now);
+  const token = crypto.randomUUID();
+  await storageArea.set({ [`${RESUBMISSION_KEY_PREFIX}${token}`]: { url, formData, createdAt: now } });
+  return browser.runtime.getURL(`${RESUBMIT_PAGE}#${token}`);
+}
+
+/**
+ * Hand a stashed form to the resubmit page (once - the key is removed)
+ * @param {Object} storageArea - browser.storage.session (or a test double)
+ * @param {string} token - Resubmit page token (its location.hash)
+ * @param {number} [now] - Current time (default: Date.now())
+ * @returns {Promise<?{url: string, formData: Object}>} Form, or null when
+ *   unknown, already taken or expired
+ */
+async function takeResubmission(storageArea, token, now = Date.now()) {
+  if (takingResubmissions.has(token)) {
+    return null;
+  }
+  takingResubmissions.add(token);
+  try {
+    const key = `${RESUBMISSION_KEY_PREFIX}${token}`;
+    const { [key]: pending } = await storageArea.get(key);
+    await storageArea.remove(key);
+    if (!pending || now - pending.createdAt > RESUBMISSION_EXPIRY_MS) {
+      return null;
+    }
+    return { url: pending.url, formData: pending.formData };
+  } finally {
+    takingResubmissions.delete(token);
+  }
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+async function pruneResubmissions(storageArea, now) {
+  const items = await storageArea.get(null);
+  const expiredKeys = Object.keys(items).filter((key) =>
+    key.startsWith(RESUBMISSION_KEY_PREFIX) && now - items[key].createdAt > RESUBMISSION_EXPIRY_MS);
+  if (expiredKeys.length > 0) {
+    await storageArea.remove(expiredKeys);
+  }
+}
+
+// HANDOFF: resubmit.js asks for its form exactly once
+if (typeof browser !== "undefined") {
+  browser.runtime.onMessage.addListener((message) => {
+    if (message?.type !== RESUBMISSION_MESSAGE_TYPE) {
+      return undefined; // Not ours - let other listeners answer
+    }
+    return takeResubmission(browser.storage.session, message.token);
+  });
+}
+
+// Export for Node tests (background context uses the globals above)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPostRequestDecision,
+    prepareFormResubmission,
+    takeResubmission,
+    POST_DECISIONS,
+    RESUBMISSION_EXPIRY_MS,
+  };
+}
@@ -11,7 +11,7 @@
 //    - Runs in browser tab when user opens extension settings
 //    - Has its own independent CtcRepo instance (separate from background)
 //    - Must call CtcRepo.getData() to load containers and rules
-//    - Saves changes to browser.storage.sync (triggers background reload)
+//    - Saves changes to browser.storage.sync or .local (triggers background reload)
 //
 // DATA FLOW:
 //    1. User opens options → CtcRepo.getData() loads data into THIS context
@@ -25,6 +25,27 @@
 //    - This isolation prevents UI operations from blocking navigation
 // ============================================================================
 
+const SCHEDULE_STATUS_REFRESH_MS = 60 * 1000; // "active now" badges re-checked every minute
+const RULE_ANALYSIS_DELAY_MS = 300; // Re-analyze once typing pauses, not per keystroke
+const RULE_ACTION_LABELS = { open: '🌐 Open', restricted: '🔒 Restricted', isolate: '🧪 Isolate' };
+
+// ============================================================================
+// RULE VIEWS: Same rules, two layouts of the rules table
+// ============================================================================
+// GROUPED: One group per container (add/clear rules, choose the rule type)
+// ORDERED: Every rule in rule order - the order that breaks ties between
+//          rules of the same priority tier (see PRIORITY TIERS in
+//          rule-engine.js) - reordered by drag-and-drop or ↑/↓
+// ORDER IS GLOBAL: The grouped view keeps it too. Each row carries its
+// position (data-rule-order) and rules are collected in that order, so
+// grouping never reorders rules. New rows go to the end.
+// Switching views re-renders from the table's rules, unsaved edits included.
+// ============================================================================
+const RULE_VIEWS = {
+    GROUPED: 'grouped',
+    ORDERED: 'ordered'
+};
+
 // MISSION CONTROL: User interface for managing container routing rules
 // FAILURE MODE: If this crashes, users can't modify rules (extension becomes read-only)
 class CtcOptions {
@@ -37,9 +58,24 @@ class CtcOptions {
         this.rulesTableBody = document.getElementById('rulesTableBody');
         this.validationMessages = document.getElementById('validationMessages');
         this.debugLoggingCheckbox = document.getElementById('debugLoggingCheckbox');
+        this.storageModeSelect = document.getElementById('storageModeSelect');
+        this.postPolicySelect = document.getElementById('postPolicySelect');
+        this.switchStrategySelect = document.getElementById('switchStrategySelect');
+        this.ambiguousMatchSelect = document.getElementById('ambiguousMatchSelect');
+        this.ruleProfileSelect = document.getElementById('ruleProfileSelect');
+        this.ruleProfileNameInput = document.getElementById('ruleProfileNameInput');
+        this.activityTableBody = document.getElementById('activityTableBody');
+        this.activityEntries = [];  // Activity log snapshot (oldest first)
+        this.pendingImport = null;  // Previewed import awaiting "Apply" ({ file, entries })
+        this.ruleAnalysisTimer = null;
+        this.ruleViewSelect = document.getElementById('ruleViewSelect');
+        this.ruleView = RULE_VIEWS.GROUPED; // See RULE VIEWS
+        this.nextRuleOrder = 0;             // data-rule-order for the next new row
+        this.draggedRuleItem = null;        // Ordered view row being dragged
 
         this.initializeEventListeners();
         this.initializeDebugCheckbox();
+        this.renderTimeZoneList();
         this.initializeData();
     }
 
@@ -47,7 +83,27 @@ class CtcOptions {
         document.getElementById('saveRulesTopBtn').addEventListener('click', () => this.saveRulesFromUi());
         document.getElementById('saveRulesBottomBtn').addEventListener('click', () => this.saveRulesFromUi());
         document.getElementById('exportBtn').addEventListener('click', () => this.exportRules());
-        document.getElementById('importBtn').addEventListener('click', () => this.saveRulesFromImport());
+        this.initializeImportListeners();
+        document.getElementById('testUrlBtn').addEventListener('click', () => this.explainTestUrl());
+        this.storageModeSelect.addEventListener('change', () => this.handleStorageModeChange());
+        this.postPolicySelect.addEventListener('change', () => this.handlePostPolicyChange());
+        this.switchStrategySelect.addEventListener('change', () => this.handleSwitchStrategyChange());
+        this.ambiguousMatchSelect.addEventListener('change', () => this.handleAmbiguousMatchChange());
+        this.ruleProfileSelect.addEventListener('change', () => this.handleRuleProfileChange());
+        document.getElementById('createProfileBtn').addEventListener('click', () => this.createRuleProfile());
+        document.getElementById('renameProfileBtn').addEventListener('click', () => this.renameRuleProfile());
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => this.deleteRuleProfile());
+        document.getElementById('activityOutcomeFilter').addEventListener('change', () => this.renderActivity());
+        document.getElementById('activitySearch').addEventListener('input', () => this.renderActivity());
+        document.getElementById('activityRefreshBtn').addEventListener('click', () => this.loadActivity());
+        document.getElementById('activityExportJsonBtn').addEventListener('click', () => this.exportActivity('json'));
+        document.getElementById('activityExportCsvBtn').addEventListener('click', () => this.exportActivity('csv'));
+        document.getElementById('activityClearBtn').addEventListener('click', () => this.clearActivity());
+        // ANALYZER: Any edit in the rules table (inputs, checkboxes, selects) re-runs it
+        this.rulesTableBody.addEventListener('input', () => this.scheduleRuleAnalysis());
+        this.rulesTableBody.addEventListener('change', () => this.scheduleRuleAnalysis());
+        this.ruleViewSelect.addEventListener('change', () => this.switchRuleView(this.ruleViewSelect.value));
+        this.initializeRuleDragAndDrop();
         if (this.debugLoggingCheckbox) {
             this.debugLoggingCheckbox.addEventListener('change', () => this.handleDebugLoggingToggle());
         } else {
@@ -93,6 +149,152 @@ class CtcOptions {
         }
     }
 
+    // POST POLICY: Synced preference, background reloads it via storage.onChanged
+    async handlePostPolicyChange() {
+        const previousPolicy = CtcRepo.postRequestPolicy;
+        try {
+            await CtcRepo.setPostRequestPolicy(this.postPolicySelect.value);
+        } catch (error) {
+            this.postPolicySelect.value = previousPolicy;
+            ctcConsole.error('Failed to save form submission preference:', error);
+            this.showValidationMessage('Could not save the form submission preference.', 'error');
+        }
+    }
+
+    // SWITCH STRATEGY: Synced default for rules without their own switchStrategy
+    async handleSwitchStrategyChange() {
+        const previousStrategy = CtcRepo.switchStrategy;
+        try {
+            await CtcRepo.setSwitchStrategy(this.switchStrategySelect.value);
+        } catch (error) {
+            this.switchStrategySelect.value = previousStrategy;
+            ctcConsole.error('Failed to save switch strategy preference:', error);
+            this.showValidationMessage('Could not save the tab switching preference.', 'error');
+        }
+    }
+
+    // AMBIGUOUS MATCHES: Synced preference, background reloads it via storage.onChanged
+    async handleAmbiguousMatchChange() {
+        const previousPolicy = CtcRepo.ambiguousMatchPolicy;
+        try {
+            await CtcRepo.setAmbiguousMatchPolicy(this.ambiguousMatchSelect.value);
+        } catch (error) {
+            this.ambiguousMatchSelect.value = previousPolicy;
+            ctcConsole.error('Failed to save ambiguous match preference:', error);
+            this.showValidationMessage('Could not save the multiple matches preference.', 'error');
+        }
+    }
+
+    // RULE PROFILES: Select lists every profile, the active one selected
+    renderRuleProfiles() {
+        this.ruleProfileSelect.innerHTML = '';
+        CtcRepo.ruleProfiles.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === CtcRepo.ruleProfiles.activeProfileId;
+            this.ruleProfileSelect.appendChild(option);
+        });
+    }
+
+    // SWITCH PROFILE: Takes effect everywhere at once (background reloads via storage.onChanged)
+    // SAFETY: Refused while the table has unsaved edits - they would be lost
+    async handleRuleProfileChange() {
+        this.clearValidationMessages();
+        const profileId = this.ruleProfileSelect.value;
+
+        if (this.hasUnsavedRuleEdits()) {
+            this.renderRuleProfiles();
+            this.showValidationMessage('Please save or discard your rule changes before switching profiles.', 'error');
+            return;
+        }
+
+        try {
+            this.rules = await CtcRepo.setActiveRuleProfile(profileId);
+            this.renderRules();
+            const { name } = CtcRepo.ruleProfiles.profiles.find(profile => profile.id === profileId);
+            this.showValidationMessage(`Switched to profile "${name}" (${this.rules.length} rules).`, 'success');
+        } catch (error) {
+            ctcConsole.error('Failed to switch rule profile:', error);
+            this.showValidationMessage(`Could not switch profile: ${error.message}`, 'error');
+        }
+        this.renderRuleProfiles();
+    }
+
+    // CREATE PROFILE: Starts as a copy of the saved rules (edit, then save into it)
+    async createRuleProfile() {
+        this.clearValidationMessages();
+        try {
+            const profile = await CtcRepo.createRuleProfile(this.ruleProfileNameInput.value, this.rules);
+            this.ruleProfileNameInput.value = '';
+            this.renderRuleProfiles();
+            this.showValidationMessage(`Profile "${profile.name}" created with a copy of the saved rules. Select it to use it.`, 'success');
+        } catch (error) {
+            ctcConsole.error('Failed to create rule profile:', error);
+            this.showValidationMessage(this.describeProfileError(error, 'create'), 'error');
+        }
+    }
+
+    async renameRuleProfile() {
+        this.clearValidationMessages();
+        try {
+            await CtcRepo.renameRuleProfile(this.ruleProfileSelect.value, this.ruleProfileNameInput.value);
+            this.ruleProfileNameInput.value = '';
+            this.renderRuleProfiles();
+            this.showValidationMessage('Profile renamed.', 'success');
+        } catch (error) {
+            ctcConsole.error('Failed to rename rule profile:', error);
+            this.showValidationMessage(this.describeProfileError(error, 'rename'), 'error');
+        }
+    }
+
+    async deleteRuleProfile() {
+        this.clearValidationMessages();
+        const profile = CtcRepo.ruleProfiles.profiles.find(entry => entry.id === this.ruleProfileSelect.value);
+        if (!profile || !window.confirm(`Delete profile "${profile.name}" and all of its rules?`)) {
+            return;
+        }
+
+        try {
+            await CtcRepo.deleteRuleProfile(profile.id);
+            this.renderRuleProfiles();
+            this.showValidationMessage(`Profile "${profile.name}" deleted.`, 'success');
+        } catch (error) {
+            ctcConsole.error('Failed to delete rule profile:', error);
+            this.showValidationMessage(`Could not delete profile: ${error.message}`, 'error');
+        }
+    }
+
+    // ERROR COPY: Name problems and quota errors are actionable as-is
+    describeProfileError(error, verb) {
+        if (error && error.name === 'QuotaExceededError') {
+            return this.describeSaveError(error, verb);
+        }
+        return `Could not ${verb} profile: ${error.message}`;
+    }
+
+    // UNSAVED EDITS: Table differs from the saved rules of the active profile
+    hasUnsavedRuleEdits() {
+        return !haveSameRules(this.collectRulesFromTable(), this.rules);
+    }
+
+    // STORAGE MODE: Move saved rules to the chosen backend
+    // NOTE: Carries SAVED rules (this.rules), not unsaved table edits
+    async handleStorageModeChange() {
+        const previousMode = CtcRepo.storageMode;
+        const mode = this.storageModeSelect.value;
+
+        try {
+            await CtcRepo.setStorageMode(mode);
+            this.showValidationMessage(`Rule storage switched. ${this.rules.length} saved rules moved.`, 'success');
+        } catch (error) {
+            // Revert select on error (mode unchanged in repository)
+            this.storageModeSelect.value = previousMode;
+            ctcConsole.error('Failed to switch storage mode:', error);
+            this.showValidationMessage(`Could not switch rule storage: ${error.message}`, 'error');
+        }
+    }
+
     // BOOTSTRAP: Load container and rule data into OPTIONS context
     // CRITICAL: This must succeed or user can't configure anything
     // CONTEXT ISOLATION: This loads data into THIS context's CtcRepo instance
@@ -110,7 +312,17 @@ class CtcOptions {
                 ctcConsole.info('Options page initialized with:', this.containers.length, 'containers,', this.rules.length, 'rules');
 
                 // POPULATE UI: Create container groups for all containers
-                this.renderAllContainerGroups();
+                this.storageModeSelect.value = CtcRepo.storageMode;
+                this.postPolicySelect.value = CtcRepo.postRequestPolicy;
+                this.switchStrategySelect.value = CtcRepo.switchStrategy;
+                this.ambiguousMatchSelect.value = CtcRepo.ambiguousMatchPolicy;
+                this.renderRuleProfiles();
+                this.renderRules();
+                this.renderTestContainerOptions();
+                this.loadActivity();
+
+                // SCHEDULES: "active now" badges follow the clock while the page is open
+                setInterval(() => this.refreshScheduleStatuses(), SCHEDULE_STATUS_REFRESH_MS);
             },
             (error) => {
                 // RECOVERY: Extension data unavailable - likely background script crash
@@ -120,34 +332,83 @@ class CtcOptions {
         );
     }
 
+    // RULE VIEWS: Render the rules table in the current view
+    renderRules(rules = this.rules) {
+        this.nextRuleOrder = rules.length;
+        if (this.ruleView === RULE_VIEWS.ORDERED) {
+            this.renderRuleList(rules);
+        } else {
+            this.renderAllContainerGroups(rules);
+        }
+    }
+
+    // RULE VIEWS: Carry the table's (unsaved) rules over to the other view
+    switchRuleView(view) {
+        const rules = this.collectRulesFromTable();
+        this.ruleView = view;
+        this.renderRules(rules);
+    }
+
     // NEW: Render all containers as compound rows
-    renderAllContainerGroups() {
+    renderAllContainerGroups(rules = this.rules) {
         this.rulesTableBody.innerHTML = '';
+        document.getElementById('ruleListEmpty').hidden = true;
+        const { containerMap } = CtcRepo.getContainerData();
 
-        // Group existing rules by container
+        // Group existing rules by container (cookieStoreId survives renames)
+        // ORDER: Each rule remembers its global position (see RULE VIEWS)
+        const ruleOrders = new Map(rules.map((rule, index) => [rule, index]));
         const rulesByContainer = {};
-        this.rules.forEach(rule => {
-            if (!rulesByContainer[rule.containerName]) {
-                rulesByContainer[rule.containerName] = [];
+        const orphanedGroups = new Map();
+        rules.forEach(rule => {
+            if (isRuleOrphaned(rule, containerMap)) {
+                // ORPHANED: Container deleted - group by snapshot so user can see and clear
+                const key = rule.cookieStoreId || rule.containerName;
+                if (!orphanedGroups.has(key)) {
+                    orphanedGroups.set(key, { name: rule.containerName, cookieStoreId: rule.cookieStoreId, rules: [] });
+                }
+                orphanedGroups.get(key).rules.push(rule);
+                return;
+            }
+            if (!rulesByContainer[rule.cookieStoreId]) {
+                rulesByContainer[rule.cookieStoreId] = [];
             }
-            rulesByContainer[rule.containerName].push(rule);
+            rulesByContainer[rule.cookieStoreId].push(rule);
         });
 
         // Render each container (including ones without rules)
         this.containers.forEach(container => {
-            const containerRules = rulesByContainer[container.name] || [];
-            this.renderContainerGroup(container.name, containerRules);
+            const containerRules = rulesByContainer[container.cookieStoreId] || [];
+            this.renderContainerGroup(container, containerRules, false, ruleOrders);
         });
+
+        // Render orphaned rules last, flagged as belonging to a deleted container
+        orphanedGroups.forEach(group => {
+            this.renderContainerGroup(group, group.rules, true, ruleOrders);
+        });
+
+        this.refreshRuleAnalysis();
     }
 
     // NEW: Render a single container group with its URL patterns
-    renderContainerGroup(containerName, existingRules = []) {
+    // containerMissing = rules whose container was deleted (kept until user clears them)
+    // ruleOrders = rule → global position (see RULE VIEWS)
+    renderContainerGroup(container, existingRules = [], containerMissing = false, ruleOrders = new Map()) {
+        const containerName = container.name;
+
         // Clone the container group template
         const template = document.getElementById('container-group-template');
         const groupWrapper = template.content.cloneNode(true);
 
         const containerGroup = groupWrapper.querySelector('.container-group');
         containerGroup.dataset.containerName = containerName;
+        containerGroup.dataset.cookieStoreId = container.cookieStoreId || '';
+
+        if (containerMissing) {
+            containerGroup.classList.add('container-missing');
+            const missingBadge = containerGroup.querySelector('.container-missing-badge');
+            missingBadge.hidden = false;
+        }
 
         // Determine container type from existing rules
         let containerType = 'no-rule';
@@ -159,7 +420,16 @@ class CtcOptions {
         const containerNameSpan = containerGroup.querySelector('.container-name');
         containerNameSpan.textContent = containerName;
 
+        // ISOLATE: Only the temporary-container sentinel takes "isolate" rules,
+        // and it takes nothing else (it is not a real container to stay in)
         const typeSelect = containerGroup.querySelector('.container-type-select');
+        const isIsolatedGroup = container.cookieStoreId === ISOLATED_COOKIE_STORE_ID;
+        typeSelect.querySelectorAll('option').forEach(option => {
+            const isIsolateOption = option.value === 'isolate';
+            if (option.value !== 'no-rule' && isIsolateOption !== isIsolatedGroup) {
+                option.remove();
+            }
+        });
         typeSelect.value = containerType;
         typeSelect.dataset.containerName = containerName;
 
@@ -175,31 +445,146 @@ class CtcOptions {
         // Create URL pattern rows
         if (existingRules.length > 0) {
             existingRules.forEach(rule => {
-                const urlRow = this.createUrlPatternRow(rule.urlPattern, rule.highPriority, containerName);
+                const urlRow = this.createUrlPatternRow(containerName, rule, ruleOrders.get(rule));
                 containerGroup.appendChild(urlRow);
             });
         } else if (containerType !== 'no-rule') {
             // Show one empty URL row for enabled containers
-            const urlRow = this.createUrlPatternRow('', false, containerName);
+            const urlRow = this.createUrlPatternRow(containerName);
             containerGroup.appendChild(urlRow);
         }
 
         this.rulesTableBody.appendChild(groupWrapper);
     }
 
+    // ORDERED VIEW: Every rule in rule order (see RULE VIEWS)
+    // Rule type and container are edited in the grouped view
+    renderRuleList(rules = this.rules) {
+        this.rulesTableBody.innerHTML = '';
+        const { containerMap } = CtcRepo.getContainerData();
+
+        rules.forEach(rule => {
+            this.rulesTableBody.appendChild(this.createRuleListItem(rule, isRuleOrphaned(rule, containerMap)));
+        });
+        document.getElementById('ruleListEmpty').hidden = rules.length > 0;
+
+        this.renumberRuleList();
+        this.refreshRuleAnalysis();
+    }
+
+    createRuleListItem(rule, containerMissing) {
+        const template = document.getElementById('rule-list-item-template');
+        const item = template.content.cloneNode(true).querySelector('.rule-list-item');
+        item.dataset.containerName = rule.containerName;
+        item.dataset.cookieStoreId = rule.cookieStoreId || '';
+        item.dataset.action = rule.action;
+        item.classList.toggle('container-missing', containerMissing);
+
+        const containerLabel = item.querySelector('.rule-container-label');
+        containerLabel.textContent = `${RULE_ACTION_LABELS[rule.action]} · ${rule.containerName}`;
+        item.querySelector('.container-missing-badge').hidden = !containerMissing;
+
+        item.querySelector('.move-up-btn').onclick = () => this.moveRuleListItem(item, -1);
+        item.querySelector('.move-down-btn').onclick = () => this.moveRuleListItem(item, 1);
+
+        item.querySelector('.rule-list-cell').appendChild(this.createUrlPatternRow(rule.containerName, rule));
+        return item;
+    }
+
+    // ORDERED VIEW: ↑/↓ buttons (keyboard alternative to dragging)
+    moveRuleListItem(item, direction) {
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) {
+            return;
+        }
+        this.rulesTableBody.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+        this.renumberRuleList();
+        this.scheduleRuleAnalysis();
+    }
+
+    // ORDERED VIEW: Rule numbers as used by the URL tester, popup and activity log
+    renumberRuleList() {
+        this.rulesTableBody.querySelectorAll('.rule-list-item').forEach((item, index) => {
+            item.querySelector('.rule-number').textContent = index + 1;
+        });
+    }
+
+    // ORDERED VIEW: Drag a row by its handle, drop it before/after another row
+    // Listeners live on the table body, so they survive re-renders
+    initializeRuleDragAndDrop() {
+        this.rulesTableBody.addEventListener('dragstart', (e) => {
+            const handle = e.target.closest('.drag-handle');
+            if (!handle) {
+                return;
+            }
+            this.draggedRuleItem = handle.closest('.rule-list-item');
+            this.draggedRuleItem.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', ''); // Firefox only starts drags that carry data
+            e.dataTransfer.setDragImage(this.draggedRuleItem, 0, 0);
+        });
+
+        this.rulesTableBody.addEventListener('dragover', (e) => {
+            if (!this.draggedRuleItem) {
+                return;
+            }
+            e.preventDefault(); // Allow dropping here
+            const target = e.target.closest('.rule-list-item');
+            if (!target || target === this.draggedRuleItem) {
+                return;
+            }
+            const { top, height } = target.getBoundingClientRect();
+            const after = e.clientY > top + height / 2;
+            this.rulesTableBody.insertBefore(this.draggedRuleItem, after ? target.nextElementSibling : target);
+        });
+
+        this.rulesTableBody.addEventListener('drop', (e) => {
+            if (this.draggedRuleItem) {
+                e.preventDefault(); // Row already moved in dragover
+            }
+        });
+
+        this.rulesTableBody.addEventListener('dragend', () => {
+            if (!this.draggedRuleItem) {
+                return;
+            }
+            this.draggedRuleItem.classList.remove('dragging');
+            this.draggedRuleItem = null;
+            this.renumberRuleList();
+            this.scheduleRuleAnalysis();
+        });
+    }
 
     // NEW: Create a URL pattern row within a container
-    createUrlPatternRow(urlPattern = '', highPriority = false, containerName) {
+    // rule = existing rule to show (empty row when omitted)
+    // ruleOrder = global position (see RULE VIEWS); new rows go to the end
+    createUrlPatternRow(containerName, rule = {}, ruleOrder = this.nextRuleOrder++) {
         // Clone the URL pattern row template
         const template = document.getElementById('url-pattern-row-template');
         const row = template.content.cloneNode(true).querySelector('.url-pattern-row');
+        row.dataset.ruleOrder = ruleOrder;
 
         // Set values
         const urlInput = row.querySelector('.url-pattern-input');
-        urlInput.value = urlPattern;
+        urlInput.value = rule.urlPattern || '';
 
-        const priorityCheckbox = row.querySelector('.priority-checkbox');
-        priorityCheckbox.checked = highPriority;
+        // EXCLUSIONS: One pattern per line (patterns may contain spaces and commas)
+        const excludeInput = row.querySelector('.exclude-patterns-input');
+        excludeInput.value = (rule.excludePatterns || []).join('\n');
+        excludeInput.addEventListener('input', (e) => this.validateExcludePatterns(e.target));
+
+        // SOURCE CONDITIONS: Collapsed unless the rule already has some
+        this.populateSourceConditions(row, rule.source || {});
+
+        // SCHEDULE: Collapsed unless the rule already has one
+        this.populateScheduleConditions(row, rule.schedule || null);
+
+        // SWITCH STRATEGY: Empty = follow the global preference
+        row.querySelector('.switch-strategy-select').value = rule.switchStrategy || '';
+
+        // PRIORITY TIER: Empty = 0 (see PRIORITY TIERS in rule-engine.js)
+        const priority = getRulePriority(rule);
+        row.querySelector('.priority-input').value = priority !== 0 ? priority : '';
 
         // Set up delete button
         const deleteBtn = row.querySelector('.delete-btn');
@@ -235,7 +620,7 @@ class CtcOptions {
             // Add one empty URL row if none exist
             const existingUrlRows = containerGroup.querySelectorAll('.url-pattern-row');
             if (existingUrlRows.length === 0) {
-                const urlRow = this.createUrlPatternRow('', false, containerName);
+                const urlRow = this.createUrlPatternRow(containerName);
                 containerGroup.appendChild(urlRow);
             }
         }
@@ -245,25 +630,46 @@ class CtcOptions {
     addUrlPatternToContainer(containerName) {
         const containerGroup = this.rulesTableBody.querySelector(`[data-container-name="${containerName}"]`);
         if (containerGroup) {
-            const urlRow = this.createUrlPatternRow('', false, containerName);
+            const urlRow = this.createUrlPatternRow(containerName);
             containerGroup.appendChild(urlRow);
         }
     }
 
     // NEW: Delete URL pattern from container
     deleteUrlPattern(urlRow, containerName) {
+        // ORDERED VIEW: The rule simply leaves the list
+        const listItem = urlRow.closest('.rule-list-item');
+        if (listItem) {
+            listItem.remove();
+            this.renumberRuleList();
+            this.scheduleRuleAnalysis();
+            return;
+        }
+
         const containerGroup = urlRow.closest('.container-group');
         const urlRows = containerGroup.querySelectorAll('.url-pattern-row');
 
         if (urlRows.length > 1) {
             urlRow.remove();
+            this.scheduleRuleAnalysis();
         } else {
             // Clear the last row instead of removing it
             const urlInput = urlRow.querySelector('.url-pattern-input');
-            const priorityCheckbox = urlRow.querySelector('.priority-checkbox');
+            const excludeInput = urlRow.querySelector('.exclude-patterns-input');
             urlInput.value = '';
-            priorityCheckbox.checked = false;
+            excludeInput.value = '';
+            urlRow.querySelector('.priority-input').value = '';
+            urlRow.querySelector('.source-url-input').value = '';
+            urlRow.querySelector('.source-container-select').value = '';
+            urlRow.querySelector('.source-external-select').value = '';
+            urlRow.querySelector('.switch-strategy-select').value = '';
+            urlRow.querySelector('.source-conditions').classList.remove('has-conditions');
+            urlRow.querySelectorAll('.schedule-days input').forEach(input => { input.checked = false; });
+            urlRow.querySelector('.schedule-times-input').value = '';
+            urlRow.querySelector('.schedule-timezone-input').value = '';
+            this.updateScheduleStatus(urlRow);
             this.setInputValidation(urlInput, '', '');
+            this.scheduleRuleAnalysis();
         }
     }
 
@@ -280,6 +686,7 @@ class CtcOptions {
                 typeSelect.value = 'no-rule';
                 this.handleContainerTypeChange(typeSelect);
             }
+            this.scheduleRuleAnalysis();
         }
     }
 
@@ -291,22 +698,136 @@ class CtcOptions {
             return true;
         }
 
-        // Check if it's regex mode (enclosed in /.../)
-        if (pattern.startsWith('/') && pattern.endsWith('/') && pattern.length > 2) {
-            try {
-                const regexPattern = pattern.slice(1, -1);
-                new RegExp(regexPattern);
-                this.setInputValidation(input, 'valid', '');
-                return true;
-            } catch (error) {
-                this.setInputValidation(input, 'invalid', 'Invalid regex pattern');
-                return false;
-            }
-        } else {
-            // Literal mode - always valid as long as it's not empty
-            this.setInputValidation(input, 'valid', '');
-            return true;
+        // Regex and structured patterns must parse; literal patterns are always valid
+        const patternError = getPatternError(pattern);
+        if (patternError) {
+            this.setInputValidation(input, 'invalid', patternError);
+            return false;
         }
+
+        this.setInputValidation(input, 'valid', '');
+        return true;
+    }
+
+    populateSourceConditions(row, source) {
+        const details = row.querySelector('.source-conditions');
+        const sourceUrlInput = row.querySelector('.source-url-input');
+        const containerSelect = row.querySelector('.source-container-select');
+        const externalSelect = row.querySelector('.source-external-select');
+
+        // Opener containers by cookieStoreId (survives renames); sentinel is never an opener
+        this.containers
+            .filter(container => container.cookieStoreId !== ISOLATED_COOKIE_STORE_ID)
+            .forEach(container => {
+                const option = document.createElement('option');
+                option.value = container.cookieStoreId;
+                option.dataset.containerName = container.name;
+                option.textContent = `Opened from ${container.name}`;
+                containerSelect.appendChild(option);
+            });
+
+        sourceUrlInput.value = source.urlPattern || '';
+        containerSelect.value = source.cookieStoreId || '';
+        externalSelect.value = typeof source.external === 'boolean' ? String(source.external) : '';
+
+        const hasConditions = Object.keys(collectSourceConditions(row)).length > 0;
+        details.classList.toggle('has-conditions', hasConditions);
+        details.open = hasConditions;
+
+        sourceUrlInput.addEventListener('input', (e) => this.validateUrlPattern(e.target));
+        details.addEventListener('change', () => {
+            details.classList.toggle('has-conditions', Object.keys(collectSourceConditions(row)).length > 0);
+        });
+    }
+
+    populateScheduleConditions(row, schedule) {
+        const details = row.querySelector('.schedule-conditions');
+        const days = schedule?.days || [];
+        row.querySelectorAll('.schedule-days input').forEach(input => {
+            input.checked = days.includes(Number(input.value));
+        });
+        row.querySelector('.schedule-times-input').value = (schedule?.times || [])
+            .map(range => `${range.start}-${range.end}`)
+            .join(', ');
+        row.querySelector('.schedule-timezone-input').value = schedule?.timeZone || '';
+
+        details.open = Boolean(schedule);
+        this.updateScheduleStatus(row);
+        details.addEventListener('input', () => this.updateScheduleStatus(row));
+        details.addEventListener('change', () => this.updateScheduleStatus(row));
+    }
+
+    // SCHEDULE STATUS: "active now" / "not active now" from the row's unsaved values
+    updateScheduleStatus(row) {
+        const details = row.querySelector('.schedule-conditions');
+        const status = row.querySelector('.schedule-status');
+        const schedule = collectScheduleConditions(row);
+        const error = schedule ? getScheduleError(schedule) : null;
+        const active = schedule && !error ? isScheduleActive(schedule) : true;
+
+        details.classList.toggle('has-conditions', Boolean(schedule));
+        row.classList.toggle('schedule-invalid', Boolean(error));
+        row.classList.toggle('schedule-inactive', !error && !active);
+        status.textContent = !schedule ? '' : error ? ' · invalid' : active ? ' · active now' : ' · not active now';
+        status.title = error || '';
+    }
+
+    refreshScheduleStatuses() {
+        this.rulesTableBody.querySelectorAll('.url-pattern-row').forEach(row => this.updateScheduleStatus(row));
+    }
+
+    scheduleRuleAnalysis() {
+        clearTimeout(this.ruleAnalysisTimer);
+        this.ruleAnalysisTimer = setTimeout(() => this.refreshRuleAnalysis(), RULE_ANALYSIS_DELAY_MS);
+    }
+
+    // ANALYZER: Shadowed/overlapping/ambiguous rules and risky regexes, listed
+    // under each row for the table's unsaved rules (see rule-analyzer.js)
+    // ORPHANED rules are skipped like in routing (rendered last, so numbering holds)
+    refreshRuleAnalysis() {
+        clearTimeout(this.ruleAnalysisTimer);
+        this.rulesTableBody.querySelectorAll('.rule-analysis').forEach(list => {
+            list.innerHTML = '';
+            list.hidden = true;
+        });
+
+        const { containerMap } = CtcRepo.getContainerData();
+        const ruleRows = this.collectRuleRowsFromTable().filter(({ rule }) => !isRuleOrphaned(rule, containerMap));
+        analyzeRules(ruleRows.map(({ rule }) => rule)).forEach(finding => {
+            const list = ruleRows[finding.ruleIndex].row.querySelector('.rule-analysis');
+            const item = document.createElement('li');
+            item.className = `analysis-${finding.severity}`;
+            item.textContent = finding.message;
+            list.appendChild(item);
+            list.hidden = false;
+        });
+    }
+
+    // TIME ZONES: Suggestions only - any IANA zone typed in is validated on save
+    renderTimeZoneList() {
+        const datalist = document.getElementById('timeZoneList');
+        if (!datalist || typeof Intl.supportedValuesOf !== 'function') {
+            return;
+        }
+        Intl.supportedValuesOf('timeZone').forEach(timeZone => {
+            const option = document.createElement('option');
+            option.value = timeZone;
+            datalist.appendChild(option);
+        });
+    }
+
+    validateExcludePatterns(textarea) {
+        const invalid = parseExcludePatterns(textarea.value)
+            .map(pattern => ({ pattern, error: getPatternError(pattern) }))
+            .find(result => result.error);
+
+        if (invalid) {
+            this.setInputValidation(textarea, 'invalid', `${invalid.error} in exclusion "${invalid.pattern}"`);
+            return false;
+        }
+
+        this.setInputValidation(textarea, '', '');
+        return true;
     }
 
     setInputValidation(input, className, message) {
@@ -354,13 +875,34 @@ class CtcOptions {
     }
 
     collectRulesFromTable() {
-        const rules = [];
+        return this.collectRuleRowsFromTable().map(({ rule }) => rule);
+    }
+
+    // Rules in save order (rule order, see RULE VIEWS), each with the table row it came from
+    collectRuleRowsFromTable() {
+        // ORDERED VIEW: Row order is the rule order
+        if (this.ruleView === RULE_VIEWS.ORDERED) {
+            return Array.from(this.rulesTableBody.querySelectorAll('.rule-list-item'))
+                .map(item => {
+                    const row = item.querySelector('.url-pattern-row');
+                    const rule = collectRuleFromRow(row, {
+                        containerName: item.dataset.containerName,
+                        cookieStoreId: item.dataset.cookieStoreId || undefined,
+                        action: item.dataset.action
+                    });
+                    return { rule, row };
+                })
+                .filter(({ rule }) => rule);
+        }
+
+        const ruleRows = [];
 
         // Collect rules from all container groups
         const containerGroups = this.rulesTableBody.querySelectorAll('.container-group');
 
         containerGroups.forEach(containerGroup => {
             const containerName = containerGroup.dataset.containerName;
+            const cookieStoreId = containerGroup.dataset.cookieStoreId || undefined;
             const typeSelect = containerGroup.querySelector('.container-type-select');
             const action = typeSelect.value;
 
@@ -369,110 +911,210 @@ class CtcOptions {
                 return;
             }
 
-            // Collect URL patterns from this container
-            const urlRows = containerGroup.querySelectorAll('.url-pattern-row');
-            urlRows.forEach(urlRow => {
-                const urlInput = urlRow.querySelector('.url-pattern-input');
-                const priorityCheckbox = urlRow.querySelector('.priority-checkbox');
-                const urlPattern = urlInput.value.trim();
-                const highPriority = priorityCheckbox.checked;
-
-                // Only include rules with valid URL patterns
-                if (urlPattern) {
-                    rules.push({
-                        containerName,
-                        action,
-                        urlPattern,
-                        highPriority
-                    });
+            // Collect URL patterns from this container (only rows with a pattern)
+            containerGroup.querySelectorAll('.url-pattern-row').forEach(urlRow => {
+                const rule = collectRuleFromRow(urlRow, { containerName, cookieStoreId, action });
+                if (rule) {
+                    ruleRows.push({ rule, row: urlRow });
                 }
             });
         });
 
-        return rules;
+        // GLOBAL ORDER: Grouped by container on screen, saved in rule order
+        return ruleRows.sort((a, b) => Number(a.row.dataset.ruleOrder) - Number(b.row.dataset.ruleOrder));
     }
 
-    // VALIDATION ENGINE: Comprehensive rule safety checks
-    // PURPOSE: Prevent user from creating rules that break navigation
-    validateAllRules(rules) {
-        const errors = [];   // BLOCKING: Must fix these to save
-        const warnings = []; // ADVISORY: Should consider fixing
-
-        // CRITICAL CHECK: Container rule consistency
-        // PROBLEM: Mixing "open" and "restricted" rules creates undefined behavior
-        // EXAMPLE: Work container with both "allow github.com" and "only allow work.com"
-        const containerRules = {};
-        rules.forEach((rule, index) => {
-            if (!containerRules[rule.containerName]) {
-                containerRules[rule.containerName] = { open: 0, restricted: 0, ruleNumbers: [] };
-            }
-            if (rule.action === 'open') {
-                containerRules[rule.containerName].open++;
-            } else if (rule.action === 'restricted') {
-                containerRules[rule.containerName].restricted++;
-            }
-            containerRules[rule.containerName].ruleNumbers.push(index + 1);
+    // URL TESTER: Populate "clicked from" container picker
+    renderTestContainerOptions() {
+        const select = document.getElementById('testCurrentContainer');
+        select.innerHTML = '';
+        this.containers.forEach(container => {
+            const option = document.createElement('option');
+            option.value = container.name;
+            option.textContent = container.name;
+            select.appendChild(option);
         });
+    }
 
-        // ENFORCE: No mixed rule types per container
-        for (const [container, counts] of Object.entries(containerRules)) {
-            if (counts.open > 0 && counts.restricted > 0) {
-                errors.push(`Container "${container}" cannot mix 'open' and 'restricted' rules. All rules for a container must be the same type.`);
-            }
+    // URL TESTER: Render explainContainerForUrl trace for the table's current rules
+    // WHY: "Why did this open here" without enabling debug logging
+    explainTestUrl() {
+        const traceList = document.getElementById('testUrlTrace');
+        traceList.innerHTML = '';
+
+        const url = document.getElementById('testUrlInput').value.trim();
+        const currentContainerName = document.getElementById('testCurrentContainer').value;
+
+        try {
+            new URL(url);
+        } catch (error) {
+            this.showValidationMessage('Enter a full URL including https:// to test.', 'error');
+            return;
         }
 
-        // INDIVIDUAL RULE VALIDATION: Check each rule for safety issues
-        rules.forEach((rule, index) => {
-            // CRITICAL: Prevent rules that block ALL navigation
-            // FAILURE MODE: "Restricted" + "*" = user can't browse anywhere
-            if (rule.action === 'restricted' && rule.urlPattern === '*') {
-                errors.push(`Rule ${index + 1}: "Restricted" with "*" pattern blocks all navigation`);
-            }
+        // SAME INPUTS AS BACKGROUND: Orphaned rules are skipped during routing
+        const { containerMap } = CtcRepo.getContainerData();
+        const rules = this.collectRulesFromTable();
+        const liveRules = rules.filter(rule => !isRuleOrphaned(rule, containerMap));
+        const navigationContext = {
+            sourceUrl: document.getElementById('testSourceUrl').value.trim() || null,
+            openerCookieStoreId: containerMap.get(currentContainerName) || null, // Link clicked in that container's tab
+            external: document.getElementById('testExternal').checked
+        };
+        const trace = explainContainerForUrl(url, currentContainerName, liveRules, containerMap, navigationContext);
+        const ruleNumber = (liveIndex) => rules.indexOf(liveRules[liveIndex]) + 1;
+
+        const addStep = (text, className) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            if (className) item.className = className;
+            traceList.appendChild(item);
+            return item;
+        };
+
+        // PHASE 1: Starting point
+        addStep(`Start in "${trace.startingContainer}".`);
+
+        // PHASE 2: Restricted container exit
+        const { restrictedCheck } = trace;
+        if (!restrictedCheck.applies) {
+            addStep(`"${trace.startingContainer}" is not restricted, so staying is allowed.`);
+        } else if (restrictedCheck.forcedExit) {
+            addStep(`"${trace.startingContainer}" is restricted and none of its rules match, so the tab must leave.`);
+        } else {
+            addStep(`"${trace.startingContainer}" is restricted; rule ${ruleNumber(restrictedCheck.matchedRuleIndex)} matches, so staying is allowed.`);
+        }
 
-            // PRIVACY WARNING: Overly broad patterns leak browsing data
-            if (rule.urlPattern === '.*') {
-                warnings.push(`Rule ${index + 1}: Wildcard pattern '.*' reduces privacy - use specific patterns when possible`);
-            }
+        // PHASE 3: Every matching rule
+        if (trace.matchingRules.length === 0) {
+            addStep('No rules match this URL.');
+        } else {
+            const matchesItem = addStep(`${trace.matchingRules.length} matching rule(s):`);
+            const matchesList = document.createElement('ul');
+            trace.matchingRules.forEach(match => {
+                const matchItem = document.createElement('li');
+                const priority = match.priority !== 0 ? `, priority ${match.priority}` : '';
+                matchItem.textContent = `Rule ${ruleNumber(match.ruleIndex)}: ${match.containerName} · ${match.urlPattern} (${match.action}${priority})`;
+                matchesList.appendChild(matchItem);
+            });
+            matchesItem.appendChild(matchesList);
+        }
 
-            // SYNTAX CHECK: Ensure regex patterns are valid
-            // FAILURE MODE: Invalid regex crashes rule evaluation
-            try {
-                new RegExp(rule.urlPattern);
-            } catch (error) {
-                errors.push(`Rule ${index + 1}: Invalid regex pattern "${rule.urlPattern}"`);
-            }
-        });
+        // PHASE 4: Which precedence step picked the winner
+        const decidingRule = trace.decision.ruleIndex !== null ? `rule ${ruleNumber(trace.decision.ruleIndex)}` : null;
+        const stepDescriptions = {
+            [DECISION_STEPS.STAY_MATCHED]: `Current container matches (${decidingRule}), stay put.`,
+            [DECISION_STEPS.HIGH_PRIORITY]: `First match of the highest priority wins (${decidingRule}).`,
+            [DECISION_STEPS.RULE_ORDER]: `No match with priority above 0; first match of the highest priority wins (${decidingRule}).`,
+            [DECISION_STEPS.STAY_NO_MATCH]: 'Nothing else matches, stay put.',
+            [DECISION_STEPS.NO_CONTAINER]: 'Nothing matches, fall back to No Container.'
+        };
+        addStep(stepDescriptions[trace.decision.step]);
+
+        addStep(`Opens in "${trace.targetContainer}".`, 'trace-result');
+    }
 
-        // PRECEDENCE ANALYSIS: Check for conflicting high-priority rules
-        // ISSUE: Multiple high-priority rules for same pattern create ambiguity
-        const highPriorityPatterns = {};
-        rules.forEach((rule, index) => {
-            if (rule.highPriority) {
-                if (highPriorityPatterns[rule.urlPattern]) {
-                    highPriorityPatterns[rule.urlPattern].push(index + 1);
-                } else {
-                    highPriorityPatterns[rule.urlPattern] = [index + 1];
-                }
-            }
+    // ACTIVITY LOG: Snapshot of the background's decision log (see activity-log.js)
+    // NOTE: Background flushes in batches, so "Refresh" may be needed right after browsing
+    async loadActivity() {
+        try {
+            this.activityEntries = await readActivityLog(browser.storage.local);
+        } catch (error) {
+            ctcConsole.error('Failed to load activity log:', error);
+            this.activityEntries = [];
+        }
+        this.renderActivity();
+    }
+
+    getFilteredActivity() {
+        return filterActivityEntries(this.activityEntries, {
+            outcome: document.getElementById('activityOutcomeFilter').value,
+            search: document.getElementById('activitySearch').value
         });
+    }
 
-        // WARN: Multiple high-priority rules - behavior is implementation dependent
-        Object.entries(highPriorityPatterns).forEach(([pattern, ruleNumbers]) => {
-            if (ruleNumbers.length > 1) {
-                warnings.push(`Pattern "${pattern}" has multiple high priority rules (${ruleNumbers.join(', ')}). Only one will be used.`);
-            }
+    renderActivity() {
+        this.activityTableBody.innerHTML = '';
+        const entries = this.getFilteredActivity().slice().reverse(); // Newest first
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            const addCell = (text, className) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (className) cell.className = className;
+                row.appendChild(cell);
+            };
+
+            const route = entry.toContainer && entry.toContainer !== entry.fromContainer
+                ? `${entry.fromContainer} → ${entry.toContainer}`
+                : entry.fromContainer || '—';
+            const rule = entry.ruleIndex !== null && entry.ruleIndex !== undefined
+                ? ` (rule ${entry.ruleIndex + 1}: ${entry.rulePattern})`
+                : '';
+
+            addCell(new Date(entry.timestamp).toLocaleString(), 'activity-time');
+            addCell(entry.url, 'activity-url');
+            addCell(route);
+            addCell(entry.outcome, `activity-outcome-${entry.outcome}`);
+            const dataSource = entry.dataSource ? ` [${entry.dataSource}]` : '';
+            addCell(`${entry.reason}${rule}${dataSource}`);
+            this.activityTableBody.appendChild(row);
         });
 
-        return { errors, warnings };
+        document.getElementById('activityEmpty').hidden = entries.length > 0;
+    }
+
+    // EXPORT: Download what the filter currently shows (oldest first, like storage)
+    exportActivity(format) {
+        const entries = this.getFilteredActivity();
+        const content = format === 'csv'
+            ? activityEntriesToCsv(entries)
+            : JSON.stringify(entries, null, 2);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = `ctc-activity-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async clearActivity() {
+        try {
+            await browser.storage.local.remove(CTC_ACTIVITY_LOG_KEY);
+            this.activityEntries = [];
+            this.renderActivity();
+        } catch (error) {
+            ctcConsole.error('Failed to clear activity log:', error);
+            this.showValidationMessage('Could not clear the activity log.', 'error');
+        }
+    }
+
+    // VALIDATION ENGINE: Comprehensive rule safety checks (see rule-validation.js)
+    // PURPOSE: Prevent user from creating rules that break navigation
+    validateAllRules(rules) {
+        const { containerMap } = CtcRepo.getContainerData();
+        return validateAllRules(rules, containerMap);
     }
 
     // PERSIST: Low-level storage operation (private)
-    // Encodes and saves rules to browser.storage.sync
+    // Delegates encoding and storage writes to CtcRepo
     async #saveRules(rules) {
-        const encodedRules = await encodeRulesForStorage(rules);
-        ctcConsole.log("saving to browser.storage.sync");
-        await browser.storage.sync.set({ ctcRules: encodedRules });
+        const result = await CtcRepo.saveRules(rules);
         this.rules = rules;
+        return result;
+    }
+
+    // ERROR COPY: Quota errors carry an actionable message; everything else is generic
+    describeSaveError(error, verb) {
+        if (error && error.name === 'QuotaExceededError') {
+            // ESCAPE HATCH: Local storage has no practical size limit
+            return CtcRepo.storageMode === STORAGE_MODES.SYNC
+                ? `${error.message} Or switch "Rule storage" to a local mode.`
+                : error.message;
+        }
+        return `Failed to ${verb} rules. Please try again.`;
     }
 
     // COMMIT: Save user rules from UI to extension storage
@@ -509,14 +1151,18 @@ class CtcOptions {
                 this.showValidationMessage(`Saved with warnings. Check console for details.`, 'warning');
             }
 
-            // PERSIST: Write rules to Firefox sync storage
+            // PERSIST: Write rules to the active storage backend
             // CRITICAL: This triggers background script to reload rules
-            await this.#saveRules(rules);
+            const { mirrorError } = await this.#saveRules(rules);
 
             // SUCCESS FEEDBACK: Confirm save to user
             const successMessage = `${rules.length} rules saved successfully`;
             ctcConsole.info(successMessage);
-            this.showValidationMessage(`${rules.length} rules saved successfully.`, 'success');
+            if (mirrorError) {
+                this.showValidationMessage(`${rules.length} rules saved on this device. Sync mirror skipped: ${mirrorError.message}`, 'warning');
+            } else {
+                this.showValidationMessage(`${rules.length} rules saved successfully.`, 'success');
+            }
 
             // Debug output: show rules in console table format (only if debug mode is enabled)
             if (typeof ctcConsole.table === 'function') {
@@ -524,9 +1170,10 @@ class CtcOptions {
                 ctcConsole.table(rules.map((rule, index) => ({
                     '#': index + 1,
                     Container: rule.containerName,
-                    Type: rule.action === 'open' ? '🌐 Open' : '🔒 Restricted',
+                    Type: RULE_ACTION_LABELS[rule.action],
                     'URL Pattern': rule.urlPattern,
-                    'High Priority': rule.highPriority ? 'Yes' : 'No'
+                    Except: (rule.excludePatterns || []).join(', '),
+                    Priority: getRulePriority(rule)
                 })));
             }
 
@@ -535,124 +1182,359 @@ class CtcOptions {
             // RECOVERY: Save operation failed - could be storage quota, network, etc
             // FAILURE MODE: User loses all their configuration work
             ctcConsole.error('Failed to save rules:', error);
-            this.showValidationMessage('Failed to save rules. Please try again.', 'error');
+            this.showValidationMessage(this.describeSaveError(error, 'save'), 'error');
         }
     }
 
-    // EXPORT: Export rules to JSON for backup/sharing
+    // EXPORT: Download rules as a versioned file (see rule-transfer.js)
     // REQUIREMENT: User must save rules before exporting (ensures consistency)
-    exportRules() {
+    // SCOPE: Current profile → file with `rules`; all profiles → file with `profiles`
+    async exportRules() {
         this.clearValidationMessages();
 
         try {
-            // HARVEST: Get current rules from UI
-            const currentRules = this.collectRulesFromTable();
-
             // CONSISTENCY CHECK: Compare current UI state with saved rules
             // PURPOSE: Prevent exporting unsaved/unvalidated rules
-            const currentRulesJson = JSON.stringify(currentRules);
-            const savedRulesJson = JSON.stringify(this.rules);
-
-            if (currentRulesJson !== savedRulesJson) {
+            if (this.hasUnsavedRuleEdits()) {
                 this.showValidationMessage('Please save rules first before exporting.', 'error');
                 return;
             }
 
-            // EXPORT: Convert to single-line JSON for easy copy-paste
-            const exportJson = JSON.stringify(this.rules);
+            const fileOptions = {
+                containers: this.containers.filter(container => container.cookieStoreId !== ISOLATED_COOKIE_STORE_ID),
+                extensionVersion: browser.runtime.getManifest().version
+            };
+            const allProfiles = document.getElementById('exportScopeSelect').value === 'all';
+            if (allProfiles) {
+                const { activeProfileId, profiles } = CtcRepo.ruleProfiles;
+                fileOptions.profiles = [];
+                for (const profile of profiles) {
+                    fileOptions.profiles.push({ name: profile.name, rules: await CtcRepo.readRuleProfile(profile.id) });
+                }
+                fileOptions.activeProfile = profiles.find(profile => profile.id === activeProfileId).name;
+            } else {
+                fileOptions.rules = this.rules;
+            }
 
-            // DISPLAY: Show JSON in readonly input field
-            const exportOutput = document.getElementById('exportOutput');
-            exportOutput.value = exportJson;
-            exportOutput.style.display = 'block';
+            // DOWNLOAD: Same object-URL pattern as the activity export
+            const content = JSON.stringify(buildRulesFile(fileOptions), null, 2);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+            link.download = `ctc-rules-${allProfiles ? 'all-profiles-' : ''}${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
 
-            this.showValidationMessage('Rules exported successfully. Copy the JSON below.', 'success');
-            ctcConsole.info('Exported', this.rules.length, 'rules');
+            this.showValidationMessage('Rules exported. Check your downloads.', 'success');
+            ctcConsole.info('Exported', allProfiles ? 'all profiles' : `${this.rules.length} rules`);
         } catch (error) {
             ctcConsole.error('Failed to export rules:', error);
             this.showValidationMessage('Failed to export rules. Please try again.', 'error');
         }
     }
 
-    // IMPORT: Import rules from JSON
-    // SAFETY: Full validation before replacing existing rules
-    async saveRulesFromImport() {
-        this.clearValidationMessages();
-
-        try {
-            ctcConsole.log("importing rules from user input");
-
-            // HARVEST: Get JSON from input field
-            const importInput = document.getElementById('importJsonInput');
-            const jsonString = importInput.value.trim();
+    // IMPORT SOURCES: File picker, drag-and-drop onto the import section, or pasted JSON
+    // All three only build a preview; nothing is written before "Apply Import"
+    initializeImportListeners() {
+        const fileInput = document.getElementById('importFileInput');
+        const dropZone = document.getElementById('importDropZone');
 
-            if (!jsonString) {
-                this.showValidationMessage('Please paste JSON rules to import.', 'error');
-                return;
+        fileInput.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            if (file) {
+                await this.previewImport(await file.text());
             }
+            fileInput.value = ''; // Picking the same file again must fire "change"
+        });
 
-            // PARSE: Validate JSON syntax
-            let importedRules;
-            try {
-                importedRules = JSON.parse(jsonString);
-                ctcConsole.log(`parsed ${importedRules.length} rules`);
-            } catch (parseError) {
-                this.showValidationMessage('Invalid JSON format. Please check your input.', 'error');
-                ctcConsole.error('JSON parse error:', parseError);
-                return;
+        dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', async (event) => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const [file] = event.dataTransfer.files;
+            if (file) {
+                await this.previewImport(await file.text());
             }
+        });
 
-            // TYPE CHECK: Ensure it's an array
-            if (!Array.isArray(importedRules)) {
-                this.showValidationMessage('Invalid format: Rules must be an array.', 'error');
+        document.getElementById('importBtn').addEventListener('click', () => {
+            const jsonString = document.getElementById('importJsonInput').value.trim();
+            if (!jsonString) {
+                this.showValidationMessage('Please paste JSON rules to import.', 'error');
                 return;
             }
+            this.previewImport(jsonString);
+        });
+        document.getElementById('applyImportBtn').addEventListener('click', () => this.applyImport());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.hideImportPreview());
+    }
 
-            // SAFETY CHECK: Run comprehensive validation (reuse existing logic)
-            const { errors, warnings } = this.validateAllRules(importedRules);
+    // IMPORT PREVIEW: Parse, compute the rules each profile would end up with,
+    // validate them and show the diff against what is saved now
+    // TARGETS: A single-profile file goes into the ACTIVE profile; an
+    //          all-profiles file updates profiles by name (unknown names are created)
+    async previewImport(text) {
+        this.clearValidationMessages();
+        this.hideImportPreview();
 
-            // BLOCKING: Don't import broken rules
-            if (errors.length > 0) {
-                const errorMessage = 'Validation errors:\n' + errors.join('\n');
-                this.showValidationMessage(errorMessage, 'error');
-                ctcConsole.error('Validation errors:', errors);
-                return; // ABORT: User must fix errors first
-            }
+        let file;
+        try {
+            file = parseRulesFile(text);
+        } catch (error) {
+            this.showValidationMessage(error.message, 'error');
+            return;
+        }
 
-            // ADVISORY: Show warnings but allow import
-            if (warnings.length > 0) {
-                warnings.forEach(warning => {
-                    ctcConsole.warn(warning);
+        try {
+            const merge = document.getElementById('importModeSelect').value === 'merge';
+            const { containerMap } = CtcRepo.getContainerData();
+            const { activeProfileId, profiles } = CtcRepo.ruleProfiles;
+            const incomingProfiles = file.profiles
+                || [{ name: profiles.find(profile => profile.id === activeProfileId).name, rules: file.rules }];
+
+            const entries = [];
+            for (const incoming of incomingProfiles) {
+                const existing = file.profiles
+                    ? profiles.find(profile => profile.name.toLowerCase() === incoming.name.toLowerCase())
+                    : profiles.find(profile => profile.id === activeProfileId);
+                const currentRules = existing ? await CtcRepo.readRuleProfile(existing.id) : [];
+
+                // MIGRATION: Attach cookieStoreIds to name-only rules (older exports, other devices)
+                const incomingRules = resolveRuleContainers(incoming.rules, containerMap, CtcRepo.containerNameHistory);
+                const merged = merge ? mergeRules(currentRules, incomingRules) : null;
+                const rules = merged ? merged.rules : incomingRules;
+
+                entries.push({
+                    profileId: existing ? existing.id : null,
+                    name: existing ? existing.name : incoming.name,
+                    rules,
+                    diff: diffRules(currentRules, rules),
+                    conflicts: merged ? merged.conflicts : [],
+                    errors: this.validateAllRules(rules).errors,
+                    missingContainers: [...new Set(rules
+                        .filter(rule => isRuleOrphaned(rule, containerMap))
+                        .map(rule => rule.containerName))]
                 });
             }
 
-            ctcConsole.log(`validated ${importedRules.length} rules`);
+            this.pendingImport = { file, entries };
+            this.renderImportPreview();
+        } catch (error) {
+            ctcConsole.error('Failed to preview import:', error);
+            this.showValidationMessage(`Could not read the rules to compare: ${error.message}`, 'error');
+        }
+    }
 
-            // COMMIT: Replace all rules in storage
-            await this.#saveRules(importedRules);
+    renderImportPreview() {
+        const { file, entries } = this.pendingImport;
+        const summary = document.getElementById('importPreviewSummary');
+        const body = document.getElementById('importPreviewBody');
+
+        const origin = file.extensionVersion
+            ? `Exported by version ${file.extensionVersion}${file.exportedAt ? ` on ${new Date(file.exportedAt).toLocaleString()}` : ''}`
+            : 'Older export without version information';
+        summary.textContent = `${origin}, export schema ${file.schemaVersion}.`;
+
+        body.innerHTML = '';
+        entries.forEach(entry => {
+            const section = document.createElement('div');
+            section.className = 'import-preview-profile';
+
+            const heading = document.createElement('h4');
+            const { added, removed, changed, unchanged } = entry.diff;
+            heading.textContent = `${entry.profileId ? '' : 'New profile '}"${entry.name}": ` +
+                `${added.length} added, ${removed.length} removed, ${changed.length} changed, ${unchanged.length} unchanged` +
+                (entry.conflicts.length > 0 ? `, ${entry.conflicts.length} not merged` : '');
+            section.appendChild(heading);
+
+            const list = document.createElement('ul');
+            list.className = 'import-diff';
+            const addItem = (className, marker, text) => {
+                const item = document.createElement('li');
+                item.className = className;
+                item.textContent = `${marker} ${text}`;
+                list.appendChild(item);
+            };
+            entry.errors.forEach(error => addItem('diff-error', '✖', error));
+            entry.missingContainers.forEach(name =>
+                addItem('diff-conflict', '!', `Container "${name}" doesn't exist here - its rules are kept but ignored`));
+            added.forEach(rule => addItem('diff-added', '+', describeRuleForDiff(rule)));
+            removed.forEach(rule => addItem('diff-removed', '−', describeRuleForDiff(rule)));
+            changed.forEach(({ before, after }) =>
+                addItem('diff-changed', '~', `${describeRuleForDiff(before)}  →  ${describeRuleForDiff(after)}`));
+            entry.conflicts.forEach(({ incoming, reason }) =>
+                addItem('diff-conflict', '!', `${describeRuleForDiff(incoming)} not merged: ${reason}`));
+            section.appendChild(list);
+
+            body.appendChild(section);
+        });
 
-            ctcConsole.log(`saved and imported ${importedRules.length} rules`);
+        // BLOCKING: Same rule as saving - broken rules are never written
+        const hasErrors = entries.some(entry => entry.errors.length > 0);
+        document.getElementById('applyImportBtn').disabled = hasErrors;
+        if (hasErrors) {
+            this.showValidationMessage('The import has validation errors (see preview) and can\'t be applied.', 'error');
+        }
+        document.getElementById('importPreview').hidden = false;
+    }
 
-            // REFRESH: Re-render UI to show imported rules
-            this.renderAllContainerGroups();
+    hideImportPreview() {
+        this.pendingImport = null;
+        document.getElementById('importPreview').hidden = true;
+    }
 
-            // CLEANUP: Clear import input
-            importInput.value = '';
+    // COMMIT: Write every previewed profile that actually changes
+    async applyImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+        this.clearValidationMessages();
+
+        try {
+            const changedEntries = this.pendingImport.entries.filter(({ profileId, diff }) =>
+                !profileId || diff.added.length + diff.removed.length + diff.changed.length > 0);
+            const mirrorErrors = [];
+            for (const entry of changedEntries) {
+                if (entry.profileId) {
+                    const { mirrorError } = await CtcRepo.saveRuleProfile(entry.profileId, entry.rules);
+                    if (mirrorError) mirrorErrors.push(mirrorError);
+                } else {
+                    await CtcRepo.createRuleProfile(entry.name, entry.rules);
+                }
+            }
 
-            // SUCCESS FEEDBACK
-            const successMessage = warnings.length > 0
-                ? `${importedRules.length} rules imported with warnings. Check console for details.`
-                : `${importedRules.length} rules imported successfully.`;
-            this.showValidationMessage(successMessage, warnings.length > 0 ? 'warning' : 'success');
-            ctcConsole.info('Imported', importedRules.length, 'rules');
+            // REFRESH: The active profile may have been among them
+            this.rules = CtcRepo.rules;
+            this.hideImportPreview();
+            document.getElementById('importJsonInput').value = '';
+            this.renderRuleProfiles();
+            this.renderRules();
 
+            let successMessage = `Import applied: ${changedEntries.length} profile(s) updated.`;
+            if (mirrorErrors.length > 0) {
+                successMessage += ` Sync mirror skipped: ${mirrorErrors[0].message}`;
+            }
+            this.showValidationMessage(successMessage, mirrorErrors.length > 0 ? 'warning' : 'success');
+            ctcConsole.info('Imported rules into', changedEntries.length, 'profile(s)');
         } catch (error) {
             ctcConsole.error('Failed to import rules:', error);
-            this.showValidationMessage('Failed to import rules. Please try again.', 'error');
+            this.showValidationMessage(this.describeSaveError(error, 'import'), 'error');
         }
     }
 }
 
+// PRIVATE HELPERS: Module-scoped functions
+
+// RULE ROW: Row controls → rule object (null when the pattern is empty)
+function collectRuleFromRow(urlRow, { containerName, cookieStoreId, action }) {
+    const urlPattern = urlRow.querySelector('.url-pattern-input').value.trim();
+    if (!urlPattern) {
+        return null;
+    }
+
+    // PRIORITY TIER: highPriority is always written (older versions read only it),
+    // priority only when highPriority alone can't express the tier
+    const priorityText = urlRow.querySelector('.priority-input').value.trim();
+    const priority = priorityText ? Number(priorityText) : 0;
+    const rule = {
+        containerName,
+        cookieStoreId,
+        action,
+        urlPattern,
+        highPriority: priority > 0
+    };
+    if (priority !== 0 && priority !== 1) {
+        rule.priority = priority; // Out of range / fractions are reported by validateAllRules
+    }
+
+    // OPTIONAL FIELDS: Omitted when empty to keep stored/exported JSON lean
+    const excludePatterns = parseExcludePatterns(urlRow.querySelector('.exclude-patterns-input').value);
+    if (excludePatterns.length > 0) {
+        rule.excludePatterns = excludePatterns;
+    }
+    const source = collectSourceConditions(urlRow);
+    if (Object.keys(source).length > 0) {
+        rule.source = source;
+    }
+    const switchStrategy = urlRow.querySelector('.switch-strategy-select').value;
+    if (switchStrategy) {
+        rule.switchStrategy = switchStrategy;
+    }
+    const schedule = collectScheduleConditions(urlRow);
+    if (schedule) {
+        rule.schedule = schedule;
+    }
+    return rule;
+}
+
+// EXCLUSIONS: Textarea value → list of patterns (blank lines ignored)
+function parseExcludePatterns(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// SOURCE CONDITIONS: Row "From…" controls → rule.source (only filled-in keys)
+function collectSourceConditions(row) {
+    const source = {};
+    const urlPattern = row.querySelector('.source-url-input').value.trim();
+    const containerSelect = row.querySelector('.source-container-select');
+    const cookieStoreId = containerSelect.value;
+    const external = row.querySelector('.source-external-select').value;
+
+    if (urlPattern) source.urlPattern = urlPattern;
+    if (cookieStoreId) {
+        // NAME SNAPSHOT: Lets other devices find the opener container by name
+        source.cookieStoreId = cookieStoreId;
+        source.containerName = containerSelect.selectedOptions[0].dataset.containerName;
+    }
+    if (external) source.external = external === 'true';
+    return source;
+}
+
+// SCHEDULE: Row "When…" controls → rule.schedule (null when no days or hours are set)
+// TIMES: "09:00-12:00, 13:00-18:00"; "9:00" is padded, anything else is left
+// for getScheduleError to report
+function collectScheduleConditions(row) {
+    const days = Array.from(row.querySelectorAll('.schedule-days input:checked'))
+        .map(input => Number(input.value))
+        .sort((a, b) => a - b);
+    const padTime = time => (/^\d:\d\d$/.test(time) ? `0${time}` : time);
+    const times = row.querySelector('.schedule-times-input').value
+        .split(',')
+        .map(range => range.trim())
+        .filter(Boolean)
+        .map(range => {
+            const [start = '', end = ''] = range.split('-').map(part => padTime(part.trim()));
+            return { start, end };
+        });
+    const timeZone = row.querySelector('.schedule-timezone-input').value.trim();
+
+    // A time zone alone restricts nothing
+    if (days.length === 0 && times.length === 0) {
+        return null;
+    }
+
+    const schedule = {};
+    if (days.length > 0) schedule.days = days;
+    if (times.length > 0) schedule.times = times;
+    if (timeZone) schedule.timeZone = timeZone;
+    return schedule;
+}
+
+// IMPORT PREVIEW: One-line rule summary ("Work: github.com (open, priority 1)")
+function describeRuleForDiff(rule) {
+    const details = [rule.action];
+    const priority = getRulePriority(rule);
+    if (priority !== 0) details.push(`priority ${priority}`);
+    if (rule.excludePatterns?.length) details.push(`except ${rule.excludePatterns.join(', ')}`);
+    if (rule.source) details.push('from… conditions');
+    if (rule.schedule) details.push('scheduled');
+    if (rule.switchStrategy) details.push(`switch: ${rule.switchStrategy}`);
+    return `${rule.containerName}: ${rule.urlPattern} (${details.join(', ')})`;
+}
+
 // Initialize the options page when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new CtcOptions();
@@ -1,8 +1,315 @@
 // Container Traffic Control Pattern Matching
-// URL pattern matching with dual-mode support (literal and regex)
+// URL pattern matching with multi-mode support (literal, regex and structured)
+
+// ============================================================================
+// STRUCTURED PATTERN GRAMMAR
+// ============================================================================
+// Literal patterns are plain substring checks, so "github.com" also matches
+// "https://evil.com/?next=github.com" and "notgithub.com". Structured patterns
+// parse the URL and compare scheme, host, port and path separately.
+//
+// TWO EQUIVALENT SPELLINGS:
+//    1. COMPACT: [scheme://]*.host[:port][/path]
+//       Example: "*.github.com/company-name/*"
+//       Example: "https://*.example.com:8443/app/*"
+//       Example: "*://intranet.corp/wiki/*"
+//       Triggered when the host starts with "*." or the scheme is "*://"
+//
+//    2. KEYED: space separated key:value tokens (scheme, host, port, path)
+//       Example: "host:github.com path:/org/*"
+//       Example: "scheme:https host:.corp.example.com"
+//
+// HOST SEMANTICS:
+//    - "github.com"    EXACT    → github.com only
+//    - ".github.com"   SUFFIX   → any subdomain (api.github.com), not github.com
+//    - "*.github.com"  WILDCARD → github.com and any subdomain
+//
+// PATH SEMANTICS:
+//    - Always a prefix match against the URL path (query and hash ignored)
+//    - "*" matches any run of characters: "/org/*/issues" matches "/org/a/issues/1"
+//
+// PORT SEMANTICS:
+//    - Omitted → any port
+//    - Given   → compared with the effective port (443 for https, 80 for http)
+// ============================================================================
+
+const STRUCTURED_KEYS = ["scheme", "host", "port", "path"];
+const DEFAULT_PORTS = { http: "80", https: "443", ws: "80", wss: "443", ftp: "21" };
+
+/**
+ * Check if a pattern uses regex mode (enclosed in /.../)
+ * @param {string} pattern - Pattern to inspect
+ * @returns {boolean} True if pattern is a regex pattern
+ */
+function isRegexPattern(pattern) {
+  return (
+    typeof pattern === "string" &&
+    pattern.startsWith("/") &&
+    pattern.endsWith("/") &&
+    pattern.length > 2
+  );
+}
+
+/**
+ * Check if a pattern uses structured mode (compact or keyed spelling)
+ * @param {string} pattern - Pattern to inspect
+ * @returns {boolean} True if pattern is a structured pattern
+ */
+function isStructuredPattern(pattern) {
+  if (typeof pattern !== "string" || isRegexPattern(pattern)) {
+    return false;
+  }
+
+  // KEYED: "host:github.com path:/org/*"
+  if (/^(scheme|host|port|path):/i.test(pattern)) {
+    return true;
+  }
+
+  // COMPACT: "*.github.com/org/*", "https://*.github.com", "*://github.com"
+  return /^(?:(?:[a-z][a-z0-9+.-]*|\*):\/\/)?\*\./i.test(pattern) ||
+    pattern.startsWith("*://");
+}
+
+/**
+ * Convert a path glob into an anchored prefix regex
+ * @param {string} pathGlob - Path starting with "/", "*" as wildcard
+ * @returns {RegExp} Regex matching paths that start with the glob
+ */
+function compilePathGlob(pathGlob) {
+  const source = pathGlob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}`);
+}
+
+/**
+ * Parse a host token into its matching semantics
+ * @param {string} hostToken - "github.com", ".github.com" or "*.github.com"
+ * @returns {{kind: string, value: string}} Host matcher description
+ */
+function parseHostToken(hostToken) {
+  const host = hostToken.toLowerCase();
+  let kind = "exact";
+  let value = host;
+
+  if (host.startsWith("*.")) {
+    kind = "wildcard";
+    value = host.slice(2);
+  } else if (host.startsWith(".")) {
+    kind = "suffix";
+    value = host.slice(1);
+  }
+
+  if (!value || /[\s/*:]/.test(value)) {
+    throw new Error(`Invalid host "${hostToken}"`);
+  }
+
+  return { kind, value };
+}
+
+/**
+ * Parse a port token
+ * @param {string} portToken - Numeric port
+ * @returns {string} Normalized port string
+ */
+function parsePortToken(portToken) {
+  if (!/^\d{1,5}$/.test(portToken) || Number(portToken) > 65535) {
+    throw new Error(`Invalid port "${portToken}"`);
+  }
+  return String(Number(portToken));
+}
+
+/**
+ * Parse a scheme token ("*" means any scheme)
+ * @param {string} schemeToken - Scheme without "://"
+ * @returns {string|null} Lowercased scheme, or null for any scheme
+ */
+function parseSchemeToken(schemeToken) {
+  if (schemeToken === "*") {
+    return null;
+  }
+  if (!/^[a-z][a-z0-9+.-]*$/i.test(schemeToken)) {
+    throw new Error(`Invalid scheme "${schemeToken}"`);
+  }
+  return schemeToken.toLowerCase();
+}
+
+/**
+ * Parse a path token (must start with "/")
+ * @param {string} pathToken - Path glob
+ * @returns {RegExp} Compiled prefix matcher
+ */
+function parsePathToken(pathToken) {
+  if (!pathToken.startsWith("/")) {
+    throw new Error(`Path "${pathToken}" must start with "/"`);
+  }
+  return compilePathGlob(pathToken);
+}
+
+/**
+ * Parse keyed spelling: "host:github.com path:/org/*"
+ * @param {string} pattern - Keyed structured pattern
+ * @returns {Object} Structured matcher spec
+ */
+function parseKeyedPattern(pattern) {
+  const spec = { scheme: null, host: null, port: null, path: null };
+  const seen = new Set();
+
+  pattern.trim().split(/\s+/).forEach((token) => {
+    const separatorIndex = token.indexOf(":");
+    const key = separatorIndex > 0 ? token.slice(0, separatorIndex).toLowerCase() : "";
+    const value = separatorIndex > 0 ? token.slice(separatorIndex + 1) : "";
+
+    if (!STRUCTURED_KEYS.includes(key)) {
+      throw new Error(`Unknown key in "${token}" (use ${STRUCTURED_KEYS.join(", ")})`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`Duplicate key "${key}"`);
+    }
+    if (!value) {
+      throw new Error(`Missing value for "${key}"`);
+    }
+    seen.add(key);
+
+    if (key === "scheme") spec.scheme = parseSchemeToken(value);
+    if (key === "host") spec.host = parseHostToken(value);
+    if (key === "port") spec.port = parsePortToken(value);
+    if (key === "path") spec.path = parsePathToken(value);
+  });
+
+  return spec;
+}
 
 /**
- * Match URL against pattern with dual-mode support
+ * Parse compact spelling: "[scheme://]*.host[:port][/path]"
+ * @param {string} pattern - Compact structured pattern
+ * @returns {Object} Structured matcher spec
+ */
+function parseCompactPattern(pattern) {
+  const spec = { scheme: null, host: null, port: null, path: null };
+  let remainder = pattern.trim();
+
+  const schemeSeparatorIndex = remainder.indexOf("://");
+  if (schemeSeparatorIndex >= 0) {
+    spec.scheme = parseSchemeToken(remainder.slice(0, schemeSeparatorIndex));
+    remainder = remainder.slice(schemeSeparatorIndex + 3);
+  }
+
+  const pathIndex = remainder.indexOf("/");
+  const authority = pathIndex >= 0 ? remainder.slice(0, pathIndex) : remainder;
+  if (pathIndex >= 0) {
+    spec.path = parsePathToken(remainder.slice(pathIndex));
+  }
+
+  const portIndex = authority.lastIndexOf(":");
+  const hostToken = portIndex >= 0 ? authority.slice(0, portIndex) : authority;
+  if (portIndex >= 0) {
+    spec.port = parsePortToken(authority.slice(portIndex + 1));
+  }
+
+  spec.host = parseHostToken(hostToken);
+  return spec;
+}
+
+/**
+ * Parse a structured pattern into a matcher spec
+ * @param {string} pattern - Structured pattern (compact or keyed spelling)
+ * @returns {{scheme: ?string, host: ?Object, port: ?string, path: ?RegExp}} Matcher spec
+ * @throws {Error} If the pattern is not valid structured syntax
+ */
+function parseStructuredPattern(pattern) {
+  if (/^(scheme|host|port|path):/i.test(pattern)) {
+    return parseKeyedPattern(pattern);
+  }
+  return parseCompactPattern(pattern);
+}
+
+/**
+ * Check a hostname against a parsed host matcher
+ * @param {string} hostname - Lowercased URL hostname
+ * @param {{kind: string, value: string}} hostSpec - Host matcher
+ * @returns {boolean} Whether the host matches
+ */
+function matchesHost(hostname, hostSpec) {
+  if (hostSpec.kind === "exact") {
+    return hostname === hostSpec.value;
+  }
+  if (hostSpec.kind === "suffix") {
+    return hostname.endsWith(`.${hostSpec.value}`);
+  }
+  // wildcard: apex domain plus any subdomain
+  return hostname === hostSpec.value || hostname.endsWith(`.${hostSpec.value}`);
+}
+
+/**
+ * Match a URL against a parsed structured pattern
+ * @param {string} url - URL to test
+ * @param {Object} spec - Spec from parseStructuredPattern
+ * @returns {boolean} Whether URL matches every component in the spec
+ */
+function matchesStructuredPattern(url, spec) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    // Unparseable URLs cannot satisfy host/path constraints
+    return false;
+  }
+
+  const scheme = parsedUrl.protocol.replace(/:$/, "").toLowerCase();
+  if (spec.scheme && spec.scheme !== scheme) {
+    return false;
+  }
+
+  if (spec.host && !matchesHost(parsedUrl.hostname.toLowerCase(), spec.host)) {
+    return false;
+  }
+
+  if (spec.port) {
+    const effectivePort = parsedUrl.port || DEFAULT_PORTS[scheme] || "";
+    if (effectivePort !== spec.port) {
+      return false;
+    }
+  }
+
+  if (spec.path && !spec.path.test(parsedUrl.pathname)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe why a pattern is invalid (for options page validation)
+ * Literal patterns are always valid; regex and structured patterns are parsed.
+ * @param {string} pattern - Pattern to check
+ * @returns {string|null} Human readable error, or null when valid
+ */
+function getPatternError(pattern) {
+  if (isRegexPattern(pattern)) {
+    try {
+      new RegExp(pattern.slice(1, -1));
+      return null;
+    } catch (error) {
+      return "Invalid regex pattern";
+    }
+  }
+
+  if (isStructuredPattern(pattern)) {
+    try {
+      parseStructuredPattern(pattern);
+      return null;
+    } catch (error) {
+      return `Invalid structured pattern: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Match URL against pattern with multi-mode support
  *
  * PATTERN MODES:
  *   1. LITERAL MODE: Simple string matching
@@ -12,8 +319,12 @@
  *      Example: "/.*\.github\.com/" matches subdomains
  *      Note: Pattern must be enclosed in forward slashes: /pattern/
  *
+ *   3. STRUCTURED MODE: Host-aware matching (see grammar above)
+ *      Example: "*.github.com/company-name/*"
+ *      Example: "host:github.com path:/org/*"
+ *
  * @param {string} url - URL to test
- * @param {string} pattern - Pattern (regex if enclosed in /.../, literal otherwise)
+ * @param {string} pattern - Pattern (regex if enclosed in /.../, structured, literal otherwise)
  * @returns {boolean} Whether URL matches pattern
  */
 function matchesPattern(url, pattern) {
@@ -21,15 +332,14 @@ function matchesPattern(url, pattern) {
 
   try {
     // Check if pattern is regex mode (enclosed in /.../)
-    if (
-      pattern.startsWith("/") &&
-      pattern.endsWith("/") &&
-      pattern.length > 2
-    ) {
+    if (isRegexPattern(pattern)) {
       // Regex mode: strip slashes and use as regex
       const regexPattern = pattern.slice(1, -1);
       const regex = new RegExp(regexPattern);
       return regex.test(url);
+    } else if (isStructuredPattern(pattern)) {
+      // Structured mode: parse URL and compare components
+      return matchesStructuredPattern(url, parseStructuredPattern(pattern));
     } else {
       // Literal mode: simple contains match
       return url.includes(pattern);
@@ -51,13 +361,27 @@ function matchesPattern(url, pattern) {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     matchesPattern,
+    isRegexPattern,
+    isStructuredPattern,
+    parseStructuredPattern,
+    matchesStructuredPattern,
+    getPatternError,
   };
 }
 
 // Export for browser environments
 if (typeof window !== "undefined") {
   window.matchesPattern = matchesPattern;
+  window.isRegexPattern = isRegexPattern;
+  window.isStructuredPattern = isStructuredPattern;
+  window.parseStructuredPattern = parseStructuredPattern;
+  window.matchesStructuredPattern = matchesStructuredPattern;
+  window.getPatternError = getPatternError;
 } else {
   globalThis.matchesPattern = matchesPattern;
+  globalThis.isRegexPattern = isRegexPattern;
+  globalThis.isStructuredPattern = isStructuredPattern;
+  globalThis.parseStructuredPattern = parseStructuredPattern;
+  globalThis.matchesStructuredPattern = matchesStructuredPattern;
+  globalThis.getPatternError = getPatternError;
 }
-
@@ -0,0 +1,218 @@
+// Container Traffic Control Toolbar Popup
+// Shows the current tab's routing decision and offers one-click rule creation
+
+// ============================================================================
+// POPUP CONTEXT: Short-lived, independent of background and options
+// ============================================================================
+// The popup runs in its OWN context (see background.js header) and is torn
+// down every time it closes. It therefore:
+//    - Initializes its own CtcRepo instance on every open
+//    - Evaluates the active tab with the same pure rule engine the background uses
+//    - Saves through CtcRepo.saveRules (storage.onChanged reloads background)
+//    - Switches rule profiles the same way (only shown with 2+ profiles)
+//
+// QUICK ADD: New rules pass through validateAllRules (rule-validation.js), the
+// same checks the options page runs, so the popup can never save a rule set
+// the options page would reject.
+// ============================================================================
+
+class CtcPopup {
+    constructor() {
+        // STATE: Active tab snapshot and repository data for this popup session
+        this.tab = null;
+        this.rules = [];
+        this.containers = [];
+
+        // DOM REFERENCES
+        this.currentContainerEl = document.getElementById('currentContainer');
+        this.targetContainerEl = document.getElementById('targetContainer');
+        this.matchedRuleEl = document.getElementById('matchedRule');
+        this.quickAddSection = document.getElementById('quickAddSection');
+        this.quickAddContainer = document.getElementById('quickAddContainer');
+        this.ruleProfileSection = document.getElementById('ruleProfileSection');
+        this.ruleProfileSelect = document.getElementById('ruleProfileSelect');
+        this.messages = document.getElementById('popupMessages');
+
+        this.initializeEventListeners();
+        this.initializeData();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('addDomainRuleBtn').addEventListener('click', () => this.addQuickRule(this.domainPattern));
+        document.getElementById('addPathRuleBtn').addEventListener('click', () => this.addQuickRule(this.pathPattern));
+        this.ruleProfileSelect.addEventListener('change', () => this.switchRuleProfile());
+        document.getElementById('openOptionsBtn').addEventListener('click', () => {
+            browser.runtime.openOptionsPage();
+            window.close();
+        });
+    }
+
+    // BOOTSTRAP: Load active tab + repository data, then render
+    async initializeData() {
+        try {
+            const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+            const data = await CtcRepo.initialize();
+
+            this.tab = tab;
+            this.rules = data.rules;
+            this.containers = data.containers.containerArray;
+
+            this.renderRuleProfiles();
+            this.render();
+        } catch (error) {
+            ctcConsole.error('Popup failed to load:', error);
+            this.showMessage('Failed to load extension data.', 'error');
+        }
+    }
+
+    render() {
+        const { containerMap, cookieStoreToNameMap } = CtcRepo.getContainerData();
+        const currentContainerName = cookieStoreToNameMap.get(this.tab.cookieStoreId || 'firefox-default') || 'No Container';
+        this.currentContainerEl.textContent = currentContainerName;
+
+        // SCOPE: Only web pages are routed (privileged pages never reach handleRequest)
+        if (!isRoutableUrl(this.tab.url)) {
+            this.targetContainerEl.textContent = '—';
+            this.matchedRuleEl.textContent = 'Container Traffic Control does not route this page.';
+            this.quickAddSection.hidden = true;
+            return;
+        }
+
+        // EVALUATE: Same inputs as background evaluateContainer (orphaned rules skipped)
+        const liveRules = this.rules.filter(rule => !isRuleOrphaned(rule, containerMap));
+        const trace = explainContainerForUrl(this.tab.url, currentContainerName, liveRules, containerMap);
+        const targetContainerName = trace.targetContainer;
+        this.targetContainerEl.textContent = targetContainerName;
+
+        const firingRule = trace.decision.ruleIndex !== null ? liveRules[trace.decision.ruleIndex] : null;
+        if (firingRule) {
+            const tier = getRulePriority(firingRule);
+            const priority = tier !== 0 ? `, priority ${tier}` : '';
+            const ruleNumber = this.rules.indexOf(firingRule) + 1; // Number as shown in options (orphans included)
+            this.matchedRuleEl.textContent = `Rule ${ruleNumber}: ${firingRule.urlPattern} (${firingRule.action}${priority})`;
+        } else if (trace.restrictedCheck.forcedExit) {
+            this.matchedRuleEl.textContent = `Leaving restricted container "${currentContainerName}".`;
+        } else {
+            this.matchedRuleEl.textContent = 'No rule matches, staying put.';
+        }
+
+        this.renderQuickAdd(targetContainerName);
+    }
+
+    renderRuleProfiles() {
+        const { activeProfileId, profiles } = CtcRepo.ruleProfiles;
+        this.ruleProfileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeProfileId;
+            this.ruleProfileSelect.appendChild(option);
+        });
+        this.ruleProfileSection.hidden = profiles.length < 2;
+    }
+
+    // SWITCH PROFILE: Re-evaluates the tab against the newly active rules
+    async switchRuleProfile() {
+        this.messages.innerHTML = '';
+        try {
+            this.rules = await CtcRepo.setActiveRuleProfile(this.ruleProfileSelect.value);
+            this.render();
+        } catch (error) {
+            ctcConsole.error('Failed to switch rule profile from popup:', error);
+            this.showMessage('Failed to switch rule profile. Please try again.', 'error');
+        }
+        this.renderRuleProfiles();
+    }
+
+    renderQuickAdd(selectedContainerName) {
+        const url = new URL(this.tab.url);
+        const host = url.hostname.replace(/^www\./, '');
+        const firstSegment = url.pathname.split('/').filter(Boolean)[0];
+
+        // PATTERNS: Structured syntax so look-alike hosts never match
+        this.domainPattern = `*.${host}`;
+        this.pathPattern = firstSegment ? `*.${host}/${firstSegment}/*` : null;
+
+        document.getElementById('domainPatternPreview').textContent = this.domainPattern;
+        document.getElementById('pathPatternPreview').textContent = this.pathPattern || '';
+        document.getElementById('addPathRuleBtn').hidden = !this.pathPattern;
+
+        this.quickAddContainer.innerHTML = '';
+        this.containers.forEach(container => {
+            const option = document.createElement('option');
+            option.value = container.cookieStoreId;
+            option.textContent = container.name;
+            option.selected = container.name === selectedContainerName;
+            this.quickAddContainer.appendChild(option);
+        });
+
+        this.quickAddSection.hidden = false;
+    }
+
+    // COMMIT: Append rule for selected container, validate, persist
+    async addQuickRule(urlPattern) {
+        this.messages.innerHTML = '';
+        if (!urlPattern) {
+            return;
+        }
+
+        const cookieStoreId = this.quickAddContainer.value;
+        const { cookieStoreToNameMap, containerMap } = CtcRepo.getContainerData();
+        const containerName = cookieStoreToNameMap.get(cookieStoreId);
+
+        const existing = this.rules.find(rule => rule.cookieStoreId === cookieStoreId && rule.urlPattern === urlPattern);
+        if (existing) {
+            this.showMessage(`"${urlPattern}" is already a rule for ${containerName}.`, 'warning');
+            return;
+        }
+
+        const rules = insertRuleForContainer(this.rules, {
+            containerName,
+            cookieStoreId,
+            urlPattern,
+            highPriority: false
+        });
+
+        // SAFETY CHECK: Identical validation to the options page
+        const { errors, warnings } = validateAllRules(rules, containerMap);
+        if (errors.length > 0) {
+            this.showMessage(errors.join('\n'), 'error');
+            ctcConsole.error('Validation errors:', errors);
+            return;
+        }
+        warnings.forEach(warning => ctcConsole.warn(warning));
+
+        try {
+            await CtcRepo.saveRules(rules);
+            this.rules = rules;
+            ctcConsole.info(`Popup added rule "${urlPattern}" for ${containerName}`);
+            this.showMessage(`Added "${urlPattern}" to ${containerName}.`, warnings.length > 0 ? 'warning' : 'success');
+            this.render();
+        } catch (error) {
+            ctcConsole.error('Failed to save rule from popup:', error);
+            const message = error.name === 'QuotaExceededError' ? error.message : 'Failed to save rule. Please try again.';
+            this.showMessage(message, 'error');
+        }
+    }
+
+    showMessage(message, type = 'info') {
+        this.messages.innerHTML = '';
+        const messageElement = document.createElement('div');
+        messageElement.className = `popup-message ${type}`;
+        messageElement.textContent = message;
+        this.messages.appendChild(messageElement);
+    }
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+// Only http(s) pages go through webRequest routing
+function isRoutableUrl(url) {
+    return typeof url === 'string' && (url.startsWith('http://') || url.startsWith('https://'));
+}
+
+// Initialize the popup when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new CtcPopup();
+});
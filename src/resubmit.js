@@ -0,0 +1,45 @@
+// Container Traffic Control Form Resubmission Page
+// Opened by background.js in the target container; re-posts the intercepted form
+
+// ============================================================================
+// FLOW (see form-resubmission.js):
+//    1. Token in location.hash identifies the pending form
+//    2. Background hands the form over once (token is single use)
+//    3. Hidden fields are rebuilt and the form is posted from THIS tab, so the
+//       request carries the new container's cookies
+// ============================================================================
+
+async function resubmitForm() {
+    const status = document.getElementById('resubmitStatus');
+    const token = location.hash.slice(1);
+
+    const pending = token
+        ? await browser.runtime.sendMessage({ type: 'ctc-take-resubmission', token })
+        : null;
+
+    // EXPIRED / RELOADED: Never re-post twice, tell the user instead
+    if (!pending) {
+        status.textContent = 'This form submission has expired. Go back and submit the form again.';
+        return;
+    }
+
+    const form = document.getElementById('resubmitForm');
+    form.action = pending.url;
+    Object.entries(pending.formData).forEach(([name, values]) => {
+        values.forEach(value => {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = value;
+            form.appendChild(input);
+        });
+    });
+
+    form.submit();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    resubmitForm().catch(error => {
+        document.getElementById('resubmitStatus').textContent = `Could not continue the form submission: ${error.message}`;
+    });
+});
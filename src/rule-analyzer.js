@@ -0,0 +1,506 @@
+// Container Traffic Control Rule Analyzer
+// Static checks for rules that never win, overlap, or can hang the matcher
+
+// ============================================================================
+// WHY: rule-validation.js only rejects rules that are broken on their own.
+// Most surprises come from how rules interact: a broad rule listed first
+// silently takes every URL of a narrower one in another container, and
+// sticky behavior (PRECEDENCE 1 in rule-engine.js) keeps tabs wherever a
+// broader literal pattern already matched. None of this blocks a save -
+// findings are shown next to the affected rows on the options page.
+//
+// FINDINGS (one rule can have several, strongest pair finding only):
+//    SHADOWED  - Another container's rule matches every URL this one does
+//                and takes precedence, so this rule never switches a tab
+//    REDUNDANT - An earlier rule for the SAME container already covers it
+//    OVERLAP   - Literal pattern contains another container's literal
+//                pattern, so tabs already in that container stay there
+//    AMBIGUOUS - Two containers match the same URL (example given) and only
+//                rule order decides (decision.ambiguous in the engine trace)
+//    BACKTRACKING - Regex shaped for catastrophic backtracking (ReDoS):
+//                nested quantifiers "(a+)+" or overlapping alternatives "(a|ab)*"
+//
+// PROOF VS EXAMPLES:
+//    SHADOWED/REDUNDANT/OVERLAP are only reported when coverage is PROVEN from
+//    the pattern syntax (literal substrings, structured host/path nesting).
+//    Regex coverage is undecidable here, so regexes only take part in
+//    AMBIGUOUS, which needs one concrete example URL matching both rules.
+//
+// CONDITIONS: A rule with source or schedule conditions never counts as
+// covering another (it doesn't always match), and conditional rules are left
+// out of AMBIGUOUS - overlapping them with a fallback rule is the point.
+//
+// PURE FUNCTIONS: No DOM, no browser APIs, runnable in Node tests
+// ============================================================================
+
+const ANALYSIS_FINDINGS = {
+    SHADOWED: 'shadowed',
+    REDUNDANT: 'redundant',
+    OVERLAP: 'overlap',
+    AMBIGUOUS: 'ambiguous',
+    BACKTRACKING: 'backtracking'
+};
+
+const ANALYSIS_SEVERITIES = {
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+/**
+ * Analyze a full rules array (same order as stored)
+ * @param {Array} rules - Rules array
+ * @returns {Array<{
+ *   ruleIndex: number,
+ *   type: string,
+ *   severity: string,
+ *   message: string,
+ *   relatedRuleIndex: ?number,
+ *   exampleUrl: ?string
+ * }>} Findings sorted by ruleIndex (ANALYSIS_FINDINGS types)
+ */
+function analyzeRules(rules) {
+    const entries = rules.map((rule, index) => describeRule(rule, index));
+    const findings = [];
+
+    entries.forEach(entry => {
+        const risk = getRuleBacktrackingRisk(entry.rule);
+        if (risk) {
+            findings.push(createFinding(entry, ANALYSIS_FINDINGS.BACKTRACKING, ANALYSIS_SEVERITIES.WARNING,
+                `Regex can hang on long URLs (catastrophic backtracking): ${risk}`));
+        }
+
+        const pairFinding = findCoverageFinding(entry, entries) || findAmbiguousFinding(entry, entries);
+        if (pairFinding) {
+            findings.push(pairFinding);
+        }
+    });
+
+    return findings.sort((a, b) => a.ruleIndex - b.ruleIndex);
+}
+
+/**
+ * Describe the catastrophic-backtracking shape of a regex, if any
+ * @param {string} source - Regex source without the enclosing slashes
+ * @returns {?string} e.g. 'nested quantifier "(a+)+"', or null when safe
+ */
+function getBacktrackingRisk(source) {
+    const groups = []; // Open groups, innermost last (see BACKTRACKING SCAN)
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        const group = groups[groups.length - 1];
+
+        if (char === '(') {
+            const prefixLength = getGroupPrefixLength(source, index);
+            groups.push({
+                start: index,
+                bodyStart: index + 1 + prefixLength,
+                separators: [],
+                hasRepeat: false,
+                hasBroadRepeat: false,
+                hasMandatory: false
+            });
+            index += prefixLength;
+            continue;
+        }
+        if (char === '|') {
+            if (group) {
+                group.separators.push(index);
+            }
+            continue;
+        }
+
+        if (char === ')') {
+            groups.pop();
+            if (!group) {
+                continue;
+            }
+            const quantifier = getQuantifier(source, index + 1);
+            if (quantifier.repeats) {
+                const text = source.slice(group.start, index + 1 + quantifier.length);
+                const ambiguousRepeat = group.hasBroadRepeat || !group.hasMandatory || group.separators.length > 0;
+                if (group.hasRepeat && ambiguousRepeat) {
+                    return `nested quantifier "${text}"`;
+                }
+                if (branchesOverlap(getGroupBranches(source, group, index))) {
+                    return `overlapping alternatives "${text}"`;
+                }
+            }
+            const parent = groups[groups.length - 1];
+            if (parent) {
+                parent.hasRepeat = parent.hasRepeat || group.hasRepeat || quantifier.repeats;
+                parent.hasBroadRepeat = parent.hasBroadRepeat || group.hasBroadRepeat;
+                parent.hasMandatory = parent.hasMandatory ||
+                    (group.hasMandatory && group.separators.length === 0 && !quantifier.repeats && !quantifier.optional);
+            }
+            index += quantifier.length;
+            continue;
+        }
+
+        // ATOM: Escape, character class or single character
+        const atomEnd = char === '\\' ? index + 1 : char === '[' ? findClassEnd(source, index) : index;
+        const atom = source.slice(index, atomEnd + 1);
+        const quantifier = getQuantifier(source, atomEnd + 1);
+        if (group && quantifier.repeats) {
+            group.hasRepeat = true;
+            group.hasBroadRepeat = group.hasBroadRepeat || isBroadAtom(atom);
+        } else if (group && !quantifier.optional && atom !== '^' && atom !== '$') {
+            group.hasMandatory = true;
+        }
+        index = atomEnd + quantifier.length;
+    }
+
+    return null;
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+function describeRule(rule, index) {
+    const pattern = rule.urlPattern;
+    let kind = 'literal';
+    let spec = null;
+    let matchesUrl;
+
+    try {
+        if (isRegexPattern(pattern)) {
+            kind = 'regex';
+            const regex = new RegExp(pattern.slice(1, -1));
+            matchesUrl = url => regex.test(url);
+        } else if (isStructuredPattern(pattern)) {
+            kind = 'structured';
+            spec = parseStructuredPattern(pattern);
+            matchesUrl = url => matchesStructuredPattern(url, spec);
+        } else {
+            matchesUrl = url => url.includes(pattern);
+        }
+    } catch {
+        // INVALID: Reported by validation - matches nothing, covers nothing
+        kind = 'invalid';
+        matchesUrl = () => false;
+    }
+
+    const excludePatterns = Array.isArray(rule.excludePatterns) ? rule.excludePatterns : [];
+    const entry = {
+        rule,
+        index,
+        kind,
+        spec,
+        // ISOLATE: Every isolate rule targets the same temporary-container sentinel
+        container: rule.action === 'isolate' ? ISOLATED_COOKIE_STORE_ID : (rule.cookieStoreId || rule.containerName),
+        label: rule.action === 'isolate' ? ISOLATED_CONTAINER_NAME : rule.containerName,
+        conditional: Boolean(rule.source || rule.schedule),
+        // ALWAYS MATCHES its pattern's URLs: may cover other rules
+        unconditional: !rule.source && !rule.schedule && excludePatterns.length === 0,
+        matches: url => matchesUrl(url) && !excludePatterns.some(excludePattern => matchesPattern(url, excludePattern))
+    };
+    entry.exampleUrls = getExampleUrls(entry).filter(url => entry.matches(url));
+    return entry;
+}
+
+function createFinding(entry, type, severity, message, related = null, exampleUrl = null) {
+    return {
+        ruleIndex: entry.index,
+        type,
+        severity,
+        message,
+        relatedRuleIndex: related ? related.index : null,
+        exampleUrl
+    };
+}
+
+function describeRelated(entry) {
+    return `rule ${entry.index + 1} ("${entry.rule.urlPattern}" → ${entry.label})`;
+}
+
+// Strongest proven finding against any other rule (SHADOWED > REDUNDANT > OVERLAP)
+function findCoverageFinding(entry, entries) {
+    const coveringEntries = entries.filter(other =>
+        other !== entry && other.unconditional && patternCovers(other, entry)
+    );
+    const priority = getRulePriority(entry.rule);
+
+    // SHADOWED: Restricted rules are exempt - they still allow the URL in their container
+    // PRECEDENCE: Higher tier, or same tier and earlier (see PRIORITY TIERS)
+    const shadowing = entry.rule.action === 'restricted' ? null : coveringEntries.find(other =>
+        other.container !== entry.container &&
+        (getRulePriority(other.rule) > priority || (getRulePriority(other.rule) === priority && other.index < entry.index))
+    );
+    if (shadowing) {
+        return createFinding(entry, ANALYSIS_FINDINGS.SHADOWED, ANALYSIS_SEVERITIES.WARNING,
+            `Never switches a tab: ${describeRelated(shadowing)} matches every URL this rule does and takes precedence. ` +
+            `It only keeps tabs already in ${entry.label}.`, shadowing);
+    }
+
+    // REDUNDANT: Mutual coverage (identical patterns) flags only the later copy
+    const redundantWith = coveringEntries.find(other =>
+        other.container === entry.container &&
+        getRulePriority(other.rule) >= priority &&
+        (other.rule.switchStrategy || '') === (entry.rule.switchStrategy || '') &&
+        (other.index < entry.index || !(entry.unconditional && patternCovers(entry, other)))
+    );
+    if (redundantWith) {
+        return createFinding(entry, ANALYSIS_FINDINGS.REDUNDANT, ANALYSIS_SEVERITIES.INFO,
+            `Already covered by ${describeRelated(redundantWith)}.`, redundantWith);
+    }
+
+    const overlapping = coveringEntries.find(other =>
+        other.container !== entry.container && other.kind === 'literal' && entry.kind === 'literal' &&
+        other.rule.urlPattern !== entry.rule.urlPattern
+    );
+    if (overlapping) {
+        return createFinding(entry, ANALYSIS_FINDINGS.OVERLAP, ANALYSIS_SEVERITIES.INFO,
+            `"${overlapping.rule.urlPattern}" is part of this pattern, so ${describeRelated(overlapping)} matches ` +
+            `the same URLs: tabs already in ${overlapping.label} stay there.`, overlapping);
+    }
+
+    return null;
+}
+
+// AMBIGUOUS: First earlier same-tier rule of another container sharing an example URL
+// (tiers above 0 are an explicit choice - never ambiguous, like in the engine)
+function findAmbiguousFinding(entry, entries) {
+    const priority = getRulePriority(entry.rule);
+    if (entry.conditional || priority > 0) {
+        return null;
+    }
+
+    for (const other of entries.slice(0, entry.index)) {
+        if (other.conditional || getRulePriority(other.rule) !== priority || other.container === entry.container) {
+            continue;
+        }
+        const exampleUrl = [...entry.exampleUrls, ...other.exampleUrls]
+            .find(url => entry.matches(url) && other.matches(url));
+        if (exampleUrl) {
+            return createFinding(entry, ANALYSIS_FINDINGS.AMBIGUOUS, ANALYSIS_SEVERITIES.WARNING,
+                `Also matched by ${describeRelated(other)}, e.g. ${exampleUrl} - the earlier rule wins by order alone.`,
+                other, exampleUrl);
+        }
+    }
+    return null;
+}
+
+// ============================================================================
+// COVERAGE PROOF: Does every URL matching `inner` also match `outer`?
+// ============================================================================
+//    literal ⊇ literal       inner contains outer as a substring
+//    literal ⊇ structured    outer is part of inner's host name or fixed path
+//                            prefix (both always appear in a matching URL)
+//    structured ⊇ structured scheme/port equal or unset, host nests
+//                            (exact ⊂ suffix/wildcard), outer path prefixes inner
+//    anything else           not proven (false)
+// ============================================================================
+function patternCovers(outer, inner) {
+    const outerPattern = outer.rule.urlPattern;
+    const innerPattern = inner.rule.urlPattern;
+
+    if (outer.kind === 'invalid' || inner.kind === 'invalid') {
+        return false;
+    }
+    if (outerPattern === innerPattern) {
+        return true;
+    }
+
+    if (outer.kind === 'literal' && inner.kind === 'literal') {
+        return innerPattern.includes(outerPattern);
+    }
+
+    if (outer.kind === 'literal' && inner.kind === 'structured') {
+        const fixedPathPrefix = (getStructuredPathGlob(innerPattern) || '').split('*')[0];
+        return Boolean(inner.spec.host && inner.spec.host.value.includes(outerPattern)) ||
+            fixedPathPrefix.includes(outerPattern);
+    }
+
+    if (outer.kind === 'structured' && inner.kind === 'structured') {
+        const outerSpec = outer.spec;
+        const innerSpec = inner.spec;
+        if (outerSpec.scheme && outerSpec.scheme !== innerSpec.scheme) {
+            return false;
+        }
+        if (outerSpec.port && outerSpec.port !== innerSpec.port) {
+            return false;
+        }
+        if (outerSpec.host && !(innerSpec.host && hostCovers(outerSpec.host, innerSpec.host))) {
+            return false;
+        }
+        if (!outerSpec.path) {
+            return true;
+        }
+        // PREFIX MATCH: If outer matches inner's fixed prefix, it matches every extension of it
+        const innerPathGlob = getStructuredPathGlob(innerPattern);
+        return Boolean(innerPathGlob) && outerSpec.path.test(innerPathGlob.split('*')[0]);
+    }
+
+    return false;
+}
+
+function hostCovers(outerHost, innerHost) {
+    const isSubdomain = innerHost.value.endsWith(`.${outerHost.value}`);
+    if (outerHost.kind === 'exact') {
+        return innerHost.kind === 'exact' && innerHost.value === outerHost.value;
+    }
+    if (outerHost.kind === 'suffix') {
+        // Inner "*.x" includes apex x itself, which a ".x" suffix doesn't match
+        return isSubdomain || (innerHost.kind === 'suffix' && innerHost.value === outerHost.value);
+    }
+    return isSubdomain || innerHost.value === outerHost.value;
+}
+
+// Path glob as written ("path:/org/*" or the "/org/*" tail of the compact spelling)
+function getStructuredPathGlob(pattern) {
+    if (/^(scheme|host|port|path):/i.test(pattern)) {
+        const pathToken = pattern.trim().split(/\s+/).find(token => /^path:/i.test(token));
+        return pathToken ? pathToken.slice('path:'.length) : null;
+    }
+    const schemeSeparatorIndex = pattern.indexOf('://');
+    const remainder = schemeSeparatorIndex >= 0 ? pattern.slice(schemeSeparatorIndex + 3) : pattern;
+    const pathIndex = remainder.indexOf('/');
+    return pathIndex >= 0 ? remainder.slice(pathIndex).trim() : null;
+}
+
+// ============================================================================
+// EXAMPLE URLS: Concrete URLs a rule matches (for AMBIGUOUS)
+// ============================================================================
+// Built from the pattern syntax, then kept only if the rule really matches
+// them. Regexes get none of their own - they're found ambiguous through the
+// other rule's examples.
+// ============================================================================
+function getExampleUrls(entry) {
+    const pattern = entry.rule.urlPattern;
+
+    if (entry.kind === 'structured') {
+        const { scheme, host, port } = entry.spec;
+        const hosts = !host ? ['example.com']
+            : host.kind === 'exact' ? [host.value]
+                : host.kind === 'suffix' ? [`www.${host.value}`]
+                    : [host.value, `www.${host.value}`];
+        const path = (getStructuredPathGlob(pattern) || '/').replace(/\*/g, 'x');
+        return hosts.map(hostname => `${scheme || 'https'}://${hostname}${port ? `:${port}` : ''}${path}`);
+    }
+
+    if (entry.kind === 'literal') {
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(pattern)) {
+            return [pattern];
+        }
+        // Host-like ("github.com/org") vs. anything else ("/login", "?utm_")
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+/i.test(pattern)
+            ? [`https://${pattern}`, `https://www.${pattern}`]
+            : [`https://example.com/${pattern.replace(/^\/+/, '')}`];
+    }
+
+    return [];
+}
+
+// ============================================================================
+// BACKTRACKING SCAN: Single pass over the regex source
+// ============================================================================
+// A group is REPEATED when followed by *, + or {n,} / {n,m>n}. It is risky when
+//    - its body already repeats something AND one pass through the body can
+//      be split several ways: nothing mandatory in it "(\w+\s?)*", a broad
+//      repeat ".", "[^/]" "(.*a)+", or alternatives "(a+|b)+"
+//      SAFE: "([a-z]+\.)+" - every pass must end on a literal "."
+//    - its alternatives can start with the same character: "(a|ab)*", "(.|x)+"
+// Character classes and escapes are single atoms; "?" alone doesn't repeat.
+// ============================================================================
+function getRuleBacktrackingRisk(rule) {
+    const patterns = [
+        rule.urlPattern,
+        ...(Array.isArray(rule.excludePatterns) ? rule.excludePatterns : []),
+        rule.source?.urlPattern
+    ];
+    for (const pattern of patterns) {
+        if (isRegexPattern(pattern)) {
+            const risk = getBacktrackingRisk(pattern.slice(1, -1));
+            if (risk) {
+                return pattern === rule.urlPattern ? risk : `${risk} in "${pattern}"`;
+            }
+        }
+    }
+    return null;
+}
+
+function findClassEnd(source, start) {
+    let index = start + 1;
+    if (source[index] === ']') {
+        index++; // "[]...]": leading "]" is literal
+    }
+    for (; index < source.length; index++) {
+        if (source[index] === '\\') {
+            index++;
+        } else if (source[index] === ']') {
+            return index;
+        }
+    }
+    return source.length;
+}
+
+// "(?:", "(?=", "(?!", "(?<=", "(?<!", "(?<name>"
+function getGroupPrefixLength(source, openIndex) {
+    if (source[openIndex + 1] !== '?') {
+        return 0;
+    }
+    if (source[openIndex + 2] === '<' && !['=', '!'].includes(source[openIndex + 3])) {
+        const nameEnd = source.indexOf('>', openIndex);
+        return nameEnd === -1 ? 0 : nameEnd - openIndex;
+    }
+    return source[openIndex + 2] === '<' ? 3 : 2;
+}
+
+// Quantifier at `index` (lazy "?" included): length 0 when there is none
+function getQuantifier(source, index) {
+    let quantifier = { length: 0, repeats: false, optional: false };
+    if (source[index] === '*' || source[index] === '+' || source[index] === '?') {
+        quantifier = { length: 1, repeats: source[index] !== '?', optional: source[index] !== '+' };
+    } else if (source[index] === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+        if (bounds) {
+            const min = Number(bounds[1]);
+            const max = bounds[2] ? (bounds[3] === '' ? Infinity : Number(bounds[3])) : min;
+            quantifier = { length: bounds[0].length, repeats: max > min, optional: min === 0 };
+        }
+    }
+    if (quantifier.length > 0 && source[index + quantifier.length] === '?') {
+        quantifier.length++;
+    }
+    return quantifier;
+}
+
+// BROAD ATOMS: Also match the separators ("/", ".", "-") that keep repeats apart
+function isBroadAtom(atom) {
+    return atom === '.' || /^\\[SWD]$/.test(atom) || atom.startsWith('[^');
+}
+
+function getGroupBranches(source, group, closeIndex) {
+    const bounds = [group.bodyStart - 1, ...group.separators, closeIndex];
+    return bounds.slice(1).map((end, i) => source.slice(bounds[i] + 1, end));
+}
+
+function branchesOverlap(branches) {
+    if (branches.length < 2) {
+        return false;
+    }
+    const heads = branches.map(branch => {
+        if (branch.startsWith('\\')) return branch.slice(0, 2);
+        if (branch.startsWith('[')) return branch.slice(0, findClassEnd(branch, 0) + 1);
+        return branch.slice(0, 1);
+    });
+    // BROAD HEADS: Can start the same text as almost any other branch
+    const isBroad = head => head === '' || head === '.' || /^\\[wWsSdD]$/.test(head) || head.startsWith('[^');
+    return heads.some(isBroad) || new Set(heads).size < heads.length;
+}
+
+// Export for both browser and test environments
+if (typeof window !== 'undefined') {
+    // Browser environment
+    window.ANALYSIS_FINDINGS = ANALYSIS_FINDINGS;
+    window.ANALYSIS_SEVERITIES = ANALYSIS_SEVERITIES;
+    window.analyzeRules = analyzeRules;
+    window.getBacktrackingRisk = getBacktrackingRisk;
+} else if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        ANALYSIS_FINDINGS,
+        ANALYSIS_SEVERITIES,
+        analyzeRules,
+        getBacktrackingRisk
+    };
+}
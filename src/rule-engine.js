@@ -17,29 +17,504 @@
 //
 // RULE PRECEDENCE (highest to lowest):
 //    1. Current container (if allowed by its rules)
-//    2. High-priority rules (first match wins)
-//    3. Normal rules (first match wins)
-//    4. No Container (default fallback)
+//    2. Highest priority tier (first match in rule order wins the tier)
+//    3. No Container (default fallback)
 //
 // PURE FUNCTION: No side effects, no browser APIs, fully testable
+// (the clock for SCHEDULE CONDITIONS is injectable for the same reason)
 // ============================================================================
 
+// ============================================================================
+// ISOLATE SENTINEL: Rules that open URLs in a throwaway container
+// ============================================================================
+// RULE TYPE: { action: "isolate", urlPattern: "..." }
+// The engine returns ISOLATED_CONTAINER_NAME instead of a real container; the
+// background creates a fresh temporary container for it (and deletes it when
+// its last tab closes). The repository maps the name to ISOLATED_COOKIE_STORE_ID
+// alongside the built-in "No Container" → "firefox-default" entry.
+// ============================================================================
+const ISOLATED_CONTAINER_NAME = 'New Temporary Container';
+const ISOLATED_COOKIE_STORE_ID = 'ctc-isolated';
+
+// ============================================================================
+// PRIVILEGED PAGES: Never routed (the browser refuses to open them in a container)
+// ============================================================================
+// Checked by every caller before rules are evaluated: navigations
+// (background.js), keyboard commands and the link/tab menu.
+// ============================================================================
+function isPrivilegedURL(url) {
+    return (
+        url.startsWith('about:') ||
+        url.startsWith('moz-extension:') ||
+        url.startsWith('chrome:') ||
+        url.startsWith('resource:')
+    );
+}
+
+// ============================================================================
+// EXCLUSIONS: Per-rule negative patterns
+// ============================================================================
+// RULE FIELD: { urlPattern: "github.com", excludePatterns: ["github.com/personal-user/"] }
+// A rule matches when its urlPattern matches AND none of its excludePatterns
+// do. Exclusions use the same syntax as urlPattern (literal, /regex/ or
+// structured), replacing fragile negative-lookahead regexes.
+// Applies everywhere a rule is tested: restricted check (PHASE 2) and
+// candidate matching (PHASE 3).
+// ============================================================================
+
+// ============================================================================
+// SOURCE CONDITIONS: Where the navigation came from
+// ============================================================================
+// RULE FIELD (optional, every present key must hold):
+//    source: {
+//        urlPattern: "mail.google.com",   // Referring page (originUrl/documentUrl)
+//        cookieStoreId: "firefox-container-2", // Container of the opener tab
+//        containerName: "Personal",       // ...its name snapshot (cross-device fallback)
+//        external: true                   // Link opened from another application
+//    }
+// NAVIGATION CONTEXT (built by background.js, optional for callers):
+//    { sourceUrl: ?string, openerCookieStoreId: ?string, external: boolean }
+// Unknown context never satisfies a condition, so conditional rules simply
+// don't match where the source can't be determined.
+//
+// EXAMPLE: docs.google.com → Work when external (Slack), → Personal when the
+//          referring page is mail.google.com in the Personal container
+// ============================================================================
+function ruleMatchesUrl(url, rule, context = {}) {
+    if (!matchesPattern(url, rule.urlPattern)) {
+        return false;
+    }
+    const excludePatterns = Array.isArray(rule.excludePatterns) ? rule.excludePatterns : [];
+    if (excludePatterns.some(excludePattern => matchesPattern(url, excludePattern))) {
+        return false;
+    }
+    return sourceConditionsHold(rule.source, context) && isScheduleActive(rule.schedule, context.now);
+}
+
+function sourceConditionsHold(source, context) {
+    if (!source) {
+        return true;
+    }
+    if (source.urlPattern && !(context.sourceUrl && matchesPattern(context.sourceUrl, source.urlPattern))) {
+        return false;
+    }
+    if (source.cookieStoreId && source.cookieStoreId !== context.openerCookieStoreId) {
+        return false;
+    }
+    if (typeof source.external === 'boolean' && source.external !== Boolean(context.external)) {
+        return false;
+    }
+    return true;
+}
+
+// ============================================================================
+// SCHEDULE CONDITIONS: When a rule applies
+// ============================================================================
+// RULE FIELD (optional, every present key must hold):
+//    schedule: {
+//        days: [1, 2, 3, 4, 5],                     // 0 = Sunday … 6 = Saturday
+//        times: [{ start: "09:00", end: "18:00" }], // 24h "HH:MM", end exclusive
+//        timeZone: "Europe/Berlin"                  // IANA zone; omitted = this device's
+//    }
+// Missing days = every day, missing times = all day.
+// OVERNIGHT: A range ending before it starts ("22:00"-"02:00") runs past
+// midnight and belongs to the day it STARTS on - Friday's late shift still
+// applies at 01:00 on Saturday even when Saturday isn't listed.
+// CLOCK: context.now (ms since epoch) when given, so tests and the options
+// page can evaluate any moment; Date.now() otherwise. explainContainerForUrl
+// reads it once, so every rule in one evaluation sees the same instant.
+// Outside its schedule a rule behaves like one whose source conditions don't
+// hold: it matches nothing (restricted check included).
+//
+// EXAMPLE: slack.com → Work on days [1-5] 09:00-18:00, → Personal otherwise
+//          (a second, unscheduled Personal rule)
+// ============================================================================
+const SCHEDULE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const zonedTimeFormatters = new Map(); // timeZone → Intl.DateTimeFormat (construction is slow)
+
+/**
+ * Check if a schedule holds at a moment
+ * @param {?Object} schedule - Rule schedule (see SCHEDULE CONDITIONS); none always holds
+ * @param {number} [now] - Milliseconds since epoch (default: Date.now())
+ * @returns {boolean} True when the rule is active at `now`
+ */
+function isScheduleActive(schedule, now = Date.now()) {
+    if (!schedule) {
+        return true;
+    }
+
+    let zoned;
+    try {
+        zoned = getZonedDayAndMinutes(now ?? Date.now(), schedule.timeZone);
+    } catch {
+        return false; // Unknown time zone (rejected by validation): never holds
+    }
+
+    const days = Array.isArray(schedule.days) && schedule.days.length > 0 ? schedule.days : null;
+    const dayListed = day => !days || days.includes(day);
+    const times = Array.isArray(schedule.times) && schedule.times.length > 0 ? schedule.times : null;
+    if (!times) {
+        return dayListed(zoned.day);
+    }
+
+    return times.some(range => {
+        const start = parseClockTime(range?.start);
+        const end = parseClockTime(range?.end);
+        if (start === null || end === null) {
+            return false;
+        }
+        if (start < end) {
+            return dayListed(zoned.day) && zoned.minutes >= start && zoned.minutes < end;
+        }
+        // OVERNIGHT (start === end: a full 24 hours from start)
+        if (zoned.minutes >= start) {
+            return dayListed(zoned.day);
+        }
+        return zoned.minutes < end && dayListed((zoned.day + 6) % 7);
+    });
+}
+
+/**
+ * Describe what is wrong with a schedule (shape, days, times, time zone)
+ * @param {*} schedule - Rule schedule field
+ * @returns {?string} Error message, or null when valid
+ */
+function getScheduleError(schedule) {
+    if (schedule === null || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return 'schedule must be an object of conditions';
+    }
+    if (schedule.days !== undefined &&
+        (!Array.isArray(schedule.days) || schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        return 'schedule days must be a list of weekdays 0 (Sunday) to 6 (Saturday)';
+    }
+    if (schedule.times !== undefined) {
+        if (!Array.isArray(schedule.times)) {
+            return 'schedule times must be a list of { start, end } ranges';
+        }
+        const badRange = schedule.times.find(range =>
+            parseClockTime(range?.start) === null || parseClockTime(range?.end) === null);
+        if (badRange) {
+            return `invalid schedule time range "${badRange?.start}-${badRange?.end}" (use 24h HH:MM)`;
+        }
+    }
+    if (schedule.timeZone !== undefined) {
+        try {
+            getZonedDayAndMinutes(0, schedule.timeZone);
+        } catch {
+            return `unknown time zone "${schedule.timeZone}"`;
+        }
+    }
+    return null;
+}
+
+// "HH:MM" → minutes after midnight ("24:00" allowed as an end); null if malformed
+function parseClockTime(text) {
+    const match = typeof text === 'string' && /^(\d{2}):(\d{2})$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// Weekday (0 = Sunday) and minutes after midnight at `now` in a time zone
+// THROWS: RangeError for unknown time zones
+function getZonedDayAndMinutes(now, timeZone) {
+    const date = new Date(now);
+    if (timeZone === undefined || timeZone === '') {
+        return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+    if (typeof timeZone !== 'string') {
+        throw new RangeError('Time zone must be a string');
+    }
+
+    let formatter = zonedTimeFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+        zonedTimeFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return {
+        day: SCHEDULE_WEEKDAYS.indexOf(parts.weekday),
+        minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+}
+
+// ============================================================================
+// SWITCH STRATEGIES: How the background moves a tab into the picked container
+// ============================================================================
+// RULE FIELD (optional): { switchStrategy: "replace" | "alongside" | "ask" }
+// Overrides the global preference for switches decided by that rule. The
+// engine only picks the container; background.js (tab-switching.js) applies it.
+//    REPLACE:   New tab at the same index (pinned/muted/group carried over),
+//               original closed
+//    ALONGSIDE: New tab next to the original, original kept
+//    ASK:       Prompt in the original tab before switching
+// ============================================================================
+const SWITCH_STRATEGIES = {
+    REPLACE: 'replace',
+    ALONGSIDE: 'alongside',
+    ASK: 'ask'
+};
+
+// ============================================================================
+// PRIORITY TIERS: Explicit precedence between rules of different containers
+// ============================================================================
+// RULE FIELD (optional): { priority: 2 } - integer, RULE_PRIORITY_MIN..MAX
+// Matching rules are ranked by tier (higher first), then by rule order (the
+// rules array order, shown as "Rule N" in options). Tier 0 is the default;
+// negative tiers only win when nothing else matches.
+// LEGACY: { highPriority: true } without `priority` is tier 1. Saved rules
+// keep highPriority = (tier > 0) so older versions still rank them first,
+// and `priority` only when highPriority alone can't express the tier.
+// ============================================================================
+const RULE_PRIORITY_MIN = -99;
+const RULE_PRIORITY_MAX = 99;
+
+/**
+ * Effective priority tier of a rule (see PRIORITY TIERS)
+ * @param {Object} rule - Rule object
+ * @returns {number} Tier (0 when unset)
+ */
+function getRulePriority(rule) {
+    if (Number.isInteger(rule.priority)) {
+        return rule.priority;
+    }
+    return rule.highPriority ? 1 : 0;
+}
+
+// ============================================================================
+// COMPILED RULES: Parse every pattern once, index literal domain patterns
+// ============================================================================
+// WHY: The background evaluates every main-frame request, and matchesPattern
+// builds a fresh RegExp (or re-parses a structured pattern) per rule per call.
+// compileRules() does that work once per rules load (CtcRepository) and
+// explainContainerForUrl accepts its result in place of the rules array.
+//
+// SAME DECISIONS: Each compiled test is exactly matchesPattern's, and the
+// index only skips rules that cannot match. The plain array path stays the
+// reference - test/rule-engine-test.js asserts identical traces on the large
+// fixture, test/benchmark-rule-matcher.js measures both.
+//
+// DOMAIN INDEX: Literal patterns are substring checks, so keying them by the
+// URL's hostname would miss "https://evil.com/?next=github.com". Instead a
+// literal is keyed by the characters around its first dot ("hub.co" for
+// "github.com"). A URL containing the pattern has that exact window around
+// one of ITS dots, so each URL looks up only the windows around its own dots.
+// Regex, structured and dot-less literals are tested one by one (cached
+// RegExp / parsed spec).
+//
+// RESTRICTED SET: Containers with restricted rules → indices of ALL their
+// rules (PHASE 2 accepts a match on any rule of the current container)
+// ============================================================================
+const DOMAIN_INDEX_RADIUS = 3; // Characters kept on each side of the dot
+
+/**
+ * Compile rules for repeated evaluation
+ * @param {Array} rules - Rules array (order and indices preserved)
+ * @returns {{
+ *   rules: Array,
+ *   patternTests: Array<Function>,
+ *   excludeTests: Array<Array<Function>>,
+ *   domainIndex: Map<string, Array<{ruleIndex: number, pattern: string, dotOffset: number}>>,
+ *   scannedRuleIndices: number[],
+ *   restrictedRuleIndices: Map<string, number[]>
+ * }} Compiled rules - pass to explainContainerForUrl/evaluateContainerForUrl as `rules`
+ */
+function compileRules(rules) {
+    const compiled = {
+        rules,
+        patternTests: [],
+        excludeTests: [],
+        domainIndex: new Map(),
+        scannedRuleIndices: [],           // Not indexed: tested for every URL
+        restrictedRuleIndices: new Map()
+    };
+
+    rules.forEach((rule, index) => {
+        compiled.patternTests.push(compilePattern(rule.urlPattern));
+        const excludePatterns = Array.isArray(rule.excludePatterns) ? rule.excludePatterns : [];
+        compiled.excludeTests.push(excludePatterns.map(compilePattern));
+
+        const dotOffset = getDomainIndexDotOffset(rule.urlPattern);
+        if (dotOffset === -1) {
+            compiled.scannedRuleIndices.push(index);
+            return;
+        }
+        const key = rule.urlPattern.slice(dotOffset - DOMAIN_INDEX_RADIUS, dotOffset + DOMAIN_INDEX_RADIUS);
+        if (!compiled.domainIndex.has(key)) {
+            compiled.domainIndex.set(key, []);
+        }
+        compiled.domainIndex.get(key).push({ ruleIndex: index, pattern: rule.urlPattern, dotOffset });
+    });
+
+    const restrictedContainers = new Set(
+        rules.filter(rule => rule.action === 'restricted').map(rule => rule.containerName)
+    );
+    rules.forEach((rule, index) => {
+        if (!restrictedContainers.has(rule.containerName)) {
+            return;
+        }
+        if (!compiled.restrictedRuleIndices.has(rule.containerName)) {
+            compiled.restrictedRuleIndices.set(rule.containerName, []);
+        }
+        compiled.restrictedRuleIndices.get(rule.containerName).push(index);
+    });
+
+    return compiled;
+}
+
+// Same outcome as matchesPattern(url, pattern) for every url, parsed once
+function compilePattern(pattern) {
+    if (!pattern) {
+        return () => false;
+    }
+    try {
+        if (isRegexPattern(pattern)) {
+            const regex = new RegExp(pattern.slice(1, -1));
+            return url => regex.test(url);
+        }
+        if (isStructuredPattern(pattern)) {
+            const spec = parseStructuredPattern(pattern);
+            return url => matchesStructuredPattern(url, spec);
+        }
+    } catch (error) {
+        // Defensive logging: ctcConsole may not be available in test environments
+        if (typeof ctcConsole !== 'undefined') {
+            ctcConsole.error('Invalid pattern:', pattern, error);
+        }
+        return () => false;
+    }
+    return url => url.includes(pattern);
+}
+
+// Offset of the first dot with a full key window around it, -1 if not indexable
+function getDomainIndexDotOffset(pattern) {
+    if (typeof pattern !== 'string' || isRegexPattern(pattern) || isStructuredPattern(pattern)) {
+        return -1;
+    }
+    for (let dot = pattern.indexOf('.'); dot !== -1; dot = pattern.indexOf('.', dot + 1)) {
+        if (dot >= DOMAIN_INDEX_RADIUS && dot + DOMAIN_INDEX_RADIUS <= pattern.length) {
+            return dot;
+        }
+    }
+    return -1;
+}
+
+// ruleMatchesUrl for compiled rule `index`
+function compiledRuleMatchesUrl(compiled, index, url, context) {
+    return compiled.patternTests[index](url) && compiledRuleAccepts(compiled, index, url, context);
+}
+
+// Everything ruleMatchesUrl checks after the urlPattern itself
+function compiledRuleAccepts(compiled, index, url, context) {
+    const rule = compiled.rules[index];
+    return !compiled.excludeTests[index].some(excludeTest => excludeTest(url)) &&
+        sourceConditionsHold(rule.source, context) &&
+        isScheduleActive(rule.schedule, context.now);
+}
+
+// Indices of every matching rule, ascending (same set as a linear ruleMatchesUrl scan)
+function findCompiledRuleMatches(compiled, url, context) {
+    const patternMatches = new Set();
+
+    for (let dot = url.indexOf('.', DOMAIN_INDEX_RADIUS); dot !== -1 && dot + DOMAIN_INDEX_RADIUS <= url.length;
+        dot = url.indexOf('.', dot + 1)) {
+        const entries = compiled.domainIndex.get(url.slice(dot - DOMAIN_INDEX_RADIUS, dot + DOMAIN_INDEX_RADIUS));
+        if (!entries) {
+            continue;
+        }
+        entries.forEach(({ ruleIndex, pattern, dotOffset }) => {
+            if (dot >= dotOffset && url.startsWith(pattern, dot - dotOffset)) {
+                patternMatches.add(ruleIndex);
+            }
+        });
+    }
+
+    compiled.scannedRuleIndices.forEach(index => {
+        if (compiled.patternTests[index](url)) {
+            patternMatches.add(index);
+        }
+    });
+
+    return [...patternMatches]
+        .sort((a, b) => a - b)
+        .filter(index => compiledRuleAccepts(compiled, index, url, context));
+}
+
 /**
  * Core rule evaluation logic (pure function, no browser dependencies)
  * @param {string} url - URL being navigated to
  * @param {string} currentContainerName - Name of current container
- * @param {Array} rules - Array of rule objects
+ * @param {Array|Object} rules - Array of rule objects, or compileRules() output
  * @param {Map} containerMap - Map of container names to IDs
+ * @param {Object} [context] - Navigation context for source conditions (see SOURCE CONDITIONS)
+ *   plus an optional `now` clock for schedules (see SCHEDULE CONDITIONS)
  * @returns {string} Target container name
  */
-function evaluateContainerForUrl(url, currentContainerName, rules, containerMap) {
+function evaluateContainerForUrl(url, currentContainerName, rules, containerMap, context = {}) {
+    return explainContainerForUrl(url, currentContainerName, rules, containerMap, context).targetContainer;
+}
+
+// ============================================================================
+// DECISION STEPS: Which precedence rule picked the winner (see PHASE 4)
+// ============================================================================
+const DECISION_STEPS = {
+    STAY_MATCHED: 'current-container-match',   // PRECEDENCE 1
+    HIGH_PRIORITY: 'high-priority-rule',       // PRECEDENCE 2
+    RULE_ORDER: 'first-matching-rule',         // PRECEDENCE 3
+    STAY_NO_MATCH: 'no-match-stay-put',        // PRECEDENCE 4
+    NO_CONTAINER: 'no-container-fallback'      // PRECEDENCE 5
+};
+
+/**
+ * Rule evaluation with a structured trace ("why did this open here")
+ * SAME ALGORITHM as evaluateContainerForUrl (which delegates here), so the
+ * trace can never disagree with the real routing decision.
+ *
+ * @param {string} url - URL being navigated to
+ * @param {string} currentContainerName - Name of current container
+ * @param {Array|Object} rules - Array of rule objects, or compileRules() output (same trace,
+ *   ruleIndex values index compiled.rules)
+ * @param {Map} containerMap - Map of container names to IDs
+ * @param {Object} [context] - Navigation context for source conditions (see SOURCE CONDITIONS)
+ *   plus an optional `now` clock for schedules (see SCHEDULE CONDITIONS)
+ * @returns {{
+ *   url: string,
+ *   startingContainer: string,
+ *   restrictedCheck: {applies: boolean, matchedRuleIndex: ?number, forcedExit: boolean},
+ *   matchingRules: Array<{ruleIndex: number, containerName: string, action: string, urlPattern: string,
+ *     priority: number, highPriority: boolean}>,  // Rule order (highPriority = tier above 0)
+ *   candidates: Array<{ruleIndex: number, containerName: string, action: string, urlPattern: string,
+ *     priority: number, highPriority: boolean}>,  // Precedence order, one per container
+ *   decision: {step: string, ruleIndex: ?number, ambiguous: boolean},
+ *   targetContainer: string
+ * }} Evaluation trace
+ */
+function explainContainerForUrl(url, currentContainerName, rules, containerMap, context = {}) {
+    // CLOCK: One instant for the whole evaluation (see SCHEDULE CONDITIONS)
+    context = { ...context, now: context.now ?? Date.now() };
+
+    // COMPILED RULES: Same phases with indexed lookups (see COMPILED RULES)
+    const compiled = Array.isArray(rules) ? null : rules;
+    const ruleList = compiled ? compiled.rules : rules;
+
     // ========================================================================
     // PHASE 1: Start with current container (sticky behavior)
     // ========================================================================
     // WHY: Minimize tab switching - prefer staying put unless rules say otherwise
     // BENEFIT: Less jarring UX, fewer container switches during browsing
     // ========================================================================
-    let targetContainer = currentContainerName || 'No Container';
+    const startingContainer = currentContainerName || 'No Container';
+    let targetContainer = startingContainer;
 
     // ========================================================================
     // PHASE 2: Check if we must LEAVE current restricted container
@@ -49,7 +524,7 @@ function evaluateContainerForUrl(url, currentContainerName, rules, containerMap)
     //
     // BEHAVIOR:
     //    - If current container has restricted rules
-    //    - AND URL doesn't match ANY of those rules
+    //    - AND URL doesn't match ANY of those rules (exclusions honored)
     //    - THEN we must leave (set targetContainer = null)
     //
     // EXAMPLE:
@@ -59,14 +534,25 @@ function evaluateContainerForUrl(url, currentContainerName, rules, containerMap)
     //
     // WHY null: Forces re-evaluation below, don't stay in wrong container
     // ========================================================================
+    const restrictedCheck = { applies: false, matchedRuleIndex: null, forcedExit: false };
     if (targetContainer !== 'No Container') {
-        const containerRules = rules.filter(rule => rule.containerName === targetContainer);
-        const hasRestrictedRules = containerRules.some(rule => rule.action === 'restricted');
+        const containerRuleIndices = compiled ? compiled.restrictedRuleIndices.get(targetContainer) || [] : null;
+        const hasRestrictedRules = compiled
+            ? containerRuleIndices.length > 0
+            : rules.some(rule => rule.containerName === targetContainer && rule.action === 'restricted');
 
         if (hasRestrictedRules) {
-            const matchesAnyRule = containerRules.some(rule => matchesPattern(url, rule.urlPattern));
-            if (!matchesAnyRule) {
+            restrictedCheck.applies = true;
+            const matchedIndex = compiled
+                ? containerRuleIndices.find(index => compiledRuleMatchesUrl(compiled, index, url, context)) ?? -1
+                : rules.findIndex(rule =>
+                    rule.containerName === targetContainer && ruleMatchesUrl(url, rule, context)
+                );
+            if (matchedIndex === -1) {
+                restrictedCheck.forcedExit = true;
                 targetContainer = null; // Must leave this container
+            } else {
+                restrictedCheck.matchedRuleIndex = matchedIndex;
             }
         }
     }
@@ -78,31 +564,73 @@ function evaluateContainerForUrl(url, currentContainerName, rules, containerMap)
     // RULE TYPES:
     //    - "open": Container accepts this URL (and any others)
     //    - "restricted": Container ONLY accepts this URL
+    //    - "isolate": URL opens in a new temporary container (sentinel name)
+    // EXCLUSIONS: A rule whose excludePatterns match the URL is not a candidate
+    // SOURCE: Nor is a rule whose source conditions don't hold for this navigation
+    // SCHEDULE: Nor is a rule outside its days/hours
     //
     // PRECEDENCE TRACKING:
     //    - Store rule index to preserve rule order
-    //    - Store highPriority flag for precedence sorting
+    //    - Store priority tier for precedence sorting (see PRIORITY TIERS)
     //
     // RESULT: Array of candidates with metadata for sorting
     // ========================================================================
-    const allowedContainers = [];
-    rules.forEach((rule, index) => {
-        if (matchesPattern(url, rule.urlPattern)) {
-            allowedContainers.push({
-                name: rule.containerName,
-                highPriority: rule.highPriority,
-                ruleIndex: index  // Preserves rule order for tie-breaking
-            });
+    const matchingRuleIndices = compiled
+        ? findCompiledRuleMatches(compiled, url, context)
+        : rules.map((rule, index) => index).filter(index => ruleMatchesUrl(url, rules[index], context));
+    const matchingRules = matchingRuleIndices.map(index => {
+        const rule = ruleList[index];
+        const priority = getRulePriority(rule);
+        return {
+            ruleIndex: index,  // Preserves rule order for tie-breaking
+            containerName: rule.action === 'isolate' ? ISOLATED_CONTAINER_NAME : rule.containerName,
+            action: rule.action,
+            urlPattern: rule.urlPattern,
+            priority,
+            highPriority: priority > 0
+        };
+    });
+
+    // PRECEDENCE ORDER: Tier (higher first), then rule order (sort is stable)
+    const rankedRules = [...matchingRules].sort((a, b) => b.priority - a.priority);
+
+    // ========================================================================
+    // CANDIDATES: One entry per distinct matching container, in precedence
+    // order (tier, then rule order) - what "ask me" lists
+    // ========================================================================
+    // AMBIGUOUS: PRECEDENCE 3 picked the first of several containers of the
+    // same tier purely by rule index. Winners above tier 0 are an explicit
+    // user choice and are never ambiguous, nor is staying put.
+    // ========================================================================
+    const candidates = [];
+    rankedRules.forEach(match => {
+        if (!candidates.some(c => c.containerName === match.containerName)) {
+            candidates.push(match);
         }
     });
 
+    const trace = (step, ruleIndex, winner) => ({
+        url,
+        startingContainer,
+        restrictedCheck,
+        matchingRules,
+        candidates,
+        decision: {
+            step,
+            ruleIndex,
+            ambiguous: step === DECISION_STEPS.RULE_ORDER &&
+                candidates.filter(c => c.priority === rankedRules[0].priority).length > 1
+        },
+        targetContainer: winner
+    });
+
     // ========================================================================
     // PHASE 4: Select final container using precedence rules
     // ========================================================================
     // PRECEDENCE ORDER (highest to lowest):
-    //    1. Current container (if it's in allowedContainers) → stay put
-    //    2. High-priority rules (first match by rule order)
-    //    3. Normal-priority rules (first match by rule order)
+    //    1. Current container (if it's in matchingRules) → stay put
+    //    2. Rules above tier 0 (highest tier, then first by rule order)
+    //    3. Remaining rules (highest tier, then first by rule order)
     //    4. Current container (even if no match) → stay put fallback
     //    5. No Container (absolute fallback)
     //
@@ -111,37 +639,80 @@ function evaluateContainerForUrl(url, currentContainerName, rules, containerMap)
     //    - High-priority rules override sticky behavior for important URLs
     //    - Rule order matters for deterministic behavior
     //    - Always return something (never undefined)
+    //
+    // NOTE: rankedRules[0] is the first rule (lowest index) of the highest
+    //       tier - rule order only breaks ties within a tier
     // ========================================================================
 
     // PRECEDENCE 1: Stay in current container if it matches
-    if (targetContainer && allowedContainers.some(c => c.name === targetContainer)) {
-        return targetContainer;
+    const currentMatch = targetContainer && matchingRules.find(c => c.containerName === targetContainer);
+    if (currentMatch) {
+        return trace(DECISION_STEPS.STAY_MATCHED, currentMatch.ruleIndex, targetContainer);
     }
 
-    // PRECEDENCE 2: High-priority rules take precedence over everything
-    const highPriorityContainers = allowedContainers.filter(c => c.highPriority);
-    if (highPriorityContainers.length > 0) {
-        // Sort by rule index (first rule wins for ties)
-        highPriorityContainers.sort((a, b) => a.ruleIndex - b.ruleIndex);
-        return highPriorityContainers[0].name;
+    // PRECEDENCE 2: Prioritized rules take precedence over everything
+    const bestMatch = rankedRules[0];
+    if (bestMatch && bestMatch.priority > 0) {
+        return trace(DECISION_STEPS.HIGH_PRIORITY, bestMatch.ruleIndex, bestMatch.containerName);
     }
 
-    // PRECEDENCE 3: Use first allowed container (by rule order)
-    if (allowedContainers.length > 0) {
-        allowedContainers.sort((a, b) => a.ruleIndex - b.ruleIndex);
-        return allowedContainers[0].name;
+    // PRECEDENCE 3: Use first allowed container (by tier, then rule order)
+    if (bestMatch) {
+        return trace(DECISION_STEPS.RULE_ORDER, bestMatch.ruleIndex, bestMatch.containerName);
     }
 
     // PRECEDENCE 4: No matches → stay in current container (if valid)
+    if (targetContainer) {
+        return trace(DECISION_STEPS.STAY_NO_MATCH, null, targetContainer);
+    }
+
     // PRECEDENCE 5: Absolute fallback → No Container
-    return targetContainer || 'No Container';
+    return trace(DECISION_STEPS.NO_CONTAINER, null, 'No Container');
 }
 
 // Export for both browser and test environments
 if (typeof window !== 'undefined') {
     // Browser environment
     window.evaluateContainerForUrl = evaluateContainerForUrl;
+    window.explainContainerForUrl = explainContainerForUrl;
+    window.compileRules = compileRules;
+    window.DECISION_STEPS = DECISION_STEPS;
+    window.ISOLATED_CONTAINER_NAME = ISOLATED_CONTAINER_NAME;
+    window.ISOLATED_COOKIE_STORE_ID = ISOLATED_COOKIE_STORE_ID;
+    window.isPrivilegedURL = isPrivilegedURL;
+    window.SWITCH_STRATEGIES = SWITCH_STRATEGIES;
+    window.RULE_PRIORITY_MIN = RULE_PRIORITY_MIN;
+    window.RULE_PRIORITY_MAX = RULE_PRIORITY_MAX;
+    window.getRulePriority = getRulePriority;
+    window.isScheduleActive = isScheduleActive;
+    window.getScheduleError = getScheduleError;
 } else if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
-    module.exports = { evaluateContainerForUrl };
+    // SHARED: rule-validation.js, rule-analyzer.js, rule-transfer.js and
+    // ctc-repository.js read these as globals (container-menu.js and
+    // container-commands.js read isPrivilegedURL)
+    globalThis.isPrivilegedURL = isPrivilegedURL;
+    globalThis.compileRules = compileRules;
+    globalThis.SWITCH_STRATEGIES = SWITCH_STRATEGIES;
+    globalThis.getScheduleError = getScheduleError;
+    globalThis.RULE_PRIORITY_MIN = RULE_PRIORITY_MIN;
+    globalThis.RULE_PRIORITY_MAX = RULE_PRIORITY_MAX;
+    globalThis.getRulePriority = getRulePriority;
+    globalThis.ISOLATED_CONTAINER_NAME = ISOLATED_CONTAINER_NAME;
+    globalThis.ISOLATED_COOKIE_STORE_ID = ISOLATED_COOKIE_STORE_ID;
+    module.exports = {
+        evaluateContainerForUrl,
+        explainContainerForUrl,
+        compileRules,
+        DECISION_STEPS,
+        ISOLATED_CONTAINER_NAME,
+        ISOLATED_COOKIE_STORE_ID,
+        isPrivilegedURL,
+        SWITCH_STRATEGIES,
+        RULE_PRIORITY_MIN,
+        RULE_PRIORITY_MAX,
+        getRulePriority,
+        isScheduleActive,
+        getScheduleError
+    };
 }
\ No newline at end of file
@@ -0,0 +1,295 @@
+// Container Traffic Control Rule Transfer
+// Versioned export files, import parsing, and rule diff/merge for the import preview
+
+// ============================================================================
+// EXPORT FILE FORMAT (schema 2)
+// ============================================================================
+//    {
+//      format: "ctc-rules",
+//      schemaVersion: 2,
+//      extensionVersion: "1.4.0",         // manifest version that wrote the file
+//      exportedAt: "2024-01-08T09:00:00.000Z",
+//      containers: [{ name, cookieStoreId }], // This device's containers (reference)
+//      rules: [...]                       // Single profile export, OR
+//      profiles: [{ name, rules }], activeProfile: "Default" // all profiles
+//    }
+//
+// OLDER INPUTS (schema 1, still imported):
+//    - Bare rules array (the original one-line export)
+//    - { version: 1, rules } (storage payload) / { version: 1, activeProfile, profiles }
+// A file from a NEWER schema is refused rather than half-understood.
+//
+// PURE FUNCTIONS: No DOM, no browser APIs, runnable in Node tests
+// ============================================================================
+
+const RULES_FILE_FORMAT = 'ctc-rules';
+const RULES_FILE_SCHEMA_VERSION = 2;
+
+/**
+ * Build the export file object
+ * @param {Object} options
+ * @param {Array} [options.rules] - Rules of one profile (single profile export)
+ * @param {Array<{name: string, rules: Array}>} [options.profiles] - Every profile (all profiles export)
+ * @param {string} [options.activeProfile] - Name of the active profile (all profiles export)
+ * @param {Array<{name: string, cookieStoreId: string}>} options.containers - Containers on this device
+ * @param {string} options.extensionVersion - Manifest version
+ * @param {Date} [options.exportedAt] - Export time (default: now)
+ * @returns {Object} File content, ready for JSON.stringify
+ */
+function buildRulesFile({ rules, profiles, activeProfile, containers, extensionVersion, exportedAt = new Date() }) {
+    const file = {
+        format: RULES_FILE_FORMAT,
+        schemaVersion: RULES_FILE_SCHEMA_VERSION,
+        extensionVersion,
+        exportedAt: exportedAt.toISOString(),
+        containers: containers.map(({ name, cookieStoreId }) => ({ name, cookieStoreId }))
+    };
+    if (profiles) {
+        file.activeProfile = activeProfile;
+        file.profiles = profiles.map(({ name, rules: profileRules }) => ({ name, rules: profileRules }));
+    } else {
+        file.rules = rules;
+    }
+    return file;
+}
+
+/**
+ * Parse an export file (any schema up to RULES_FILE_SCHEMA_VERSION)
+ * @param {string} text - File content or pasted JSON
+ * @returns {{
+ *   schemaVersion: number,
+ *   extensionVersion: ?string,
+ *   exportedAt: ?string,
+ *   containers: Array<{name: string, cookieStoreId: string}>,
+ *   activeProfile: ?string,
+ *   rules: ?Array,
+ *   profiles: ?Array<{name: string, rules: Array}>
+ * }} Exactly one of rules/profiles is set
+ * @throws {Error} User-facing message when the input can't be imported
+ */
+function parseRulesFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('Invalid JSON format. Please check the file or pasted text.');
+    }
+
+    const result = {
+        schemaVersion: 1,
+        extensionVersion: null,
+        exportedAt: null,
+        containers: [],
+        activeProfile: null,
+        rules: null,
+        profiles: null
+    };
+
+    // LEGACY: Bare rules array
+    if (Array.isArray(parsed)) {
+        result.rules = parsed;
+        return result;
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        throw new Error('Invalid format: expected a rules export.');
+    }
+
+    if (parsed.format === RULES_FILE_FORMAT) {
+        if (!Number.isInteger(parsed.schemaVersion) || parsed.schemaVersion > RULES_FILE_SCHEMA_VERSION) {
+            throw new Error(`This file uses export schema ${parsed.schemaVersion}, which is newer than this ` +
+                'version of Container Traffic Control understands. Please update the extension first.');
+        }
+        result.schemaVersion = parsed.schemaVersion;
+        result.extensionVersion = typeof parsed.extensionVersion === 'string' ? parsed.extensionVersion : null;
+        result.exportedAt = typeof parsed.exportedAt === 'string' ? parsed.exportedAt : null;
+        result.containers = Array.isArray(parsed.containers) ? parsed.containers : [];
+    }
+
+    if (Array.isArray(parsed.profiles)) {
+        parsed.profiles.forEach((profile, index) => {
+            if (!profile || typeof profile.name !== 'string' || !profile.name.trim() || !Array.isArray(profile.rules)) {
+                throw new Error(`Profile ${index + 1}: needs a name and a rules array.`);
+            }
+        });
+        result.profiles = parsed.profiles.map(profile => ({ name: profile.name.trim(), rules: profile.rules }));
+        result.activeProfile = typeof parsed.activeProfile === 'string' ? parsed.activeProfile : null;
+        return result;
+    }
+    if (Array.isArray(parsed.rules)) {
+        result.rules = parsed.rules;
+        return result;
+    }
+    throw new Error('Invalid format: no rules found.');
+}
+
+// ============================================================================
+// RULE IDENTITY: What makes two rules "the same rule"
+// ============================================================================
+// KEY:     Container (cookieStoreId, else snapshot name) + urlPattern
+// CONTENT: Everything else that changes routing (action, priority tier,
+//          exclusions, source, schedule, switch strategy). containerName is
+//          NOT content - it's only a display snapshot and differs after renames
+//          (same for source.containerName next to a source.cookieStoreId).
+//          Schedule days are a set, so their order doesn't count either.
+//
+// DIFF PAIRING:
+//    1. Identical rules (same key + content) pair up → unchanged
+//    2. Leftovers with the same key pair in rule order → changed
+//    3. Remaining incoming → added, remaining current → removed
+// Keys can repeat (same pattern with different source conditions), so
+// pairing works on lists, never on a key → rule map.
+// ============================================================================
+
+function getRuleKey(rule) {
+    return `${rule.cookieStoreId || rule.containerName}\u0000${rule.urlPattern}`;
+}
+
+function getRuleContent(rule) {
+    const { containerName, ...sourceWithoutName } = rule.source || {};
+    const source = rule.source?.cookieStoreId ? sourceWithoutName : rule.source;
+    const schedule = rule.schedule?.days
+        ? { ...rule.schedule, days: [...rule.schedule.days].sort((a, b) => a - b) }
+        : rule.schedule;
+    return canonicalJson({
+        action: rule.action,
+        priority: getRulePriority(rule), // highPriority-only rules equal their tier-1 form
+        excludePatterns: rule.excludePatterns || [],
+        source: source || null,
+        schedule: schedule || null,
+        switchStrategy: rule.switchStrategy || null
+    });
+}
+
+function getRuleIdentity(rule) {
+    return `${getRuleKey(rule)}\u0000${getRuleContent(rule)}`;
+}
+
+// JSON with sorted object keys (field order in a file must not count as a change)
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Compare two rule sets (see RULE IDENTITY)
+ * @param {Array} currentRules - Rules in storage now
+ * @param {Array} nextRules - Rules after the import
+ * @returns {{added: Array, removed: Array, changed: Array<{before: Object, after: Object}>, unchanged: Array}}
+ */
+function diffRules(currentRules, nextRules) {
+    const remainingCurrent = [...currentRules];
+    const unchanged = [];
+    const leftoverNext = [];
+
+    nextRules.forEach(rule => {
+        const identity = getRuleIdentity(rule);
+        const index = remainingCurrent.findIndex(current => getRuleIdentity(current) === identity);
+        if (index === -1) {
+            leftoverNext.push(rule);
+        } else {
+            unchanged.push(rule);
+            remainingCurrent.splice(index, 1);
+        }
+    });
+
+    const added = [];
+    const changed = [];
+    leftoverNext.forEach(rule => {
+        const index = remainingCurrent.findIndex(current => getRuleKey(current) === getRuleKey(rule));
+        if (index === -1) {
+            added.push(rule);
+        } else {
+            changed.push({ before: remainingCurrent[index], after: rule });
+            remainingCurrent.splice(index, 1);
+        }
+    });
+
+    return { added, removed: remainingCurrent, changed, unchanged };
+}
+
+/**
+ * Same rules in the same order (see RULE IDENTITY)
+ * WHY: Rules read back from the options table are normalized (field order,
+ *      highPriority always written, ...); the imported or older rules they
+ *      were rendered from may not be
+ * @param {Array} rulesA - Rules
+ * @param {Array} rulesB - Rules to compare with
+ * @returns {boolean} True when routing can't tell them apart
+ */
+function haveSameRules(rulesA, rulesB) {
+    return rulesA.length === rulesB.length
+        && rulesA.every((rule, index) => getRuleIdentity(rule) === getRuleIdentity(rulesB[index]));
+}
+
+/**
+ * MERGE MODE: Keep every current rule, add only incoming rules that are new
+ * PLACEMENT: After the container's last existing rule (keeps a container's
+ *            rules contiguous, like insertRuleForContainer), else at the end
+ * @param {Array} currentRules - Rules in storage now
+ * @param {Array} incomingRules - Rules from the import
+ * @returns {{rules: Array, added: Array, conflicts: Array<{incoming: Object, existing: ?Object, reason: string}>}}
+ *   conflicts: Incoming rules NOT added - an existing rule for the same
+ *   container and pattern differs, or the container already uses another rule type
+ */
+function mergeRules(currentRules, incomingRules) {
+    const { added: newRules, changed } = diffRules(currentRules, incomingRules);
+    const conflicts = changed.map(({ before, after }) => ({
+        incoming: after,
+        existing: before,
+        reason: 'differs from the existing rule for this pattern'
+    }));
+
+    const rules = [...currentRules];
+    const added = [];
+    newRules.forEach(rule => {
+        const containerId = rule.cookieStoreId || rule.containerName;
+        const sameContainer = rules.filter(existing => (existing.cookieStoreId || existing.containerName) === containerId);
+
+        // MIXED TYPES: Would fail validation for the whole merged set
+        if (sameContainer.length > 0 && sameContainer[0].action !== rule.action) {
+            conflicts.push({
+                incoming: rule,
+                existing: null,
+                reason: `"${rule.containerName}" already uses ${sameContainer[0].action} rules`
+            });
+            return;
+        }
+
+        const lastIndex = sameContainer.length > 0 ? rules.lastIndexOf(sameContainer[sameContainer.length - 1]) : -1;
+        if (lastIndex === -1) {
+            rules.push(rule);
+        } else {
+            rules.splice(lastIndex + 1, 0, rule);
+        }
+        added.push(rule);
+    });
+
+    return { rules, added, conflicts };
+}
+
+// Export for both browser and test environments
+if (typeof window !== 'undefined') {
+    // Browser environment
+    window.RULES_FILE_SCHEMA_VERSION = RULES_FILE_SCHEMA_VERSION;
+    window.buildRulesFile = buildRulesFile;
+    window.parseRulesFile = parseRulesFile;
+    window.diffRules = diffRules;
+    window.haveSameRules = haveSameRules;
+    window.mergeRules = mergeRules;
+} else if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        RULES_FILE_FORMAT,
+        RULES_FILE_SCHEMA_VERSION,
+        buildRulesFile,
+        parseRulesFile,
+        diffRules,
+        haveSameRules,
+        mergeRules
+    };
+}
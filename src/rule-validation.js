@@ -0,0 +1,187 @@
+// Container Traffic Control Rule Validation
+// Pure rule safety checks shared by the options page and toolbar popup
+
+// ============================================================================
+// VALIDATION CONTRACT
+// ============================================================================
+// Every UI path that writes rules (options table, JSON import, popup quick-add)
+// runs the SAME checks so a rule can never be saved from one surface that
+// another would have rejected.
+//
+// ERRORS:   Block the save (rule would break navigation or never match)
+// WARNINGS: Allow the save (rule works but is probably not what user wants)
+//
+// PURE FUNCTION: No DOM, no browser APIs, runnable in Node tests
+// ============================================================================
+
+/**
+ * Validate a full rules array before it is persisted
+ * @param {Array} rules - Rules array to validate
+ * @param {Map} [containerMap] - Map of container names to cookieStoreIds (enables orphan check)
+ * @returns {{errors: string[], warnings: string[]}} Blocking errors and advisory warnings
+ */
+function validateAllRules(rules, containerMap) {
+    const errors = [];   // BLOCKING: Must fix these to save
+    const warnings = []; // ADVISORY: Should consider fixing
+
+    // CRITICAL CHECK: Container rule consistency
+    // PROBLEM: Mixing "open" and "restricted" rules creates undefined behavior
+    // EXAMPLE: Work container with both "allow github.com" and "only allow work.com"
+    const containerRules = {};
+    rules.forEach((rule, index) => {
+        if (!containerRules[rule.containerName]) {
+            containerRules[rule.containerName] = { open: 0, restricted: 0, isolate: 0, ruleNumbers: [] };
+        }
+        if (rule.action === 'open') {
+            containerRules[rule.containerName].open++;
+        } else if (rule.action === 'restricted') {
+            containerRules[rule.containerName].restricted++;
+        } else if (rule.action === 'isolate') {
+            containerRules[rule.containerName].isolate++;
+        }
+        containerRules[rule.containerName].ruleNumbers.push(index + 1);
+    });
+
+    // ENFORCE: No mixed rule types per container
+    for (const [container, counts] of Object.entries(containerRules)) {
+        if (counts.open > 0 && counts.restricted > 0) {
+            errors.push(`Container "${container}" cannot mix 'open' and 'restricted' rules. All rules for a container must be the same type.`);
+        }
+        // ISOLATE: Rules open a throwaway container, so a real container can't own them
+        if (counts.isolate > 0 && counts.open + counts.restricted > 0) {
+            errors.push(`Container "${container}" cannot mix 'isolate' rules with 'open' or 'restricted' rules.`);
+        }
+    }
+
+    // INDIVIDUAL RULE VALIDATION: Check each rule for safety issues
+    rules.forEach((rule, index) => {
+        // CRITICAL: Prevent rules that block ALL navigation
+        // FAILURE MODE: "Restricted" + "*" = user can't browse anywhere
+        if (rule.action === 'restricted' && rule.urlPattern === '*') {
+            errors.push(`Rule ${index + 1}: "Restricted" with "*" pattern blocks all navigation`);
+        }
+
+        // PRIVACY WARNING: Overly broad patterns leak browsing data
+        if (rule.urlPattern === '.*') {
+            warnings.push(`Rule ${index + 1}: Wildcard pattern '.*' reduces privacy - use specific patterns when possible`);
+        }
+
+        // SYNTAX CHECK: Ensure regex and structured patterns parse
+        // FAILURE MODE: Invalid patterns silently never match during evaluation
+        const patternError = getPatternError(rule.urlPattern);
+        if (patternError) {
+            errors.push(`Rule ${index + 1}: ${patternError} "${rule.urlPattern}"`);
+        }
+
+        // EXCLUSIONS: Same syntax rules as urlPattern (optional list of strings)
+        if (rule.excludePatterns !== undefined) {
+            if (!Array.isArray(rule.excludePatterns) || rule.excludePatterns.some(pattern => typeof pattern !== 'string')) {
+                errors.push(`Rule ${index + 1}: excludePatterns must be a list of patterns`);
+            } else {
+                rule.excludePatterns.forEach(excludePattern => {
+                    const excludeError = getPatternError(excludePattern);
+                    if (excludeError) {
+                        errors.push(`Rule ${index + 1}: ${excludeError} in exclusion "${excludePattern}"`);
+                    }
+                });
+            }
+        }
+    });
+
+    // SWITCH STRATEGY: Optional per-rule override (see rule-engine.js)
+    rules.forEach((rule, index) => {
+        if (rule.switchStrategy !== undefined && !Object.values(SWITCH_STRATEGIES).includes(rule.switchStrategy)) {
+            errors.push(`Rule ${index + 1}: unknown switch strategy "${rule.switchStrategy}"`);
+        }
+    });
+
+    // PRIORITY TIER: Optional integer in range (see PRIORITY TIERS in rule-engine.js)
+    rules.forEach((rule, index) => {
+        if (rule.priority === undefined) {
+            return;
+        }
+        if (!Number.isInteger(rule.priority) || rule.priority < RULE_PRIORITY_MIN || rule.priority > RULE_PRIORITY_MAX) {
+            errors.push(`Rule ${index + 1}: priority must be a whole number from ${RULE_PRIORITY_MIN} to ${RULE_PRIORITY_MAX}`);
+        }
+    });
+
+    // SOURCE CONDITIONS: Shape and pattern syntax (see rule-engine.js)
+    rules.forEach((rule, index) => {
+        const source = rule.source;
+        if (source === undefined) {
+            return;
+        }
+        if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+            errors.push(`Rule ${index + 1}: source must be an object of conditions`);
+            return;
+        }
+        if (source.urlPattern !== undefined) {
+            const sourceError = typeof source.urlPattern === 'string'
+                ? getPatternError(source.urlPattern)
+                : 'Referring page pattern must be text';
+            if (sourceError) {
+                errors.push(`Rule ${index + 1}: ${sourceError} in referring page "${source.urlPattern}"`);
+            }
+        }
+        if (source.external !== undefined && typeof source.external !== 'boolean') {
+            errors.push(`Rule ${index + 1}: source.external must be true or false`);
+        }
+        // ORPHAN: Opener container deleted - condition can never hold again
+        if (source.cookieStoreId && containerMap && !Array.from(containerMap.values()).includes(source.cookieStoreId)) {
+            warnings.push(`Rule ${index + 1}: opener container no longer exists, so this rule never matches`);
+        }
+    });
+
+    // SCHEDULE CONDITIONS: Shape, clock times and time zone (see rule-engine.js)
+    rules.forEach((rule, index) => {
+        if (rule.schedule === undefined) {
+            return;
+        }
+        const scheduleError = getScheduleError(rule.schedule);
+        if (scheduleError) {
+            errors.push(`Rule ${index + 1}: ${scheduleError}`);
+        }
+    });
+
+    // PRECEDENCE ANALYSIS: Check for conflicting prioritized rules
+    // ISSUE: Several rules for the same pattern in the same tier above 0
+    const prioritizedPatterns = new Map(); // "tier pattern" → { pattern, priority, ruleNumbers }
+    rules.forEach((rule, index) => {
+        const priority = getRulePriority(rule);
+        if (priority > 0) {
+            const key = `${priority} ${rule.urlPattern}`;
+            if (!prioritizedPatterns.has(key)) {
+                prioritizedPatterns.set(key, { pattern: rule.urlPattern, priority, ruleNumbers: [] });
+            }
+            prioritizedPatterns.get(key).ruleNumbers.push(index + 1);
+        }
+    });
+
+    // WARN: Only the first of them (rule order) is ever used
+    prioritizedPatterns.forEach(({ pattern, priority, ruleNumbers }) => {
+        if (ruleNumbers.length > 1) {
+            warnings.push(`Pattern "${pattern}" has multiple rules with priority ${priority} (${ruleNumbers.join(', ')}). Only one will be used.`);
+        }
+    });
+
+    // ORPHAN CHECK: Rules whose container was deleted never route anywhere
+    const orphanedContainers = new Set(
+        containerMap
+            ? rules.filter(rule => isRuleOrphaned(rule, containerMap)).map(rule => rule.containerName)
+            : []
+    );
+    orphanedContainers.forEach(containerName => {
+        warnings.push(`Container "${containerName}" was deleted. Its rules are kept but ignored until you clear them.`);
+    });
+
+    return { errors, warnings };
+}
+
+// Export for both browser and test environments
+if (typeof window !== 'undefined') {
+    // Browser environment
+    window.validateAllRules = validateAllRules;
+} else if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = { validateAllRules };
+}
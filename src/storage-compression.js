@@ -1,5 +1,5 @@
 // Container Traffic Control Storage Compression
-// Gzip compression for rule storage to maximize browser.storage.sync capacity
+// Gzip compression and chunking for rule storage to maximize browser.storage.sync capacity
 
 // ============================================================================
 // STORAGE CONSTRAINTS & COMPRESSION STRATEGY
@@ -130,6 +130,111 @@ function parseRulesJson(jsonString) {
   throw new Error("Rules payload missing rules array.");
 }
 
+// ============================================================================
+// CONTAINER REFERENCES: Stable cookieStoreId + display-name snapshot
+// ============================================================================
+// Rules reference their container by cookieStoreId (stable across renames)
+// and keep a containerName snapshot for display and cross-device fallback.
+//
+// RULE SHAPE:
+//    { containerName, cookieStoreId, action, urlPattern, highPriority, priority? }
+//    source?: { containerName, cookieStoreId, ... } - opener container condition,
+//    resolved the same way (see SOURCE CONDITIONS in rule-engine.js)
+//
+// RESOLUTION ORDER (per rule):
+//    1. cookieStoreId exists locally under the snapshot name, or under a
+//       name it replaced on THIS device (rename) → attach, refresh containerName
+//    2. containerName exists locally → attach, adopt local cookieStoreId
+//       (legacy name-only rules and IDs from other devices migrate through this path)
+//    3. Neither → orphaned: rule kept as-is so the user can see and fix it
+//
+// PER-DEVICE IDS: cookieStoreIds are numbered per device, so a synced ID may
+// name an unrelated local container ("Work" from device A is container-1,
+// here container-1 is "Personal"). Only the container name history
+// (recordContainerNames) tells a local rename from a foreign ID - without it,
+// an ID under another name is never trusted.
+// ============================================================================
+
+/**
+ * Container name history: every name each local container has had on this device
+ * @param {Map<string, Array<string>>} history - Previous history (cookieStoreId → names)
+ * @param {Map} containerMap - Current map of container names to cookieStoreIds
+ * @returns {Map<string, Array<string>>} New history; containers that are gone are dropped
+ *   (Firefox may hand their IDs to new containers)
+ */
+function recordContainerNames(history, containerMap) {
+  const updated = new Map();
+  containerMap.forEach((cookieStoreId, name) => {
+    const names = updated.get(cookieStoreId) || history.get(cookieStoreId) || [];
+    updated.set(cookieStoreId, names.includes(name) ? names : [...names, name]);
+  });
+  return updated;
+}
+
+/**
+ * Attach rules to live containers by cookieStoreId, migrating name-only rules
+ * @param {Array} rules - Rules array (legacy name-only or ID-carrying)
+ * @param {Map} containerMap - Map of container names to cookieStoreIds
+ * @param {Map<string, Array<string>>} [containerHistory] - From recordContainerNames
+ * @returns {Array} New rules array with containerName/cookieStoreId resolved
+ */
+function resolveRuleContainers(rules, containerMap, containerHistory = new Map()) {
+  const cookieStoreToName = new Map();
+  containerMap.forEach((cookieStoreId, name) => cookieStoreToName.set(cookieStoreId, name));
+
+  return rules.map((rule) => {
+    const { containerName: snapshotName, cookieStoreId: storedId, ...rest } = rule;
+    const { containerName, cookieStoreId } =
+      resolveContainerReference(snapshotName, storedId, containerMap, cookieStoreToName, containerHistory);
+
+    // OPENER CONTAINER: Same reference shape, same resolution order
+    if (rest.source && (rest.source.cookieStoreId || rest.source.containerName)) {
+      const source = resolveContainerReference(
+        rest.source.containerName, rest.source.cookieStoreId, containerMap, cookieStoreToName, containerHistory);
+      rest.source = { ...rest.source, ...source };
+      if (rest.source.containerName === undefined) {
+        delete rest.source.containerName;
+      }
+    }
+
+    return { containerName, cookieStoreId, ...rest };
+  });
+}
+
+// One container reference (rule or source condition) → RESOLUTION ORDER above
+function resolveContainerReference(snapshotName, storedId, containerMap, cookieStoreToName, containerHistory) {
+  let containerName = snapshotName;
+  let cookieStoreId = storedId;
+
+  const nameForStoredId = storedId ? cookieStoreToName.get(storedId) : undefined;
+  const idForSnapshotName = containerMap.get(snapshotName);
+  const snapshotBelongsElsewhere = idForSnapshotName !== undefined && idForSnapshotName !== storedId;
+  // ID-ONLY references have no name to contradict the ID
+  const storedIdIsLocal = snapshotName === undefined ||
+    snapshotName === nameForStoredId ||
+    (containerHistory.get(storedId) || []).includes(snapshotName);
+
+  if (nameForStoredId !== undefined && storedIdIsLocal && !snapshotBelongsElsewhere) {
+    // Renamed (or unchanged) container: ID wins, snapshot follows current name
+    containerName = nameForStoredId;
+  } else if (idForSnapshotName !== undefined) {
+    // Legacy name-only rule, or ID from another device: attach by name
+    cookieStoreId = idForSnapshotName;
+  }
+
+  return { containerName, cookieStoreId };
+}
+
+/**
+ * Check if a resolved rule points at a container that no longer exists
+ * @param {Object} rule - Rule after resolveRuleContainers
+ * @param {Map} containerMap - Map of container names to cookieStoreIds
+ * @returns {boolean} True if the rule's container was deleted
+ */
+function isRuleOrphaned(rule, containerMap) {
+  return !rule.cookieStoreId || containerMap.get(rule.containerName) !== rule.cookieStoreId;
+}
+
 // ============================================================================
 // PUBLIC API: Encoding and Decoding Functions
 // ============================================================================
@@ -215,10 +320,26 @@ async function encodeRulesForStorage(rules) {
  *   - Uncompressed JSON string (old browsers)
  *   - Compressed base64 with "gz:" prefix (current format)
  *
+ * CONTAINER MIGRATION:
+ *   When containerMap is given, rules are passed through resolveRuleContainers
+ *   so legacy name-only rules gain a cookieStoreId.
+ *
  * @param {*} storedValue - Value from browser.storage.sync
+ * @param {Map} [containerMap] - Optional map of container names to cookieStoreIds
+ * @param {Map<string, Array<string>>} [containerHistory] - From recordContainerNames
  * @returns {Promise<Array>} Decoded rules array
  */
-async function decodeRulesFromStorage(storedValue) {
+async function decodeRulesFromStorage(storedValue, containerMap, containerHistory) {
+  const rules = await decodeStoredPayload(storedValue);
+  return containerMap ? resolveRuleContainers(rules, containerMap, containerHistory) : rules;
+}
+
+/**
+ * Decode stored payload into a raw rules array (format handling only)
+ * @param {*} storedValue - Value from browser.storage.sync
+ * @returns {Promise<Array>} Decoded rules array
+ */
+async function decodeStoredPayload(storedValue) {
   if (!storedValue) {
     return [];
   }
@@ -274,6 +395,387 @@ async function decodeRulesFromStorage(storedValue) {
   throw new Error("Unsupported rules storage format.");
 }
 
+// ============================================================================
+// CHUNKED SYNC STORAGE: Break the 8KB single-item ceiling
+// ============================================================================
+// Even compressed, large rulesets can exceed the 8KB per-item limit. The
+// encoded payload is split across numbered chunk keys plus a manifest key:
+//
+//    ctcRulesManifest        → { version, generation, chunkCount, length, checksum }
+//    ctcRulesChunk_<gen>_0   → first 7KB of encoded payload
+//    ctcRulesChunk_<gen>_1   → next 7KB ...
+//
+// ATOMIC-ISH WRITE (generation swap):
+//    1. Write all chunks under a NEW generation (old chunks untouched)
+//    2. Write manifest pointing at new generation (single-item write = atomic)
+//    3. Remove old generation chunks and legacy single-key "ctcRules"
+//    Readers see either the old or the new generation, never a mix.
+//    If old + new would not fit in the quota together, the write is refused
+//    (QuotaExceededError) - the live generation is never removed before the
+//    new one is committed.
+//
+// MIGRATION: No manifest → fall back to legacy single "ctcRules" key. The
+//    next save writes chunked format and removes the legacy key.
+//
+// CHANGE SIGNAL: Manifest is written LAST, so listeners watching the manifest
+//    key only reload once every chunk is in place.
+// ============================================================================
+
+const CTC_RULES_LEGACY_KEY = "ctcRules";
+const CTC_RULES_MANIFEST_KEY = "ctcRulesManifest";
+const CTC_RULES_CHUNK_PREFIX = "ctcRulesChunk_";
+const SYNC_CHUNK_SIZE = 7168; // chars; leaves headroom for key + JSON quotes under 8192
+const SYNC_QUOTA_BYTES = 102400; // 100KB total across all sync items
+
+// ============================================================================
+// RULE PROFILES: Named rule sets ("Work week", "Travel"), one active at a time
+// ============================================================================
+// Each profile is its own manifest + chunks, in the same area as the rules:
+//
+//    ctcRuleProfiles                        → { activeProfileId, profiles: [{ id, name }] }
+//    ctcRulesManifest, ctcRulesChunk_*      → "default" profile (the keys above, unchanged)
+//    ctcProfileManifest_<id>                → any other profile's manifest
+//    ctcProfileChunk_<id>_<gen>_<i>         → ... and its chunks
+//
+// NO MIGRATION: Rules saved before profiles existed simply ARE the default
+//    profile, and a missing ctcRuleProfiles item means "only default, active".
+// KEY SAFETY: Profile ids never contain "_", so one profile's chunk prefix is
+//    never the prefix of another's (stale-chunk cleanup stays per profile).
+// QUOTA: All profiles share the area's quota; while one profile is written,
+//    the others count as "other keys".
+// ============================================================================
+
+const CTC_RULE_PROFILES_KEY = "ctcRuleProfiles";
+const CTC_PROFILE_MANIFEST_PREFIX = "ctcProfileManifest_";
+const CTC_PROFILE_CHUNK_PREFIX = "ctcProfileChunk_";
+const DEFAULT_RULE_PROFILE_ID = "default";
+
+/**
+ * Storage keys holding one profile's rules
+ * @param {string} [profileId] - Profile id (default profile when omitted)
+ * @returns {{manifestKey: string, chunkPrefix: string, legacyKey: ?string}}
+ */
+function getRuleStorageKeys(profileId = DEFAULT_RULE_PROFILE_ID) {
+  if (profileId === DEFAULT_RULE_PROFILE_ID) {
+    return {
+      manifestKey: CTC_RULES_MANIFEST_KEY,
+      chunkPrefix: CTC_RULES_CHUNK_PREFIX,
+      legacyKey: CTC_RULES_LEGACY_KEY,
+    };
+  }
+  if (typeof profileId !== "string" || !/^[A-Za-z0-9-]+$/.test(profileId)) {
+    throw new Error(`Invalid rule profile id "${profileId}".`);
+  }
+  return {
+    manifestKey: `${CTC_PROFILE_MANIFEST_PREFIX}${profileId}`,
+    chunkPrefix: `${CTC_PROFILE_CHUNK_PREFIX}${profileId}_`,
+    legacyKey: null,
+  };
+}
+
+/**
+ * Normalize the stored profile index (missing or damaged → default only)
+ * PURE FUNCTION: Always returns a usable index with the default profile first
+ * and an active id that exists
+ * @param {*} stored - Value of the ctcRuleProfiles item
+ * @returns {{activeProfileId: string, profiles: Array<{id: string, name: string}>}}
+ */
+function normalizeRuleProfiles(stored) {
+  const profiles = [{ id: DEFAULT_RULE_PROFILE_ID, name: "Default" }];
+  const storedProfiles = Array.isArray(stored?.profiles) ? stored.profiles : [];
+
+  storedProfiles.forEach((profile) => {
+    if (!profile || typeof profile.name !== "string" || !profile.name.trim()) {
+      return;
+    }
+    if (profile.id === DEFAULT_RULE_PROFILE_ID) {
+      // Default may be renamed, but always stays first
+      profiles[0].name = profile.name;
+    } else if (/^[A-Za-z0-9-]+$/.test(profile.id) && !profiles.some((p) => p.id === profile.id)) {
+      profiles.push({ id: profile.id, name: profile.name });
+    }
+  });
+
+  const activeProfileId = profiles.some((profile) => profile.id === stored?.activeProfileId)
+    ? stored.activeProfileId
+    : DEFAULT_RULE_PROFILE_ID;
+  return { activeProfileId, profiles };
+}
+
+/**
+ * FNV-1a 32-bit checksum (fast, dependency-free, good enough for torn-read detection)
+ * @param {string} text - Text to hash
+ * @returns {string} 8-char hex checksum
+ */
+function checksumString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Size of one storage item as counted by browser.storage.sync quotas
+ * @param {string} key - Storage key
+ * @param {*} value - Storage value
+ * @returns {number} UTF-8 bytes of key + JSON value (non-ASCII names count
+ *   2-4 bytes per character, as they do against the quota)
+ */
+function storageItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Split an encoded payload into manifest + chunk items (pure)
+ * @param {string} encodedPayload - Output of encodeRulesForStorage
+ * @param {number} generation - Generation number for chunk keys
+ * @param {string} [chunkPrefix] - Chunk key prefix (see getRuleStorageKeys)
+ * @returns {{manifest: Object, chunks: Object}} Items ready for storage.set
+ */
+function splitPayloadIntoChunks(encodedPayload, generation, chunkPrefix = CTC_RULES_CHUNK_PREFIX) {
+  const chunks = {};
+  const chunkCount = Math.max(1, Math.ceil(encodedPayload.length / SYNC_CHUNK_SIZE));
+  for (let i = 0; i < chunkCount; i++) {
+    chunks[`${chunkPrefix}${generation}_${i}`] =
+      encodedPayload.slice(i * SYNC_CHUNK_SIZE, (i + 1) * SYNC_CHUNK_SIZE);
+  }
+
+  const manifest = {
+    version: 1,
+    generation,
+    chunkCount,
+    length: encodedPayload.length,
+    checksum: checksumString(encodedPayload),
+  };
+
+  return { manifest, chunks };
+}
+
+/**
+ * Reassemble an encoded payload from stored items (pure)
+ * @param {Object} manifest - Manifest item
+ * @param {Object} items - Storage items containing the chunk keys
+ * @param {string} [chunkPrefix] - Chunk key prefix (see getRuleStorageKeys)
+ * @returns {string} Encoded payload
+ * @throws {Error} If a chunk is missing or the checksum does not match
+ */
+function assemblePayloadFromChunks(manifest, items, chunkPrefix = CTC_RULES_CHUNK_PREFIX) {
+  let encodedPayload = "";
+  for (let i = 0; i < manifest.chunkCount; i++) {
+    const chunk = items[`${chunkPrefix}${manifest.generation}_${i}`];
+    if (typeof chunk !== "string") {
+      throw new Error(`Stored rules are incomplete: chunk ${i + 1} of ${manifest.chunkCount} is missing.`);
+    }
+    encodedPayload += chunk;
+  }
+
+  if (encodedPayload.length !== manifest.length || checksumString(encodedPayload) !== manifest.checksum) {
+    throw new Error("Stored rules are corrupted: checksum mismatch.");
+  }
+
+  return encodedPayload;
+}
+
+/**
+ * Read and decode rules from a storage area (chunked or legacy single key)
+ * @param {Object} storageArea - browser.storage.sync (or compatible)
+ * @param {Map} [containerMap] - Optional map for container ID migration
+ * @param {Object} [options]
+ * @param {string} [options.profileId] - Rule profile to read (default profile when omitted)
+ * @param {Map<string, Array<string>>} [options.containerHistory] - From recordContainerNames
+ * @returns {Promise<Array>} Decoded rules array
+ */
+async function readRulesFromStorage(storageArea, containerMap, options = {}) {
+  const { manifestKey, chunkPrefix, legacyKey } = getRuleStorageKeys(options.profileId);
+  const items = await storageArea.get(null);
+  const manifest = items[manifestKey];
+
+  if (!manifest) {
+    // MIGRATION: Single-key format from before chunking (default profile only)
+    return decodeRulesFromStorage(legacyKey ? items[legacyKey] : undefined, containerMap, options.containerHistory);
+  }
+
+  const encodedPayload = assemblePayloadFromChunks(manifest, items, chunkPrefix);
+  return decodeRulesFromStorage(encodedPayload, containerMap, options.containerHistory);
+}
+
+/**
+ * Encode and write rules to a storage area as manifest + chunks
+ * @param {Object} storageArea - browser.storage.sync (or compatible)
+ * @param {Array} rules - Rules array to persist
+ * @param {Object} [options]
+ * @param {number} [options.quotaBytes] - Total quota for the area (default: sync 100KB)
+ * @param {string} [options.profileId] - Rule profile to write (default profile when omitted)
+ * @returns {Promise<{chunkCount: number, bytes: number}>} Write summary
+ * @throws {Error} name "QuotaExceededError" when rules cannot fit in the quota
+ */
+async function writeRulesToStorage(storageArea, rules, options = {}) {
+  const quotaBytes = options.quotaBytes || SYNC_QUOTA_BYTES;
+  const { manifestKey, chunkPrefix, legacyKey } = getRuleStorageKeys(options.profileId);
+  const encodedPayload = await encodeRulesForStorage(rules);
+  const items = await storageArea.get(null);
+
+  const previousManifest = items[manifestKey];
+  const generation = previousManifest ? previousManifest.generation + 1 : 1;
+  const { manifest, chunks } = splitPayloadIntoChunks(encodedPayload, generation, chunkPrefix);
+
+  // QUOTA ACCOUNTING: Other keys (debug pref, settings, other profiles) share the same 100KB
+  const staleKeys = [];
+  let otherBytes = 0;
+  let staleBytes = 0;
+  Object.entries(items).forEach(([key, value]) => {
+    if (Object.prototype.hasOwnProperty.call(chunks, key)) {
+      // Leftover from an interrupted write with the same generation; overwritten below
+      return;
+    }
+    if (key.startsWith(chunkPrefix) || key === legacyKey) {
+      staleKeys.push(key);
+      staleBytes += storageItemBytes(key, value);
+    } else if (key !== manifestKey) {
+      otherBytes += storageItemBytes(key, value);
+    }
+  });
+
+  const newBytes = storageItemBytes(manifestKey, manifest) +
+    Object.entries(chunks).reduce((total, [key, value]) => total + storageItemBytes(key, value), 0);
+
+  if (otherBytes + newBytes > quotaBytes) {
+    throw createQuotaExceededError(
+      `Rules need ${Math.ceil(newBytes / 1024)}KB of sync storage but only ` +
+      `${Math.floor((quotaBytes - otherBytes) / 1024)}KB is available. Remove some rules and try again.`,
+    );
+  }
+
+  // SIDE BY SIDE: The live generation stays until the new manifest is written
+  if (otherBytes + newBytes + staleBytes > quotaBytes) {
+    throw createQuotaExceededError(
+      `Rules need ${Math.ceil(newBytes / 1024)}KB of sync storage, and the current rules ` +
+      `(${Math.ceil(staleBytes / 1024)}KB) must stay in place until the new ones are saved, but only ` +
+      `${Math.floor((quotaBytes - otherBytes) / 1024)}KB is available. Remove some rules and try again.`,
+    );
+  }
+
+  // STEP 1 + 2: Chunks first, manifest last (manifest write is the commit point)
+  await storageArea.set(chunks);
+  await storageArea.set({ [manifestKey]: manifest });
+
+  // STEP 3: Drop previous generation and legacy single-key format
+  if (staleKeys.length > 0) {
+    await storageArea.remove(staleKeys);
+  }
+
+  if (typeof ctcConsole !== "undefined") {
+    ctcConsole.debug(`Wrote rules as ${manifest.chunkCount} chunk(s), ${newBytes} bytes`);
+  }
+  return { chunkCount: manifest.chunkCount, bytes: newBytes };
+}
+
+/**
+ * @param {string} message - User-facing explanation
+ * @returns {Error} Error named "QuotaExceededError" (callers check the name)
+ */
+function createQuotaExceededError(message) {
+  const error = new Error(message);
+  error.name = "QuotaExceededError";
+  return error;
+}
+
+/**
+ * Remove one profile's stored rules (manifest first, so readers see "empty"
+ * rather than a torn profile)
+ * @param {Object} storageArea - browser.storage.sync (or compatible)
+ * @param {string} profileId - Profile whose rules are removed
+ */
+async function removeRulesFromStorage(storageArea, profileId) {
+  const { manifestKey, chunkPrefix, legacyKey } = getRuleStorageKeys(profileId);
+  const items = await storageArea.get(null);
+  const chunkKeys = Object.keys(items).filter((key) => key.startsWith(chunkPrefix) || key === legacyKey);
+
+  await storageArea.remove(manifestKey);
+  if (chunkKeys.length > 0) {
+    await storageArea.remove(chunkKeys);
+  }
+}
+
+/**
+ * Check if a storage change set touched the stored rules
+ * @param {Object} changes - storage.onChanged changes object
+ * @returns {boolean} True if rules changed (any profile's manifest, the
+ *   legacy key, or the profile index - e.g. another profile was activated)
+ */
+function didRulesChange(changes) {
+  return Boolean(
+    changes[CTC_RULES_MANIFEST_KEY] ||
+    changes[CTC_RULES_LEGACY_KEY] ||
+    changes[CTC_RULE_PROFILES_KEY] ||
+    Object.keys(changes).some((key) => key.startsWith(CTC_PROFILE_MANIFEST_PREFIX)),
+  );
+}
+
+// ============================================================================
+// ROUTING SNAPSHOT: Ready-to-route state for MV3 wake-up
+// ============================================================================
+// The background is terminated when idle. A full load on wake (containers
+// query, rules read + gunzip, preferences) can take longer than the first
+// navigation is willing to wait, so the background keeps a copy of everything
+// routing reads in storage.session:
+//
+//    ctcRoutingSnapshot → {
+//      version: 1,
+//      savedAt: number,                       // Date.now() of the write
+//      storageMode: string,
+//      containers: [[name, cookieStoreId]],   // containerMap entries
+//      temporaryContainerIds: [string],
+//      bookmarkContainers: { bookmarkId: cookieStoreId },
+//      rules: [...],                          // Decoded active-profile rules
+//      postRequestPolicy, switchStrategy, ambiguousMatchPolicy
+//    }
+//
+// SESSION AREA: In memory, survives background termination but not a browser
+//    restart (startup always does the full load). Rules are stored decoded -
+//    no gunzip on wake; compileRules() on them takes milliseconds.
+// NOT A SOURCE OF TRUTH: Only read until the full load finishes, and never
+//    written back to sync/local.
+// ============================================================================
+
+const CTC_ROUTING_SNAPSHOT_KEY = "ctcRoutingSnapshot";
+const ROUTING_SNAPSHOT_VERSION = 1;
+
+/**
+ * Persist a routing snapshot
+ * @param {Object} storageArea - browser.storage.session (or compatible)
+ * @param {Object} snapshot - Snapshot fields without version/savedAt
+ * @param {number} [savedAt] - Write time (default: now)
+ */
+async function writeRoutingSnapshot(storageArea, snapshot, savedAt = Date.now()) {
+  await storageArea.set({
+    [CTC_ROUTING_SNAPSHOT_KEY]: { ...snapshot, version: ROUTING_SNAPSHOT_VERSION, savedAt },
+  });
+}
+
+/**
+ * Read the routing snapshot
+ * @param {Object} storageArea - browser.storage.session (or compatible)
+ * @returns {Promise<?Object>} Snapshot, or null when missing, damaged or
+ *   written by another snapshot version (caller does the full load)
+ */
+async function readRoutingSnapshot(storageArea) {
+  const stored = await storageArea.get(CTC_ROUTING_SNAPSHOT_KEY);
+  const snapshot = stored?.[CTC_ROUTING_SNAPSHOT_KEY];
+  if (
+    !snapshot ||
+    snapshot.version !== ROUTING_SNAPSHOT_VERSION ||
+    !Array.isArray(snapshot.containers) ||
+    !Array.isArray(snapshot.rules) ||
+    !Array.isArray(snapshot.temporaryContainerIds)
+  ) {
+    return null;
+  }
+  return snapshot;
+}
+
 // ============================================================================
 // EXPORTS: Make compression functions available
 // ============================================================================
@@ -284,6 +786,24 @@ if (typeof module !== "undefined" && module.exports) {
     encodeRulesForStorage,
     decodeRulesFromStorage,
     supportsCompressionNatively,
+    resolveRuleContainers,
+    recordContainerNames,
+    isRuleOrphaned,
+    splitPayloadIntoChunks,
+    assemblePayloadFromChunks,
+    readRulesFromStorage,
+    writeRulesToStorage,
+    removeRulesFromStorage,
+    didRulesChange,
+    getRuleStorageKeys,
+    normalizeRuleProfiles,
+    writeRoutingSnapshot,
+    readRoutingSnapshot,
+    CTC_ROUTING_SNAPSHOT_KEY,
+    CTC_RULES_MANIFEST_KEY,
+    CTC_RULES_CHUNK_PREFIX,
+    CTC_RULE_PROFILES_KEY,
+    DEFAULT_RULE_PROFILE_ID,
   };
 }
 
@@ -292,9 +812,33 @@ if (typeof window !== "undefined") {
   window.encodeRulesForStorage = encodeRulesForStorage;
   window.decodeRulesForStorage = decodeRulesFromStorage;
   window.supportsCompressionNatively = supportsCompressionNatively;
+  window.resolveRuleContainers = resolveRuleContainers;
+  window.recordContainerNames = recordContainerNames;
+  window.isRuleOrphaned = isRuleOrphaned;
+  window.readRulesFromStorage = readRulesFromStorage;
+  window.writeRulesToStorage = writeRulesToStorage;
+  window.removeRulesFromStorage = removeRulesFromStorage;
+  window.didRulesChange = didRulesChange;
+  window.normalizeRuleProfiles = normalizeRuleProfiles;
+  window.writeRoutingSnapshot = writeRoutingSnapshot;
+  window.readRoutingSnapshot = readRoutingSnapshot;
+  window.CTC_RULE_PROFILES_KEY = CTC_RULE_PROFILES_KEY;
+  window.DEFAULT_RULE_PROFILE_ID = DEFAULT_RULE_PROFILE_ID;
 } else {
   globalThis.encodeRulesForStorage = encodeRulesForStorage;
   globalThis.decodeRulesFromStorage = decodeRulesFromStorage;
   globalThis.supportsCompressionNatively = supportsCompressionNatively;
+  globalThis.resolveRuleContainers = resolveRuleContainers;
+  globalThis.recordContainerNames = recordContainerNames;
+  globalThis.isRuleOrphaned = isRuleOrphaned;
+  globalThis.readRulesFromStorage = readRulesFromStorage;
+  globalThis.writeRulesToStorage = writeRulesToStorage;
+  globalThis.removeRulesFromStorage = removeRulesFromStorage;
+  globalThis.didRulesChange = didRulesChange;
+  globalThis.normalizeRuleProfiles = normalizeRuleProfiles;
+  globalThis.writeRoutingSnapshot = writeRoutingSnapshot;
+  globalThis.readRoutingSnapshot = readRoutingSnapshot;
+  globalThis.CTC_RULE_PROFILES_KEY = CTC_RULE_PROFILES_KEY;
+  globalThis.DEFAULT_RULE_PROFILE_ID = DEFAULT_RULE_PROFILE_ID;
 }
 
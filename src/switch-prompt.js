@@ -0,0 +1,87 @@
+// Container Traffic Control Switch Prompt Page
+// Shown in the original tab when a rule's switch strategy is "ask"
+
+// ============================================================================
+// FLOW (see tab-switching.js):
+//    1. Token in location.hash identifies the pending switch
+//    2. Background describes it (URL, current and target container)
+//    3. The user picks switch / open alongside / stay; background carries it out
+//    CANDIDATES: Several containers matched - one button per container, plus
+//    "remember my choice" (background saves a rule for the site)
+// ============================================================================
+
+async function showSwitchPrompt() {
+    const status = document.getElementById('switchPromptStatus');
+    const token = location.hash.slice(1);
+
+    const pending = token
+        ? await browser.runtime.sendMessage({ type: 'ctc-get-switch-prompt', token })
+        : null;
+
+    // EXPIRED / RELOADED: Answer already given, or the prompt was left open too long
+    if (!pending) {
+        status.textContent = 'This container switch prompt has expired. Go back and open the link again.';
+        return;
+    }
+
+    document.getElementById('switchPromptUrl').textContent = pending.url;
+
+    if (pending.candidates.length > 1) {
+        status.textContent = `This page matches rules for ${pending.candidates.length} containers. Which one should it open in?`;
+        renderCandidates(token, pending);
+    } else {
+        status.textContent = `This page belongs in "${pending.toContainer}", but this tab is in "${pending.fromContainer}".`;
+        const choices = [
+            ['switchReplaceButton', 'replace', `Switch to ${pending.toContainer}`],
+            ['switchAlongsideButton', 'alongside', `Open in ${pending.toContainer} in a new tab`]
+        ];
+        choices.forEach(([buttonId, choice, label]) => {
+            const button = document.getElementById(buttonId);
+            button.textContent = label;
+            button.addEventListener('click', () => answerSwitchPrompt(token, { choice }));
+        });
+    }
+
+    const stayButton = document.getElementById('switchStayButton');
+    stayButton.textContent = `Stay in ${pending.fromContainer}`;
+    stayButton.addEventListener('click', () => answerSwitchPrompt(token, { choice: 'stay' }));
+    document.getElementById('switchPromptActions').hidden = false;
+}
+
+// CANDIDATES: Listed in precedence order (the first is what rule order would pick)
+function renderCandidates(token, pending) {
+    const list = document.getElementById('switchPromptCandidates');
+    const rememberCheckbox = document.getElementById('switchRememberCheckbox');
+
+    pending.candidates.forEach(candidate => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `Open in ${candidate.containerName}`;
+        button.addEventListener('click', () => answerSwitchPrompt(token, {
+            choice: pending.strategy,
+            cookieStoreId: candidate.cookieStoreId,
+            remember: rememberCheckbox.checked
+        }));
+        list.appendChild(button);
+    });
+
+    list.hidden = false;
+    document.getElementById('switchRememberLabel').hidden = false;
+    document.getElementById('switchPromptDefaultChoices').hidden = true;
+}
+
+async function answerSwitchPrompt(token, answer) {
+    const status = document.getElementById('switchPromptStatus');
+    document.getElementById('switchPromptActions').hidden = true;
+
+    const result = await browser.runtime.sendMessage({ type: 'ctc-answer-switch-prompt', token, ...answer });
+    if (!result?.ok) {
+        status.textContent = result?.error || 'Could not switch containers.';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    showSwitchPrompt().catch(error => {
+        document.getElementById('switchPromptStatus').textContent = `Could not load the switch prompt: ${error.message}`;
+    });
+});
@@ -0,0 +1,222 @@
+// Container Traffic Control Tab State Cache
+// Background-side tab → container state, so routing doesn't wait on tabs.get
+
+// ============================================================================
+// WHY: handleRequest needs the tab's container (and opener, last URL) before
+// any rule runs. A browser.tabs.get round-trip per main-frame request delays
+// every navigation, and when it failed the tab was treated as "No Container",
+// which could switch a tab that was already in the right place.
+//
+// STATE PER TAB (TabState):
+//    {
+//      cookieStoreId: string,   // "firefox-default" when the tab has none
+//      active: boolean,
+//      openerTabId: ?number,
+//      windowId: number,
+//      index: number,
+//      url: ?string             // Page shown BEFORE the navigation being routed
+//    }
+//
+// KEPT CURRENT BY tabs events:
+//    onCreated / onUpdated   → full snapshot from the event's tab
+//    onRemoved / onReplaced  → entry dropped / moved to the new tab id
+//    onActivated / onMoved / onAttached / onDetached → active, index, windowId
+//    (onUpdated doesn't report those, and neighbours' indices shift too)
+//
+// MV3 WAKE-UP: The background starts empty after being idle, so rebuild()
+// reloads every tab with one tabs.query. Events that arrive while that query
+// is in flight are newer than its snapshot and win over it.
+//
+// MISSES: fetch() falls back to tabs.get and caches the result; a tab that
+// doesn't exist resolves to null (callers skip it instead of guessing).
+// ============================================================================
+
+class TabStateCache {
+  #tabsApi;
+  #states = new Map(); // tabId → TabState
+  #changedDuringRebuild = null; // tabIds touched by events while rebuild() queries
+
+  /**
+   * @param {Object} tabsApi - browser.tabs (or a test double with the same events)
+   */
+  constructor(tabsApi) {
+    this.#tabsApi = tabsApi;
+  }
+
+  /**
+   * Register the tabs event listeners (synchronously at startup - MV3 wake-up)
+   */
+  attach() {
+    const tabs = this.#tabsApi;
+    tabs.onCreated.addListener((tab) => this.#handleCreated(tab));
+    tabs.onUpdated.addListener((tabId, changeInfo, tab) => this.#setState(tabId, toTabState(tab)));
+    tabs.onRemoved.addListener((tabId, removeInfo) => this.#handleRemoved(tabId, removeInfo));
+    tabs.onReplaced.addListener((addedTabId, removedTabId) => this.#handleReplaced(addedTabId, removedTabId));
+    tabs.onActivated.addListener((activeInfo) => this.#handleActivated(activeInfo));
+    tabs.onMoved.addListener((tabId, moveInfo) => this.#handleMoved(tabId, moveInfo));
+    tabs.onDetached.addListener((tabId, detachInfo) => this.#handleDetached(tabId, detachInfo));
+    tabs.onAttached.addListener((tabId, attachInfo) => this.#handleAttached(tabId, attachInfo));
+  }
+
+  /**
+   * Reload every tab (startup and MV3 wake-up)
+   * @returns {Promise<void>}
+   */
+  async rebuild() {
+    this.#changedDuringRebuild = new Set();
+    try {
+      const tabs = await this.#tabsApi.query({});
+      const changed = this.#changedDuringRebuild;
+      tabs.forEach((tab) => {
+        // NEWER: An event already updated (or removed) this tab
+        if (!changed.has(tab.id)) {
+          this.#states.set(tab.id, toTabState(tab));
+        }
+      });
+      // Defensive logging: ctcConsole may not be available in test environments
+      if (typeof ctcConsole !== "undefined") {
+        ctcConsole.debug(`[Tab State] Cached ${this.#states.size} tabs`);
+      }
+    } catch (error) {
+      if (typeof ctcConsole !== "undefined") {
+        ctcConsole.error("Failed to load tab state:", error);
+      }
+    } finally {
+      this.#changedDuringRebuild = null;
+    }
+  }
+
+  /**
+   * Cached state of a tab (synchronous)
+   * @param {number} tabId - Tab id
+   * @returns {?Object} TabState, or null when not cached
+   */
+  get(tabId) {
+    return this.#states.get(tabId) || null;
+  }
+
+  /**
+   * Cached state, else ask the browser (and cache the answer)
+   * @param {number} tabId - Tab id
+   * @returns {Promise<?Object>} TabState, or null when the tab doesn't exist
+   */
+  async fetch(tabId) {
+    const cached = this.get(tabId);
+    if (cached) {
+      return cached;
+    }
+    try {
+      const tab = await this.#tabsApi.get(tabId);
+      this.#setState(tabId, toTabState(tab));
+      return this.get(tabId);
+    } catch (error) {
+      // Tab closed while the request was being handled
+      if (typeof ctcConsole !== "undefined") {
+        ctcConsole.debug(`Tab ${tabId} unavailable:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  #setState(tabId, state) {
+    this.#changedDuringRebuild?.add(tabId);
+    this.#states.set(tabId, state);
+  }
+
+  #handleCreated(tab) {
+    this.#shiftIndices(tab.windowId, (index) => index >= tab.index, 1);
+    this.#setState(tab.id, toTabState(tab));
+  }
+
+  #handleRemoved(tabId, { windowId, isWindowClosing } = {}) {
+    const state = this.#states.get(tabId);
+    this.#changedDuringRebuild?.add(tabId);
+    this.#states.delete(tabId);
+    if (state && !isWindowClosing) {
+      this.#shiftIndices(windowId, (index) => index > state.index, -1);
+    }
+  }
+
+  // REPLACED: Same tab under a new id (e.g. discarded tab restored) - the old
+  // state carries over until the browser's own snapshot arrives
+  #handleReplaced(addedTabId, removedTabId) {
+    const state = this.#states.get(removedTabId);
+    this.#changedDuringRebuild?.add(removedTabId);
+    this.#states.delete(removedTabId);
+    if (state) {
+      this.#setState(addedTabId, state);
+    }
+    this.#tabsApi.get(addedTabId)
+      .then((tab) => this.#setState(addedTabId, toTabState(tab)))
+      .catch(() => {}); // Closed again already
+  }
+
+  #handleActivated({ tabId, windowId }) {
+    this.#states.forEach((state, id) => {
+      if (state.windowId === windowId) {
+        this.#setState(id, { ...state, active: id === tabId });
+      }
+    });
+  }
+
+  #handleMoved(tabId, { windowId, fromIndex, toIndex }) {
+    if (fromIndex < toIndex) {
+      this.#shiftIndices(windowId, (index) => index > fromIndex && index <= toIndex, -1);
+    } else {
+      this.#shiftIndices(windowId, (index) => index >= toIndex && index < fromIndex, 1);
+    }
+    this.#updateState(tabId, { index: toIndex });
+  }
+
+  #handleDetached(tabId, { oldWindowId, oldPosition }) {
+    this.#updateState(tabId, { windowId: null });
+    this.#shiftIndices(oldWindowId, (index) => index > oldPosition, -1);
+  }
+
+  #handleAttached(tabId, { newWindowId, newPosition }) {
+    this.#shiftIndices(newWindowId, (index) => index >= newPosition, 1);
+    this.#updateState(tabId, { windowId: newWindowId, index: newPosition });
+  }
+
+  #updateState(tabId, changes) {
+    const state = this.#states.get(tabId);
+    if (state) {
+      this.#setState(tabId, { ...state, ...changes });
+    }
+  }
+
+  // NEIGHBOURS: Tabs after an insert/remove/move point in the same window
+  #shiftIndices(windowId, inRange, delta) {
+    this.#states.forEach((state, id) => {
+      if (state.windowId === windowId && inRange(state.index)) {
+        this.#setState(id, { ...state, index: state.index + delta });
+      }
+    });
+  }
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+function toTabState(tab) {
+  return {
+    // FALLBACK: Some tabs have no cookieStoreId (private browsing, etc)
+    cookieStoreId: tab.cookieStoreId || "firefox-default",
+    active: Boolean(tab.active), // Preserve background/foreground intent
+    openerTabId: tab.openerTabId ?? null,
+    windowId: tab.windowId,
+    index: tab.index,
+    url: tab.url || null,
+  };
+}
+
+// Export for both browser and test environments
+if (typeof window !== "undefined") {
+  window.TabStateCache = TabStateCache;
+
+  // BACKGROUND SINGLETON: Listeners first (synchronously), then the initial load
+  window.tabStateCache = new TabStateCache(browser.tabs);
+  tabStateCache.attach();
+  tabStateCache.rebuild();
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TabStateCache };
+}
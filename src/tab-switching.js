@@ -0,0 +1,348 @@
+// Tab Switching Strategies
+// Moves a navigation into another container: replace in place, open alongside, or ask first
+
+// ============================================================================
+// WHY NOT JUST tabs.create + tabs.remove: That dropped the tab's position,
+// pinned/muted state and tab group. A container can't be changed on an
+// existing tab, so a new tab is still needed, but it now inherits the
+// original's place (see SWITCH_STRATEGIES in rule-engine.js).
+//
+// LIMIT: Back/forward history belongs to the old tab's container session and
+// can't be carried over; ALONGSIDE keeps the original tab (and its history).
+//
+// ASK FLOW:
+//    1. handleRequest cancels the request and calls promptForSwitch()
+//    2. The original tab shows switch-prompt.html#token
+//    3. The prompt page reads the pending switch and answers with a choice
+//    4. "stay" navigates the tab back to the URL, letting it through once
+//       via a short-lived bypass (consumeStayBypass in handleRequest)
+//
+// SESSION-BACKED: The background is an event page and can be unloaded while
+// a prompt sits in a tab. Pending prompts live in storage.session (one key per
+// token) and are read back when the page asks for or answers its prompt, so a
+// late answer still resumes the original URL. Stay bypasses are mirrored there
+// too, loaded once per wake-up rather than read per request.
+//
+// CANDIDATES: When several containers matched (AMBIGUOUS_MATCH_POLICIES.PROMPT)
+// the page lists all of them instead of a single target. "Remember my choice"
+// saves a priority 1 rule for the host (saveSiteRule in background.js), which
+// makes later visits unambiguous (winners above priority 0 are never prompted).
+// ============================================================================
+
+const SWITCH_PROMPT_PAGE = "src/switch-prompt.html";
+const SWITCH_PROMPT_EXPIRY_MS = 5 * 60 * 1000; // 5min: Prompt left open in a background tab
+const STAY_BYPASS_EXPIRY_MS = 10000; // 10s: Re-navigation after "stay" arrives well within this
+
+const SWITCH_PROMPT_KEY_PREFIX = "ctcSwitchPrompt:"; // + token
+const STAY_BYPASSES_KEY = "ctcStayBypasses";
+
+const SWITCH_PROMPT_MESSAGES = {
+  GET: "ctc-get-switch-prompt",
+  ANSWER: "ctc-answer-switch-prompt",
+};
+
+const SWITCH_PROMPT_CHOICES = {
+  REPLACE: SWITCH_STRATEGIES.REPLACE,
+  ALONGSIDE: SWITCH_STRATEGIES.ALONGSIDE,
+  STAY: "stay",
+};
+
+// PENDING PROMPTS (storage.session, SWITCH_PROMPT_KEY_PREFIX + token):
+//    { tabId, url, targetCookieStoreId, fromContainer, toContainer, incognito, candidates, strategy, createdAt }
+// ANSWERING: Tokens being answered right now (a double click must not switch twice)
+const answeringSwitchPrompts = new Set();
+
+// STAY BYPASS: "tabId-url" → timestamp (mirrored to storage.session, STAY_BYPASSES_KEY)
+const stayBypasses = new Map();
+let stayBypassesLoaded = Promise.resolve(); // Wake-up read (see loadStayBypasses)
+
+/**
+ * Switch a navigation to another container (creates the throwaway container
+ * first when the target is the isolate sentinel)
+ * @param {number} tabId - Tab the navigation happened in (< 0 for none)
+ * @param {string} url - URL to open
+ * @param {string} targetCookieStoreId - Destination container (or ISOLATED_COOKIE_STORE_ID)
+ * @param {string} strategy - SWITCH_STRATEGIES.REPLACE or .ALONGSIDE
+ * @returns {Promise<Object>} The new tab
+ */
+async function moveTabToContainer(tabId, url, targetCookieStoreId, strategy) {
+  const isIsolated = targetCookieStoreId === ISOLATED_COOKIE_STORE_ID;
+  const cookieStoreId = isIsolated
+    ? await createTemporaryContainer()
+    : targetCookieStoreId;
+
+  try {
+    return await reopenTabInContainer(tabId, url, cookieStoreId, strategy);
+  } finally {
+    // Temporary container now has its tab (or failed to get one and is swept)
+    if (isIsolated) {
+      releaseTemporaryContainer(cookieStoreId);
+    }
+  }
+}
+
+/**
+ * Open `url` in `cookieStoreId`, carrying over the original tab's properties
+ * @param {number} tabId - Original tab (< 0 or closed: plain new tab)
+ * @param {string} url - URL to open
+ * @param {string} cookieStoreId - Real destination container
+ * @param {string} strategy - SWITCH_STRATEGIES.REPLACE or .ALONGSIDE
+ * @param {Object} [tabsApi] - browser.tabs (or a test double)
+ * @returns {Promise<Object>} The new tab
+ */
+async function reopenTabInContainer(tabId, url, cookieStoreId, strategy, tabsApi = browser.tabs) {
+  const tab = tabId >= 0 ? await tabsApi.get(tabId).catch(() => null) : null;
+  if (!tab) {
+    return tabsApi.create({ url, cookieStoreId });
+  }
+
+  const keepOriginal = strategy === SWITCH_STRATEGIES.ALONGSIDE;
+
+  // POSITION: REPLACE takes the original's index (it shifts right, then is
+  // removed); ALONGSIDE goes right after it and remembers it as opener
+  // ACTIVE STATE: Preserve user's foreground/background intent (Cmd+Shift+click = background)
+  const newTab = await tabsApi.create({
+    url,
+    cookieStoreId,
+    windowId: tab.windowId,
+    index: keepOriginal ? tab.index + 1 : tab.index,
+    pinned: tab.pinned,
+    active: tab.active,
+    openerTabId: keepOriginal ? tab.id : undefined,
+  });
+
+  // CARRY OVER: Best effort - the switch itself already succeeded
+  try {
+    if (tab.mutedInfo?.muted) {
+      await tabsApi.update(newTab.id, { muted: true });
+    }
+    // Tab groups (newer Firefox only)
+    if (typeof tab.groupId === "number" && tab.groupId !== -1 && tabsApi.group) {
+      await tabsApi.group({ groupId: tab.groupId, tabIds: [newTab.id] });
+    }
+  } catch (error) {
+    ctcConsole.warn("Could not carry tab state over to new container tab:", error.message);
+  }
+
+  // CLEANUP: Remove original tab that's in wrong container
+  if (!keepOriginal) {
+    tabsApi.remove(tab.id);
+  }
+  return newTab;
+}
+
+/**
+ * ASK: Show the switch prompt in the original tab
+ * @param {number} tabId - Tab whose navigation was cancelled
+ * @param {{url: string, targetCookieStoreId: string, fromContainer: string, toContainer: string, incognito: boolean,
+ *          candidates: Array<{containerName: string, cookieStoreId: string}>, strategy: string}} pendingSwitch
+ *   candidates: Every matching container (empty unless the match was ambiguous);
+ *   strategy: REPLACE or ALONGSIDE, used when a candidate is picked
+ */
+async function promptForSwitch(tabId, pendingSwitch) {
+  await pruneSwitchPrompts(browser.storage.session);
+  const token = crypto.randomUUID();
+  await writePendingSwitch(browser.storage.session, token, { ...pendingSwitch, tabId });
+  await browser.tabs.update(tabId, {
+    url: browser.runtime.getURL(`${SWITCH_PROMPT_PAGE}#${token}`),
+  });
+}
+
+/**
+ * STAY BYPASS: True (once) if the user just chose to stay for this tab + URL
+ * @param {number} tabId - Navigating tab
+ * @param {string} url - Navigation URL
+ * @returns {Promise<boolean>} True when routing should be skipped
+ */
+async function consumeStayBypass(tabId, url) {
+  await stayBypassesLoaded;
+  const key = `${tabId}-${url}`;
+  const grantedAt = stayBypasses.get(key);
+  if (grantedAt === undefined) {
+    return false;
+  }
+  stayBypasses.delete(key);
+  saveStayBypasses();
+  return Date.now() - grantedAt < STAY_BYPASS_EXPIRY_MS;
+}
+
+/**
+ * Store a pending switch prompt (see SESSION-BACKED)
+ * @param {Object} storageArea - browser.storage.session (or a test double)
+ * @param {string} token - Prompt token (the prompt page's location.hash)
+ * @param {Object} pendingSwitch - promptForSwitch's pendingSwitch plus tabId
+ * @param {number} [now] - Creation time (default: Date.now())
+ * @returns {Promise<void>}
+ */
+async function writePendingSwitch(storageArea, token, pendingSwitch, now = Date.now()) {
+  await storageArea.set({ [`${SWITCH_PROMPT_KEY_PREFIX}${token}`]: { ...pendingSwitch, createdAt: now } });
+}
+
+/**
+ * Read a pending switch prompt back (any background instance can answer it)
+ * @param {Object} storageArea - browser.storage.session (or a test double)
+ * @param {string} token - Prompt token
+ * @param {number} [now] - Current time (default: Date.now())
+ * @returns {Promise<?Object>} Pending switch, or null when unknown or expired
+ */
+async function readPendingSwitch(storageArea, token, now = Date.now()) {
+  const key = `${SWITCH_PROMPT_KEY_PREFIX}${token}`;
+  const { [key]: pending } = await storageArea.get(key);
+  if (!pending || now - pending.createdAt > SWITCH_PROMPT_EXPIRY_MS) {
+    return null;
+  }
+  return pending;
+}
+
+// PRIVATE HELPERS: Module-scoped functions
+
+async function answerSwitchPrompt(token, choice, cookieStoreId, remember) {
+  // ONCE: A second answer for the same token finds nothing
+  if (answeringSwitchPrompts.has(token)) {
+    return { ok: false, error: "This prompt has already been answered." };
+  }
+  answeringSwitchPrompts.add(token);
+  try {
+    const pending = await readPendingSwitch(browser.storage.session, token);
+    await browser.storage.session.remove(`${SWITCH_PROMPT_KEY_PREFIX}${token}`);
+    if (!pending) {
+      return { ok: false, error: "This prompt has expired." };
+    }
+    return await carryOutSwitchAnswer(pending, choice, cookieStoreId, remember);
+  } finally {
+    answeringSwitchPrompts.delete(token);
+  }
+}
+
+async function carryOutSwitchAnswer(pending, choice, cookieStoreId, remember) {
+  const activityFields = {
+    url: pending.url,
+    fromContainer: pending.fromContainer,
+    toContainer: pending.toContainer,
+  };
+
+  if (choice === SWITCH_PROMPT_CHOICES.STAY) {
+    stayBypasses.set(`${pending.tabId}-${pending.url}`, Date.now());
+    await saveStayBypasses();
+    // loadReplace: The prompt page must not stay in the tab's history
+    await browser.tabs.update(pending.tabId, { url: pending.url, loadReplace: true });
+    recordActivity({
+      ...activityFields,
+      toContainer: pending.fromContainer,
+      outcome: ACTIVITY_OUTCOMES.STAYED,
+      reason: ACTIVITY_REASONS.USER_STAYED,
+    }, { incognito: pending.incognito });
+    return { ok: true };
+  }
+
+  // CANDIDATE PICKED: Otherwise the engine's own pick
+  const candidate = pending.candidates.find((entry) => entry.cookieStoreId === cookieStoreId);
+  const target = candidate || {
+    containerName: pending.toContainer,
+    cookieStoreId: pending.targetCookieStoreId,
+  };
+
+  const strategy = choice === SWITCH_PROMPT_CHOICES.ALONGSIDE
+    ? SWITCH_STRATEGIES.ALONGSIDE
+    : SWITCH_STRATEGIES.REPLACE;
+  await moveTabToContainer(pending.tabId, pending.url, target.cookieStoreId, strategy);
+
+  // ALONGSIDE: Prompt tab goes back to the page the link was clicked on
+  if (strategy === SWITCH_STRATEGIES.ALONGSIDE) {
+    browser.tabs.goBack(pending.tabId).catch(() => browser.tabs.remove(pending.tabId));
+  }
+
+  recordActivity({
+    ...activityFields,
+    toContainer: target.containerName,
+    outcome: ACTIVITY_OUTCOMES.SWITCHED,
+    reason: ACTIVITY_REASONS.USER_CHOICE,
+  }, { incognito: pending.incognito });
+
+  // REMEMBER: The switch already happened - a failed save is only reported
+  if (candidate && remember) {
+    try {
+      await saveSiteRule(pending.url, candidate, true);
+    } catch (error) {
+      ctcConsole.error("Failed to remember container choice:", error);
+    }
+  }
+  return { ok: true };
+}
+
+// Expired prompts (never answered) and stay bypasses
+async function pruneSwitchPrompts(storageArea, now = Date.now()) {
+  const items = await storageArea.get(null);
+  const expiredKeys = Object.keys(items).filter((key) =>
+    key.startsWith(SWITCH_PROMPT_KEY_PREFIX) && now - items[key].createdAt > SWITCH_PROMPT_EXPIRY_MS);
+  if (expiredKeys.length > 0) {
+    await storageArea.remove(expiredKeys);
+  }
+
+  let bypassesExpired = false;
+  for (const [key, grantedAt] of stayBypasses.entries()) {
+    if (now - grantedAt > STAY_BYPASS_EXPIRY_MS) {
+      stayBypasses.delete(key);
+      bypassesExpired = true;
+    }
+  }
+  if (bypassesExpired) {
+    await saveStayBypasses();
+  }
+}
+
+async function saveStayBypasses() {
+  try {
+    await browser.storage.session.set({ [STAY_BYPASSES_KEY]: Object.fromEntries(stayBypasses) });
+  } catch (error) {
+    ctcConsole.warn("Failed to save stay bypasses:", error.message);
+  }
+}
+
+// WAKE-UP: Bypasses granted by the previous background instance (kept in
+// memory first - one granted while this read is in flight is newer)
+async function loadStayBypasses() {
+  try {
+    const { [STAY_BYPASSES_KEY]: stored } = await browser.storage.session.get(STAY_BYPASSES_KEY);
+    Object.entries(stored || {}).forEach(([key, grantedAt]) => {
+      if (!stayBypasses.has(key)) {
+        stayBypasses.set(key, grantedAt);
+      }
+    });
+  } catch (error) {
+    ctcConsole.warn("Failed to load stay bypasses:", error.message);
+  }
+}
+
+// Export for both browser and test environments
+if (typeof window !== "undefined") {
+  stayBypassesLoaded = loadStayBypasses();
+
+  // PROMPT PAGE MESSAGING: switch-prompt.js reads its switch, then answers once
+  browser.runtime.onMessage.addListener((message) => {
+    if (message?.type === SWITCH_PROMPT_MESSAGES.GET) {
+      return readPendingSwitch(browser.storage.session, message.token).then((pending) =>
+        pending
+          ? {
+              url: pending.url,
+              fromContainer: pending.fromContainer,
+              toContainer: pending.toContainer,
+              candidates: pending.candidates,
+              strategy: pending.strategy,
+            }
+          : null,
+      );
+    }
+    if (message?.type === SWITCH_PROMPT_MESSAGES.ANSWER) {
+      return answerSwitchPrompt(message.token, message.choice, message.cookieStoreId, message.remember);
+    }
+    return undefined; // Not ours - let other listeners answer
+  });
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    reopenTabInContainer,
+    writePendingSwitch,
+    readPendingSwitch,
+    SWITCH_PROMPT_EXPIRY_MS,
+  };
+}
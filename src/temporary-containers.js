@@ -0,0 +1,147 @@
+// Temporary Containers for "isolate" rules
+// Creates a throwaway container per isolated navigation and deletes it
+// once its last tab closes
+
+// ============================================================================
+// LIFECYCLE: create → use → delete when empty
+// ============================================================================
+// CREATE: handleRequest (background.js) calls createTemporaryContainer() when
+//         the rule engine returns ISOLATED_CONTAINER_NAME
+// TRACK:  cookieStoreId is recorded via CtcRepo.setTemporaryContainer, which
+//         persists to storage.local (survives background termination)
+// DELETE: On every tab close, any tracked container without tabs is removed.
+//         contextualIdentities.remove also wipes its cookies and site data.
+// STARTUP: Same sweep runs after initialization, removing containers left
+//          behind by a crash or a browser restart without session restore
+//
+// WHY QUERY TABS INSTEAD OF TRACKING TAB IDS: The background script can be
+// terminated at any time (MV3), so an in-memory tabId map would be lost.
+// tabs.query({ cookieStoreId }) is always authoritative.
+// ============================================================================
+
+const TEMPORARY_CONTAINER_NAME_PREFIX = "Temporary";
+const TEMPORARY_CONTAINER_COLOR = "toolbar";
+const TEMPORARY_CONTAINER_ICON = "fence";
+
+// RACE GUARD: Containers created but whose first tab doesn't exist yet
+// WHY: A tab closing elsewhere in between would otherwise sweep them as empty
+const pendingTemporaryContainers = new Set();
+
+// CREATING: Names handed out whose container id isn't tracked yet - its
+// contextualIdentities.onCreated may reach other listeners first
+// (see isTemporaryContainerIdentity)
+const creatingTemporaryContainerNames = new Set();
+
+// NAMING: Per-session counter (see nextTemporaryContainerName)
+let temporaryContainerNumber = 0;
+
+/**
+ * Create and track a new temporary container
+ * @returns {Promise<string>} cookieStoreId of the new container
+ */
+async function createTemporaryContainer() {
+  const name = nextTemporaryContainerName();
+  creatingTemporaryContainerNames.add(name);
+  try {
+    const identity = await browser.contextualIdentities.create({
+      name,
+      color: TEMPORARY_CONTAINER_COLOR,
+      icon: TEMPORARY_CONTAINER_ICON,
+    });
+
+    pendingTemporaryContainers.add(identity.cookieStoreId);
+    await CtcRepo.setTemporaryContainer(identity.cookieStoreId, true);
+    ctcConsole.info(`Created temporary container ${identity.name}`);
+    return identity.cookieStoreId;
+  } finally {
+    creatingTemporaryContainerNames.delete(name);
+  }
+}
+
+/**
+ * Check an identity from contextualIdentities (query or events) - also true
+ * while its creation is still in flight
+ * @param {Object} identity - contextualIdentities.ContextualIdentity
+ * @returns {boolean} True if it is a throwaway "isolate" container
+ */
+function isTemporaryContainerIdentity(identity) {
+  return (
+    CtcRepo.isTemporaryContainer(identity.cookieStoreId) ||
+    (creatingTemporaryContainerNames.has(identity.name) &&
+      identity.color === TEMPORARY_CONTAINER_COLOR &&
+      identity.icon === TEMPORARY_CONTAINER_ICON)
+  );
+}
+
+/**
+ * Mark a temporary container as populated (its first tab exists)
+ * @param {string} cookieStoreId - Container returned by createTemporaryContainer
+ */
+function releaseTemporaryContainer(cookieStoreId) {
+  pendingTemporaryContainers.delete(cookieStoreId);
+}
+
+/**
+ * Remove every tracked temporary container that has no open tabs
+ * @param {number} [closingTabId] - Tab being removed (may still be listed by tabs.query)
+ */
+async function removeEmptyTemporaryContainers(closingTabId) {
+  for (const cookieStoreId of Array.from(CtcRepo.temporaryContainerIds)) {
+    if (pendingTemporaryContainers.has(cookieStoreId)) {
+      continue;
+    }
+
+    try {
+      const tabs = await browser.tabs.query({ cookieStoreId });
+      if (tabs.some((tab) => tab.id !== closingTabId)) {
+        continue;
+      }
+
+      await browser.contextualIdentities.remove(cookieStoreId).catch((error) => {
+        // ALREADY GONE: User deleted it manually, just stop tracking it
+        ctcConsole.warn(`Temporary container ${cookieStoreId} already removed:`, error.message);
+      });
+      await CtcRepo.setTemporaryContainer(cookieStoreId, false);
+      ctcConsole.info(`Removed empty temporary container ${cookieStoreId}`);
+    } catch (error) {
+      ctcConsole.error(`Failed to clean up temporary container ${cookieStoreId}:`, error);
+    }
+  }
+}
+
+// NAMING: "Temporary 1", "Temporary 2", ... counting up for this background
+// session, skipping names already taken (e.g. after a wake-up)
+// WHY UNIQUE: containerMap is keyed by name, duplicates would shadow each other
+// WHY A COUNTER: Two isolate navigations close together both ask for a name
+// before containerMap reloads - "lowest free number" gave both the same one
+function nextTemporaryContainerName() {
+  const { containerMap } = CtcRepo.getContainerData();
+  let name;
+  do {
+    temporaryContainerNumber++;
+    name = `${TEMPORARY_CONTAINER_NAME_PREFIX} ${temporaryContainerNumber}`;
+  } while (containerMap.has(name) || creatingTemporaryContainerNames.has(name));
+  return name;
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+if (typeof window !== "undefined") {
+  browser.tabs.onRemoved.addListener((tabId) => {
+    if (CtcRepo.temporaryContainerIds.size > 0) {
+      removeEmptyTemporaryContainers(tabId);
+    }
+  });
+
+  // MANUAL DELETE: User removed a temporary container from Firefox settings
+  browser.contextualIdentities.onRemoved.addListener(({ contextualIdentity }) => {
+    if (CtcRepo.isTemporaryContainer(contextualIdentity.cookieStoreId)) {
+      pendingTemporaryContainers.delete(contextualIdentity.cookieStoreId);
+      CtcRepo.setTemporaryContainer(contextualIdentity.cookieStoreId, false);
+    }
+  });
+} else if (typeof module !== "undefined" && module.exports) {
+  module.exports = { createTemporaryContainer, isTemporaryContainerIdentity };
+}
@@ -0,0 +1,88 @@
+// Rule Matcher Benchmark
+// Compares the plain rules array with compileRules() output on a large ruleset
+// Run with: make benchmark (or node test/benchmark-rule-matcher.js)
+
+const path = require("path");
+const { explainContainerForUrl, compileRules } = require("../src/rule-engine.js");
+require("../src/pattern-matching.js");
+
+const RULESET_COPIES = 4; // 573 fixture rules → ~2,300 rules
+const ROUNDS = 3;
+
+// ============================================================================
+// INPUTS: Fixture rules plus renamed copies (distinct patterns and containers)
+// ============================================================================
+const fixture = require(path.join(__dirname, "fixtures", "large-ruleset.json"));
+const rules = [];
+for (let copy = 0; copy < RULESET_COPIES; copy++) {
+  fixture.forEach((rule) => {
+    rules.push(copy === 0 ? rule : {
+      ...rule,
+      containerName: `${rule.containerName} ${copy}`,
+      urlPattern: rule.urlPattern.startsWith("/") ? rule.urlPattern : `c${copy}.${rule.urlPattern}`,
+    });
+  });
+}
+
+const containerMap = new Map([["No Container", "firefox-default"]]);
+rules.forEach((rule) => {
+  if (!containerMap.has(rule.containerName)) {
+    containerMap.set(rule.containerName, `firefox-container-${containerMap.size}`);
+  }
+});
+
+// Main-frame navigations: rule hits (host and query), near misses and unrelated sites
+const urls = [];
+fixture.forEach((rule, index) => {
+  if (!rule.urlPattern.startsWith("/")) {
+    urls.push(`https://${rule.urlPattern}/some/path?page=${index}`);
+    urls.push(`https://unrelated-${index}.example/?next=${rule.urlPattern}`);
+  }
+  urls.push(`https://www.site-${index}.test/articles/${index}`);
+});
+const startingContainers = ["No Container", fixture[0].containerName, `${fixture[0].containerName} 1`];
+const now = Date.now();
+
+// ============================================================================
+// RUN: Same evaluations through both paths, traces compared as they go
+// ============================================================================
+function time(label, evaluate) {
+  let best = Infinity;
+  let traces = [];
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = process.hrtime.bigint();
+    traces = [];
+    urls.forEach((url) => {
+      startingContainers.forEach((current) => {
+        traces.push(evaluate(url, current));
+      });
+    });
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  console.log(`${label.padEnd(10)} ${best.toFixed(1).padStart(9)} ms  (${(best * 1000 / traces.length).toFixed(1)} µs per request)`);
+  return { best, traces };
+}
+
+console.log(`🏁 Rule matcher benchmark: ${rules.length} rules, ${urls.length * startingContainers.length} evaluations, best of ${ROUNDS}`);
+console.log("=".repeat(60));
+
+const compileStart = process.hrtime.bigint();
+const compiled = compileRules(rules);
+const compileMs = Number(process.hrtime.bigint() - compileStart) / 1e6;
+console.log(`compile    ${compileMs.toFixed(1).padStart(9)} ms  (once per rules load)`);
+
+const linear = time("array", (url, current) =>
+  explainContainerForUrl(url, current, rules, containerMap, { now }));
+const indexed = time("compiled", (url, current) =>
+  explainContainerForUrl(url, current, compiled, containerMap, { now }));
+
+const mismatch = linear.traces.findIndex(
+  (trace, index) => JSON.stringify(trace) !== JSON.stringify(indexed.traces[index]),
+);
+if (mismatch !== -1) {
+  console.log(`❌ Traces differ for ${linear.traces[mismatch].url}`);
+  process.exit(1);
+}
+
+console.log("=".repeat(60));
+console.log(`✅ ${linear.traces.length} identical traces, ${(linear.best / indexed.best).toFixed(1)}× faster`);
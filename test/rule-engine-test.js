@@ -2,14 +2,104 @@
 // Run with: node test/simple-test.js
 
 // Import the rule engine and utilities
-const { evaluateContainerForUrl } = require('../src/rule-engine.js');
-const { matchesPattern } = require('../src/pattern-matching.js');
+const {
+    evaluateContainerForUrl,
+    explainContainerForUrl,
+    compileRules,
+    DECISION_STEPS,
+    ISOLATED_CONTAINER_NAME,
+    ISOLATED_COOKIE_STORE_ID,
+    SWITCH_STRATEGIES,
+    getRulePriority,
+    isScheduleActive,
+    getScheduleError
+} = require('../src/rule-engine.js');
+const {
+    matchesPattern,
+    isStructuredPattern,
+    getPatternError
+} = require('../src/pattern-matching.js');
 const {
     encodeRulesForStorage,
     decodeRulesFromStorage,
-    supportsCompressionNatively
+    supportsCompressionNatively,
+    resolveRuleContainers,
+    recordContainerNames,
+    isRuleOrphaned,
+    readRulesFromStorage,
+    writeRulesToStorage,
+    removeRulesFromStorage,
+    didRulesChange,
+    normalizeRuleProfiles,
+    writeRoutingSnapshot,
+    readRoutingSnapshot,
+    CTC_ROUTING_SNAPSHOT_KEY,
+    CTC_RULES_MANIFEST_KEY,
+    CTC_RULES_CHUNK_PREFIX,
+    CTC_RULE_PROFILES_KEY
 } = require('../src/storage-compression.js');
+const largeRuleset = require('./fixtures/large-ruleset.json');
+const { validateAllRules } = require('../src/rule-validation.js');
 const containerizeRules = require('./fixtures/containerize-personal-rules.json');
+const {
+    getPostRequestDecision,
+    prepareFormResubmission,
+    takeResubmission,
+    POST_DECISIONS,
+    RESUBMISSION_EXPIRY_MS
+} = require('../src/form-resubmission.js');
+const {
+    RULES_FILE_SCHEMA_VERSION,
+    buildRulesFile,
+    parseRulesFile,
+    diffRules,
+    haveSameRules,
+    mergeRules
+} = require('../src/rule-transfer.js');
+const {
+    ANALYSIS_FINDINGS,
+    analyzeRules,
+    getBacktrackingRisk
+} = require('../src/rule-analyzer.js');
+const {
+    CTC_ACTIVITY_LOG_KEY,
+    ACTIVITY_DATA_SOURCES,
+    appendActivityEntries,
+    filterActivityEntries,
+    activityEntriesToCsv,
+    readActivityLog,
+    recordActivity,
+    flushActivityLog
+} = require('../src/activity-log.js');
+const { TabStateCache } = require('../src/tab-state.js');
+const {
+    reopenTabInContainer,
+    writePendingSwitch,
+    readPendingSwitch,
+    SWITCH_PROMPT_EXPIRY_MS
+} = require('../src/tab-switching.js');
+const {
+    getBookmarkUrlsFromFolder,
+    withoutUrlsOpenInContainer,
+    writePendingBookmarkOpen,
+    readPendingBookmarkOpen,
+    BOOKMARK_MAX_DEPTH,
+    BOOKMARK_CONFIRM_EXPIRY_MS
+} = require('../src/bookmark-menu.js');
+const {
+    buildBookmarkUrlIndex,
+    findIndexedBookmarkContainer,
+    collectBookmarkIds,
+    holdBookmarkCandidate,
+    takeHeldBookmarkRoute,
+    pickCommittedRoute,
+    HELD_ROUTE_EXPIRY_MS
+} = require('../src/bookmark-containers.js');
+const { getRulesPick } = require('../src/container-menu.js');
+const { getCommandTarget, CONTAINER_COMMANDS } = require('../src/container-commands.js');
+const { createTemporaryContainer, isTemporaryContainerIdentity } = require('../src/temporary-containers.js');
+// BROWSER-GLOBAL SCRIPT: Reads its dependencies (required above) as globals
+require('../src/ctc-repository.js');
 
 // Simple test framework
 let testCount = 0;
@@ -34,6 +124,152 @@ function createRule(containerName, action, urlPattern, highPriority = false) {
     return { containerName, action, urlPattern, highPriority };
 }
 
+// In-memory stand-in for browser.storage.sync (get/set/remove subset)
+function createFakeStorageArea(initialItems = {}) {
+    const items = { ...initialItems };
+    return {
+        items,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return { ...items };
+            }
+            const result = {};
+            [].concat(keys).forEach(key => {
+                if (key in items) result[key] = items[key];
+            });
+            return result;
+        },
+        async set(newItems) {
+            Object.assign(items, newItems);
+        },
+        async remove(keys) {
+            [].concat(keys).forEach(key => delete items[key]);
+        }
+    };
+}
+
+// Runs testBody with `browser` and a silent `ctcConsole` as globals (browser-global
+// scripts such as ctc-repository.js read both), then restores the previous values
+async function withBrowserGlobals(browserFake, testBody) {
+    const originalBrowser = global.browser;
+    const originalConsole = global.ctcConsole;
+    const ignore = () => {};
+    global.browser = browserFake;
+    global.ctcConsole = { log: ignore, debug: ignore, info: ignore, warn: ignore, error: ignore };
+    try {
+        await testBody();
+    } finally {
+        global.browser = originalBrowser;
+        global.ctcConsole = originalConsole;
+    }
+}
+
+// Storage areas that log every written key ("area:key") and can refuse writes
+function createLoggedStorageAreas(refuseWrite = () => false) {
+    const writes = [];
+    const logged = (areaName, area) => ({
+        ...area,
+        async set(items) {
+            if (refuseWrite(areaName, items)) {
+                const error = new Error(`${areaName} quota exceeded`);
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+            writes.push(...Object.keys(items).map(key => `${areaName}:${key}`));
+            await area.set(items);
+        }
+    });
+    return { writes, sync: logged('sync', createFakeStorageArea()), local: logged('local', createFakeStorageArea()) };
+}
+
+// Runs testBody against CtcRepo in sync mode with `rules` saved, restoring its state after
+async function withStorageModeRepo(storage, rules, testBody) {
+    const original = { storageMode: CtcRepo.storageMode, rules: CtcRepo.rules, compiledRules: CtcRepo.compiledRules };
+    await withBrowserGlobals({ storage }, async () => {
+        try {
+            CtcRepo.storageMode = STORAGE_MODES.SYNC;
+            await CtcRepo.saveRules(rules);
+            storage.writes.length = 0;
+            await testBody();
+        } finally {
+            Object.assign(CtcRepo, original);
+        }
+    });
+}
+
+// In-memory stand-in for browser.tabs (events with fire(), query/get, and
+// create/update/remove/group recorded in `calls`)
+function createFakeTabsApi(initialTabs = []) {
+    const tabs = new Map(initialTabs.map(tab => [tab.id, { ...tab }]));
+    const createEvent = () => {
+        const listeners = [];
+        return {
+            addListener: listener => listeners.push(listener),
+            fire: (...args) => listeners.forEach(listener => listener(...args))
+        };
+    };
+    const api = {
+        tabs,
+        getCalls: 0,
+        onQuery: null, // Runs while query() is in flight (events racing a rebuild)
+        async query(queryInfo = {}) {
+            const snapshot = [...tabs.values()]
+                .filter(tab => !queryInfo.cookieStoreId || tab.cookieStoreId === queryInfo.cookieStoreId)
+                .map(tab => ({ ...tab }));
+            if (api.onQuery) {
+                api.onQuery();
+            }
+            return snapshot;
+        },
+        async get(tabId) {
+            api.getCalls++;
+            if (!tabs.has(tabId)) {
+                throw new Error(`Invalid tab ID: ${tabId}`);
+            }
+            return { ...tabs.get(tabId) };
+        },
+        nextTabId: 100,
+        calls: [], // [method, ...args]
+        async create(properties) {
+            api.calls.push(['create', properties]);
+            const tab = { id: api.nextTabId++, ...properties };
+            tabs.set(tab.id, tab);
+            return { ...tab };
+        },
+        async update(tabId, changes) {
+            api.calls.push(['update', tabId, changes]);
+            Object.assign(tabs.get(tabId), changes);
+            return { ...tabs.get(tabId) };
+        },
+        async remove(tabId) {
+            api.calls.push(['remove', tabId]);
+            tabs.delete(tabId);
+        },
+        async group(options) {
+            api.calls.push(['group', options]);
+            return options.groupId;
+        }
+    };
+    ['onCreated', 'onUpdated', 'onRemoved', 'onReplaced', 'onActivated', 'onMoved', 'onDetached', 'onAttached']
+        .forEach(name => { api[name] = createEvent(); });
+    return api;
+}
+
+function createIncompressibleRules(count) {
+    // Pseudo-random patterns (deterministic xorshift) so gzip cannot shrink them much
+    let seed = 42;
+    const nextChar = () => {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        return 'abcdefghijklmnopqrstuvwxyz0123456789'[(seed >>> 0) % 36];
+    };
+    return Array.from({ length: count }, (_, index) => {
+        const pattern = Array.from({ length: 48 }, nextChar).join('');
+        return createRule(`Container ${index % 10}`, 'open', `${pattern}.com`);
+    });
+}
+
 function createContainerMapFromRules(rules) {
     const map = new Map();
     map.set('No Container', 'firefox-default');
@@ -356,6 +592,1579 @@ test('Containerize Import - Gmail vs Google stay-put behavior', () => {
     );
 });
 
+// Test 11: Structured patterns
+test('Pattern Matching - Literal patterns are plain substring matches', () => {
+    assertEqual(matchesPattern('https://evil.com/?next=github.com', 'github.com'), true, 'Literal matches anywhere in URL');
+    assertEqual(matchesPattern('https://notgithub.com', 'github.com'), true, 'Literal matches look-alike domains');
+    assertEqual(isStructuredPattern('github.com/company-name'), false, 'Literal with path stays literal');
+    assertEqual(isStructuredPattern('/.*\\.github\\.com/'), false, 'Regex is not structured');
+});
+
+test('Pattern Matching - Structured compact wildcard host and path prefix', () => {
+    const pattern = '*.github.com/company-name/*';
+    assertEqual(isStructuredPattern(pattern), true, 'Compact form should be detected');
+    assertEqual(matchesPattern('https://github.com/company-name/repo', pattern), true, 'Wildcard includes apex domain');
+    assertEqual(matchesPattern('https://api.github.com/company-name/', pattern), true, 'Wildcard includes subdomains');
+    assertEqual(matchesPattern('https://github.com/other/repo', pattern), false, 'Path prefix must match');
+    assertEqual(matchesPattern('https://notgithub.com/company-name/repo', pattern), false, 'Look-alike host must not match');
+    assertEqual(matchesPattern('https://evil.com/?next=github.com/company-name/', pattern), false, 'Host in query must not match');
+    assertEqual(matchesPattern('https://github.com.evil.com/company-name/', pattern), false, 'Host prefix trick must not match');
+});
+
+test('Pattern Matching - Structured keyed host semantics', () => {
+    assertEqual(matchesPattern('https://github.com/x', 'host:github.com'), true, 'Exact host matches');
+    assertEqual(matchesPattern('https://api.github.com/x', 'host:github.com'), false, 'Exact host excludes subdomains');
+    assertEqual(matchesPattern('https://api.github.com/x', 'host:.github.com'), true, 'Suffix host matches subdomains');
+    assertEqual(matchesPattern('https://github.com/x', 'host:.github.com'), false, 'Suffix host excludes apex');
+    assertEqual(matchesPattern('https://github.com/x', 'host:*.github.com'), true, 'Wildcard host includes apex');
+    assertEqual(matchesPattern('https://a.b.github.com/x', 'host:*.github.com'), true, 'Wildcard host includes deep subdomains');
+    assertEqual(matchesPattern('https://GitHub.com/x', 'host:github.com'), true, 'Host comparison is case-insensitive');
+});
+
+test('Pattern Matching - Structured scheme, port and path', () => {
+    assertEqual(matchesPattern('https://github.com/org/repo', 'host:github.com path:/org/*'), true, 'Keyed path prefix matches');
+    assertEqual(matchesPattern('https://github.com/organization', 'host:github.com path:/org/'), false, 'Path prefix respects trailing slash');
+    assertEqual(matchesPattern('https://github.com/org/a/issues/1', 'host:github.com path:/org/*/issues'), true, 'Inner wildcard matches any segment');
+    assertEqual(matchesPattern('http://github.com/', 'scheme:https host:github.com'), false, 'Scheme must match');
+    assertEqual(matchesPattern('https://github.com/', 'https://*.github.com'), true, 'Compact scheme matches');
+    assertEqual(matchesPattern('https://intranet.corp/wiki/page', '*://intranet.corp/wiki/*'), true, 'Any-scheme compact form uses exact host');
+    assertEqual(matchesPattern('https://example.com/', 'host:example.com port:443'), true, 'Default https port is 443');
+    assertEqual(matchesPattern('https://example.com:8443/app', '*.example.com:8443/app'), true, 'Explicit port matches');
+    assertEqual(matchesPattern('https://example.com/app', '*.example.com:8443/app'), false, 'Missing port does not match explicit port');
+    assertEqual(matchesPattern('https://example.com/app?x=/app', 'host:example.com path:/app'), true, 'Query string is ignored');
+});
+
+test('Pattern Matching - Invalid structured patterns', () => {
+    assertEqual(matchesPattern('https://github.com/', 'host:github.com color:blue'), false, 'Unknown key never matches');
+    assertEqual(getPatternError('host:github.com color:blue') !== null, true, 'Unknown key reports an error');
+    assertEqual(getPatternError('host:github.com path:org') !== null, true, 'Relative path reports an error');
+    assertEqual(getPatternError('*.example.com:99999') !== null, true, 'Out of range port reports an error');
+    assertEqual(getPatternError('/[unclosed/'), 'Invalid regex pattern', 'Bad regex reports an error');
+    assertEqual(getPatternError('example.com/(beta)'), null, 'Literal with parentheses is valid');
+    assertEqual(getPatternError('*.github.com/org/*'), null, 'Valid structured pattern has no error');
+});
+
+test('Structured Rules - Route by org without look-alike leaks', () => {
+    const rules = [
+        createRule('Work', 'open', '*.github.com/company-name/*', true),
+        createRule('Personal', 'open', 'host:github.com')
+    ];
+    const containerMap = new Map([
+        ['Personal', 'personal-id'],
+        ['Work', 'work-id'],
+    ]);
+
+    const workResult = evaluateContainerForUrl('https://github.com/company-name/app', 'No Container', rules, containerMap);
+    assertEqual(workResult, 'Work', 'Company org should route to Work');
+
+    const personalResult = evaluateContainerForUrl('https://github.com/someone/dotfiles', 'No Container', rules, containerMap);
+    assertEqual(personalResult, 'Personal', 'Other GitHub paths should route to Personal');
+
+    const leakResult = evaluateContainerForUrl('https://evil.com/?next=github.com/company-name/', 'No Container', rules, containerMap);
+    assertEqual(leakResult, 'No Container', 'Look-alike URL should not match any rule');
+});
+
+// Test 12: Container references (cookieStoreId + name snapshot)
+test('Container IDs - Legacy name-only rules migrate on decode', async () => {
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Work', 'firefox-container-1'],
+    ]);
+    const legacyJson = JSON.stringify([createRule('Work', 'open', 'github.com')]);
+
+    const decoded = await decodeRulesFromStorage(legacyJson, containerMap);
+    assertEqual(decoded[0].cookieStoreId, 'firefox-container-1', 'Legacy rule should gain cookieStoreId');
+    assertEqual(decoded[0].containerName, 'Work', 'Name snapshot should be kept');
+    assertEqual(decoded[0].urlPattern, 'github.com', 'Other rule fields should be kept');
+});
+
+test('Container IDs - Rename keeps rules attached', () => {
+    const rules = [{ ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }];
+    const renamedMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Work (Acme)', 'firefox-container-1'],
+    ]);
+
+    // Renamed on this device: container-1 was "Work" here before
+    const history = new Map([['firefox-container-1', ['Work', 'Work (Acme)']]]);
+
+    const [resolved] = resolveRuleContainers(rules, renamedMap, history);
+    assertEqual(resolved.containerName, 'Work (Acme)', 'Snapshot should follow the new name');
+    assertEqual(isRuleOrphaned(resolved, renamedMap), false, 'Renamed container rule is not orphaned');
+
+    const result = evaluateContainerForUrl('https://github.com', 'No Container', [resolved], renamedMap);
+    assertEqual(result, 'Work (Acme)', 'Renamed container should still receive traffic');
+});
+
+test('Container IDs - Deleted container orphans its rules', () => {
+    const rules = [{ ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }];
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Personal', 'firefox-container-2'],
+    ]);
+
+    const [resolved] = resolveRuleContainers(rules, containerMap);
+    assertEqual(resolved.containerName, 'Work', 'Orphaned rule keeps its snapshot name');
+    assertEqual(resolved.cookieStoreId, 'firefox-container-1', 'Orphaned rule keeps its cookieStoreId');
+    assertEqual(isRuleOrphaned(resolved, containerMap), true, 'Rule should be flagged as orphaned');
+    assertEqual(isRuleOrphaned(createRule('Gone', 'open', 'x.com'), containerMap), true, 'Unknown legacy rule is orphaned');
+});
+
+test('Container IDs - Synced ID from another device falls back to name', () => {
+    // Device A stored Work as container-1; on this device container-1 is Shopping
+    const rules = [{ ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }];
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Shopping', 'firefox-container-1'],
+        ['Work', 'firefox-container-4'],
+    ]);
+
+    const [resolved] = resolveRuleContainers(rules, containerMap);
+    assertEqual(resolved.containerName, 'Work', 'Name snapshot should win when it exists elsewhere');
+    assertEqual(resolved.cookieStoreId, 'firefox-container-4', 'Local cookieStoreId should be adopted');
+});
+
+test('Container IDs - Synced ID under another local name is not trusted', () => {
+    // Device A renamed container-1 "Work" → "Work (Acme)"; here container-1 is Personal, no "Work (Acme)"
+    const rules = [{ ...createRule('Work (Acme)', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }];
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Personal', 'firefox-container-1'],
+    ]);
+    const history = recordContainerNames(new Map(), containerMap);
+
+    const [resolved] = resolveRuleContainers(rules, containerMap, history);
+    assertEqual(resolved.containerName, 'Work (Acme)', 'Snapshot kept, not rewritten to Personal');
+    assertEqual(isRuleOrphaned(resolved, containerMap), true, 'Orphaned instead of attached to Personal');
+
+    const [withoutHistory] = resolveRuleContainers(rules, containerMap);
+    assertEqual(isRuleOrphaned(withoutHistory, containerMap), true, 'No history - an ID under another name is never trusted');
+});
+
+test('Container IDs - Name history keeps every local name and forgets removed containers', () => {
+    const first = recordContainerNames(new Map(), new Map([['Work', 'firefox-container-1'], ['Bank', 'firefox-container-2']]));
+    const renamed = recordContainerNames(first, new Map([['Work (Acme)', 'firefox-container-1'], ['Bank', 'firefox-container-2']]));
+    assertEqual(renamed.get('firefox-container-1').join(), 'Work,Work (Acme)', 'Old and new name');
+    assertEqual(renamed.get('firefox-container-2').join(), 'Bank', 'Unchanged name recorded once');
+
+    const reused = recordContainerNames(recordContainerNames(renamed, new Map([['Bank', 'firefox-container-2']])),
+        new Map([['Bank', 'firefox-container-2'], ['Shopping', 'firefox-container-1']]));
+    assertEqual(reused.get('firefox-container-1').join(), 'Shopping', 'A reused ID starts a fresh history');
+});
+
+test('Container IDs - Only renames on this device are written back to sync', async () => {
+    const sync = createFakeStorageArea();
+    const deviceA = { local: createFakeStorageArea(), identities: [{ cookieStoreId: 'firefox-container-1', name: 'Work' }] };
+    const deviceB = { local: createFakeStorageArea(), identities: [{ cookieStoreId: 'firefox-container-1', name: 'Personal' }] };
+    let device = deviceA;
+    const writes = [];
+    const storage = {
+        sync: { ...sync, async set(items) { writes.push(device); await sync.set(items); } },
+        get local() { return device.local; }
+    };
+    const contextualIdentities = { query: async () => device.identities };
+    const storedRule = async () => (await readRulesFromStorage(sync))[0];
+    const original = {
+        storageMode: CtcRepo.storageMode, rules: CtcRepo.rules, compiledRules: CtcRepo.compiledRules,
+        ruleProfiles: CtcRepo.ruleProfiles, containerNameHistory: CtcRepo.containerNameHistory,
+        containers: Array.from(CtcRepo.containerMap), cookieStores: Array.from(CtcRepo.cookieStoreToNameMap)
+    };
+
+    await withBrowserGlobals({ storage, contextualIdentities }, async () => {
+        try {
+            CtcRepo.storageMode = STORAGE_MODES.SYNC;
+            await CtcRepo.loadContainers();
+            await CtcRepo.saveRules([{ ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }]);
+            await CtcRepo.loadRules();
+
+            // DEVICE A: Renames its own container - the new snapshot is synced
+            deviceA.identities = [{ cookieStoreId: 'firefox-container-1', name: 'Work (Acme)' }];
+            await CtcRepo.loadContainers();
+            assertEqual(await CtcRepo.persistContainerSnapshots(), true, 'Local rename is saved');
+            assertEqual((await storedRule()).containerName, 'Work (Acme)', 'Synced snapshot follows the rename');
+
+            // DEVICE B: container-1 is Personal, no "Work (Acme)" - orphaned, nothing written
+            device = deviceB;
+            writes.length = 0;
+            await CtcRepo.loadContainers();
+            await CtcRepo.loadRules();
+            assertEqual(isRuleOrphaned(CtcRepo.rules[0], CtcRepo.containerMap), true, 'Rule not attached to Personal');
+            assertEqual(await CtcRepo.persistContainerSnapshots(), false, 'Nothing to persist');
+
+            // DEVICE B gains its own "Work (Acme)": attached by name in memory only
+            deviceB.identities = [...deviceB.identities, { cookieStoreId: 'firefox-container-4', name: 'Work (Acme)' }];
+            await CtcRepo.loadContainers();
+            assertEqual(CtcRepo.rules[0].cookieStoreId, 'firefox-container-4', 'Local id adopted by name');
+            assertEqual(await CtcRepo.persistContainerSnapshots(), false, 'Adopted id is not pushed');
+            assertEqual(writes.length, 0, 'Device B never wrote to sync');
+            assertEqual((await storedRule()).cookieStoreId, 'firefox-container-1', 'Device A keeps its own id');
+
+            // BACK ON DEVICE A: Still its own container, nothing to rewrite (no ping-pong)
+            device = deviceA;
+            await CtcRepo.loadContainers();
+            await CtcRepo.loadRules();
+            assertEqual(CtcRepo.rules[0].cookieStoreId, 'firefox-container-1', 'Device A still attached');
+            assertEqual(await CtcRepo.persistContainerSnapshots(), false, 'Device A has nothing to rewrite');
+        } finally {
+            const { containers, cookieStores, ...fields } = original;
+            Object.assign(CtcRepo, fields);
+            CtcRepo.containerMap = new Map(containers);
+            CtcRepo.cookieStoreToNameMap = new Map(cookieStores);
+        }
+    });
+});
+
+// Test 13: Rule validation
+test('Rule Validation - Blocking errors', () => {
+    const mixed = validateAllRules([
+        createRule('Work', 'open', 'github.com'),
+        createRule('Work', 'restricted', 'company.com')
+    ]);
+    assertEqual(mixed.errors.length, 1, 'Mixed open/restricted should be an error');
+
+    const blockAll = validateAllRules([createRule('Work', 'restricted', '*')]);
+    assertEqual(blockAll.errors.length, 1, 'Restricted "*" should be an error');
+
+    const badRegex = validateAllRules([createRule('Work', 'open', '/[unclosed/')]);
+    assertEqual(badRegex.errors.length, 1, 'Invalid regex should be an error');
+
+    const literalParens = validateAllRules([createRule('Work', 'open', 'example.com/(beta)')]);
+    assertEqual(literalParens.errors.length, 0, 'Literal with parentheses should be valid');
+});
+
+test('Rule Validation - Advisory warnings', () => {
+    const duplicates = validateAllRules([
+        createRule('Work', 'open', 'github.com', true),
+        createRule('Personal', 'open', 'github.com', true)
+    ]);
+    assertEqual(duplicates.errors.length, 0, 'Duplicate high priority is not blocking');
+    assertEqual(duplicates.warnings.length, 1, 'Duplicate high priority should warn');
+
+    const containerMap = new Map([['No Container', 'firefox-default']]);
+    const orphaned = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'firefox-container-1' }
+    ], containerMap);
+    assertEqual(orphaned.warnings.length, 1, 'Deleted container should warn');
+});
+
+// Test 14: Evaluation trace ("why did this open here")
+test('Explain Trace - Restricted exit then high priority winner', () => {
+    const rules = [
+        createRule('Search', 'restricted', 'google.com/search'),
+        createRule('Personal', 'open', 'github.com'),
+        createRule('Work', 'open', 'github.com', true)
+    ];
+    const containerMap = createContainerMapFromRules(rules);
+
+    const trace = explainContainerForUrl('https://github.com/org', 'Search', rules, containerMap);
+    assertEqual(trace.startingContainer, 'Search', 'Trace records starting container');
+    assertEqual(trace.restrictedCheck.applies, true, 'Search is restricted');
+    assertEqual(trace.restrictedCheck.forcedExit, true, 'Non-matching URL forces exit');
+    assertEqual(trace.matchingRules.map(m => m.ruleIndex).join(','), '1,2', 'All matching rules listed with index');
+    assertEqual(trace.matchingRules[1].highPriority, true, 'Matching rule records priority');
+    assertEqual(trace.decision.step, DECISION_STEPS.HIGH_PRIORITY, 'High priority step picked the winner');
+    assertEqual(trace.decision.ruleIndex, 2, 'Winning rule index recorded');
+    assertEqual(trace.targetContainer, 'Work', 'Trace target is Work');
+});
+
+test('Explain Trace - Candidates list every matching container', () => {
+    const containerMap = new Map([['No Container', 'firefox-default'], ['Work', 'work-id'], ['Personal', 'personal-id']]);
+    const rules = [
+        createRule('Work', 'open', 'docs.google.com'),
+        createRule('Work', 'open', '*.google.com'),
+        createRule('Personal', 'open', '*.google.com')
+    ];
+
+    const ambiguous = explainContainerForUrl('https://docs.google.com/', 'No Container', rules, containerMap);
+    assertEqual(ambiguous.targetContainer, 'Work', 'Rule order still picks the first container');
+    assertEqual(ambiguous.candidates.map(c => c.containerName).join(','), 'Work,Personal', 'One candidate per container');
+    assertEqual(ambiguous.decision.ambiguous, true, 'Rule order among several containers is ambiguous');
+
+    const withPriority = [...rules, createRule('Personal', 'open', 'docs.google.com', true)];
+    const decided = explainContainerForUrl('https://docs.google.com/', 'No Container', withPriority, containerMap);
+    assertEqual(decided.candidates[0].containerName, 'Personal', 'High priority candidates come first');
+    assertEqual(decided.decision.ambiguous, false, 'High priority winner is never ambiguous');
+
+    const single = explainContainerForUrl('https://mail.google.com/', 'No Container', rules.slice(0, 2), containerMap);
+    assertEqual(single.decision.ambiguous, false, 'One matching container is not ambiguous');
+});
+
+test('Explain Trace - Stay put steps', () => {
+    const rules = [
+        createRule('Personal', 'open', 'github.com'),
+        createRule('Work', 'open', 'github.com', true)
+    ];
+    const containerMap = createContainerMapFromRules(rules);
+
+    const matched = explainContainerForUrl('https://github.com', 'Personal', rules, containerMap);
+    assertEqual(matched.decision.step, DECISION_STEPS.STAY_MATCHED, 'Current container match wins first');
+    assertEqual(matched.decision.ruleIndex, 0, 'Current container rule index recorded');
+    assertEqual(matched.restrictedCheck.applies, false, 'Open container has no restricted check');
+
+    const noMatch = explainContainerForUrl('https://example.com', 'Personal', rules, containerMap);
+    assertEqual(noMatch.decision.step, DECISION_STEPS.STAY_NO_MATCH, 'No match stays put');
+    assertEqual(noMatch.decision.ruleIndex, null, 'No deciding rule when staying put');
+
+    const fallback = explainContainerForUrl('https://example.com', 'Search', [createRule('Search', 'restricted', 'google.com')], containerMap);
+    assertEqual(fallback.decision.step, DECISION_STEPS.NO_CONTAINER, 'Booted with no match falls back');
+    assertEqual(fallback.targetContainer, 'No Container', 'Fallback target is No Container');
+});
+
+test('Explain Trace - Agrees with evaluateContainerForUrl on fixture', () => {
+    const containerMap = createContainerMapFromRules(containerizeRules);
+    const urls = [
+        'https://mail.google.com/mail/u/0/',
+        'https://www.google.com/search?q=test',
+        'https://github.com/user/repo',
+        'https://example.com/'
+    ];
+    const startingContainers = ['No Container', 'Google', 'Gmail'];
+
+    urls.forEach(url => {
+        startingContainers.forEach(current => {
+            const trace = explainContainerForUrl(url, current, containerizeRules, containerMap);
+            const result = evaluateContainerForUrl(url, current, containerizeRules, containerMap);
+            assertEqual(trace.targetContainer, result, `Trace should agree for ${url} from ${current}`);
+        });
+    });
+});
+
+// Test 15: Storage chunks and quota
+test('Storage Chunks - Large ruleset round trips through chunks', async () => {
+    const storage = createFakeStorageArea();
+    const manyRules = [...largeRuleset, ...createIncompressibleRules(150)];
+
+    const { chunkCount } = await writeRulesToStorage(storage, manyRules);
+    assertEqual(chunkCount > 1, true, 'Payload should span multiple chunks');
+
+    Object.entries(storage.items).forEach(([key, value]) => {
+        const itemBytes = key.length + JSON.stringify(value).length;
+        assertEqual(itemBytes <= 8192, true, `Item ${key} must fit in 8KB (${itemBytes})`);
+    });
+
+    const decoded = await readRulesFromStorage(storage);
+    assertEqual(JSON.stringify(decoded), JSON.stringify(manyRules), 'Chunked rules should decode to original');
+});
+
+test('Storage Chunks - Migrates legacy single key and swaps generations', async () => {
+    const legacyValue = await encodeRulesForStorage(containerizeRules);
+    const storage = createFakeStorageArea({ ctcRules: legacyValue, ctcDebugLoggingEnabled: true });
+
+    const legacyDecoded = await readRulesFromStorage(storage);
+    assertEqual(JSON.stringify(legacyDecoded), JSON.stringify(containerizeRules), 'Legacy key should still be readable');
+
+    await writeRulesToStorage(storage, containerizeRules);
+    assertEqual('ctcRules' in storage.items, false, 'Legacy key should be removed after chunked write');
+    assertEqual(storage.items.ctcDebugLoggingEnabled, true, 'Unrelated keys should be untouched');
+    assertEqual(storage.items[CTC_RULES_MANIFEST_KEY].generation, 1, 'First chunked write is generation 1');
+
+    const newRules = [createRule('Work', 'open', 'github.com')];
+    await writeRulesToStorage(storage, newRules);
+    const chunkKeys = Object.keys(storage.items).filter(key => key.startsWith(CTC_RULES_CHUNK_PREFIX));
+    assertEqual(chunkKeys.every(key => key.startsWith(`${CTC_RULES_CHUNK_PREFIX}2_`)), true, 'Old generation chunks should be removed');
+
+    const decoded = await readRulesFromStorage(storage);
+    assertEqual(JSON.stringify(decoded), JSON.stringify(newRules), 'Latest generation should be read');
+});
+
+test('Storage Chunks - Detects missing and corrupted chunks', async () => {
+    const storage = createFakeStorageArea();
+    await writeRulesToStorage(storage, largeRuleset);
+    const manifest = storage.items[CTC_RULES_MANIFEST_KEY];
+    const firstChunkKey = `${CTC_RULES_CHUNK_PREFIX}${manifest.generation}_0`;
+
+    storage.items[firstChunkKey] = storage.items[firstChunkKey].replace(/^./, c => (c === 'A' ? 'B' : 'A'));
+    let corruptError = null;
+    try {
+        await readRulesFromStorage(storage);
+    } catch (error) {
+        corruptError = error;
+    }
+    assertEqual(corruptError !== null && /checksum/.test(corruptError.message), true, 'Corrupted chunk should fail checksum');
+
+    delete storage.items[firstChunkKey];
+    let missingError = null;
+    try {
+        await readRulesFromStorage(storage);
+    } catch (error) {
+        missingError = error;
+    }
+    assertEqual(missingError !== null && /missing/.test(missingError.message), true, 'Missing chunk should be reported');
+});
+
+test('Storage Chunks - Clear error when quota would be exceeded', async () => {
+    const storage = createFakeStorageArea({ ctcRules: 'gz:previous' });
+    let quotaError = null;
+    try {
+        await writeRulesToStorage(storage, createIncompressibleRules(3000));
+    } catch (error) {
+        quotaError = error;
+    }
+    assertEqual(quotaError !== null, true, 'Oversized ruleset should throw');
+    assertEqual(quotaError.name, 'QuotaExceededError', 'Error should be identifiable as quota error');
+    assertEqual(storage.items.ctcRules, 'gz:previous', 'Existing rules should be untouched on quota failure');
+});
+
+test('Storage Chunks - Refuses a write when both generations do not fit side by side', async () => {
+    const oldRules = createIncompressibleRules(400);
+    const newRules = [...oldRules, createRule('Work', 'open', 'github.com')];
+    const { bytes: newBytes } = await writeRulesToStorage(createFakeStorageArea(), newRules);
+
+    const storage = createFakeStorageArea();
+    const { bytes: oldBytes } = await writeRulesToStorage(storage, oldRules);
+    const liveItems = JSON.stringify(storage.items);
+
+    let quotaError = null;
+    try {
+        // TIGHT FIT: New rules fit on their own, but not next to the live generation
+        await writeRulesToStorage(storage, newRules, { quotaBytes: newBytes + oldBytes - 1024 });
+    } catch (error) {
+        quotaError = error;
+    }
+    assertEqual(quotaError?.name, 'QuotaExceededError', 'Tight fit is refused');
+    assertEqual(JSON.stringify(storage.items), liveItems, 'Live generation untouched');
+    assertEqual((await readRulesFromStorage(storage)).length, oldRules.length, 'Old rules still readable');
+
+    await writeRulesToStorage(storage, newRules, { quotaBytes: newBytes + oldBytes });
+    assertEqual((await readRulesFromStorage(storage)).length, newRules.length, 'Room for both: swap succeeds');
+});
+
+test('Storage Chunks - Quota counts UTF-8 bytes, not characters', async () => {
+    const rules = [createRule('Work', 'open', 'github.com')];
+    const { bytes: rulesBytes } = await writeRulesToStorage(createFakeStorageArea(), rules);
+    const note = 'é'.repeat(20000); // 20000 characters, 40000 bytes
+
+    const storage = createFakeStorageArea({ ctcNote: note });
+    let quotaError = null;
+    try {
+        await writeRulesToStorage(storage, rules, { quotaBytes: rulesBytes + 30000 });
+    } catch (error) {
+        quotaError = error;
+    }
+    assertEqual(quotaError?.name, 'QuotaExceededError', 'Two-byte characters count twice');
+
+    await writeRulesToStorage(storage, rules, { quotaBytes: rulesBytes + 40100 });
+    assertEqual(storage.items[CTC_RULES_MANIFEST_KEY].generation, 1, 'Fits once the real size is available');
+});
+
+test('Storage Chunks - Local backend has no quota ceiling', async () => {
+    const storage = createFakeStorageArea();
+    const hugeRules = createIncompressibleRules(3000);
+
+    await writeRulesToStorage(storage, hugeRules, { quotaBytes: Infinity });
+    const decoded = await readRulesFromStorage(storage);
+    assertEqual(decoded.length, hugeRules.length, 'Oversized ruleset should round trip without quota');
+});
+
+// Test 16: Storage backends
+test('Storage Backends - Rules are copied before the mode flips', async () => {
+    const rules = [createRule('Work', 'open', 'github.com')];
+    const storage = createLoggedStorageAreas();
+    await withStorageModeRepo(storage, rules, async () => {
+        await CtcRepo.setStorageMode(STORAGE_MODES.LOCAL);
+
+        const modeWrite = storage.writes.indexOf(`local:${CTC_STORAGE_MODE_KEY}`);
+        assertEqual(storage.writes.indexOf(`local:${CTC_RULES_MANIFEST_KEY}`) < modeWrite, true, 'Rules committed before the mode key');
+        assertEqual(storage.writes.indexOf(`local:${CTC_RULE_PROFILES_KEY}`) < modeWrite, true, 'Profile index copied before the mode key');
+        assertEqual(modeWrite, storage.writes.length - 1, 'Mode key is the last write');
+        assertEqual((await readRulesFromStorage(storage.local)).length, 1, 'Local backend holds the rules');
+        assertEqual(CtcRepo.storageMode, STORAGE_MODES.LOCAL, 'Mode switched');
+    });
+
+    // COPY FAILS: Mode stays, nothing points at an empty backend
+    const full = createLoggedStorageAreas((areaName, items) => areaName === 'local' && CTC_RULES_MANIFEST_KEY in items);
+    await withStorageModeRepo(full, rules, async () => {
+        let copyError = null;
+        try {
+            await CtcRepo.setStorageMode(STORAGE_MODES.LOCAL);
+        } catch (error) {
+            copyError = error;
+        }
+        assertEqual(copyError?.name, 'QuotaExceededError', 'Copy failure is reported');
+        assertEqual(CtcRepo.storageMode, STORAGE_MODES.SYNC, 'Mode unchanged');
+        assertEqual(CTC_STORAGE_MODE_KEY in full.local.items, false, 'Mode key never written');
+    });
+});
+
+test('Storage Backends - Sync mirror failure does not block the switch', async () => {
+    const rules = [createRule('Work', 'open', 'github.com')];
+    const storage = createLoggedStorageAreas();
+    await withStorageModeRepo(storage, rules, async () => {
+        storage.sync.set = async () => {
+            throw new Error('sync quota exceeded');
+        };
+        await CtcRepo.setStorageMode(STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR);
+
+        assertEqual(CtcRepo.storageMode, STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR, 'Mode switched');
+        assertEqual(storage.local.items[CTC_STORAGE_MODE_KEY], STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR, 'Mode key written');
+        assertEqual((await readRulesFromStorage(storage.local)).length, 1, 'Local copy written');
+    });
+});
+
+test('Storage Backends - Only the active area reloads rules', async () => {
+    const rulesChange = { [CTC_RULES_MANIFEST_KEY]: { newValue: {} } };
+    const storage = createLoggedStorageAreas();
+    await withStorageModeRepo(storage, [], async () => {
+        assertEqual(CtcRepo.isActiveRulesChange(rulesChange, 'sync'), true, 'Sync mode: sync change reloads');
+        assertEqual(CtcRepo.isActiveRulesChange(rulesChange, 'local'), false, 'Sync mode: local change ignored');
+
+        await CtcRepo.setStorageMode(STORAGE_MODES.LOCAL_WITH_SYNC_MIRROR);
+        assertEqual(CtcRepo.isActiveRulesChange(rulesChange, 'local'), true, 'Mirror mode: local change reloads');
+        assertEqual(CtcRepo.isActiveRulesChange(rulesChange, 'sync'), false, 'Mirror mode: the mirror write is not a reload signal');
+        assertEqual(CtcRepo.isActiveRulesChange({ ctcDebugLoggingEnabled: { newValue: true } }, 'local'), false, 'Unrelated keys ignored');
+    });
+});
+
+// Test 17: Isolate rules (temporary containers)
+test('Isolate Rules - Matching URL targets the temporary container sentinel', () => {
+    const rules = [
+        createRule('Work', 'open', 'company.com'),
+        createRule(ISOLATED_CONTAINER_NAME, 'isolate', '*.sketchy.example')
+    ];
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        [ISOLATED_CONTAINER_NAME, ISOLATED_COOKIE_STORE_ID],
+        ['Work', 'work-id'],
+    ]);
+
+    assertEqual(
+        evaluateContainerForUrl('https://www.sketchy.example/offer', 'Work', rules, containerMap),
+        ISOLATED_CONTAINER_NAME,
+        'Isolate rule should leave Work for a temporary container'
+    );
+    assertEqual(
+        evaluateContainerForUrl('https://company.com', 'No Container', rules, containerMap),
+        'Work',
+        'Non-isolated URLs route normally'
+    );
+
+    // Engine returns the sentinel even if the rule names a real container
+    const misfiled = [createRule('Work', 'isolate', 'sketchy.example')];
+    assertEqual(
+        evaluateContainerForUrl('https://sketchy.example', 'No Container', misfiled, containerMap),
+        ISOLATED_CONTAINER_NAME,
+        'Isolate action always targets the sentinel'
+    );
+});
+
+test('Isolate Rules - Cannot share a container with open or restricted rules', () => {
+    const mixed = validateAllRules([
+        createRule(ISOLATED_CONTAINER_NAME, 'isolate', 'sketchy.example'),
+        createRule(ISOLATED_CONTAINER_NAME, 'open', 'github.com')
+    ]);
+    assertEqual(mixed.errors.length, 1, 'Mixing isolate with open should be an error');
+
+    const valid = validateAllRules([
+        createRule(ISOLATED_CONTAINER_NAME, 'isolate', 'sketchy.example'),
+        createRule('Work', 'open', 'github.com')
+    ]);
+    assertEqual(valid.errors.length, 0, 'Isolate rules alongside other containers are valid');
+});
+
+test('Isolate Rules - Temporary containers created together get distinct names and are never listed', async () => {
+    const created = [];
+    const listedDuringCreate = [];
+    let nextId = 50;
+    const contextualIdentities = {
+        async create(details) {
+            const identity = { ...details, cookieStoreId: `firefox-container-${nextId++}` };
+            created.push(identity);
+            // onCreated LISTENER: Runs before the new id is tracked
+            listedDuringCreate.push(isTemporaryContainerIdentity(identity));
+            await Promise.resolve();
+            return identity;
+        }
+    };
+    const originalTemporaryIds = CtcRepo.temporaryContainerIds;
+    await withBrowserGlobals({ contextualIdentities, storage: { local: createFakeStorageArea() } }, async () => {
+        try {
+            CtcRepo.temporaryContainerIds = new Set();
+            const ids = await Promise.all([createTemporaryContainer(), createTemporaryContainer()]);
+
+            assertEqual(created[0].name !== created[1].name, true, `Distinct names (${created.map(c => c.name).join(', ')})`);
+            assertEqual(listedDuringCreate.join(), 'true,true', 'Recognized as temporary while creation is in flight');
+            assertEqual(ids.every(id => CtcRepo.isTemporaryContainer(id)), true, 'Tracked once created');
+            assertEqual(isTemporaryContainerIdentity({ name: created[0].name, color: 'blue', icon: 'circle', cookieStoreId: 'firefox-container-9' }),
+                false, 'A user container with the same name later is a normal container');
+        } finally {
+            CtcRepo.temporaryContainerIds = originalTemporaryIds;
+        }
+    });
+});
+
+// Test 18: Exclude patterns
+test('Exclude Patterns - Rule skips excluded URLs when picking a container', () => {
+    const rules = [
+        { ...createRule('Work', 'open', 'github.com'), excludePatterns: ['github.com/personal-user/', '/gist\\.github\\.com/'] },
+        createRule('Personal', 'open', 'github.com/personal-user/')
+    ];
+    const containerMap = new Map([
+        ['Personal', 'personal-id'],
+        ['Work', 'work-id'],
+    ]);
+
+    assertEqual(evaluateContainerForUrl('https://github.com/company/repo', 'No Container', rules, containerMap), 'Work', 'Non-excluded GitHub URL goes to Work');
+    assertEqual(evaluateContainerForUrl('https://github.com/personal-user/dotfiles', 'Work', rules, containerMap), 'Personal', 'Excluded URL leaves Work for Personal');
+    assertEqual(evaluateContainerForUrl('https://gist.github.com/abc', 'No Container', rules, containerMap), 'No Container', 'Regex exclusion applies too');
+});
+
+test('Exclude Patterns - Restricted container exits on excluded URL', () => {
+    const rules = [
+        { ...createRule('Work', 'restricted', '*.company.com'), excludePatterns: ['*.company.com/careers'] }
+    ];
+    const containerMap = new Map([['Work', 'work-id']]);
+
+    const trace = explainContainerForUrl('https://company.com/careers/apply', 'Work', rules, containerMap);
+    assertEqual(trace.restrictedCheck.forcedExit, true, 'Excluded URL does not satisfy the restricted rule');
+    assertEqual(trace.targetContainer, 'No Container', 'Excluded URL falls back to No Container');
+    assertEqual(evaluateContainerForUrl('https://company.com/wiki', 'Work', rules, containerMap), 'Work', 'Other company URLs stay');
+});
+
+test('Exclude Patterns - Validated and round-tripped through storage', async () => {
+    const badExclusion = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), excludePatterns: ['/[unclosed/'] }
+    ]);
+    assertEqual(badExclusion.errors.length, 1, 'Invalid exclusion regex should be an error');
+
+    const notAList = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), excludePatterns: 'github.com/me' }
+    ]);
+    assertEqual(notAList.errors.length, 1, 'excludePatterns must be an array');
+
+    const rules = [{ ...createRule('Work', 'open', 'github.com'), excludePatterns: ['github.com/personal-user/'] }];
+    const decoded = await decodeRulesFromStorage(await encodeRulesForStorage(rules));
+    assertEqual(JSON.stringify(decoded), JSON.stringify(rules), 'excludePatterns should survive encode/decode');
+});
+
+// Test 19: Source conditions
+test('Source Conditions - Same destination routes by where the link came from', () => {
+    const rules = [
+        { ...createRule('Work', 'open', 'docs.google.com'), source: { external: true } },
+        { ...createRule('Personal', 'open', 'docs.google.com'), source: { urlPattern: '*.mail.google.com', cookieStoreId: 'personal-id' } }
+    ];
+    const containerMap = new Map([
+        ['Personal', 'personal-id'],
+        ['Work', 'work-id'],
+    ]);
+    const url = 'https://docs.google.com/document/d/1';
+
+    assertEqual(
+        evaluateContainerForUrl(url, 'No Container', rules, containerMap, { sourceUrl: null, openerCookieStoreId: null, external: true }),
+        'Work',
+        'Link from another app (Slack) goes to Work'
+    );
+    assertEqual(
+        evaluateContainerForUrl(url, 'Personal', rules, containerMap, { sourceUrl: 'https://mail.google.com/mail/u/0/', openerCookieStoreId: 'personal-id', external: false }),
+        'Personal',
+        'Link from personal mail stays in Personal'
+    );
+    assertEqual(
+        evaluateContainerForUrl(url, 'No Container', rules, containerMap, { sourceUrl: 'https://mail.google.com/', openerCookieStoreId: 'work-id', external: false }),
+        'No Container',
+        'Every source condition must hold (opener container differs)'
+    );
+    assertEqual(
+        evaluateContainerForUrl(url, 'No Container', rules, containerMap),
+        'No Container',
+        'Without navigation context conditional rules never match'
+    );
+});
+
+test('Source Conditions - Opener container resolves by name on another device', () => {
+    // Device A saved "opened from Personal" as container-2; here container-2 is Shopping
+    const rules = [{
+        ...createRule('Work', 'open', 'docs.google.com'),
+        cookieStoreId: 'firefox-container-1',
+        source: { cookieStoreId: 'firefox-container-2', containerName: 'Personal', external: false }
+    }];
+    const containerMap = new Map([
+        ['No Container', 'firefox-default'],
+        ['Work', 'firefox-container-1'],
+        ['Shopping', 'firefox-container-2'],
+        ['Personal', 'firefox-container-5'],
+    ]);
+
+    const [resolved] = resolveRuleContainers(rules, containerMap);
+    assertEqual(resolved.source.cookieStoreId, 'firefox-container-5', 'Local Personal id adopted');
+    assertEqual(resolved.source.external, false, 'Other source conditions kept');
+    const url = 'https://docs.google.com/document/d/1';
+    assertEqual(evaluateContainerForUrl(url, 'Personal', [resolved], containerMap, { openerCookieStoreId: 'firefox-container-5', external: false }),
+        'Work', 'Opened from the local Personal container matches');
+    assertEqual(evaluateContainerForUrl(url, 'Shopping', [resolved], containerMap, { openerCookieStoreId: 'firefox-container-2', external: false }),
+        'Shopping', 'Opened from Shopping does not');
+
+    // RENAME + ID-ONLY: Snapshot follows the local name; conditions saved before the snapshot gain one
+    const renamedMap = new Map([['Work', 'firefox-container-1'], ['Personal (Home)', 'firefox-container-2']]);
+    const renamedHistory = new Map([['firefox-container-2', ['Personal', 'Personal (Home)']]]);
+    const [renamed] = resolveRuleContainers(rules, renamedMap, renamedHistory);
+    assertEqual(renamed.source.containerName, 'Personal (Home)', 'Renamed opener keeps its id, snapshot follows');
+    const [idOnly] = resolveRuleContainers([{ ...rules[0], source: { cookieStoreId: 'firefox-container-2' } }], containerMap);
+    assertEqual(idOnly.source.containerName, 'Shopping', 'Id-only condition gains a name snapshot');
+    const [deleted] = resolveRuleContainers([{ ...rules[0], source: { cookieStoreId: 'firefox-container-9' } }], containerMap);
+    assertEqual(JSON.stringify(deleted.source), '{"cookieStoreId":"firefox-container-9"}', 'Deleted opener left as-is');
+});
+
+test('Source Conditions - Restricted check honors conditions', () => {
+    const rules = [
+        { ...createRule('Banking', 'restricted', '*.bank.example'), source: { external: false } }
+    ];
+    const containerMap = new Map([['Banking', 'banking-id']]);
+
+    const fromApp = explainContainerForUrl('https://bank.example/login', 'Banking', rules, containerMap, { external: true });
+    assertEqual(fromApp.restrictedCheck.forcedExit, true, 'Link from another app does not satisfy the restricted rule');
+
+    const inBrowser = explainContainerForUrl('https://bank.example/login', 'Banking', rules, containerMap, { external: false });
+    assertEqual(inBrowser.targetContainer, 'Banking', 'In-browser navigation stays in Banking');
+});
+
+test('Source Conditions - Validation', () => {
+    const containerMap = new Map([['No Container', 'firefox-default'], ['Work', 'work-id']]);
+    const valid = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id', source: { urlPattern: '*.slack.com', cookieStoreId: 'work-id', external: false } }
+    ], containerMap);
+    assertEqual(valid.errors.length + valid.warnings.length, 0, 'Well-formed conditions are valid');
+
+    const invalid = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), source: { urlPattern: '/[unclosed/', external: 'yes' } },
+        { ...createRule('Work', 'open', 'gitlab.com'), source: 'slack' }
+    ], containerMap);
+    assertEqual(invalid.errors.length, 3, 'Bad pattern, non-boolean external and non-object source are errors');
+
+    const deletedOpener = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id', source: { cookieStoreId: 'gone-id' } }
+    ], containerMap);
+    assertEqual(deletedOpener.warnings.length, 1, 'Deleted opener container should warn');
+});
+
+// Test 20: Form posts
+test('Form Posts - Switch decision depends on method, body and policy', () => {
+    const formBody = { formData: { SAMLResponse: ['PHNhbWw+'], RelayState: ['/app'] } };
+
+    assertEqual(getPostRequestDecision('GET', undefined, 'skip').decision, POST_DECISIONS.SWITCH, 'GET always switches');
+    assertEqual(getPostRequestDecision('POST', formBody, 'skip').decision, POST_DECISIONS.SKIP, 'Skip policy keeps POST in place');
+    assertEqual(getPostRequestDecision('post', formBody, 'resubmit').decision, POST_DECISIONS.RESUBMIT, 'Form fields are re-submitted');
+    assertEqual(
+        getPostRequestDecision('POST', { raw: [{ bytes: new ArrayBuffer(8) }] }, 'resubmit').decision,
+        POST_DECISIONS.SKIP,
+        'Raw bodies cannot be rebuilt as a form'
+    );
+});
+
+test('Form Posts - Pending forms survive a background restart, once and until they expire', async () => {
+    const session = createFakeStorageArea({ 'ctcResubmission:stale': { url: 'https://old.example/', formData: {}, createdAt: 0 } });
+    const formData = { SAMLResponse: ['PHNhbWw+'] };
+    await withBrowserGlobals({ runtime: { getURL: path => `moz-extension://ctc/${path}` } }, async () => {
+        const pageUrl = await prepareFormResubmission('https://sso.example/acs', formData, session);
+        assertEqual(pageUrl.startsWith('moz-extension://ctc/src/resubmit.html#'), true, 'Resubmit page URL carries the token');
+        assertEqual('ctcResubmission:stale' in session.items, false, 'Expired forms pruned');
+
+        // RESTART: Nothing in memory - the session area is all a new instance has
+        const token = pageUrl.split('#')[1];
+        const taken = await takeResubmission(session, token);
+        assertEqual(taken?.url, 'https://sso.example/acs', 'Form handed over by a new background instance');
+        assertEqual(JSON.stringify(taken?.formData), JSON.stringify(formData), 'Fields kept');
+        assertEqual(await takeResubmission(session, token), null, 'Single use');
+
+        const laterUrl = await prepareFormResubmission('https://sso.example/acs', formData, session);
+        const expired = await takeResubmission(session, laterUrl.split('#')[1], Date.now() + RESUBMISSION_EXPIRY_MS + 1);
+        assertEqual(expired, null, 'Expired after 30s');
+        assertEqual(Object.keys(session.items).length, 0, 'Expired form removed on read');
+    });
+});
+
+// Test 21: Activity log
+test('Activity Log - Ring buffer keeps the newest entries', async () => {
+    const entries = Array.from({ length: 5 }, (_, index) => ({ timestamp: index, url: `https://site${index}.example` }));
+    const trimmed = appendActivityEntries(entries.slice(0, 4), entries.slice(4), 3);
+    assertEqual(trimmed.length, 3, 'Log should be capped at the limit');
+    assertEqual(trimmed[0].url, 'https://site2.example', 'Oldest entries are dropped first');
+    assertEqual(trimmed[2].url, 'https://site4.example', 'Newest entry is last');
+
+    const storage = createFakeStorageArea({ [CTC_ACTIVITY_LOG_KEY]: trimmed });
+    assertEqual((await readActivityLog(storage)).length, 3, 'Persisted log reads back');
+    assertEqual((await readActivityLog(createFakeStorageArea())).length, 0, 'Missing log reads as empty');
+});
+
+test('Activity Log - Filter, search and CSV export', () => {
+    const entries = [
+        { timestamp: 0, url: 'https://github.com/org', fromContainer: 'Personal', toContainer: 'Work', outcome: 'switched', reason: 'first-matching-rule', ruleIndex: 0, rulePattern: 'github.com' },
+        { timestamp: 1000, url: 'about:newtab', fromContainer: null, toContainer: null, outcome: 'skipped', reason: 'privileged-url', ruleIndex: null, rulePattern: null },
+        { timestamp: 2000, url: 'https://example.com/?q="a,b"', fromContainer: 'Work', toContainer: 'Work', outcome: 'stayed', reason: 'no-match-stay-put', ruleIndex: null, rulePattern: null, dataSource: ACTIVITY_DATA_SOURCES.SNAPSHOT }
+    ];
+
+    assertEqual(filterActivityEntries(entries, { outcome: 'skipped' }).length, 1, 'Outcome filter');
+    assertEqual(filterActivityEntries(entries, { search: 'WORK' }).length, 2, 'Search is case-insensitive across containers');
+    assertEqual(filterActivityEntries(entries, { outcome: 'stayed', search: 'github' }).length, 0, 'Filters combine');
+    assertEqual(filterActivityEntries(entries, { search: 'snapshot' }).length, 1, 'Decisions on snapshot data are searchable');
+
+    const csvLines = activityEntriesToCsv(entries).split('\n');
+    assertEqual(csvLines[0], 'timestamp,url,fromContainer,toContainer,outcome,reason,ruleIndex,rulePattern,dataSource', 'CSV header');
+    assertEqual(csvLines[1], '1970-01-01T00:00:00.000Z,https://github.com/org,Personal,Work,switched,first-matching-rule,0,github.com,', 'CSV row');
+    assertEqual(csvLines[3].endsWith(',session-snapshot'), true, 'Data source column');
+    assertEqual(csvLines[3].split(',')[1], '"https://example.com/?q=""a', 'Quotes and commas are escaped');
+});
+
+test('Activity Log - Private window decisions are never written', async () => {
+    const local = createFakeStorageArea();
+    recordActivity({ url: 'https://secret.example/', fromContainer: 'No Container', outcome: 'stayed', reason: 'no-match' }, { incognito: true });
+    recordActivity({ url: 'https://github.com/', fromContainer: 'No Container', outcome: 'stayed', reason: 'no-match' }, { incognito: false });
+    recordActivity({ url: 'https://docs.example/', fromContainer: 'Work', outcome: 'stayed', reason: 'no-match' });
+    await flushActivityLog(local);
+
+    const entries = await readActivityLog(local);
+    assertEqual(entries.map(entry => entry.url).join(','), 'https://github.com/,https://docs.example/', 'Only non-private decisions stored');
+    assertEqual(JSON.stringify(local.items).includes('secret.example'), false, 'Private URL appears nowhere in storage');
+});
+
+// Test 22: Switch strategies and the switch prompt
+test('Switch Strategies - Per-rule override is validated', () => {
+    const containerMap = new Map([['No Container', 'firefox-default'], ['Work', 'work-id']]);
+    const valid = validateAllRules(
+        Object.values(SWITCH_STRATEGIES).map(strategy => ({
+            ...createRule('Work', 'open', `${strategy}.example.com`), cookieStoreId: 'work-id', switchStrategy: strategy
+        })),
+        containerMap
+    );
+    assertEqual(valid.errors.length, 0, 'Known strategies are valid');
+
+    const invalid = validateAllRules([
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id', switchStrategy: 'new-window' }
+    ], containerMap);
+    assertEqual(invalid.errors.length, 1, 'Unknown strategy is an error');
+});
+
+test('Switch Strategies - Reopened tab keeps the original tab\'s place and state', async () => {
+    const original = {
+        id: 7, windowId: 2, index: 4, pinned: true, active: false,
+        mutedInfo: { muted: true }, groupId: 9, cookieStoreId: 'firefox-default'
+    };
+
+    const replaceApi = createFakeTabsApi([original]);
+    const replaced = await reopenTabInContainer(7, 'https://github.com/', 'work-id', SWITCH_STRATEGIES.REPLACE, replaceApi);
+    const [, created] = replaceApi.calls.find(([method]) => method === 'create');
+    assertEqual(created.cookieStoreId, 'work-id', 'New tab is in the target container');
+    assertEqual(created.windowId, 2, 'Same window');
+    assertEqual(created.index, 4, 'REPLACE takes the original index');
+    assertEqual(created.pinned, true, 'Pinned state carried over');
+    assertEqual(created.active, false, 'Background tab stays in the background');
+    assertEqual(created.openerTabId, undefined, 'REPLACE has no opener (the original goes away)');
+    assertEqual(replaceApi.tabs.get(replaced.id).muted, true, 'Muted state carried over');
+    assertEqual(JSON.stringify(replaceApi.calls.find(([method]) => method === 'group')[1]),
+        JSON.stringify({ groupId: 9, tabIds: [replaced.id] }), 'Tab group carried over');
+    assertEqual(replaceApi.tabs.has(7), false, 'REPLACE removes the original tab');
+
+    const alongsideApi = createFakeTabsApi([{ ...original, pinned: false, active: true, mutedInfo: { muted: false }, groupId: -1 }]);
+    await reopenTabInContainer(7, 'https://github.com/', 'work-id', SWITCH_STRATEGIES.ALONGSIDE, alongsideApi);
+    const [, alongside] = alongsideApi.calls.find(([method]) => method === 'create');
+    assertEqual(alongside.index, 5, 'ALONGSIDE opens right after the original');
+    assertEqual(alongside.active, true, 'Foreground tab stays in the foreground');
+    assertEqual(alongside.openerTabId, 7, 'ALONGSIDE remembers the original as opener');
+    assertEqual(alongsideApi.tabs.has(7), true, 'ALONGSIDE keeps the original tab');
+    assertEqual(alongsideApi.calls.some(([method]) => method === 'update' || method === 'group'), false,
+        'Nothing to carry over for an unmuted, ungrouped tab');
+
+    const closedApi = createFakeTabsApi();
+    await reopenTabInContainer(7, 'https://github.com/', 'work-id', SWITCH_STRATEGIES.REPLACE, closedApi);
+    assertEqual(JSON.stringify(closedApi.calls[0]), JSON.stringify(['create', { url: 'https://github.com/', cookieStoreId: 'work-id' }]),
+        'Closed original tab: plain new tab');
+});
+
+test('Switch Strategies - Pending prompts survive a background restart until they expire', async () => {
+    const session = createFakeStorageArea();
+    const now = Date.UTC(2024, 0, 8, 9, 0);
+    const pendingSwitch = {
+        tabId: 7,
+        url: 'https://docs.google.com/',
+        targetCookieStoreId: 'work-id',
+        fromContainer: 'No Container',
+        toContainer: 'Work',
+        candidates: [{ containerName: 'Work', cookieStoreId: 'work-id' }, { containerName: 'Personal', cookieStoreId: 'personal-id' }],
+        strategy: SWITCH_STRATEGIES.REPLACE
+    };
+    await writePendingSwitch(session, 'token-1', pendingSwitch, now);
+
+    // RESTART: Nothing but the session storage area carries over
+    const stored = JSON.parse(JSON.stringify(session.items));
+    const restarted = createFakeStorageArea(stored);
+    const pending = await readPendingSwitch(restarted, 'token-1', now + 60000);
+    assertEqual(pending.url, pendingSwitch.url, 'URL read back');
+    assertEqual(pending.targetCookieStoreId, 'work-id', 'Target read back');
+    assertEqual(pending.candidates.map(c => c.containerName).join(','), 'Work,Personal', 'Candidates read back');
+    assertEqual(pending.strategy, SWITCH_STRATEGIES.REPLACE, 'Strategy read back');
+
+    assertEqual(await readPendingSwitch(restarted, 'token-1', now + SWITCH_PROMPT_EXPIRY_MS + 1), null, 'Expired prompt is gone');
+    assertEqual(await readPendingSwitch(restarted, 'unknown', now), null, 'Unknown token is gone');
+});
+
+test('Switch Strategies - "Remember my choice" makes the next visit unambiguous', () => {
+    const containerMap = new Map([['No Container', 'firefox-default'], ['Work', 'work-id'], ['Personal', 'personal-id']]);
+    const rules = [
+        { ...createRule('Work', 'open', '*.google.com'), cookieStoreId: 'work-id' },
+        { ...createRule('Personal', 'open', '*.google.com'), cookieStoreId: 'personal-id' }
+    ];
+    const url = 'https://docs.google.com/document/d/1';
+    const before = explainContainerForUrl(url, 'No Container', rules, containerMap);
+    assertEqual(before.decision.ambiguous, true, 'Both containers match by rule order alone');
+
+    const personal = { containerName: 'Personal', cookieStoreId: 'personal-id' };
+    const remembered = addSiteRule(rules, 'https://www.docs.google.com/document/d/1', personal, true);
+    assertEqual(remembered.urlPattern, '*.docs.google.com', 'Rule is for the host (www. dropped)');
+    assertEqual(remembered.rules.map(rule => rule.urlPattern).join(','), '*.google.com,*.google.com,*.docs.google.com',
+        'Added next to the container\'s own rules');
+    assertEqual(validateAllRules(remembered.rules, containerMap).errors.length, 0, 'Remembered rules stay valid');
+
+    const after = explainContainerForUrl(url, 'No Container', remembered.rules, containerMap);
+    assertEqual(after.targetContainer, 'Personal', 'Chosen container wins');
+    assertEqual(after.decision.ambiguous, false, 'Next visit is not ambiguous');
+
+    assertEqual(addSiteRule(remembered.rules, url, personal, true).rules, remembered.rules, 'Remembering again changes nothing');
+
+    const demoted = [rules[0], { ...rules[1], urlPattern: '*.docs.google.com', priority: -1 }];
+    const promoted = addSiteRule(demoted, url, personal, true).rules[1];
+    assertEqual(getRulePriority(promoted), 1, 'Existing rule is promoted to priority 1');
+    assertEqual('priority' in promoted, false, 'Priority 1 is stored as highPriority alone');
+});
+
+// Test 23: Keyboard commands
+test('Container Commands - Numbered, cycle and by-rules targets', async () => {
+    const identities = [
+        { name: 'Work', cookieStoreId: 'firefox-container-1' },
+        { name: 'tmp-1', cookieStoreId: 'firefox-container-7' },
+        { name: 'Personal', cookieStoreId: 'firefox-container-2' }
+    ];
+    const originalTemporaryIds = CtcRepo.temporaryContainerIds;
+    await withBrowserGlobals({ contextualIdentities: { query: async () => identities } }, async () => {
+        try {
+            CtcRepo.temporaryContainerIds = new Set(['firefox-container-7']);
+            await CtcRepo.loadContainers();
+            const notEvaluated = () => {
+                throw new Error('Only reopen-by-rules evaluates rules');
+            };
+            const target = (command, cookieStoreId, url = 'https://example.com/', evaluate = notEvaluated) =>
+                getCommandTarget(command, { url, cookieStoreId }, evaluate);
+
+            // NUMBERED: Index 0 is No Container; sentinel and temporary containers are skipped
+            assertEqual(target(CONTAINER_COMMANDS.NO_CONTAINER, 'firefox-container-1'), 'firefox-default', 'No Container');
+            assertEqual(target('reopen-in-container-1', 'firefox-default'), 'firefox-container-1', 'container-1 is the first real container');
+            assertEqual(target('reopen-in-container-2', 'firefox-default'), 'firefox-container-2', 'Temporary container skipped');
+            assertEqual(target('reopen-in-container-3', 'firefox-default'), null, 'Past the last container');
+
+            // CYCLE: Wraps around; unknown and temporary containers start over at No Container
+            assertEqual(target(CONTAINER_COMMANDS.CYCLE, 'firefox-default'), 'firefox-container-1', 'No Container → first');
+            assertEqual(target(CONTAINER_COMMANDS.CYCLE, 'firefox-container-2'), 'firefox-default', 'Last → No Container');
+            assertEqual(target(CONTAINER_COMMANDS.CYCLE, 'firefox-container-7'), 'firefox-default', 'Temporary → No Container');
+            assertEqual(target(CONTAINER_COMMANDS.CYCLE, 'firefox-container-99'), 'firefox-default', 'Unknown → No Container');
+
+            // BY RULES: Same evaluation as a navigation, minus privileged pages and isolate loops
+            const evaluations = [];
+            const isolate = (url, cookieStoreId) => {
+                evaluations.push(url);
+                return { cookieStoreId: ISOLATED_COOKIE_STORE_ID };
+            };
+            assertEqual(target(CONTAINER_COMMANDS.BY_RULES, 'firefox-default', 'about:addons', isolate), null, 'Privileged page');
+            assertEqual(evaluations.length, 0, 'Privileged page: rules not evaluated');
+            assertEqual(target(CONTAINER_COMMANDS.BY_RULES, 'firefox-container-7', undefined, isolate), null, 'Already isolated');
+            assertEqual(target(CONTAINER_COMMANDS.BY_RULES, 'firefox-container-1', undefined, isolate), ISOLATED_COOKIE_STORE_ID, 'Isolate from a normal container');
+            assertEqual(target(CONTAINER_COMMANDS.BY_RULES, 'firefox-default', undefined, () => ({ cookieStoreId: 'firefox-container-2' })),
+                'firefox-container-2', 'Rules pick');
+            assertEqual(target('unknown-command', 'firefox-default'), null, 'Unknown command');
+        } finally {
+            CtcRepo.temporaryContainerIds = originalTemporaryIds;
+        }
+    });
+});
+
+// Test 24: Link and tab context menus
+test('Container Menu - Rules pick evaluates links as opened from the tab, tabs in place', () => {
+    const calls = [];
+    const evaluate = (url, currentCookieStoreId, context) => {
+        calls.push({ url, currentCookieStoreId, context });
+        return { cookieStoreId: 'firefox-container-1' };
+    };
+    const tab = { id: 1, url: 'https://mail.example/inbox', cookieStoreId: 'firefox-container-2' };
+
+    const linkPick = getRulesPick({ linkUrl: 'https://docs.example/d/1', pageUrl: 'https://mail.example/inbox' }, tab, evaluate);
+    assertEqual(linkPick, 'firefox-container-1', 'Link: rules pick returned');
+    assertEqual(calls[0].url, 'https://docs.example/d/1', 'Link: the link URL is evaluated');
+    assertEqual(JSON.stringify(calls[0].context),
+        '{"sourceUrl":"https://mail.example/inbox","openerCookieStoreId":"firefox-container-2","external":false}',
+        'Link: opened from this tab and page');
+
+    getRulesPick({ pageUrl: 'https://mail.example/inbox' }, { ...tab, cookieStoreId: undefined }, evaluate);
+    assertEqual(calls[1].url, 'https://mail.example/inbox', 'Tab: the tab URL is evaluated');
+    assertEqual(calls[1].currentCookieStoreId, 'firefox-default', 'Tab: no cookieStoreId means No Container');
+    assertEqual(JSON.stringify(calls[1].context), '{}', 'Tab: no source context (reloaded where it is)');
+
+    assertEqual(getRulesPick({}, { ...tab, url: 'about:preferences' }, evaluate), null, 'Privileged tab: no pick');
+    assertEqual(calls.length, 2, 'Privileged tab: rules not evaluated');
+});
+
+// Test 25: Bookmark folders ("Open All in Container")
+test('Bookmark Folders - URLs in bookmark order, skipping separators, place: and duplicates', () => {
+    const folder = {
+        title: 'Work',
+        children: [
+            { type: 'bookmark', url: 'https://a.example/' },
+            { type: 'separator' },
+            { type: 'bookmark', url: 'place:sort=8&maxResults=10' },
+            { type: 'bookmark', url: 'javascript:void(0)' },
+            { type: 'bookmark', url: 'https://b.example/' },
+            { type: 'folder', title: 'Sub', children: [
+                { type: 'bookmark', url: 'https://a.example/' },
+                { type: 'bookmark', url: 'https://c.example/' }
+            ] },
+            { type: 'bookmark', url: 'about:blank' }
+        ]
+    };
+
+    assertEqual(getBookmarkUrlsFromFolder(folder, true).join(' '),
+        'https://a.example/ https://b.example/ https://c.example/ about:blank', 'Recursive, deduplicated, filtered');
+    assertEqual(getBookmarkUrlsFromFolder(folder, false).join(' '),
+        'https://a.example/ https://b.example/ about:blank', 'Subfolders skipped when not included');
+    assertEqual(getBookmarkUrlsFromFolder({ type: 'bookmark', url: 'https://a.example/' }, true).length, 0,
+        'A single bookmark is not a folder');
+});
+
+test('Bookmark Folders - Stops BOOKMARK_MAX_DEPTH levels below the clicked folder', () => {
+    // NESTING: Level n holds https://level-n.example/ and the folder for level n + 1
+    const root = { title: 'Level 0', children: [] };
+    let folder = root;
+    for (let level = 0; level <= BOOKMARK_MAX_DEPTH + 2; level++) {
+        const next = { title: `Level ${level + 1}`, children: [] };
+        folder.children.push({ type: 'bookmark', url: `https://level-${level}.example/` }, next);
+        folder = next;
+    }
+
+    const urls = getBookmarkUrlsFromFolder(root, true);
+    assertEqual(urls.length, BOOKMARK_MAX_DEPTH + 1, 'Clicked folder plus BOOKMARK_MAX_DEPTH levels');
+    assertEqual(urls[urls.length - 1], `https://level-${BOOKMARK_MAX_DEPTH}.example/`, 'Deepest level opened');
+});
+
+test('Bookmark Folders - URLs already open in the target container are skipped', async () => {
+    const tabsApi = createFakeTabsApi([
+        { id: 1, url: 'https://a.example/', cookieStoreId: 'firefox-container-1' },
+        { id: 2, url: 'https://b.example/', cookieStoreId: 'firefox-container-2' }
+    ]);
+    const urls = ['https://a.example/', 'https://b.example/'];
+
+    assertEqual((await withoutUrlsOpenInContainer(urls, 'firefox-container-1', tabsApi)).join(' '),
+        'https://b.example/', 'Open in the same container: skipped');
+    assertEqual((await withoutUrlsOpenInContainer(urls, 'firefox-container-3', tabsApi)).join(' '),
+        urls.join(' '), 'Open in another container only: still opened');
+});
+
+test('Bookmark Folders - Pending confirmations survive a background restart until they expire', async () => {
+    const session = createFakeStorageArea();
+    const request = { folderTitle: 'Work', urls: ['https://a.example/'], cookieStoreId: 'firefox-container-1', newWindow: false };
+    await writePendingBookmarkOpen(session, 'token-1', request, 1000);
+
+    // RESTART: Nothing in memory - the session area is all a new instance has
+    const pending = await readPendingBookmarkOpen(session, 'token-1', 1000 + BOOKMARK_CONFIRM_EXPIRY_MS);
+    assertEqual(pending?.folderTitle, 'Work', 'Read back by a new background instance');
+    assertEqual(pending?.urls.length, 1, 'URLs kept');
+    assertEqual(await readPendingBookmarkOpen(session, 'token-1', 1001 + BOOKMARK_CONFIRM_EXPIRY_MS), null, 'Expired');
+    assertEqual(await readPendingBookmarkOpen(session, 'token-2', 1000), null, 'Unknown token');
+});
+
+// Test 26: Bookmark container assignments
+test('Bookmark Containers - Nearest assigned folder wins, deleted containers are ignored', () => {
+    const tree = [{ id: 'root', children: [
+        { id: 'work', children: [
+            { id: 'b1', url: 'https://jira.example/' },
+            { id: 'clients', children: [
+                { id: 'b2', url: 'https://crm.example/' },
+                { id: 'b3', url: 'https://jira.example/board' }
+            ] }
+        ] },
+        { id: 'b4', url: 'https://news.example/' },
+        { id: 'b5', url: 'https://crm.example/' }
+    ] }];
+    const assignments = new Map([
+        ['work', 'firefox-container-1'],
+        ['clients', 'firefox-container-2'],
+        ['b3', 'firefox-container-3'],
+        ['b5', 'firefox-container-9']
+    ]);
+    const cookieStoreToNameMap = new Map([
+        ['firefox-container-1', 'Work'],
+        ['firefox-container-2', 'Clients'],
+        ['firefox-container-3', 'Jira']
+    ]);
+
+    const index = buildBookmarkUrlIndex(tree, assignments);
+    const find = url => findIndexedBookmarkContainer(index, url, cookieStoreToNameMap);
+    assertEqual(find('https://jira.example/'), 'firefox-container-1', 'Inherited from the assigned folder');
+    assertEqual(find('https://crm.example/'), 'firefox-container-2', 'Nearest folder beats the outer one');
+    assertEqual(find('https://jira.example/board'), 'firefox-container-3', 'Own assignment beats every folder');
+    assertEqual(find('https://news.example/'), null, 'Bookmark outside assigned subtrees');
+    assertEqual(index.get('https://crm.example/').join(' '), 'firefox-container-2 firefox-container-9', 'Every bookmark of a URL is indexed');
+
+    cookieStoreToNameMap.delete('firefox-container-2');
+    assertEqual(find('https://crm.example/'), null, 'Deleted container is ignored, not replaced by the outer folder');
+    assertEqual(find('https://unknown.example/'), null, 'Unbookmarked URL');
+});
+
+test('Bookmark Containers - Removed folder reports itself and everything inside it', () => {
+    const removed = { id: 'f1', children: [
+        { id: 'b1', url: 'https://a.example/' },
+        { id: 'f2', children: [{ id: 'b2', url: 'https://b.example/' }, { id: 'f3', children: [] }] }
+    ] };
+    assertEqual(collectBookmarkIds(removed).join(' '), 'f1 b1 f2 b2 f3', 'Depth-first, folder before its children');
+    assertEqual(collectBookmarkIds({ id: 'b9', url: 'https://c.example/' }).join(' '), 'b9', 'Single bookmark');
+});
+
+test('Bookmark Containers - Only a bookmark commit uses the assignment, typed URLs get the held rules pick', () => {
+    const bookmarkRoute = { cookieStoreId: 'firefox-container-1', reason: 'bookmark-container' };
+    const heldRoute = { cookieStoreId: 'firefox-container-2', reason: 'first-matching-rule' };
+    assertEqual(pickCommittedRoute('auto_bookmark', bookmarkRoute, heldRoute), bookmarkRoute, 'Bookmark open');
+    assertEqual(pickCommittedRoute('typed', bookmarkRoute, heldRoute), heldRoute, 'Typed URL follows the rules');
+    assertEqual(pickCommittedRoute('typed', bookmarkRoute, null), null, 'Nothing held - stays where it loaded');
+    assertEqual(pickCommittedRoute('auto_bookmark', null, heldRoute), heldRoute, 'Deleted container - rules decide');
+    assertEqual(pickCommittedRoute('link', null, null), null, 'Ordinary navigation');
+});
+
+test('Bookmark Containers - A held route is taken once, for the same URL, before it expires', () => {
+    const route = { cookieStoreId: 'firefox-container-2', reason: 'first-matching-rule' };
+    holdBookmarkCandidate(7, 'https://jira.example/', route, 1000);
+    assertEqual(JSON.stringify(takeHeldBookmarkRoute(7, 'https://jira.example/', 1500)), JSON.stringify(route), 'Taken');
+    assertEqual(takeHeldBookmarkRoute(7, 'https://jira.example/', 1600), null, 'Only once');
+
+    holdBookmarkCandidate(7, 'http://jira.example/', route, 1000);
+    assertEqual(takeHeldBookmarkRoute(7, 'https://jira.example/', 1500), null, 'Redirected elsewhere before committing');
+    assertEqual(takeHeldBookmarkRoute(7, 'http://jira.example/', 1500), null, 'A mismatched commit drops the hold');
+
+    holdBookmarkCandidate(8, 'https://jira.example/', route, 1000);
+    assertEqual(takeHeldBookmarkRoute(9, 'https://jira.example/', 1500), null, 'Other tab');
+    assertEqual(takeHeldBookmarkRoute(8, 'https://jira.example/', 1001 + HELD_ROUTE_EXPIRY_MS), null, 'Expired');
+});
+
+// Test 27: Rule profiles
+test('Rule Profiles - Stored side by side without touching the default keys', async () => {
+    const storage = createFakeStorageArea();
+    const defaultRules = [createRule('Work', 'open', 'github.com')];
+    const travelRules = [createRule('Personal', 'open', 'booking.com')];
+
+    await writeRulesToStorage(storage, defaultRules);
+    await writeRulesToStorage(storage, travelRules, { profileId: 'travel-1' });
+    await writeRulesToStorage(storage, defaultRules);
+    assertEqual(JSON.stringify(await readRulesFromStorage(storage)), JSON.stringify(defaultRules), 'Default profile reads the original keys');
+    assertEqual(JSON.stringify(await readRulesFromStorage(storage, undefined, { profileId: 'travel-1' })), JSON.stringify(travelRules),
+        'Rewriting default must not drop another profile\'s chunks');
+    assertEqual((await readRulesFromStorage(storage, undefined, { profileId: 'unsaved' })).length, 0, 'Profile without rules reads as empty');
+
+    await removeRulesFromStorage(storage, 'travel-1');
+    assertEqual(Object.keys(storage.items).some(key => key.includes('travel-1')), false, 'Removing a profile removes all its keys');
+    assertEqual(JSON.stringify(await readRulesFromStorage(storage)), JSON.stringify(defaultRules), 'Default profile survives removal of another');
+
+    let idError = null;
+    try {
+        await writeRulesToStorage(storage, travelRules, { profileId: 'bad_id' });
+    } catch (error) {
+        idError = error;
+    }
+    assertEqual(idError !== null, true, 'Ids with "_" would collide with chunk keys and are rejected');
+});
+
+test('Rule Profiles - Index normalization and change detection', () => {
+    const empty = normalizeRuleProfiles(undefined);
+    assertEqual(JSON.stringify(empty), JSON.stringify({ activeProfileId: 'default', profiles: [{ id: 'default', name: 'Default' }] }),
+        'Missing index means only the default profile');
+
+    const normalized = normalizeRuleProfiles({
+        activeProfileId: 'gone',
+        profiles: [{ id: 'work', name: 'Work' }, { id: 'work', name: 'Duplicate' }, { id: 'x', name: ' ' }, null, { id: 'default', name: 'Home' }]
+    });
+    assertEqual(normalized.profiles.map(profile => profile.name).join(','), 'Home,Work', 'Default first, invalid and duplicate entries dropped');
+    assertEqual(normalized.activeProfileId, 'default', 'Unknown active profile falls back to default');
+    assertEqual(normalizeRuleProfiles({ activeProfileId: 'work', profiles: [{ id: 'work', name: 'Work' }] }).activeProfileId, 'work',
+        'Known active profile is kept');
+
+    assertEqual(didRulesChange({ [CTC_RULE_PROFILES_KEY]: {} }), true, 'Switching profiles is a rules change');
+    assertEqual(didRulesChange({ 'ctcProfileManifest_work': {} }), true, 'Saving another profile is a rules change');
+    assertEqual(didRulesChange({ ctcDebugLoggingEnabled: {} }), false, 'Unrelated keys are not');
+});
+
+// Test 28: Schedule conditions
+test('Schedule Conditions - Work hours route by injected clock', () => {
+    const workHours = { days: [1, 2, 3, 4, 5], times: [{ start: '09:00', end: '18:00' }], timeZone: 'UTC' };
+    const rules = [
+        { ...createRule('Work', 'open', '*.slack.com'), schedule: workHours },
+        createRule('Personal', 'open', '*.slack.com')
+    ];
+    const containerMap = new Map([['Personal', 'personal-id'], ['Work', 'work-id']]);
+    const url = 'https://app.slack.com/client';
+    const at = (day, hour, minute = 0) => ({ now: Date.UTC(2024, 0, day, hour, minute) }); // Jan 8th 2024 is a Monday
+
+    assertEqual(evaluateContainerForUrl(url, 'No Container', rules, containerMap, at(8, 9)), 'Work', 'Monday 09:00 is work time (start inclusive)');
+    assertEqual(evaluateContainerForUrl(url, 'No Container', rules, containerMap, at(12, 17, 59)), 'Work', 'Friday 17:59 is work time');
+    assertEqual(evaluateContainerForUrl(url, 'No Container', rules, containerMap, at(12, 18)), 'Personal', 'Friday 18:00 is not (end exclusive)');
+    assertEqual(evaluateContainerForUrl(url, 'No Container', rules, containerMap, at(13, 10)), 'Personal', 'Saturday goes to Personal');
+
+    const trace = explainContainerForUrl(url, 'No Container', rules, containerMap, at(13, 10));
+    assertEqual(trace.matchingRules.map(match => match.containerName).join(','), 'Personal', 'Rules outside their schedule do not match');
+});
+
+test('Schedule Conditions - Overnight ranges, time zones and validation', () => {
+    const lateShift = { days: [5], times: [{ start: '22:00', end: '02:00' }], timeZone: 'UTC' };
+    assertEqual(isScheduleActive(lateShift, Date.UTC(2024, 0, 12, 23, 0)), true, 'Friday 23:00 is in the late shift');
+    assertEqual(isScheduleActive(lateShift, Date.UTC(2024, 0, 13, 1, 0)), true, 'Saturday 01:00 still belongs to Friday');
+    assertEqual(isScheduleActive(lateShift, Date.UTC(2024, 0, 13, 2, 0)), false, 'Shift ends at 02:00');
+    assertEqual(isScheduleActive(lateShift, Date.UTC(2024, 0, 11, 23, 0)), false, 'Thursday is not listed');
+
+    const newYork = { times: [{ start: '09:00', end: '17:00' }], timeZone: 'America/New_York' };
+    assertEqual(isScheduleActive(newYork, Date.UTC(2024, 0, 8, 14, 0)), true, '14:00 UTC is 09:00 in New York (EST)');
+    assertEqual(isScheduleActive(newYork, Date.UTC(2024, 0, 8, 13, 59)), false, '13:59 UTC is before hours in New York');
+    assertEqual(isScheduleActive(undefined, 0), true, 'No schedule always applies');
+
+    assertEqual(getScheduleError(lateShift), null, 'Well-formed schedule is valid');
+    assertEqual(getScheduleError({ days: [7] }) !== null, true, 'Weekday out of range is an error');
+    assertEqual(getScheduleError({ times: [{ start: '9am', end: '17:00' }] }) !== null, true, 'Non HH:MM time is an error');
+    assertEqual(getScheduleError({ days: [1], timeZone: 'Mars/Olympus' }) !== null, true, 'Unknown time zone is an error');
+
+    const { errors } = validateAllRules([
+        { ...createRule('Work', 'open', 'slack.com'), schedule: { times: [{ start: '25:00', end: '26:00' }] } },
+        { ...createRule('Work', 'open', 'gmail.com'), schedule: { days: [1, 2, 3, 4, 5], times: [{ start: '09:00', end: '18:00' }] } }
+    ]);
+    assertEqual(errors.length, 1, 'Only the malformed schedule is rejected');
+});
+
+// Test 29: Rule transfer (export files, diff and merge)
+test('Rule Transfer - Versioned file round trip and older inputs', () => {
+    const rules = [{ ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id' }];
+    const file = buildRulesFile({
+        rules,
+        containers: [{ name: 'Work', cookieStoreId: 'work-id', icon: 'briefcase' }],
+        extensionVersion: '1.2.3',
+        exportedAt: new Date(Date.UTC(2024, 0, 8))
+    });
+    const parsed = parseRulesFile(JSON.stringify(file));
+    assertEqual(parsed.schemaVersion, RULES_FILE_SCHEMA_VERSION, 'Schema version is recorded');
+    assertEqual(parsed.extensionVersion, '1.2.3', 'Extension version is recorded');
+    assertEqual(JSON.stringify(parsed.containers), JSON.stringify([{ name: 'Work', cookieStoreId: 'work-id' }]), 'Container list keeps name and id only');
+    assertEqual(JSON.stringify(parsed.rules), JSON.stringify(rules), 'Rules round trip');
+
+    assertEqual(parseRulesFile(JSON.stringify(rules)).schemaVersion, 1, 'Bare array is a schema 1 export');
+    const profiles = parseRulesFile(JSON.stringify({ version: 1, activeProfile: 'Default', profiles: [{ name: ' Travel ', rules }] }));
+    assertEqual(profiles.profiles[0].name, 'Travel', 'All-profiles export is read with trimmed names');
+
+    let newerError = null;
+    try {
+        parseRulesFile(JSON.stringify({ ...file, schemaVersion: RULES_FILE_SCHEMA_VERSION + 1 }));
+    } catch (error) {
+        newerError = error;
+    }
+    assertEqual(newerError !== null && /newer/.test(newerError.message), true, 'Newer schema is refused');
+
+    let jsonError = null;
+    try {
+        parseRulesFile('{ nope');
+    } catch (error) {
+        jsonError = error;
+    }
+    assertEqual(jsonError !== null && /Invalid JSON/.test(jsonError.message), true, 'Broken JSON is refused');
+});
+
+test('Rule Transfer - Diff pairs unchanged, changed, added and removed rules', () => {
+    const work = (urlPattern, extra = {}) => ({ ...createRule('Work', 'open', urlPattern), cookieStoreId: 'work-id', ...extra });
+    const current = [
+        work('docs.google.com', { source: { external: true } }),
+        work('docs.google.com', { source: { external: false } }),
+        work('github.com'),
+        work('jira.example.com')
+    ];
+    const next = [
+        { ...work('github.com'), containerName: 'Work (renamed)' },
+        work('docs.google.com', { source: { external: false } }),
+        work('docs.google.com', { source: { external: true }, highPriority: true }),
+        work('gitlab.com')
+    ];
+
+    const diff = diffRules(current, next);
+    assertEqual(diff.unchanged.length, 2, 'Identical rules (and renamed snapshots) are unchanged');
+    assertEqual(diff.changed.length, 1, 'Same container and pattern with other settings is changed');
+    assertEqual(diff.changed[0].before.source.external, true, 'Repeated patterns pair with their remaining counterpart');
+    assertEqual(diff.added.map(rule => rule.urlPattern).join(), 'gitlab.com', 'New pattern is added');
+    assertEqual(diff.removed.map(rule => rule.urlPattern).join(), 'jira.example.com', 'Missing pattern is removed');
+});
+
+test('Rule Transfer - Hand-written rules equal their normalized table form', () => {
+    // Imported as written: loose field order, priority 1 without highPriority, no source name snapshot
+    const imported = [
+        { urlPattern: 'github.com', action: 'open', priority: 1, cookieStoreId: 'work-id', containerName: 'Work' },
+        { containerName: 'Work', cookieStoreId: 'work-id', action: 'open', urlPattern: 'docs.google.com',
+            source: { cookieStoreId: 'personal-id' }, schedule: { days: [5, 1] }, excludePatterns: [] }
+    ];
+    // Read back from the options table (collectRuleFromRow)
+    const table = [
+        { containerName: 'Work', cookieStoreId: 'work-id', action: 'open', urlPattern: 'github.com', highPriority: true },
+        { containerName: 'Work', cookieStoreId: 'work-id', action: 'open', urlPattern: 'docs.google.com', highPriority: false,
+            source: { cookieStoreId: 'personal-id', containerName: 'Personal' }, schedule: { days: [1, 5] } }
+    ];
+
+    assertEqual(haveSameRules(table, imported), true, 'No unsaved edits after an import');
+    assertEqual(haveSameRules([...table].reverse(), imported), false, 'Rule order counts');
+    assertEqual(haveSameRules(table.slice(1), imported), false, 'Deleted rule');
+    assertEqual(haveSameRules([{ ...table[0], highPriority: false }, table[1]], imported), false, 'Edited priority');
+    assertEqual(haveSameRules([table[0], { ...table[1], source: { cookieStoreId: 'bank-id', containerName: 'Personal' } }], imported),
+        false, 'Edited source container');
+});
+
+test('Rule Transfer - Merge adds new rules only and reports conflicts', () => {
+    const current = [
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id' },
+        { ...createRule('Banking', 'restricted', 'bank.example'), cookieStoreId: 'bank-id' },
+        { ...createRule('Personal', 'open', 'reddit.com'), cookieStoreId: 'personal-id' }
+    ];
+    const incoming = [
+        { ...createRule('Work', 'open', 'github.com'), cookieStoreId: 'work-id' },
+        { ...createRule('Work', 'open', 'gitlab.com'), cookieStoreId: 'work-id' },
+        { ...createRule('Personal', 'open', 'reddit.com', true), cookieStoreId: 'personal-id' },
+        { ...createRule('Banking', 'open', 'paypal.com'), cookieStoreId: 'bank-id' },
+        { ...createRule('Shopping', 'open', 'amazon.com'), cookieStoreId: 'shop-id' }
+    ];
+
+    const { rules, added, conflicts } = mergeRules(current, incoming);
+    assertEqual(rules.map(rule => rule.urlPattern).join(), 'github.com,gitlab.com,bank.example,reddit.com,amazon.com',
+        'New rules join their container, unknown containers go last, existing rules stay');
+    assertEqual(added.length, 2, 'Only new rules are added');
+    assertEqual(conflicts.length, 2, 'Changed rule and mixed rule type are conflicts');
+    assertEqual(rules[3].highPriority, false, 'Conflicting existing rule is kept as it was');
+    assertEqual(validateAllRules(rules).errors.length, 0, 'Merged rules stay valid');
+});
+
+// Test 30: Rule analyzer
+test('Rule Analyzer - Shadowed, redundant, overlapping and ambiguous rules', () => {
+    const rules = [
+        createRule('Work', 'open', 'github.com'),
+        createRule('Personal', 'open', 'github.com/personal-user'),
+        createRule('Work', 'open', '*.github.com/company-name/*'),
+        createRule('Personal', 'open', '*.google.com'),
+        createRule('Work', 'open', 'docs.google.com'),
+        createRule('Shopping', 'open', 'smile.amazon.com'),
+        createRule('Personal', 'open', 'amazon.com'),
+        { ...createRule('Banking', 'open', 'github.com/sponsors'), source: { external: true } }
+    ];
+    const findings = analyzeRules(rules);
+    const typeOf = ruleIndex => findings.filter(finding => finding.ruleIndex === ruleIndex).map(finding => finding.type).join();
+
+    assertEqual(typeOf(0), '', 'First broad rule has no finding');
+    assertEqual(typeOf(1), ANALYSIS_FINDINGS.SHADOWED, 'Earlier broader literal shadows another container');
+    assertEqual(typeOf(2), ANALYSIS_FINDINGS.REDUNDANT, 'Structured rule inside the same container\'s literal is redundant');
+    assertEqual(typeOf(4), ANALYSIS_FINDINGS.AMBIGUOUS, 'Subdomain wildcard and literal host overlap by rule order');
+    assertEqual(findings.find(finding => finding.ruleIndex === 4).exampleUrl, 'https://docs.google.com', 'Ambiguity comes with an example URL');
+    assertEqual(typeOf(5), ANALYSIS_FINDINGS.OVERLAP, 'Longer literal listed first still overlaps the shorter one');
+    assertEqual(typeOf(6), ANALYSIS_FINDINGS.AMBIGUOUS, 'Shorter literal is not covered, only loses the shared URLs by order');
+    assertEqual(typeOf(7), ANALYSIS_FINDINGS.SHADOWED, 'Conditional rule is still shadowed by an unconditional one');
+
+    const highPriority = analyzeRules([createRule('Work', 'open', 'github.com'), createRule('Personal', 'open', 'github.com/me', true)]);
+    assertEqual(highPriority.map(finding => finding.type).join(), ANALYSIS_FINDINGS.OVERLAP, 'High priority narrower rule wins, only the sticky overlap is reported');
+
+    const conditionalCover = analyzeRules([
+        { ...createRule('Work', 'open', 'github.com'), schedule: { days: [1, 2, 3, 4, 5] } },
+        createRule('Personal', 'open', 'github.com/me')
+    ]);
+    assertEqual(conditionalCover.length, 0, 'Conditional rules never cover others');
+});
+
+test('Rule Analyzer - Catastrophic backtracking shapes', () => {
+    ['(a+)+', '(\\w+\\s?)*', '(.*a)+', '(a|ab)*', '(?:x+|y)+$', '^https://(www\\.)?example\\.com/(.*)*'].forEach(source => {
+        assertEqual(getBacktrackingRisk(source) !== null, true, `${source} should be flagged`);
+    });
+    ['([a-z]+\\.)+com', '(\\d+-)+', '(?:foo|bar)+', '^https://[^/]+\\.example\\.com/', '(a{3})+', '\\((a)\\)+'].forEach(source => {
+        assertEqual(getBacktrackingRisk(source), null, `${source} should not be flagged`);
+    });
+
+    const findings = analyzeRules([
+        { ...createRule('Work', 'open', 'example.com'), excludePatterns: ['/(a+)+b/'] },
+        createRule('Personal', 'open', 'github.com(beta)')
+    ]);
+    assertEqual(findings.map(finding => finding.type).join(), ANALYSIS_FINDINGS.BACKTRACKING, 'Exclusions are scanned, literal parentheses are not');
+    assertEqual(findings[0].message.includes('/(a+)+b/'), true, 'Finding names the exclusion');
+});
+
+// Test 31: Compiled rules
+test('Compiled Rules - Identical traces to the rules array on the large fixture', () => {
+    const now = Date.UTC(2024, 0, 8, 10, 0); // Monday
+    const rules = [
+        ...largeRuleset,
+        createRule('Work', 'open', '*.github.com/company-name/*'),
+        { ...createRule('Work', 'open', 'host:gitlab.com path:/team/*'), excludePatterns: ['/gitlab\\.com\\/team\\/private/'] },
+        { ...createRule('Personal', 'open', 'github.com'), excludePatterns: ['github.com/company-name'] },
+        { ...createRule('Personal', 'open', 'docs.google.com'), source: { urlPattern: 'mail.google.com' } },
+        { ...createRule('Work', 'open', 'slack.com'), schedule: { days: [1, 2, 3, 4, 5], times: [{ start: '09:00', end: '18:00' }] } },
+        createRule('Shopping', 'isolate', 'ab.c'),
+        createRule('Broken', 'open', '/[unclosed/')
+    ];
+    const compiled = compileRules(rules);
+    const containerMap = createContainerMapFromRules(rules);
+    const startingContainers = ['No Container', ...new Set(rules.map(rule => rule.containerName))];
+
+    // URLS: Every literal as host, path and query text (substring semantics), plus misses
+    const urls = ['https://example.com/', 'https://notgithub.com/', 'https://github.com/company-name/repo',
+        'https://gitlab.com/team/private/x', 'https://gitlab.com/team/public', 'https://docs.google.com/d/1',
+        'https://app.slack.com/client', 'https://x.ab.c/', 'https://accounts.google.com/signin'];
+    rules.filter(rule => !rule.urlPattern.startsWith('/')).forEach(rule => {
+        urls.push(`https://${rule.urlPattern}/`, `https://evil.example/?next=${rule.urlPattern}`);
+    });
+
+    let compared = 0;
+    urls.forEach(url => {
+        startingContainers.forEach(current => {
+            [{ now }, { now, sourceUrl: 'https://mail.google.com/mail/u/0/' }].forEach(context => {
+                const expected = JSON.stringify(explainContainerForUrl(url, current, rules, containerMap, context));
+                const actual = JSON.stringify(explainContainerForUrl(url, current, compiled, containerMap, context));
+                assertEqual(actual, expected, `Compiled trace differs for ${url} from ${current}`);
+                compared++;
+            });
+        });
+    });
+    console.log(`   Compared ${compared} traces over ${rules.length} rules`);
+
+    assertEqual(compiled.scannedRuleIndices.length < rules.length / 4, true, 'Most literal patterns are indexed');
+    assertEqual(evaluateContainerForUrl('https://github.com/x', 'No Container', compileRules([]), containerMap), 'No Container',
+        'Empty compiled rules fall back');
+});
+
+// Test 32: Tab state cache
+test('Tab State - Events keep container, active, window and index current', async () => {
+    const tabsApi = createFakeTabsApi([
+        { id: 1, windowId: 1, index: 0, active: true, cookieStoreId: 'firefox-container-1', url: 'https://github.com/' },
+        { id: 2, windowId: 1, index: 1, active: false, cookieStoreId: 'firefox-default', url: 'about:blank' }
+    ]);
+    const cache = new TabStateCache(tabsApi);
+    cache.attach();
+    await cache.rebuild();
+    assertEqual(cache.get(1).cookieStoreId, 'firefox-container-1', 'Rebuild loads every tab');
+    assertEqual(cache.get(2).url, 'about:blank', 'URL before the navigation is kept');
+
+    tabsApi.onCreated.fire({ id: 3, windowId: 1, index: 0, active: false, openerTabId: 1, cookieStoreId: 'firefox-container-2' });
+    assertEqual(cache.get(3).openerTabId, 1, 'Created tab is cached with its opener');
+    assertEqual(cache.get(1).index, 1, 'Tabs after an inserted tab shift right');
+    assertEqual(cache.get(2).index, 2, 'Every following tab shifts');
+
+    tabsApi.onActivated.fire({ tabId: 2, windowId: 1 });
+    assertEqual(cache.get(2).active && !cache.get(1).active, true, 'Activation moves the active flag');
+
+    tabsApi.onMoved.fire(2, { windowId: 1, fromIndex: 2, toIndex: 0 });
+    assertEqual([cache.get(2).index, cache.get(3).index, cache.get(1).index].join(), '0,1,2', 'Move reorders neighbours');
+
+    tabsApi.onDetached.fire(3, { oldWindowId: 1, oldPosition: 1 });
+    tabsApi.onAttached.fire(3, { newWindowId: 2, newPosition: 0 });
+    assertEqual(cache.get(3).windowId, 2, 'Attached tab changes window');
+    assertEqual(cache.get(1).index, 1, 'Old window closes the gap');
+
+    tabsApi.onUpdated.fire(1, { cookieStoreId: 'firefox-container-3' },
+        { id: 1, windowId: 1, index: 1, active: false, cookieStoreId: 'firefox-container-3', url: 'https://github.com/' });
+    assertEqual(cache.get(1).cookieStoreId, 'firefox-container-3', 'Update replaces the snapshot');
+
+    tabsApi.onRemoved.fire(2, { windowId: 1, isWindowClosing: false });
+    assertEqual(cache.get(2), null, 'Removed tab is dropped');
+    assertEqual(cache.get(1).index, 0, 'Tabs after a removed tab shift left');
+});
+
+test('Tab State - Replaced tabs, rebuild races and misses', async () => {
+    const tabsApi = createFakeTabsApi([
+        { id: 1, windowId: 1, index: 0, active: true, cookieStoreId: 'firefox-container-1' },
+        { id: 2, windowId: 1, index: 1, active: false, cookieStoreId: 'firefox-default' }
+    ]);
+    const cache = new TabStateCache(tabsApi);
+    cache.attach();
+
+    // WAKE-UP RACE: Events during the query are newer than its snapshot
+    tabsApi.onQuery = () => {
+        tabsApi.onUpdated.fire(1, {}, { id: 1, windowId: 1, index: 0, active: true, cookieStoreId: 'firefox-container-9' });
+        tabsApi.onRemoved.fire(2, { windowId: 1, isWindowClosing: false });
+    };
+    await cache.rebuild();
+    assertEqual(cache.get(1).cookieStoreId, 'firefox-container-9', 'Event during rebuild wins over the snapshot');
+    assertEqual(cache.get(2), null, 'Tab closed during rebuild is not resurrected');
+
+    tabsApi.tabs.delete(1);
+    tabsApi.tabs.set(5, { id: 5, windowId: 1, index: 0, active: true, cookieStoreId: 'firefox-container-1' });
+    tabsApi.onReplaced.fire(5, 1);
+    assertEqual(cache.get(1), null, 'Replaced id is dropped');
+    assertEqual(cache.get(5).cookieStoreId, 'firefox-container-9', 'State carries over to the new id at once');
+    await Promise.resolve();
+    await Promise.resolve();
+    assertEqual(cache.get(5).cookieStoreId, 'firefox-container-1', 'Browser snapshot of the new id follows');
+
+    tabsApi.tabs.set(7, { id: 7, windowId: 1, index: 1, active: false });
+    const getCalls = tabsApi.getCalls;
+    assertEqual((await cache.fetch(7)).cookieStoreId, 'firefox-default', 'Miss falls back to tabs.get');
+    await cache.fetch(7);
+    assertEqual(tabsApi.getCalls, getCalls + 1, 'Fetched tab is cached');
+    assertEqual(await cache.fetch(42), null, 'Unknown tab resolves to null, not a default container');
+});
+
+// Test 33: Routing snapshot
+test('Routing Snapshot - Round trip, and unusable snapshots fall back to the full load', async () => {
+    const session = createFakeStorageArea();
+    assertEqual(await readRoutingSnapshot(session), null, 'No snapshot before the first write');
+
+    const rules = [createRule('Work', 'open', 'github.com')];
+    await writeRoutingSnapshot(session, {
+        storageMode: 'sync',
+        containers: [['No Container', 'firefox-default'], ['Work', 'firefox-container-1']],
+        temporaryContainerIds: [],
+        bookmarkContainers: { abc: 'firefox-container-1' },
+        rules,
+        postRequestPolicy: 'skip',
+        switchStrategy: 'replace',
+        ambiguousMatchPolicy: 'first-rule'
+    }, 1234);
+
+    const snapshot = await readRoutingSnapshot(session);
+    assertEqual(snapshot.savedAt, 1234, 'Write time is kept');
+    assertEqual(new Map(snapshot.containers).get('Work'), 'firefox-container-1', 'Container map round-trips');
+    assertEqual(evaluateContainerForUrl('https://github.com/x', 'No Container', compileRules(snapshot.rules), new Map(snapshot.containers)),
+        'Work', 'Snapshot rules route without decoding');
+
+    session.items[CTC_ROUTING_SNAPSHOT_KEY] = { ...snapshot, version: 99 };
+    assertEqual(await readRoutingSnapshot(session), null, 'Other snapshot versions are ignored');
+    session.items[CTC_ROUTING_SNAPSHOT_KEY] = { version: 1, rules };
+    assertEqual(await readRoutingSnapshot(session), null, 'Damaged snapshots are ignored');
+});
+
+// Test 34: Priority tiers
+test('Priority Tiers - Higher tier beats rule order, legacy highPriority is tier 1', () => {
+    const containerMap = new Map([['No Container', 'firefox-default'], ['Work', 'work-id'], ['Personal', 'personal-id'], ['Shopping', 'shopping-id']]);
+    const rules = [
+        { ...createRule('Work', 'open', '*.google.com'), priority: -1 },
+        createRule('Personal', 'open', 'docs.google.com', true),
+        { ...createRule('Shopping', 'open', 'docs.google.com'), priority: 3 }
+    ];
+
+    assertEqual(getRulePriority(rules[1]), 1, 'highPriority without priority is tier 1');
+    assertEqual(getRulePriority(createRule('Work', 'open', 'x.com')), 0, 'Default tier is 0');
+    assertEqual(getRulePriority({ ...rules[1], priority: 0 }), 0, 'Explicit priority overrides highPriority');
+
+    const top = explainContainerForUrl('https://docs.google.com/', 'No Container', rules, containerMap);
+    assertEqual(top.targetContainer, 'Shopping', 'Highest tier wins despite coming last');
+    assertEqual(top.candidates.map(c => `${c.containerName}:${c.priority}`).join(','), 'Shopping:3,Personal:1,Work:-1', 'Candidates ranked by tier');
+    assertEqual(top.decision.step, DECISION_STEPS.HIGH_PRIORITY, 'Tier above 0 decides as high priority');
+
+    const fallback = explainContainerForUrl('https://mail.google.com/', 'No Container', rules, containerMap);
+    assertEqual(fallback.targetContainer, 'Work', 'Negative tier still wins when nothing else matches');
+    assertEqual(fallback.decision.step, DECISION_STEPS.RULE_ORDER, 'Tier 0 and below decide by rule order');
+
+    const demoted = [rules[0], createRule('Personal', 'open', '*.google.com')];
+    const tierZero = explainContainerForUrl('https://mail.google.com/', 'No Container', demoted, containerMap);
+    assertEqual(tierZero.targetContainer, 'Personal', 'Tier 0 beats an earlier negative tier');
+    assertEqual(tierZero.decision.ambiguous, false, 'Lower tiers never make the winner ambiguous');
+
+    const errors = validateAllRules([
+        { ...createRule('Work', 'open', 'a.com'), priority: 1.5 },
+        { ...createRule('Work', 'open', 'b.com'), priority: 100 },
+        { ...createRule('Work', 'open', 'c.com'), priority: -99 }
+    ]).errors;
+    assertEqual(errors.length, 2, 'Fractional and out-of-range priorities are errors');
+    assertEqual(errors[0].includes('Rule 1: priority'), true, 'Error names the rule');
+
+    const legacy = [{ ...createRule('Work', 'open', 'a.com', true), cookieStoreId: 'work-id' }];
+    const explicit = [{ ...legacy[0], priority: 1 }];
+    assertEqual(diffRules(legacy, explicit).unchanged.length, 1, 'highPriority and priority 1 are the same rule content');
+});
+
 async function runTests() {
     for (const { name, testFunction } of tests) {
         console.log(`\n🧪 Test ${testCount + 1}: ${name}`);